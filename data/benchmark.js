@@ -0,0 +1,159 @@
+/**
+ * Reconciliation benchmark for Bodega Verde Cash Reconciliation Engine
+ *
+ * Loads chain-scale data from generateChainDays (see generate-seed.js) into
+ * a scratch SQLite file, then reconciles the whole range with
+ * reconcileDateRange, as one run, and reports the time taken, the rows
+ * written and the peak memory of the process. The range is then reconciled
+ * again, unchanged, as a second run: the time a scheduled re-run takes, and
+ * how little run history it adds.
+ *
+ * Usage:
+ *   node data/benchmark.js [--stores 200] [--days 365] [--orders 14] [--db path] [--keep]
+ *
+ * The defaults are a year of a 200-store chain (about 1M orders). The data
+ * is deterministic, so runs on the same machine are comparable. The scratch
+ * database is deleted afterwards unless --keep is passed.
+ */
+
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { generateChainDays } from './generate-seed.js';
+
+const { values: args } = parseArgs({
+  options: {
+    stores: { type: 'string', default: '200' },
+    days: { type: 'string', default: '365' },
+    orders: { type: 'string', default: '14' },
+    from: { type: 'string', default: '2024-01-01' },
+    db: { type: 'string' },
+    keep: { type: 'boolean', default: false },
+  },
+});
+
+const opts = {
+  stores: Number(args.stores),
+  days: Number(args.days),
+  ordersPerStoreDay: Number(args.orders),
+  from: args.from,
+};
+const dbPath = args.db ?? join(tmpdir(), `bodega-benchmark-${process.pid}.db`);
+
+// The database module opens DB_PATH on import
+process.env.DB_PATH = dbPath;
+const { db } = await import('../src/db/index.js');
+const { runMigrations } = await import('../src/db/migrate.js');
+const { reconcileDateRange } = await import('../src/services/reconciler.js');
+const { withRun } = await import('../src/services/reconciliationRuns.js');
+
+function seconds(start) {
+  return (Number(process.hrtime.bigint() - start) / 1e9).toFixed(2);
+}
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+runMigrations();
+for (const table of ['orders', 'cash_reports', 'deposits']) {
+  if (db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n > 0) {
+    console.error(`${dbPath} already has ${table}; pass a new --db path`);
+    process.exit(1);
+  }
+}
+
+const insertOrder = db.prepare(`
+  INSERT INTO orders
+    (id, order_id, store_id, region, customer_id, customer_name, order_date, pickup_date,
+     expected_amount, currency, payment_method, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const insertReport = db.prepare(`
+  INSERT INTO cash_reports
+    (id, report_id, store_id, report_date, total_collected, order_ids, submitted_by, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const insertDeposit = db.prepare(`
+  INSERT INTO deposits
+    (id, deposit_id, store_id, deposit_date, amount, bank_reference, report_ids, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const loadDay = db.transaction(({ orders, reports, deposits }, now) => {
+  for (const o of orders) {
+    insertOrder.run(
+      o.order_id, o.order_id, o.store_id, o.region, o.customer_id, o.customer_name,
+      o.order_date, o.pickup_date, o.expected_amount, o.currency, o.payment_method, now
+    );
+  }
+  for (const r of reports) {
+    insertReport.run(
+      r.report_id, r.report_id, r.store_id, r.report_date, r.total_collected,
+      JSON.stringify(r.order_ids), r.submitted_by, now
+    );
+  }
+  for (const d of deposits) {
+    insertDeposit.run(
+      d.deposit_id, d.deposit_id, d.store_id, d.deposit_date, d.amount, d.bank_reference,
+      JSON.stringify(d.report_ids), now
+    );
+  }
+});
+
+const loadStart = process.hrtime.bigint();
+const now = new Date().toISOString();
+let from;
+let to;
+const counts = { orders: 0, reports: 0, deposits: 0 };
+for (const day of generateChainDays(opts)) {
+  loadDay(day, now);
+  from ??= day.date;
+  to = day.date;
+  counts.orders += day.orders.length;
+  counts.reports += day.reports.length;
+  counts.deposits += day.deposits.length;
+}
+db.pragma('wal_checkpoint(TRUNCATE)');
+db.exec('ANALYZE');
+console.log(
+  `Loaded ${counts.orders} orders, ${counts.reports} cash reports and ${counts.deposits} deposits ` +
+  `(${opts.stores} stores, ${from} to ${to}) in ${seconds(loadStart)}s`
+);
+
+// ---------------------------------------------------------------------------
+// Reconcile
+// ---------------------------------------------------------------------------
+
+const historyRows = () => db.prepare('SELECT COUNT(*) AS n FROM reconciliation_history').get().n;
+
+function reconcileRange(label) {
+  const start = process.hrtime.bigint();
+  const { run } = withRun(
+    { trigger: 'system', params: { from, to, benchmark: true } },
+    runId => reconcileDateRange(from, to, undefined, { runId })
+  );
+  const elapsed = seconds(start);
+  console.log(`${label} ${run.total_orders} orders over ${run.store_day_count} store-days in ${elapsed}s`);
+  console.log(`  ${Math.round(run.total_orders / Number(elapsed))} orders/s`);
+  return run;
+}
+
+const run = reconcileRange('Reconciled');
+console.log(`  status counts: ${JSON.stringify(run.status_counts)}`);
+const written = Object.fromEntries(
+  ['reconciliations', 'reconciliation_history', 'deposit_reconciliations', 'store_day_reconciliations', 'discrepancy_cases']
+    .map(table => [table, db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n])
+);
+for (const [table, n] of Object.entries(written)) console.log(`  ${table}: ${n} rows`);
+
+const before = historyRows();
+reconcileRange('Reconciled again, unchanged:');
+console.log(`  reconciliation_history: ${historyRows() - before} rows added`);
+console.log(`Peak RSS ${(process.resourceUsage().maxRSS / 1024).toFixed(0)} MB`);
+
+db.close();
+if (!args.keep && !args.db) {
+  for (const suffix of ['', '-wal', '-shm']) rmSync(`${dbPath}${suffix}`, { force: true });
+}
@@ -15,10 +15,14 @@
  *                      Day 3: matched; Day 4: over-collection (+150 MXN); Day 5: matched
  *   MTY-001  (mty)  — Days 1, 3: NO cash report (orders are unaccounted);
  *                      Days 2, 4, 5: matched
+ *
+ * Run as a script it writes the files above. It also exports
+ * generateChainDays, which builds chain-scale data (hundreds of stores over
+ * a year) one day at a time for data/benchmark.js.
  */
 
 import { writeFileSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -310,34 +314,153 @@ function toCsv(rows, columns) {
   return [header, ...lines].join('\n') + '\n';
 }
 
+// ---------------------------------------------------------------------------
+// Chain-scale data
+// The same scenarios as the seed files, drawn at random for every store-day
+// from a seeded generator so every run produces identical data.
+// ---------------------------------------------------------------------------
+
+const CHAIN_REGIONS = ['cdmx', 'gdl', 'mty', 'pue', 'qro'];
+
+// Deterministic PRNG (mulberry32): a float in [0, 1) per call
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Chain-scale data, one day at a time so memory stays bounded whatever the
+ * size: `stores` stores with `ordersPerStoreDay` orders each day for `days`
+ * days. Every store-day draws a scenario — matched (about 80%),
+ * under-collection (the report lists every order but comes up short),
+ * over-collection, no report, or a report sent a day late — and every
+ * report is deposited the next day, a few of them short.
+ *
+ * Rows come in their stored shape: amounts are numbers, order_ids and
+ * report_ids arrays. A late report is yielded with the day it is dated.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.stores=200]
+ * @param {number} [opts.days=365]
+ * @param {number} [opts.ordersPerStoreDay=14]
+ * @param {string} [opts.from='2024-01-01'] - First pickup date
+ * @param {number} [opts.seed=42]
+ * @returns {Generator<{ date: string, orders: Array<object>, reports: Array<object>, deposits: Array<object> }>}
+ */
+export function* generateChainDays({
+  stores = 200, days = 365, ordersPerStoreDay = 14, from = '2024-01-01', seed = 42,
+} = {}) {
+  const random = seededRandom(seed);
+  const chain = Array.from({ length: stores }, (_, i) => ({
+    store_id: `ST-${String(i + 1).padStart(3, '0')}`,
+    region: CHAIN_REGIONS[i % CHAIN_REGIONS.length],
+    manager: `Manager ${i + 1}`,
+  }));
+
+  let ordSeq = 1;
+  let late = []; // reports dated the next day
+  for (let di = 0; di < days; di++) {
+    const date = addDays(from, di);
+    const orders = [];
+    const reports = late;
+    late = [];
+
+    for (const store of chain) {
+      const dayOrders = [];
+      for (let oi = 0; oi < ordersPerStoreDay; oi++) {
+        const customer = CUSTOMERS[ordSeq % CUSTOMERS.length];
+        dayOrders.push({
+          order_id: `ORD-${String(ordSeq++).padStart(7, '0')}`,
+          store_id: store.store_id,
+          region: store.region,
+          customer_id: customer.id,
+          customer_name: customer.name,
+          order_date: date,
+          pickup_date: date,
+          expected_amount: 150 + Math.round(random() * 700),
+          currency: 'MXN',
+          payment_method: 'cash_on_pickup',
+        });
+      }
+      orders.push(...dayOrders);
+
+      const roll = random();
+      if (roll < 0.04) continue; // no report: the orders are unaccounted
+      // Cash short (negative) or over (positive) of what the orders were due
+      let extra = 0;
+      if (roll < 0.10) extra = -(50 + Math.round(random() * 100));
+      else if (roll < 0.16) extra = 50 + Math.round(random() * 250);
+      const report = {
+        report_id: `RPT-${store.store_id}-${date}`,
+        store_id: store.store_id,
+        report_date: roll < 0.20 ? addDays(date, 1) : date,
+        total_collected: dayOrders.reduce((s, o) => s + o.expected_amount, 0) + extra,
+        order_ids: dayOrders.map(o => o.order_id),
+        submitted_by: store.manager,
+      };
+      (report.report_date === date ? reports : late).push(report);
+    }
+
+    const deposits = reports.map(r => ({
+      deposit_id: `DEP-${r.report_id}`,
+      store_id: r.store_id,
+      deposit_date: addDays(r.report_date, 1),
+      amount: random() < 0.05 ? r.total_collected - 100 : r.total_collected,
+      bank_reference: `REF-${r.report_id}`,
+      report_ids: [r.report_id],
+    }));
+
+    yield { date, orders, reports, deposits };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
-const orders  = buildOrders();
-const reports = buildReports(orders);
-
-const ordersCsv = toCsv(orders, [
-  'order_id', 'store_id', 'region', 'customer_id', 'customer_name',
-  'order_date', 'pickup_date', 'expected_amount', 'currency', 'payment_method',
-]);
-
-const reportsCsv = toCsv(reports, [
-  'report_id', 'store_id', 'report_date', 'total_collected', 'order_ids', 'submitted_by',
-]);
-
-const seedDir = join(__dirname, 'seed');
-mkdirSync(seedDir, { recursive: true });
-
-writeFileSync(join(seedDir, 'orders.csv'),       ordersCsv,  { encoding: 'utf8' });
-writeFileSync(join(seedDir, 'cash_reports.csv'), reportsCsv, { encoding: 'utf8' });
-
-console.log(`Generated ${orders.length} orders  → data/seed/orders.csv`);
-console.log(`Generated ${reports.length} reports → data/seed/cash_reports.csv`);
-console.log('');
-console.log('Store scenarios embedded in seed data:');
-console.log('  CDMX-001  cdmx  All 5 days matched (exact totals)');
-console.log('  CDMX-002  cdmx  Days 1-4 under-collection (1 order omitted per day); Day 5 matched');
-console.log('  GDL-001   gdl   Days 1,3 over-collection (+200 MXN each); Days 2,4,5 matched');
-console.log('  GDL-002   gdl   Day1 matched; Day2 under; Day3 matched; Day4 over(+150); Day5 matched');
-console.log('  MTY-001   mty   Days 1,3 have NO cash report (unaccounted orders); Days 2,4,5 matched');
+function main() {
+  const orders  = buildOrders();
+  const reports = buildReports(orders);
+
+  const ordersCsv = toCsv(orders, [
+    'order_id', 'store_id', 'region', 'customer_id', 'customer_name',
+    'order_date', 'pickup_date', 'expected_amount', 'currency', 'payment_method',
+  ]);
+
+  const reportsCsv = toCsv(reports, [
+    'report_id', 'store_id', 'report_date', 'total_collected', 'order_ids', 'submitted_by',
+  ]);
+
+  const seedDir = join(__dirname, 'seed');
+  mkdirSync(seedDir, { recursive: true });
+
+  writeFileSync(join(seedDir, 'orders.csv'),       ordersCsv,  { encoding: 'utf8' });
+  writeFileSync(join(seedDir, 'cash_reports.csv'), reportsCsv, { encoding: 'utf8' });
+
+  console.log(`Generated ${orders.length} orders  → data/seed/orders.csv`);
+  console.log(`Generated ${reports.length} reports → data/seed/cash_reports.csv`);
+  console.log('');
+  console.log('Store scenarios embedded in seed data:');
+  console.log('  CDMX-001  cdmx  All 5 days matched (exact totals)');
+  console.log('  CDMX-002  cdmx  Days 1-4 under-collection (1 order omitted per day); Day 5 matched');
+  console.log('  GDL-001   gdl   Days 1,3 over-collection (+200 MXN each); Days 2,4,5 matched');
+  console.log('  GDL-002   gdl   Day1 matched; Day2 under; Day3 matched; Day4 over(+150); Day5 matched');
+  console.log('  MTY-001   mty   Days 1,3 have NO cash report (unaccounted orders); Days 2,4,5 matched');
+}
+
+// Only when run as a script, not when imported by the benchmark
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -1,22 +1,39 @@
 import express from 'express';
 import { swaggerSpec } from './swagger.js';
 import { runMigrations } from './db/migrate.js';
+import { resumeJobs } from './services/reconciliationJobs.js';
+import { checkConfig } from './services/reconciler.js';
 import ingestRouter from './routes/ingest.js';
 import reconciliationRouter from './routes/reconciliation.js';
 import ordersRouter from './routes/orders.js';
 import analyticsRouter from './routes/analytics.js';
+import priorityRulesRouter from './routes/priorityRules.js';
+import periodsRouter from './routes/periods.js';
+import casesRouter from './routes/cases.js';
+import adjustmentsRouter from './routes/adjustments.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { actor } from './middleware/actor.js';
 
 export function createApp() {
+  // Refuse to start on a malformed setting
+  checkConfig();
   runMigrations();
+  // Pick up reconciliation jobs queued before a restart
+  resumeJobs();
 
   const app = express();
-  app.use(express.json());
+  // JSON ingestion bodies can be as large as the 5MB CSV uploads
+  app.use(express.json({ limit: '5mb' }));
+  app.use(actor);
 
-  // Ingestion, Orders, Analytics
+  // Ingestion, Orders, Analytics, Priority rules, Period close, Cases, Adjustments
   app.use('/api/ingest', ingestRouter);
   app.use('/api/orders', ordersRouter);
   app.use('/api/analytics', analyticsRouter);
+  app.use('/api/priority-rules', priorityRulesRouter);
+  app.use('/api/periods', periodsRouter);
+  app.use('/api/cases', casesRouter);
+  app.use('/api/adjustments', adjustmentsRouter);
 
   // Reconciliation router owns /api/reconcile[/batch] and /api/reconciliation/*
   // Mount at /api so the router's internal paths (/reconcile, /reconcile/batch,
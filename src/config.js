@@ -0,0 +1,52 @@
+/**
+ * Parse a JSON setting, naming it when the value does not parse, so a typo
+ * stops the app at startup with a readable message.
+ *
+ * @param {string} name - Environment variable
+ * @param {*} fallback - Value when unset or empty
+ * @returns {*}
+ */
+function jsonSetting(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON (${err.message}): ${raw}`);
+  }
+}
+
+/**
+ * Process-wide settings read from the environment. Each can be overridden
+ * per request where the route documents it.
+ */
+export const config = {
+  // Re-reconcile the store-days an ingestion touched (AUTO_RECONCILE=false to disable)
+  autoReconcile: process.env.AUTO_RECONCILE !== 'false',
+  // How many days a bank deposit may follow the cash report it carries
+  depositMatchWindowDays: Number(process.env.DEPOSIT_MATCH_WINDOW_DAYS ?? 3),
+  // How many days after an order's pickup date a cash report may still claim it
+  lateReportWindowDays: Number(process.env.LATE_REPORT_WINDOW_DAYS ?? 2),
+  // How a cash report's total is split over its orders (see ALLOCATION_STRATEGIES)
+  allocationStrategy: process.env.ALLOCATION_STRATEGY ?? 'proportional',
+  // Per-store strategies as JSON, e.g. {"GDL-001":"sequential"}. Both are
+  // checked at startup by checkConfig
+  storeAllocationStrategies: jsonSetting('STORE_ALLOCATION_STRATEGIES', {}),
+  // How many of the latest runs keep their order rows in reconciliation_history
+  // (older runs keep only their totals); 0 keeps every run's rows
+  runHistoryRetention: Number(process.env.RUN_HISTORY_RETENTION ?? 50),
+  // Longest range, in days, POST /api/reconciliation/simulate computes in the request
+  simulationMaxDays: Number(process.env.SIMULATION_MAX_DAYS ?? 31),
+  // Longest range, in days, POST /api/reconcile/batch reconciles in the request
+  // unless asked; longer ranges, and POST /api/reconcile without a date, are
+  // queued as jobs by default
+  syncReconcileMaxDays: Number(process.env.SYNC_RECONCILE_MAX_DAYS ?? 7),
+  // Variance small enough to be rounding, per currency, as JSON, e.g.
+  // {"MXN":{"amount":0.5,"pct":0.2},"*":{"amount":0.05}}; "*" covers the
+  // currencies not listed. Such variances get the minor_variance status.
+  // Checked at startup by checkConfig
+  varianceTolerances: jsonSetting('VARIANCE_TOLERANCES', {}),
+  // X-User names allowed to close and reopen periods, comma-separated; when
+  // empty, nobody may
+  periodAdmins: (process.env.PERIOD_ADMINS ?? '').split(',').map(s => s.trim()).filter(Boolean),
+};
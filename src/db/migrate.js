@@ -1,4 +1,34 @@
 import { db } from './index.js';
+import { DEFAULT_PRIORITY_RULE } from '../services/priorityRules.js';
+
+/**
+ * CREATE TABLE IF NOT EXISTS leaves tables from older databases untouched, so
+ * columns added after a table was first shipped are applied here.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Rename a column an older database still has under its previous name.
+ */
+function renameColumnIfPresent(table, from, to) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === from) && !columns.some(c => c.name === to)) {
+    db.exec(`ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`);
+  }
+}
+
+/**
+ * SQL for `column` when it holds a JSON array, else an empty array, so a
+ * malformed id list never fails the write that stores it.
+ */
+function jsonArray(column) {
+  return `(CASE WHEN json_valid(${column}) AND json_type(${column}) = 'array' THEN ${column} ELSE '[]' END)`;
+}
 
 export function runMigrations() {
   db.exec(`
@@ -15,7 +45,8 @@ export function runMigrations() {
       currency TEXT NOT NULL DEFAULT 'MXN',
       timezone TEXT NOT NULL DEFAULT 'America/Mexico_City',
       payment_method TEXT NOT NULL DEFAULT 'cash_on_pickup',
-      created_at TEXT NOT NULL
+      created_at TEXT NOT NULL,
+      batch_id TEXT
     );
 
     CREATE TABLE IF NOT EXISTS cash_reports (
@@ -25,7 +56,59 @@ export function runMigrations() {
       report_date TEXT NOT NULL,
       total_collected REAL NOT NULL,
       order_ids TEXT NOT NULL,
+      order_amounts TEXT,
       submitted_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      batch_id TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS deposits (
+      id TEXT PRIMARY KEY,
+      deposit_id TEXT NOT NULL UNIQUE,
+      store_id TEXT NOT NULL,
+      deposit_date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      bank_reference TEXT NOT NULL,
+      report_ids TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      batch_id TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS order_events (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL UNIQUE,
+      order_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      event_date TEXT NOT NULL,
+      amount REAL,
+      note TEXT,
+      created_at TEXT NOT NULL,
+      batch_id TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS bank_transactions (
+      id TEXT PRIMARY KEY,
+      transaction_key TEXT NOT NULL UNIQUE,
+      format TEXT NOT NULL,
+      file_name TEXT,
+      statement_id TEXT,
+      account TEXT,
+      sequence INTEGER NOT NULL,
+      booking_date TEXT NOT NULL,
+      value_date TEXT,
+      amount REAL NOT NULL,
+      currency TEXT,
+      reference TEXT,
+      description TEXT,
+      status TEXT NOT NULL,
+      confidence REAL,
+      candidates TEXT NOT NULL DEFAULT '[]',
+      report_ids TEXT,
+      deposit_id TEXT,
+      matched_by TEXT,
+      matched_at TEXT,
+      review_note TEXT,
+      uploaded_by TEXT NOT NULL,
       created_at TEXT NOT NULL
     );
 
@@ -41,14 +124,505 @@ export function runMigrations() {
       variance_pct REAL,
       status TEXT NOT NULL,
       is_high_priority INTEGER NOT NULL DEFAULT 0,
+      allocation_method TEXT,
+      allocation_strategy TEXT,
+      order_amount REAL,
+      lifecycle_event TEXT,
+      is_late_match INTEGER NOT NULL DEFAULT 0,
+      days_late INTEGER,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      adjustment_amount REAL NOT NULL DEFAULT 0,
+      unadjusted_variance_amount REAL,
+      unadjusted_status TEXT,
+      run_id TEXT,
+      reconciled_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS deposit_reconciliations (
+      id TEXT PRIMARY KEY,
+      report_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      collected_amount REAL NOT NULL,
+      deposited_amount REAL NOT NULL,
+      variance_amount REAL NOT NULL,
+      variance_pct REAL NOT NULL,
+      deposit_ids TEXT NOT NULL,
+      status TEXT NOT NULL,
+      is_high_priority INTEGER NOT NULL DEFAULT 0,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      run_id TEXT,
+      reconciled_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS conflicting_claims (
+      id TEXT PRIMARY KEY,
+      order_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      report_id TEXT NOT NULL,
+      report_store_id TEXT NOT NULL,
+      report_date TEXT NOT NULL,
+      submitted_by TEXT,
+      claimed_amount REAL,
+      allocation_method TEXT NOT NULL,
+      days_late INTEGER NOT NULL,
+      run_id TEXT,
+      reconciled_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS claim_anomalies (
+      id TEXT PRIMARY KEY,
+      report_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      anomaly_type TEXT NOT NULL,
+      order_store_id TEXT,
+      order_pickup_date TEXT,
+      days_late INTEGER,
+      claimed_amount REAL,
+      submitted_by TEXT,
+      is_high_priority INTEGER NOT NULL DEFAULT 0,
+      run_id TEXT,
+      reconciled_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS report_variances (
+      id TEXT PRIMARY KEY,
+      report_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      allocation_strategy TEXT NOT NULL,
+      collected_amount REAL NOT NULL,
+      allocated_amount REAL NOT NULL,
+      variance_amount REAL NOT NULL,
+      variance_pct REAL NOT NULL,
+      status TEXT NOT NULL,
+      is_high_priority INTEGER NOT NULL DEFAULT 0,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      run_id TEXT,
       reconciled_at TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS store_day_reconciliations (
+      id TEXT PRIMARY KEY,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      order_count INTEGER NOT NULL,
+      report_count INTEGER NOT NULL,
+      expected_amount REAL NOT NULL,
+      reported_amount REAL NOT NULL,
+      unallocated_amount REAL NOT NULL,
+      late_matched_amount REAL NOT NULL DEFAULT 0,
+      credited_earlier_amount REAL NOT NULL DEFAULT 0,
+      variance_amount REAL NOT NULL,
+      variance_pct REAL NOT NULL,
+      status TEXT NOT NULL,
+      is_high_priority INTEGER NOT NULL DEFAULT 0,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      adjustment_amount REAL NOT NULL DEFAULT 0,
+      unadjusted_variance_amount REAL,
+      unadjusted_status TEXT,
+      run_id TEXT,
+      reconciled_at TEXT NOT NULL,
+      UNIQUE (store_id, reconciliation_date)
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id TEXT PRIMARY KEY,
+      triggered_by TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      params TEXT NOT NULL,
+      status TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      store_day_count INTEGER,
+      total_orders INTEGER,
+      status_counts TEXT,
+      total_expected REAL,
+      total_actual REAL,
+      total_variance REAL,
+      high_priority_count INTEGER,
+      error TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_history (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      report_id TEXT,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      expected_amount REAL NOT NULL,
+      actual_amount REAL,
+      variance_amount REAL,
+      variance_pct REAL,
+      status TEXT NOT NULL,
+      is_high_priority INTEGER NOT NULL DEFAULT 0,
+      allocation_method TEXT,
+      allocation_strategy TEXT,
+      order_amount REAL,
+      lifecycle_event TEXT,
+      is_late_match INTEGER NOT NULL DEFAULT 0,
+      days_late INTEGER,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      adjustment_amount REAL NOT NULL DEFAULT 0,
+      unadjusted_variance_amount REAL,
+      unadjusted_status TEXT,
+      reconciled_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS period_locks (
+      id TEXT PRIMARY KEY,
+      store_id TEXT,
+      from_date TEXT NOT NULL,
+      to_date TEXT NOT NULL,
+      status TEXT NOT NULL,
+      closed_by TEXT NOT NULL,
+      closed_at TEXT NOT NULL,
+      close_reason TEXT,
+      reopened_by TEXT,
+      reopened_at TEXT,
+      reopen_reason TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS adjustments (
+      id TEXT PRIMARY KEY,
+      target_type TEXT NOT NULL,
+      order_id TEXT,
+      store_id TEXT NOT NULL,
+      adjustment_date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      reason TEXT NOT NULL,
+      approved_by TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      status TEXT NOT NULL,
+      voided_by TEXT,
+      voided_at TEXT,
+      void_reason TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS discrepancy_cases (
+      id TEXT PRIMARY KEY,
+      source_type TEXT NOT NULL,
+      source_key TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      order_id TEXT,
+      report_id TEXT,
+      discrepancy_status TEXT NOT NULL,
+      variance_amount REAL,
+      priority_rule_id TEXT,
+      priority_severity TEXT,
+      still_flagged INTEGER NOT NULL DEFAULT 1,
+      status TEXT NOT NULL,
+      assignee TEXT,
+      resolution_code TEXT,
+      closed_by TEXT,
+      closed_at TEXT,
+      opened_at TEXT NOT NULL,
+      opened_run_id TEXT,
+      last_seen_run_id TEXT,
+      last_seen_at TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT NOT NULL,
+      UNIQUE (source_type, source_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS case_notes (
+      id TEXT PRIMARY KEY,
+      case_id TEXT NOT NULL,
+      author TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS case_attachments (
+      id TEXT PRIMARY KEY,
+      case_id TEXT NOT NULL,
+      file_name TEXT NOT NULL,
+      content_type TEXT,
+      size_bytes INTEGER,
+      url TEXT,
+      uploaded_by TEXT NOT NULL,
+      uploaded_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS case_history (
+      id TEXT PRIMARY KEY,
+      case_id TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      changed_by TEXT NOT NULL,
+      changed_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS priority_rules (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      scope TEXT NOT NULL,
+      scope_value TEXT,
+      amount_threshold REAL,
+      pct_threshold REAL,
+      severity TEXT,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_by TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS ingest_rejections (
+      id TEXT PRIMARY KEY,
+      entity TEXT NOT NULL,
+      source_name TEXT,
+      rejected_count INTEGER NOT NULL,
+      errors TEXT NOT NULL,
+      rows_csv TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS correction_history (
+      id TEXT PRIMARY KEY,
+      entity TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      previous_data TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      corrected_at TEXT NOT NULL,
+      batch_id TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS ingest_batches (
+      id TEXT PRIMARY KEY,
+      entity TEXT NOT NULL,
+      source_type TEXT NOT NULL,
+      file_name TEXT,
+      checksum TEXT NOT NULL,
+      uploaded_by TEXT NOT NULL,
+      total_rows INTEGER NOT NULL DEFAULT 0,
+      inserted INTEGER NOT NULL DEFAULT 0,
+      skipped INTEGER NOT NULL DEFAULT 0,
+      updated INTEGER NOT NULL DEFAULT 0,
+      rejected INTEGER NOT NULL DEFAULT 0,
+      rejection_id TEXT,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      rolled_back_at TEXT,
+      rolled_back_by TEXT,
+      rollback_reason TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS dirty_store_days (
+      store_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      marked_at TEXT NOT NULL,
+      PRIMARY KEY (store_id, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_jobs (
+      id TEXT PRIMARY KEY,
+      triggered_by TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      params TEXT NOT NULL,
+      store_id TEXT,
+      from_date TEXT,
+      to_date TEXT,
+      status TEXT NOT NULL,
+      cancel_requested INTEGER NOT NULL DEFAULT 0,
+      steps_total INTEGER,
+      steps_done INTEGER NOT NULL DEFAULT 0,
+      run_id TEXT,
+      summary TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT
+    );
+  `);
+
+  // batch_id arrived with ingest_batches; add it to pre-existing tables
+  addColumnIfMissing('orders', 'batch_id', 'TEXT');
+  addColumnIfMissing('cash_reports', 'batch_id', 'TEXT');
+  addColumnIfMissing('correction_history', 'batch_id', 'TEXT');
+  // Per-order collected amounts (line-item cash reports)
+  addColumnIfMissing('cash_reports', 'order_amounts', 'TEXT');
+  addColumnIfMissing('reconciliations', 'allocation_method', 'TEXT');
+  // Order lifecycle events (cancellations, no-shows, partial pickups, refunds)
+  addColumnIfMissing('reconciliations', 'order_amount', 'REAL');
+  addColumnIfMissing('reconciliations', 'lifecycle_event', 'TEXT');
+  // Late-report matching window
+  addColumnIfMissing('reconciliations', 'is_late_match', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('reconciliations', 'days_late', 'INTEGER');
+  // Pluggable allocation strategies
+  addColumnIfMissing('reconciliations', 'allocation_strategy', 'TEXT');
+  // Configurable priority rules: the rule that flagged each row
+  for (const table of ['reconciliations', 'deposit_reconciliations', 'report_variances']) {
+    addColumnIfMissing(table, 'priority_rule_id', 'TEXT');
+    addColumnIfMissing(table, 'priority_severity', 'TEXT');
+  }
+  // Reconciliation runs: the run that wrote each row
+  for (const table of [
+    'reconciliations', 'deposit_reconciliations', 'conflicting_claims',
+    'claim_anomalies', 'report_variances', 'store_day_reconciliations',
+  ]) {
+    addColumnIfMissing(table, 'run_id', 'TEXT');
+  }
+  // Late matches credited to the pickup day's store-day
+  addColumnIfMissing('store_day_reconciliations', 'late_matched_amount', 'REAL NOT NULL DEFAULT 0');
+  addColumnIfMissing('store_day_reconciliations', 'credited_earlier_amount', 'REAL NOT NULL DEFAULT 0');
+  // Reconciliation jobs count reconcile steps (store-days or dates), not days
+  renameColumnIfPresent('reconciliation_jobs', 'days_total', 'steps_total');
+  renameColumnIfPresent('reconciliation_jobs', 'days_done', 'steps_done');
+  // Run history retention: runs whose history rows were pruned
+  addColumnIfMissing('reconciliation_runs', 'history_pruned', 'INTEGER NOT NULL DEFAULT 0');
+  // Manual adjustments: the adjusted and the unadjusted figures
+  for (const table of ['reconciliations', 'reconciliation_history', 'store_day_reconciliations']) {
+    addColumnIfMissing(table, 'adjustment_amount', 'REAL NOT NULL DEFAULT 0');
+    addColumnIfMissing(table, 'unadjusted_variance_amount', 'REAL');
+    addColumnIfMissing(table, 'unadjusted_status', 'TEXT');
+  }
+  // Change-only run history: an order leaving a store-day is kept as a
+  // removed row
+  addColumnIfMissing('reconciliation_history', 'removed', 'INTEGER NOT NULL DEFAULT 0');
+  // The store-days each run reconciled, which its history is read back over.
+  // Runs recorded before it kept every row, so their store-days are copied in once
+  const runStoreDaysExist = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'reconciliation_run_store_days'"
+  ).get();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reconciliation_run_store_days (
+      run_id TEXT NOT NULL,
+      store_id TEXT NOT NULL,
+      reconciliation_date TEXT NOT NULL,
+      PRIMARY KEY (run_id, store_id, reconciliation_date)
+    );
+  `);
+  if (!runStoreDaysExist) {
+    db.exec(`
+      INSERT OR IGNORE INTO reconciliation_run_store_days (run_id, store_id, reconciliation_date)
+      SELECT DISTINCT run_id, store_id, reconciliation_date FROM reconciliation_history;
+    `);
+  }
+
+  // Lookup tables over the JSON id lists of cash reports and deposits, kept
+  // in step by triggers on every write path (ingestion, corrections,
+  // rollbacks, bank matches). The reports claiming an order and the deposits
+  // covering a report are then found through an index instead of a json_each
+  // scan of every row. Rows stored before they existed are copied in once.
+  const lookupsExist = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'cash_report_orders'"
+  ).get();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cash_report_orders (
+      report_id TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      PRIMARY KEY (report_id, order_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS deposit_reports (
+      deposit_id TEXT NOT NULL,
+      report_id TEXT NOT NULL,
+      PRIMARY KEY (deposit_id, report_id)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS trg_cash_reports_orders_insert AFTER INSERT ON cash_reports BEGIN
+      INSERT OR IGNORE INTO cash_report_orders (report_id, order_id)
+      SELECT NEW.report_id, value FROM json_each(${jsonArray('NEW.order_ids')});
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_cash_reports_orders_update AFTER UPDATE OF report_id, order_ids ON cash_reports BEGIN
+      DELETE FROM cash_report_orders WHERE report_id = OLD.report_id;
+      INSERT OR IGNORE INTO cash_report_orders (report_id, order_id)
+      SELECT NEW.report_id, value FROM json_each(${jsonArray('NEW.order_ids')});
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_cash_reports_orders_delete AFTER DELETE ON cash_reports BEGIN
+      DELETE FROM cash_report_orders WHERE report_id = OLD.report_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS trg_deposits_reports_insert AFTER INSERT ON deposits BEGIN
+      INSERT OR IGNORE INTO deposit_reports (deposit_id, report_id)
+      SELECT NEW.deposit_id, value FROM json_each(${jsonArray('NEW.report_ids')});
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_deposits_reports_update AFTER UPDATE OF deposit_id, report_ids ON deposits BEGIN
+      DELETE FROM deposit_reports WHERE deposit_id = OLD.deposit_id;
+      INSERT OR IGNORE INTO deposit_reports (deposit_id, report_id)
+      SELECT NEW.deposit_id, value FROM json_each(${jsonArray('NEW.report_ids')});
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_deposits_reports_delete AFTER DELETE ON deposits BEGIN
+      DELETE FROM deposit_reports WHERE deposit_id = OLD.deposit_id;
+    END;
+  `);
+  if (!lookupsExist) {
+    db.exec(`
+      INSERT OR IGNORE INTO cash_report_orders (report_id, order_id)
+      SELECT c.report_id, j.value FROM cash_reports c, json_each(${jsonArray('c.order_ids')}) j;
+      INSERT OR IGNORE INTO deposit_reports (deposit_id, report_id)
+      SELECT d.deposit_id, j.value FROM deposits d, json_each(${jsonArray('d.report_ids')}) j;
+    `);
+  }
+
+  // Start from the thresholds that used to be built in
+  if (!db.prepare('SELECT 1 FROM priority_rules LIMIT 1').get()) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO priority_rules
+        (id, name, scope, scope_value, amount_threshold, pct_threshold, severity,
+         created_by, created_at, updated_by, updated_at)
+      VALUES
+        (@id, @name, @scope, @scope_value, @amount_threshold, @pct_threshold, @severity,
+         'system', @now, 'system', @now)
+    `).run({ ...DEFAULT_PRIORITY_RULE, now });
+  }
+
+  db.exec(`
     CREATE INDEX IF NOT EXISTS idx_orders_store_date ON orders(store_id, pickup_date);
     CREATE INDEX IF NOT EXISTS idx_orders_order_id ON orders(order_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_pickup_date ON orders(pickup_date, store_id);
     CREATE INDEX IF NOT EXISTS idx_cash_reports_store_date ON cash_reports(store_id, report_date);
+    CREATE INDEX IF NOT EXISTS idx_cash_reports_date ON cash_reports(report_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_cash_report_orders_order ON cash_report_orders(order_id);
+    CREATE INDEX IF NOT EXISTS idx_deposit_reports_report ON deposit_reports(report_id);
     CREATE INDEX IF NOT EXISTS idx_reconciliations_date ON reconciliations(reconciliation_date);
     CREATE INDEX IF NOT EXISTS idx_reconciliations_store ON reconciliations(store_id);
     CREATE INDEX IF NOT EXISTS idx_reconciliations_status ON reconciliations(status);
+    CREATE INDEX IF NOT EXISTS idx_correction_history_record ON correction_history(entity, record_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_batch ON orders(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_cash_reports_batch ON cash_reports(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_correction_history_batch ON correction_history(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_ingest_batches_created ON ingest_batches(created_at);
+    CREATE INDEX IF NOT EXISTS idx_deposits_store_date ON deposits(store_id, deposit_date);
+    CREATE INDEX IF NOT EXISTS idx_deposits_batch ON deposits(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, event_date);
+    CREATE INDEX IF NOT EXISTS idx_order_events_batch ON order_events(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_bank_transactions_status ON bank_transactions(status, booking_date);
+    CREATE INDEX IF NOT EXISTS idx_deposit_recon_store_date ON deposit_reconciliations(store_id, reconciliation_date);
+    CREATE INDEX IF NOT EXISTS idx_deposit_recon_date ON deposit_reconciliations(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_conflicting_claims_date ON conflicting_claims(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_conflicting_claims_order ON conflicting_claims(order_id);
+    CREATE INDEX IF NOT EXISTS idx_conflicting_claims_report ON conflicting_claims(report_id);
+    CREATE INDEX IF NOT EXISTS idx_claim_anomalies_date ON claim_anomalies(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_claim_anomalies_report ON claim_anomalies(report_id);
+    CREATE INDEX IF NOT EXISTS idx_report_variances_date ON report_variances(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_report_variances_report ON report_variances(report_id);
+    CREATE INDEX IF NOT EXISTS idx_store_day_recon_date ON store_day_reconciliations(reconciliation_date);
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_history_run ON reconciliation_history(run_id, reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_history_order ON reconciliation_history(order_id);
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_history_store_day ON reconciliation_history(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_reconciliations_run ON reconciliations(run_id);
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at);
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_jobs_status ON reconciliation_jobs(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_period_locks_status ON period_locks(status, from_date, to_date);
+    CREATE INDEX IF NOT EXISTS idx_adjustments_date ON adjustments(adjustment_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_adjustments_order ON adjustments(order_id);
+    CREATE INDEX IF NOT EXISTS idx_discrepancy_cases_date ON discrepancy_cases(reconciliation_date, store_id);
+    CREATE INDEX IF NOT EXISTS idx_discrepancy_cases_status ON discrepancy_cases(status, assignee);
+    CREATE INDEX IF NOT EXISTS idx_case_notes_case ON case_notes(case_id);
+    CREATE INDEX IF NOT EXISTS idx_case_attachments_case ON case_attachments(case_id);
+    CREATE INDEX IF NOT EXISTS idx_case_history_case ON case_history(case_id);
   `);
 }
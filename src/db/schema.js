@@ -1,4 +1,4 @@
-import { sqliteTable, text, real, integer } from 'drizzle-orm/sqlite-core';
+import { sqliteTable, text, real, integer, primaryKey, unique } from 'drizzle-orm/sqlite-core';
 
 export const orders = sqliteTable('orders', {
   id: text('id').primaryKey(),
@@ -14,6 +14,7 @@ export const orders = sqliteTable('orders', {
   timezone: text('timezone').notNull().default('America/Mexico_City'),
   payment_method: text('payment_method').notNull().default('cash_on_pickup'),
   created_at: text('created_at').notNull(),
+  batch_id: text('batch_id'), // ingest_batches.id that created the row
 });
 
 export const cashReports = sqliteTable('cash_reports', {
@@ -23,8 +24,76 @@ export const cashReports = sqliteTable('cash_reports', {
   report_date: text('report_date').notNull(),
   total_collected: real('total_collected').notNull(),
   order_ids: text('order_ids').notNull(), // JSON array string
+  order_amounts: text('order_amounts'), // JSON { order_id: amount } for line-item reports
   submitted_by: text('submitted_by').notNull(),
   created_at: text('created_at').notNull(),
+  batch_id: text('batch_id'), // ingest_batches.id that created the row
+});
+
+export const deposits = sqliteTable('deposits', {
+  id: text('id').primaryKey(),
+  deposit_id: text('deposit_id').notNull().unique(),
+  store_id: text('store_id').notNull(),
+  deposit_date: text('deposit_date').notNull(),
+  amount: real('amount').notNull(),
+  bank_reference: text('bank_reference').notNull(),
+  report_ids: text('report_ids').notNull(), // JSON array string of cash_reports covered
+  created_at: text('created_at').notNull(),
+  batch_id: text('batch_id'), // ingest_batches.id that created the row
+});
+
+// One row per id in cash_reports.order_ids / deposits.report_ids, maintained
+// by triggers (see migrate.js) so claims are looked up through an index
+export const cashReportOrders = sqliteTable('cash_report_orders', {
+  report_id: text('report_id').notNull(),
+  order_id: text('order_id').notNull(),
+}, (t) => ({
+  pk: primaryKey({ columns: [t.report_id, t.order_id] }),
+}));
+
+export const depositReports = sqliteTable('deposit_reports', {
+  deposit_id: text('deposit_id').notNull(),
+  report_id: text('report_id').notNull(),
+}, (t) => ({
+  pk: primaryKey({ columns: [t.deposit_id, t.report_id] }),
+}));
+
+export const orderEvents = sqliteTable('order_events', {
+  id: text('id').primaryKey(),
+  event_id: text('event_id').notNull().unique(),
+  order_id: text('order_id').notNull(),
+  event_type: text('event_type').notNull(), // cancelled | refunded | picked_up | no_show | partial_pickup
+  event_date: text('event_date').notNull(),
+  amount: real('amount'), // partial_pickup: amount picked up; refunded: amount refunded (null = all)
+  note: text('note'),
+  created_at: text('created_at').notNull(),
+  batch_id: text('batch_id'), // ingest_batches.id that created the row
+});
+
+export const bankTransactions = sqliteTable('bank_transactions', {
+  id: text('id').primaryKey(),
+  transaction_key: text('transaction_key').notNull().unique(), // format|account|statement_id|sequence
+  format: text('format').notNull(), // mt940 | camt053
+  file_name: text('file_name'),
+  statement_id: text('statement_id'),
+  account: text('account'),
+  sequence: integer('sequence').notNull(), // line number within the statement
+  booking_date: text('booking_date').notNull(),
+  value_date: text('value_date'),
+  amount: real('amount').notNull(),
+  currency: text('currency'),
+  reference: text('reference'),
+  description: text('description'),
+  status: text('status').notNull(), // matched | needs_review | unmatched | dismissed
+  confidence: real('confidence'), // score of the best candidate, 0..1
+  candidates: text('candidates').notNull().default('[]'), // JSON ranked candidate reports
+  report_ids: text('report_ids'), // JSON array string once matched
+  deposit_id: text('deposit_id'), // deposits.deposit_id created by the match
+  matched_by: text('matched_by'), // 'auto' or the reviewer
+  matched_at: text('matched_at'),
+  review_note: text('review_note'),
+  uploaded_by: text('uploaded_by').notNull(),
+  created_at: text('created_at').notNull(),
 });
 
 export const reconciliations = sqliteTable('reconciliations', {
@@ -33,11 +102,350 @@ export const reconciliations = sqliteTable('reconciliations', {
   report_id: text('report_id'),
   store_id: text('store_id').notNull(),
   reconciliation_date: text('reconciliation_date').notNull(),
+  expected_amount: real('expected_amount').notNull(), // cash due after lifecycle events
+  actual_amount: real('actual_amount'),
+  variance_amount: real('variance_amount'),
+  variance_pct: real('variance_pct'),
+  // matched | minor_variance | over_collection | under_collection | unaccounted | cancelled | not_picked_up
+  status: text('status').notNull(),
+  is_high_priority: integer('is_high_priority').notNull().default(0),
+  allocation_method: text('allocation_method'), // exact | proportional, null when not claimed
+  allocation_strategy: text('allocation_strategy'), // proportional | sequential | report_level | exact_match
+  order_amount: real('order_amount'), // orders.expected_amount before lifecycle events
+  lifecycle_event: text('lifecycle_event'), // event that set expected_amount, null when none
+  is_late_match: integer('is_late_match').notNull().default(0), // claimed by a report dated after pickup
+  days_late: integer('days_late'), // report_date - pickup_date, null when not claimed
+  priority_rule_id: text('priority_rule_id'), // priority_rules.id that flagged the row
+  priority_severity: text('priority_severity'), // that rule's severity
+  adjustment_amount: real('adjustment_amount').notNull().default(0), // sum of the order's adjustments, in actual_amount
+  unadjusted_variance_amount: real('unadjusted_variance_amount'), // variance before adjustments
+  unadjusted_status: text('unadjusted_status'), // status before adjustments
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+});
+
+export const depositReconciliations = sqliteTable('deposit_reconciliations', {
+  id: text('id').primaryKey(),
+  report_id: text('report_id').notNull(),
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(), // report_date of the cash report
+  collected_amount: real('collected_amount').notNull(),
+  deposited_amount: real('deposited_amount').notNull(),
+  variance_amount: real('variance_amount').notNull(), // deposited - collected
+  variance_pct: real('variance_pct').notNull(),
+  deposit_ids: text('deposit_ids').notNull(), // JSON array string
+  status: text('status').notNull(), // matched | short_deposit | over_deposit | not_deposited
+  is_high_priority: integer('is_high_priority').notNull().default(0),
+  priority_rule_id: text('priority_rule_id'),
+  priority_severity: text('priority_severity'),
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+});
+
+export const conflictingClaims = sqliteTable('conflicting_claims', {
+  id: text('id').primaryKey(),
+  order_id: text('order_id').notNull(), // the double_claimed order
+  store_id: text('store_id').notNull(), // order's store
+  reconciliation_date: text('reconciliation_date').notNull(), // order's pickup_date
+  report_id: text('report_id').notNull(), // one of the claiming cash reports
+  report_store_id: text('report_store_id').notNull(),
+  report_date: text('report_date').notNull(),
+  submitted_by: text('submitted_by'),
+  claimed_amount: real('claimed_amount'), // this report's share of the order, null when its strategy gave none
+  allocation_method: text('allocation_method').notNull(), // exact | proportional
+  days_late: integer('days_late').notNull(),
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+});
+
+export const claimAnomalies = sqliteTable('claim_anomalies', {
+  id: text('id').primaryKey(),
+  report_id: text('report_id').notNull(), // the cash report making the claim
+  store_id: text('store_id').notNull(), // report's store
+  reconciliation_date: text('reconciliation_date').notNull(), // report's report_date
+  order_id: text('order_id').notNull(), // as listed in the report's order_ids
+  anomaly_type: text('anomaly_type').notNull(), // unknown_order | cross_store | wrong_date
+  order_store_id: text('order_store_id'), // null for unknown orders
+  order_pickup_date: text('order_pickup_date'), // null for unknown orders
+  days_late: integer('days_late'), // report_date - pickup_date, null for unknown orders
+  claimed_amount: real('claimed_amount'), // from order_amounts, null when the report gives none
+  submitted_by: text('submitted_by'),
+  is_high_priority: integer('is_high_priority').notNull().default(0), // 1 for unknown_order / cross_store
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+});
+
+export const reportVariances = sqliteTable('report_variances', {
+  id: text('id').primaryKey(),
+  report_id: text('report_id').notNull(),
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(), // report_date of the cash report
+  allocation_strategy: text('allocation_strategy').notNull(), // report_level | exact_match
+  collected_amount: real('collected_amount').notNull(), // total_collected less exact per-order amounts
+  allocated_amount: real('allocated_amount').notNull(), // expected amounts of the orders that cash covers
+  variance_amount: real('variance_amount').notNull(), // collected - allocated
+  variance_pct: real('variance_pct').notNull(),
+  status: text('status').notNull(), // matched | minor_variance | over_collection | under_collection
+  is_high_priority: integer('is_high_priority').notNull().default(0),
+  priority_rule_id: text('priority_rule_id'),
+  priority_severity: text('priority_severity'),
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+});
+
+export const storeDayReconciliations = sqliteTable('store_day_reconciliations', {
+  id: text('id').primaryKey(),
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(),
+  order_count: integer('order_count').notNull(), // orders picked up that day
+  report_count: integer('report_count').notNull(), // cash reports dated that day
+  expected_amount: real('expected_amount').notNull(), // sum of the orders' expected amounts
+  reported_amount: real('reported_amount').notNull(), // sum of the reports' total_collected
+  unallocated_amount: real('unallocated_amount').notNull(), // reported cash no valid order claim took
+  late_matched_amount: real('late_matched_amount').notNull().default(0), // later reports' cash for the day's orders
+  credited_earlier_amount: real('credited_earlier_amount').notNull().default(0), // the day's reports' cash for earlier orders
+  variance_amount: real('variance_amount').notNull(), // reported - credited_earlier + late_matched + adjustments - expected
+  variance_pct: real('variance_pct').notNull(),
+  status: text('status').notNull(), // matched | minor_variance | over_collection | under_collection | unaccounted
+  is_high_priority: integer('is_high_priority').notNull().default(0),
+  priority_rule_id: text('priority_rule_id'),
+  priority_severity: text('priority_severity'),
+  adjustment_amount: real('adjustment_amount').notNull().default(0), // the store-day's adjustments, order ones included
+  unadjusted_variance_amount: real('unadjusted_variance_amount'), // the variance without the adjustments
+  unadjusted_status: text('unadjusted_status'),
+  run_id: text('run_id'), // reconciliation_runs.id of the run that wrote the row
+  reconciled_at: text('reconciled_at').notNull(),
+}, (t) => ({
+  storeDay: unique().on(t.store_id, t.reconciliation_date),
+}));
+
+export const reconciliationRuns = sqliteTable('reconciliation_runs', {
+  id: text('id').primaryKey(),
+  triggered_by: text('triggered_by').notNull(), // X-User of the request, or 'system'
+  trigger: text('trigger').notNull(), // api | batch | ingest | rollback | system
+  params: text('params').notNull(), // JSON: dates, store_id, late window, strategy
+  status: text('status').notNull(), // running | completed | failed | cancelled
+  started_at: text('started_at').notNull(),
+  finished_at: text('finished_at'),
+  store_day_count: integer('store_day_count'),
+  total_orders: integer('total_orders'),
+  status_counts: text('status_counts'), // JSON { status: count }
+  total_expected: real('total_expected'),
+  total_actual: real('total_actual'),
+  total_variance: real('total_variance'),
+  high_priority_count: integer('high_priority_count'),
+  error: text('error'),
+  // 1 once its reconciliation_history rows fell out of RUN_HISTORY_RETENTION
+  history_pruned: integer('history_pruned').notNull().default(0),
+});
+
+// The order rows runs wrote that differ from the store-day's previous
+// state, kept after later runs replace them
+export const reconciliationHistory = sqliteTable('reconciliation_history', {
+  id: text('id').primaryKey(), // id of the reconciliations row, or a new one when removed
+  run_id: text('run_id').notNull(),
+  order_id: text('order_id').notNull(),
+  report_id: text('report_id'),
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(),
   expected_amount: real('expected_amount').notNull(),
   actual_amount: real('actual_amount'),
   variance_amount: real('variance_amount'),
   variance_pct: real('variance_pct'),
-  status: text('status').notNull(), // matched | over_collection | under_collection | unaccounted
+  status: text('status').notNull(),
   is_high_priority: integer('is_high_priority').notNull().default(0),
+  allocation_method: text('allocation_method'),
+  allocation_strategy: text('allocation_strategy'),
+  order_amount: real('order_amount'),
+  lifecycle_event: text('lifecycle_event'),
+  is_late_match: integer('is_late_match').notNull().default(0),
+  days_late: integer('days_late'),
+  priority_rule_id: text('priority_rule_id'),
+  priority_severity: text('priority_severity'),
+  adjustment_amount: real('adjustment_amount').notNull().default(0),
+  unadjusted_variance_amount: real('unadjusted_variance_amount'),
+  unadjusted_status: text('unadjusted_status'),
   reconciled_at: text('reconciled_at').notNull(),
+  // 1 on the row recording that the order left the store-day
+  removed: integer('removed').notNull().default(0),
+});
+
+// The store-days each run reconciled
+export const reconciliationRunStoreDays = sqliteTable('reconciliation_run_store_days', {
+  run_id: text('run_id').notNull(),
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(),
+}, (t) => ({
+  pk: primaryKey({ columns: [t.run_id, t.store_id, t.reconciliation_date] }),
+}));
+
+export const periodLocks = sqliteTable('period_locks', {
+  id: text('id').primaryKey(),
+  store_id: text('store_id'), // null locks every store
+  from_date: text('from_date').notNull(),
+  to_date: text('to_date').notNull(),
+  status: text('status').notNull(), // closed | reopened
+  closed_by: text('closed_by').notNull(),
+  closed_at: text('closed_at').notNull(),
+  close_reason: text('close_reason'),
+  reopened_by: text('reopened_by'),
+  reopened_at: text('reopened_at'),
+  reopen_reason: text('reopen_reason'),
+});
+
+export const adjustments = sqliteTable('adjustments', {
+  id: text('id').primaryKey(),
+  target_type: text('target_type').notNull(), // order | store_day
+  order_id: text('order_id'), // for order adjustments
+  store_id: text('store_id').notNull(),
+  adjustment_date: text('adjustment_date').notNull(), // the store-day; an order's pickup_date when made
+  amount: real('amount').notNull(), // signed; added to what was collected
+  reason: text('reason').notNull(),
+  approved_by: text('approved_by').notNull(),
+  created_by: text('created_by').notNull(),
+  created_at: text('created_at').notNull(),
+  status: text('status').notNull(), // active | voided
+  voided_by: text('voided_by'),
+  voided_at: text('voided_at'),
+  void_reason: text('void_reason'),
+});
+
+export const discrepancyCases = sqliteTable('discrepancy_cases', {
+  id: text('id').primaryKey(),
+  source_type: text('source_type').notNull(), // order | deposit | report_line | claim_anomaly
+  source_key: text('source_key').notNull(), // order_id, report_id, or report_id|order_id for anomalies
+  store_id: text('store_id').notNull(),
+  reconciliation_date: text('reconciliation_date').notNull(),
+  order_id: text('order_id'),
+  report_id: text('report_id'),
+  discrepancy_status: text('discrepancy_status').notNull(), // reconciliation status (or anomaly type) last seen
+  variance_amount: real('variance_amount'),
+  priority_rule_id: text('priority_rule_id'),
+  priority_severity: text('priority_severity'),
+  still_flagged: integer('still_flagged').notNull().default(1), // 0 once a reconciliation no longer flags it
+  status: text('status').notNull(), // open | investigating | resolved | written_off
+  assignee: text('assignee'),
+  resolution_code: text('resolution_code'), // set while resolved or written_off
+  closed_by: text('closed_by'),
+  closed_at: text('closed_at'),
+  opened_at: text('opened_at').notNull(),
+  opened_run_id: text('opened_run_id'),
+  last_seen_run_id: text('last_seen_run_id'),
+  last_seen_at: text('last_seen_at').notNull(),
+  updated_by: text('updated_by'),
+  updated_at: text('updated_at').notNull(),
+}, (t) => ({
+  source: unique().on(t.source_type, t.source_key),
+}));
+
+export const caseNotes = sqliteTable('case_notes', {
+  id: text('id').primaryKey(),
+  case_id: text('case_id').notNull(),
+  author: text('author').notNull(),
+  body: text('body').notNull(),
+  created_at: text('created_at').notNull(),
+});
+
+export const caseAttachments = sqliteTable('case_attachments', {
+  id: text('id').primaryKey(),
+  case_id: text('case_id').notNull(),
+  file_name: text('file_name').notNull(),
+  content_type: text('content_type'),
+  size_bytes: integer('size_bytes'),
+  url: text('url'), // where the file is stored; only metadata is kept here
+  uploaded_by: text('uploaded_by').notNull(),
+  uploaded_at: text('uploaded_at').notNull(),
+});
+
+export const caseHistory = sqliteTable('case_history', {
+  id: text('id').primaryKey(),
+  case_id: text('case_id').notNull(),
+  changes: text('changes').notNull(), // JSON { field: { from, to } }
+  changed_by: text('changed_by').notNull(),
+  changed_at: text('changed_at').notNull(),
+});
+
+export const priorityRules = sqliteTable('priority_rules', {
+  id: text('id').primaryKey(),
+  name: text('name'),
+  scope: text('scope').notNull(), // global | region | store | currency
+  scope_value: text('scope_value'), // region, store_id or currency code; null for global
+  amount_threshold: real('amount_threshold'), // fires when |variance_amount| exceeds it
+  pct_threshold: real('pct_threshold'), // fires when |variance_pct| exceeds it
+  severity: text('severity'), // low | medium | high | critical
+  created_by: text('created_by').notNull(),
+  created_at: text('created_at').notNull(),
+  updated_by: text('updated_by').notNull(),
+  updated_at: text('updated_at').notNull(),
+});
+
+export const ingestRejections = sqliteTable('ingest_rejections', {
+  id: text('id').primaryKey(),
+  entity: text('entity').notNull(), // orders | cash_reports | deposits | order_events
+  source_name: text('source_name'), // uploaded file name, null for JSON bodies
+  rejected_count: integer('rejected_count').notNull(),
+  errors: text('errors').notNull(), // JSON array of { row, column, value, reason }
+  rows_csv: text('rows_csv').notNull(), // rejected rows re-serialized as CSV
+  created_at: text('created_at').notNull(),
+});
+
+export const correctionHistory = sqliteTable('correction_history', {
+  id: text('id').primaryKey(),
+  entity: text('entity').notNull(), // orders | cash_reports | deposits | order_events
+  record_id: text('record_id').notNull(), // order_id, report_id, deposit_id or event_id
+  previous_data: text('previous_data').notNull(), // JSON snapshot of the row before the correction
+  changes: text('changes').notNull(), // JSON { field: { from, to } }
+  corrected_at: text('corrected_at').notNull(),
+  batch_id: text('batch_id'), // ingest_batches.id that applied the correction
+});
+
+export const ingestBatches = sqliteTable('ingest_batches', {
+  id: text('id').primaryKey(),
+  entity: text('entity').notNull(), // orders | cash_reports | deposits | order_events
+  source_type: text('source_type').notNull(), // csv | json | ndjson
+  file_name: text('file_name'),
+  checksum: text('checksum').notNull(), // sha256 of the raw payload
+  uploaded_by: text('uploaded_by').notNull(),
+  total_rows: integer('total_rows').notNull().default(0),
+  inserted: integer('inserted').notNull().default(0),
+  skipped: integer('skipped').notNull().default(0),
+  updated: integer('updated').notNull().default(0),
+  rejected: integer('rejected').notNull().default(0),
+  rejection_id: text('rejection_id'), // ingest_rejections.id for partial-mode uploads
+  status: text('status').notNull(), // completed | rolled_back
+  created_at: text('created_at').notNull(),
+  rolled_back_at: text('rolled_back_at'),
+  rolled_back_by: text('rolled_back_by'),
+  rollback_reason: text('rollback_reason'),
+});
+
+export const dirtyStoreDays = sqliteTable('dirty_store_days', {
+  store_id: text('store_id').notNull(),
+  date: text('date').notNull(),
+  reason: text('reason').notNull(),
+  marked_at: text('marked_at').notNull(),
+}, (t) => ({
+  pk: primaryKey({ columns: [t.store_id, t.date] }),
+}));
+
+// Reconciliations requested with `async: true`, run in the background one day
+// at a time. Jobs whose store and dates overlap run one after the other.
+export const reconciliationJobs = sqliteTable('reconciliation_jobs', {
+  id: text('id').primaryKey(),
+  triggered_by: text('triggered_by').notNull(),
+  trigger: text('trigger').notNull(), // api | batch, as for the run it records
+  params: text('params').notNull(), // JSON: the reconcile request's parameters
+  store_id: text('store_id'), // null = every store
+  from_date: text('from_date'), // null = unbounded (every date, or incremental)
+  to_date: text('to_date'),
+  status: text('status').notNull(), // queued | running | completed | failed | cancelled
+  cancel_requested: integer('cancel_requested').notNull().default(0),
+  steps_total: integer('steps_total'), // reconcile steps, known once the job starts
+  steps_done: integer('steps_done').notNull().default(0),
+  run_id: text('run_id'),
+  summary: text('summary'), // JSON: run totals, skipped and locked store-days
+  error: text('error'),
+  created_at: text('created_at').notNull(),
+  started_at: text('started_at'),
+  finished_at: text('finished_at'),
 });
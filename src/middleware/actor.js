@@ -0,0 +1,9 @@
+/**
+ * Identifies who is making the request. There is no authentication layer
+ * yet, so callers name themselves in the `X-User` header; the value is
+ * recorded for provenance (uploads, rollbacks) and defaults to "anonymous".
+ */
+export function actor(req, res, next) {
+  req.actor = req.get('X-User')?.trim() || 'anonymous';
+  next();
+}
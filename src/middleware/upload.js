@@ -1,3 +1,4 @@
+import express from 'express';
 import multer from 'multer';
 import path from 'path';
 
@@ -28,3 +29,51 @@ export const upload = multer({
   fileFilter: csvFilter,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
 });
+
+const STATEMENT_EXTENSIONS = new Set(['.sta', '.mt940', '.940', '.txt', '.xml', '.053']);
+
+const STATEMENT_MIME = new Set([
+  'text/plain',
+  'application/xml',
+  'text/xml',
+  'application/octet-stream',
+]);
+
+function statementFilter(req, file, cb) {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (!STATEMENT_EXTENSIONS.has(ext) || !STATEMENT_MIME.has(file.mimetype)) {
+    return cb(Object.assign(
+      new Error('Only MT940 (.sta, .mt940, .940, .txt) or CAMT.053 (.xml, .053) files are accepted'),
+      { status: 400 }
+    ), false);
+  }
+  cb(null, true);
+}
+
+/**
+ * Bank statement upload (MT940 or CAMT.053) in the "file" field.
+ */
+export const statementUpload = multer({
+  storage,
+  fileFilter: statementFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+}).single('file');
+
+export const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+const ndjsonBody = express.text({ type: NDJSON_TYPES, limit: '5mb' });
+const csvUpload = upload.single('file');
+
+/**
+ * Accepts an ingestion payload in any supported shape:
+ *   - multipart/form-data with a .csv in the "file" field → req.file
+ *   - application/json array (already parsed by the app-level JSON parser)
+ *   - application/x-ndjson stream → req.body as raw text
+ */
+export function ingestPayload(req, res, next) {
+  if (req.is('multipart/form-data')) return csvUpload(req, res, next);
+  if (req.is(NDJSON_TYPES)) return ndjsonBody(req, res, next);
+  next();
+}
+
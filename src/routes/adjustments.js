@@ -0,0 +1,296 @@
+import { Router } from 'express';
+import {
+  ADJUSTMENT_TARGETS,
+  ADJUSTMENT_STATUSES,
+  createAdjustment,
+  voidAdjustment,
+  getAdjustment,
+  listAdjustments,
+} from '../services/adjustments.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Adjustment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         target_type:
+ *           type: string
+ *           enum: [order, store_day]
+ *         order_id:
+ *           type: string
+ *           nullable: true
+ *         store_id:
+ *           type: string
+ *         adjustment_date:
+ *           type: string
+ *           description: The store-day adjusted (an order's pickup date when the adjustment was made)
+ *         amount:
+ *           type: number
+ *           description: Signed amount added to what was collected
+ *         reason:
+ *           type: string
+ *         approved_by:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, voided]
+ *         voided_by:
+ *           type: string
+ *           nullable: true
+ *         voided_at:
+ *           type: string
+ *           nullable: true
+ *         void_reason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/adjustments:
+ *   get:
+ *     summary: Manual adjustments, newest first
+ *     tags: [Adjustments]
+ *     parameters:
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [order, store_day]
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, voided]
+ *     responses:
+ *       200:
+ *         description: Adjustments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Adjustment'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Unknown target_type or status
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { target_type, order_id, store_id, from, to, status } = req.query;
+    if (target_type && !ADJUSTMENT_TARGETS.includes(target_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `"target_type" must be one of: ${ADJUSTMENT_TARGETS.join(', ')}`,
+      });
+    }
+    if (status && !ADJUSTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `"status" must be one of: ${ADJUSTMENT_STATUSES.join(', ')}`,
+      });
+    }
+    const data = listAdjustments({ target_type, order_id, store_id, from, to, status });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/adjustments:
+ *   post:
+ *     summary: Record a manual adjustment
+ *     description: >
+ *       A signed amount added to what was collected for an order or a
+ *       store-day: a refund paid out of the drawer, a discount approved at
+ *       pickup, and so on. It is applied from the next reconciliation of the
+ *       store-day, whose rows then show both the adjusted and the unadjusted
+ *       variance. Refused with 409 when the store-day is in a closed period.
+ *     tags: [Adjustments]
+ *     parameters:
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who records the adjustment; cannot be its approver
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [target_type, amount, reason, approved_by]
+ *             properties:
+ *               target_type:
+ *                 type: string
+ *                 enum: [order, store_day]
+ *               order_id:
+ *                 type: string
+ *                 description: Required for order adjustments
+ *                 example: "ORD-0051"
+ *               store_id:
+ *                 type: string
+ *                 description: Required for store-day adjustments
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for store-day adjustments
+ *               amount:
+ *                 type: number
+ *                 description: >
+ *                   Signed amount added to what was collected. On an order
+ *                   whose report is judged whole and does not add up
+ *                   (report_mismatch) it is not applied to the order's
+ *                   variance, which is on the report's line; the order row
+ *                   still shows it in adjustment_amount and its store-day
+ *                   counts it.
+ *                 example: 50
+ *               reason:
+ *                 type: string
+ *                 example: "Discount approved at pickup"
+ *               approved_by:
+ *                 type: string
+ *                 example: "finance.lead"
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Adjustment'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The store-day is in a closed period
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const data = createAdjustment(req.body || {}, req.actor);
+    res.status(201).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/adjustments/{id}:
+ *   get:
+ *     summary: One adjustment
+ *     tags: [Adjustments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment detail
+ *       404:
+ *         description: Adjustment not found
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const adjustment = getAdjustment(req.params.id);
+    if (!adjustment) {
+      return res.status(404).json({ success: false, error: `Adjustment "${req.params.id}" not found` });
+    }
+    res.json({ data: adjustment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/adjustments/{id}/void:
+ *   post:
+ *     summary: Void an adjustment
+ *     description: >
+ *       The adjustment is kept with who voided it and why, and stops counting
+ *       from the next reconciliation of its store-day.
+ *     tags: [Adjustments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Entered against the wrong order"
+ *     responses:
+ *       200:
+ *         description: Adjustment voided
+ *       400:
+ *         description: Reason missing
+ *       404:
+ *         description: Adjustment not found
+ *       409:
+ *         description: Already voided, or the store-day is in a closed period
+ */
+router.post('/:id/void', (req, res, next) => {
+  try {
+    const data = voidAdjustment(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Adjustment "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -41,6 +41,9 @@ const router = Router();
  *                         type: integer
  *                       matched:
  *                         type: integer
+ *                       minor_variance:
+ *                         type: integer
+ *                         description: Inside the rounding tolerance; counted as matched in the rates
  *                       discrepancies:
  *                         type: integer
  *                       total_variance:
@@ -54,24 +57,27 @@ router.get('/stores', (req, res, next) => {
   try {
     const { from, to } = req.query;
 
-    const conditions = [];
+    // Cancelled and never-picked-up orders owe no cash and are left out of the
+    // rates; a minor variance is only rounding and counts as matched
+    const conditions = ["status NOT IN ('cancelled', 'not_picked_up')"];
     const params = [];
 
     if (from) { conditions.push('reconciliation_date >= ?'); params.push(from); }
     if (to) { conditions.push('reconciliation_date <= ?'); params.push(to); }
 
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
     const query = `
       SELECT
         store_id,
         COUNT(*) as total_orders,
         SUM(CASE WHEN status = 'matched' THEN 1 ELSE 0 END) as matched,
-        SUM(CASE WHEN status != 'matched' THEN 1 ELSE 0 END) as discrepancies,
+        SUM(CASE WHEN status = 'minor_variance' THEN 1 ELSE 0 END) as minor_variance,
+        SUM(CASE WHEN status NOT IN ('matched', 'minor_variance') THEN 1 ELSE 0 END) as discrepancies,
         ROUND(SUM(COALESCE(variance_amount, -expected_amount)), 2) as total_variance,
         ROUND(AVG(COALESCE(ABS(variance_pct), 0)), 2) as avg_variance_pct,
         ROUND(
-          SUM(CASE WHEN status != 'matched' THEN 1 ELSE 0 END) * 100.0 / COUNT(*),
+          SUM(CASE WHEN status NOT IN ('matched', 'minor_variance') THEN 1 ELSE 0 END) * 100.0 / COUNT(*),
           2
         ) as discrepancy_rate
       FROM reconciliations
@@ -131,6 +137,9 @@ router.get('/stores', (req, res, next) => {
  *                         type: integer
  *                       matched:
  *                         type: integer
+ *                       minor_variance:
+ *                         type: integer
+ *                         description: Inside the rounding tolerance; counted as matched in the rates
  *                       discrepancies:
  *                         type: integer
  *                       total_variance:
@@ -142,24 +151,27 @@ router.get('/daily', (req, res, next) => {
   try {
     const { from, to, store_id } = req.query;
 
-    const conditions = [];
+    // Cancelled and never-picked-up orders owe no cash and are left out of the
+    // rates; a minor variance is only rounding and counts as matched
+    const conditions = ["status NOT IN ('cancelled', 'not_picked_up')"];
     const params = [];
 
     if (store_id) { conditions.push('store_id = ?'); params.push(store_id); }
     if (from) { conditions.push('reconciliation_date >= ?'); params.push(from); }
     if (to) { conditions.push('reconciliation_date <= ?'); params.push(to); }
 
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
     const query = `
       SELECT
         reconciliation_date as date,
         COUNT(*) as total_orders,
         SUM(CASE WHEN status = 'matched' THEN 1 ELSE 0 END) as matched,
-        SUM(CASE WHEN status != 'matched' THEN 1 ELSE 0 END) as discrepancies,
+        SUM(CASE WHEN status = 'minor_variance' THEN 1 ELSE 0 END) as minor_variance,
+        SUM(CASE WHEN status NOT IN ('matched', 'minor_variance') THEN 1 ELSE 0 END) as discrepancies,
         ROUND(SUM(COALESCE(variance_amount, -expected_amount)), 2) as total_variance,
         ROUND(
-          SUM(CASE WHEN status = 'matched' THEN 1 ELSE 0 END) * 100.0 / COUNT(*),
+          SUM(CASE WHEN status IN ('matched', 'minor_variance') THEN 1 ELSE 0 END) * 100.0 / COUNT(*),
           2
         ) as accuracy_rate
       FROM reconciliations
@@ -176,4 +188,95 @@ router.get('/daily', (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/analytics/late-reports:
+ *   get:
+ *     summary: Late cash report submission rates per store
+ *     description: >
+ *       A report is late when it claims orders picked up on an earlier day
+ *       (within the late-report matching window). Rates are over the reports
+ *       that matched at least one order in the period.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start date (YYYY-MM-DD)
+ *         example: "2024-01-15"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End date (YYYY-MM-DD)
+ *         example: "2024-01-19"
+ *     responses:
+ *       200:
+ *         description: Per-store late submission statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       total_reports:
+ *                         type: integer
+ *                       late_reports:
+ *                         type: integer
+ *                       late_report_rate:
+ *                         type: number
+ *                       late_orders:
+ *                         type: integer
+ *                         description: Orders matched by a late report
+ *                       avg_days_late:
+ *                         type: number
+ *                         nullable: true
+ *                       max_days_late:
+ *                         type: integer
+ *                         nullable: true
+ */
+router.get('/late-reports', (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const conditions = ['report_id IS NOT NULL'];
+    const params = [];
+
+    if (from) { conditions.push('reconciliation_date >= ?'); params.push(from); }
+    if (to) { conditions.push('reconciliation_date <= ?'); params.push(to); }
+
+    const query = `
+      SELECT
+        store_id,
+        COUNT(DISTINCT report_id) as total_reports,
+        COUNT(DISTINCT CASE WHEN is_late_match = 1 THEN report_id END) as late_reports,
+        ROUND(
+          COUNT(DISTINCT CASE WHEN is_late_match = 1 THEN report_id END) * 100.0
+            / COUNT(DISTINCT report_id),
+          2
+        ) as late_report_rate,
+        SUM(is_late_match) as late_orders,
+        ROUND(AVG(CASE WHEN is_late_match = 1 THEN days_late END), 2) as avg_days_late,
+        MAX(CASE WHEN is_late_match = 1 THEN days_late END) as max_days_late
+      FROM reconciliations
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY store_id
+      ORDER BY late_report_rate DESC, store_id
+    `;
+
+    const data = db.prepare(query).all(...params);
+
+    res.json({ data });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
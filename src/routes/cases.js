@@ -0,0 +1,367 @@
+import { Router } from 'express';
+import {
+  CASE_STATUSES,
+  CASE_SOURCES,
+  listCases,
+  getCase,
+  updateCase,
+  addCaseNote,
+  addCaseAttachment,
+} from '../services/cases.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiscrepancyCase:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         source_type:
+ *           type: string
+ *           enum: [order, deposit, report_line, claim_anomaly]
+ *         source_key:
+ *           type: string
+ *           description: >
+ *             What the case is about: the order_id, the report_id (deposit
+ *             and report_line cases) or "report_id|order_id" (claim anomalies)
+ *         store_id:
+ *           type: string
+ *         reconciliation_date:
+ *           type: string
+ *         order_id:
+ *           type: string
+ *           nullable: true
+ *         report_id:
+ *           type: string
+ *           nullable: true
+ *         discrepancy_status:
+ *           type: string
+ *           description: Reconciliation status (or anomaly type) when last flagged
+ *         variance_amount:
+ *           type: number
+ *           nullable: true
+ *         priority_rule_id:
+ *           type: string
+ *           nullable: true
+ *         priority_severity:
+ *           type: string
+ *           nullable: true
+ *         still_flagged:
+ *           type: integer
+ *           description: 0 once the latest reconciliation no longer flags the discrepancy
+ *         status:
+ *           type: string
+ *           enum: [open, investigating, resolved, written_off]
+ *         assignee:
+ *           type: string
+ *           nullable: true
+ *         resolution_code:
+ *           type: string
+ *           nullable: true
+ *           enum: [data_entry_error, cash_found, late_report, duplicate_report, bank_timing, customer_refund, cash_loss, other]
+ *         closed_by:
+ *           type: string
+ *           nullable: true
+ *         closed_at:
+ *           type: string
+ *           nullable: true
+ *         opened_at:
+ *           type: string
+ *         opened_run_id:
+ *           type: string
+ *         last_seen_run_id:
+ *           type: string
+ *         last_seen_at:
+ *           type: string
+ *         updated_by:
+ *           type: string
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/cases:
+ *   get:
+ *     summary: Discrepancy cases, most recently opened first
+ *     description: >
+ *       Reconciliation opens a case for every high-priority discrepancy
+ *       (order, deposit, report line or claim anomaly). Re-reconciling keeps
+ *       the case and refreshes its variance.
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, investigating, resolved, written_off]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source_type
+ *         schema:
+ *           type: string
+ *           enum: [order, deposit, report_line, claim_anomaly]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: still_flagged
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *     responses:
+ *       200:
+ *         description: Cases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiscrepancyCase'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Unknown status or source_type
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { status, assignee, store_id, source_type, from, to, still_flagged } = req.query;
+    if (status && !CASE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `"status" must be one of: ${CASE_STATUSES.join(', ')}`,
+      });
+    }
+    if (source_type && !(source_type in CASE_SOURCES)) {
+      return res.status(400).json({
+        success: false,
+        error: `"source_type" must be one of: ${Object.keys(CASE_SOURCES).join(', ')}`,
+      });
+    }
+    const data = listCases({ status, assignee, store_id, source_type, from, to, still_flagged });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cases/{id}:
+ *   get:
+ *     summary: One case with its notes, attachments and change history
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Case detail
+ *       404:
+ *         description: Case not found
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const data = getCase(req.params.id);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Case "${req.params.id}" not found` });
+    }
+    res.json({ data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cases/{id}:
+ *   put:
+ *     summary: Change a case's status, assignee or resolution
+ *     description: >
+ *       Only the fields sent are changed; send null to clear the assignee.
+ *       Moving a case to resolved or written_off needs a resolution_code;
+ *       moving it back to open or investigating clears it. Every change is
+ *       kept in the case's history.
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who is changing the case
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, investigating, resolved, written_off]
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "ana.finance"
+ *               resolution_code:
+ *                 type: string
+ *                 enum: [data_entry_error, cash_found, late_report, duplicate_report, bank_timing, customer_refund, cash_loss, other]
+ *     responses:
+ *       200:
+ *         description: Case updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Case not found
+ */
+router.put('/:id', (req, res, next) => {
+  try {
+    const data = updateCase(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Case "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cases/{id}/notes:
+ *   post:
+ *     summary: Add a note to a case
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: The note's author
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "Store manager confirms the envelope was short"
+ *     responses:
+ *       201:
+ *         description: Note added
+ *       400:
+ *         description: Body missing
+ *       404:
+ *         description: Case not found
+ */
+router.post('/:id/notes', (req, res, next) => {
+  try {
+    const data = addCaseNote(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Case "${req.params.id}" not found` });
+    }
+    res.status(201).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cases/{id}/attachments:
+ *   post:
+ *     summary: Record an attachment on a case
+ *     description: >
+ *       Only the attachment's metadata is stored; the file itself stays
+ *       wherever `url` points.
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who attached the file
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [file_name]
+ *             properties:
+ *               file_name:
+ *                 type: string
+ *                 example: "deposit-slip-2024-01-15.pdf"
+ *               content_type:
+ *                 type: string
+ *                 example: "application/pdf"
+ *               size_bytes:
+ *                 type: integer
+ *                 example: 48213
+ *               url:
+ *                 type: string
+ *                 example: "https://files.example.com/slips/2024-01-15.pdf"
+ *     responses:
+ *       201:
+ *         description: Attachment recorded
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Case not found
+ */
+router.post('/:id/attachments', (req, res, next) => {
+  try {
+    const data = addCaseAttachment(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Case "${req.params.id}" not found` });
+    }
+    res.status(201).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,17 +1,261 @@
 import { Router } from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { upload } from '../middleware/upload.js';
-import { parseOrdersCsv, parseCashReportsCsv } from '../services/csvParser.js';
 import { db } from '../db/index.js';
+import { ingestPayload, statementUpload, NDJSON_TYPES } from '../middleware/upload.js';
+import {
+  parseOrdersCsv,
+  parseCashReportsCsv,
+  parseOrdersJson,
+  parseCashReportsJson,
+  validateOrdersCsv,
+  validateCashReportsCsv,
+  validateOrdersJson,
+  validateCashReportsJson,
+  parseDepositsCsv,
+  parseDepositsJson,
+  validateDepositsCsv,
+  validateDepositsJson,
+  parseOrderEventsCsv,
+  parseOrderEventsJson,
+  validateOrderEventsCsv,
+  validateOrderEventsJson,
+  parseNdjson,
+} from '../services/csvParser.js';
+import { saveRejections, getRejections, DUPLICATE_MODES } from '../services/ingestion.js';
+import {
+  ingestBatch,
+  checksum,
+  listBatches,
+  getBatch,
+  rollbackBatch,
+} from '../services/ingestBatches.js';
+import { previewIngest } from '../services/ingestPreview.js';
+import {
+  STATEMENT_FORMATS,
+  detectFormat,
+  parseStatement,
+  ingestStatement,
+  listBankTransactions,
+  matchTransaction,
+  dismissTransaction,
+} from '../services/bankStatements.js';
+import { reconcileStoreDays } from '../services/reconciler.js';
+import { assertNoJobOverStoreDays } from '../services/reconciliationJobs.js';
+import { config } from '../config.js';
 
 const router = Router();
 
+const NO_DATA_ERROR =
+  'No data received. Send a .csv file in the "file" field, a JSON array, or an NDJSON body.';
+
+const INGEST_MODES = ['strict', 'partial'];
+
+// strict parsers return rows and throw on the first bad record;
+// partial validators return { rows, rejected }.
+const PARSERS = {
+  orders: {
+    strict: { csv: parseOrdersCsv, json: parseOrdersJson },
+    partial: { csv: validateOrdersCsv, json: validateOrdersJson },
+  },
+  cash_reports: {
+    strict: { csv: parseCashReportsCsv, json: parseCashReportsJson },
+    partial: { csv: validateCashReportsCsv, json: validateCashReportsJson },
+  },
+  deposits: {
+    strict: { csv: parseDepositsCsv, json: parseDepositsJson },
+    partial: { csv: validateDepositsCsv, json: validateDepositsJson },
+  },
+  order_events: {
+    strict: { csv: parseOrderEventsCsv, json: parseOrderEventsJson },
+    partial: { csv: validateOrderEventsCsv, json: validateOrderEventsJson },
+  },
+};
+
+/**
+ * Turn whichever payload ingestPayload accepted into normalized rows using
+ * the parser for the requested mode, along with the provenance recorded on
+ * the ingest batch. Returns null when the request carried no data.
+ *
+ * @returns {{ rows: Array<object>, rejected: Array<object>, source: object }|null}
+ */
+function readPayload(req, entity, mode) {
+  const { csv, json } = PARSERS[entity][mode];
+  let result;
+  let source;
+  if (req.file) {
+    result = csv(req.file.buffer);
+    source = { source_type: 'csv', file_name: req.file.originalname, checksum: checksum(req.file.buffer) };
+  } else if (req.is('application/json')) {
+    result = json(req.body);
+    source = { source_type: 'json', file_name: null, checksum: checksum(JSON.stringify(req.body)) };
+  } else if (req.is(NDJSON_TYPES)) {
+    result = json(parseNdjson(req.body));
+    source = { source_type: 'ndjson', file_name: null, checksum: checksum(req.body) };
+  } else {
+    return null;
+  }
+
+  const { rows, rejected } = mode === 'strict' ? { rows: result, rejected: [] } : result;
+  return { rows, rejected, source: { ...source, uploaded_by: req.actor } };
+}
+
+function readOption(req, name, allowed) {
+  const value = req.query[name] || allowed[0];
+  if (!allowed.includes(value)) {
+    throw Object.assign(
+      new Error(`Invalid ${name} "${value}". Expected one of: ${allowed.join(', ')}`),
+      { status: 400 }
+    );
+  }
+  return value;
+}
+
+function readAutoReconcile(req) {
+  return req.query.reconcile === undefined
+    ? config.autoReconcile
+    : readOption(req, 'reconcile', ['true', 'false']) === 'true';
+}
+
+/**
+ * Shared handler body for the ingestion endpoints.
+ */
+function handleIngest(entity, noun) {
+  return (req, res, next) => {
+    try {
+      const mode = readOption(req, 'mode', INGEST_MODES);
+      const onDuplicate = readOption(req, 'on_duplicate', DUPLICATE_MODES);
+      const dryRun = readOption(req, 'dry_run', ['false', 'true']) === 'true';
+      const autoReconcile = readAutoReconcile(req);
+      const payload = readPayload(req, entity, mode);
+      if (!payload) {
+        return res.status(400).json({ success: false, error: NO_DATA_ERROR });
+      }
+
+      const { rows, rejected, source } = payload;
+
+      if (dryRun) {
+        const preview = previewIngest(entity, rows, { onDuplicate });
+        const closed = preview.closed_store_days.length;
+        return res.json({
+          success: true,
+          dry_run: true,
+          message: `Dry run: ${preview.would_insert} ${noun} would be inserted, ${preview.would_update} updated`
+            + (closed > 0 ? `; refused while ${closed} store-day(s) stay in a closed period` : ''),
+          ...preview,
+          counts: { ...preview.counts, total: rows.length + rejected.length, rejected: rejected.length },
+          errors: rejected.flatMap(r => r.errors),
+        });
+      }
+
+      // The rejected rows are saved in the batch's transaction, so a refused
+      // batch leaves none behind. So is the upload whose store-days a pending
+      // job would reconcile too: the two runs would interleave
+      const { saved, result } = db.transaction(() => {
+        const saved = rejected.length > 0
+          ? saveRejections(entity, rejected, source.file_name)
+          : null;
+        const result = ingestBatch(
+          entity,
+          rows,
+          { ...source, rejected: rejected.length, rejection_id: saved?.id ?? null },
+          { onDuplicate }
+        );
+        if (autoReconcile) assertNoJobOverStoreDays(result.affected_store_days, 'upload with reconcile=false');
+        return { saved, result };
+      })();
+      const { inserted, skipped, updated } = result;
+      const total = rows.length + rejected.length;
+
+      const body = {
+        success: true,
+        message: `Ingested ${inserted} ${noun} (${skipped} duplicates skipped)`,
+        batch_id: result.batch_id,
+        inserted,
+        skipped,
+        total,
+        affected_store_days: result.affected_store_days,
+      };
+
+      if (result.duplicate_of) {
+        body.duplicate_of = result.duplicate_of;
+      }
+
+      if (autoReconcile) {
+        body.reconciliation = reconcileStoreDays(result.affected_store_days, { triggered_by: req.actor });
+      }
+
+      if (onDuplicate === 'update') {
+        body.message += `, ${updated} corrected`;
+        body.updated = updated;
+        body.corrections = result.corrections;
+      }
+
+      if (mode === 'partial') {
+        body.rejected = rejected.length;
+        body.errors = [];
+        if (saved) {
+          body.message += `, ${rejected.length} rows rejected`;
+          body.errors = saved.errors;
+          body.rejection_id = saved.id;
+          body.rejected_rows_url = `/api/ingest/rejections/${saved.id}/csv`;
+        }
+      }
+
+      res.json(body);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
 /**
  * @swagger
  * /api/ingest/orders:
  *   post:
- *     summary: Upload orders CSV file
+ *     summary: Upload orders as a CSV file, a JSON array or an NDJSON stream
  *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [strict, partial]
+ *           default: strict
+ *         description: >
+ *           strict rejects the whole payload on the first invalid row. partial
+ *           ingests the valid rows and reports every rejected one.
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [skip, update]
+ *           default: skip
+ *         description: >
+ *           skip leaves existing records untouched. update applies corrections
+ *           to existing records, keeps the previous version in the correction
+ *           history and marks the affected store/dates for re-reconciliation.
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *         description: >
+ *           When "true", nothing is written. The response classifies rows as
+ *           new, duplicate or changed, lists the affected store-days and
+ *           compares their current reconciliation with the projected one.
+ *           Store-days in a closed period, where the upload would be
+ *           refused, are listed under closed_store_days.
+ *       - in: query
+ *         name: reconcile
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: >
+ *           Re-reconcile the store-days this upload touched and return the
+ *           delta under `reconciliation`. Defaults to the AUTO_RECONCILE
+ *           setting (on unless AUTO_RECONCILE=false). The upload is refused
+ *           with 409 while a running or queued reconciliation job covers one
+ *           of those store-days; pass false to load it anyway.
  *     requestBody:
  *       required: true
  *       content:
@@ -23,49 +267,446 @@ const router = Router();
  *                 type: string
  *                 format: binary
  *                 description: CSV file (only .csv accepted)
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               description: One order with the same fields as the CSV columns
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: One JSON order object per line
+ *     responses:
+ *       200:
+ *         description: >
+ *           Orders ingested successfully as one tracked batch (`batch_id`).
+ *           `duplicate_of` names an earlier batch with the same checksum. In partial mode the body also has
+ *           `rejected`, `errors` (row, column, value, reason) and, when rows
+ *           were rejected, `rejection_id` and `rejected_rows_url`. With
+ *           on_duplicate=update it has `updated` and `corrections` (changed
+ *           fields per record). When reconciliation runs, `reconciliation`
+ *           holds the before/after summary of every affected store-day.
+ *       400:
+ *         description: Invalid file type, missing columns or invalid record
+ */
+router.post('/orders', ingestPayload, handleIngest('orders', 'orders'));
+
+/**
+ * @swagger
+ * /api/ingest/cash-reports:
+ *   post:
+ *     summary: Upload cash collection reports as a CSV file, a JSON array or an NDJSON stream
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [strict, partial]
+ *           default: strict
+ *         description: >
+ *           strict rejects the whole payload on the first invalid row. partial
+ *           ingests the valid rows and reports every rejected one.
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [skip, update]
+ *           default: skip
+ *         description: >
+ *           skip leaves existing records untouched. update applies corrections
+ *           to existing records, keeps the previous version in the correction
+ *           history and marks the affected store/dates for re-reconciliation.
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *         description: >
+ *           When "true", nothing is written. The response classifies rows as
+ *           new, duplicate or changed, lists the affected store-days and
+ *           compares their current reconciliation with the projected one.
+ *           Store-days in a closed period, where the upload would be
+ *           refused, are listed under closed_store_days.
+ *       - in: query
+ *         name: reconcile
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: >
+ *           Re-reconcile the store-days this upload touched and return the
+ *           delta under `reconciliation`. Defaults to the AUTO_RECONCILE
+ *           setting (on unless AUTO_RECONCILE=false). The upload is refused
+ *           with 409 while a running or queued reconciliation job covers one
+ *           of those store-days; pass false to load it anyway.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: >
+ *                   CSV file (only .csv accepted). Either one row per report
+ *                   (total_collected, order_ids) or the line-item format with
+ *                   one row per collected order (order_id, amount_collected)
+ *                   grouped by report_id.
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               description: >
+ *                 One cash report; order_ids may be an array or a
+ *                 comma-separated string. A report may instead carry
+ *                 line_items [{ order_id, amount_collected }]; order_ids then
+ *                 defaults to those orders and total_collected to their sum.
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: One JSON cash report object per line
+ *     responses:
+ *       200:
+ *         description: Cash reports ingested successfully (see orders endpoint for partial mode fields)
+ *       400:
+ *         description: Invalid file type, missing columns or invalid record
+ */
+router.post('/cash-reports', ingestPayload, handleIngest('cash_reports', 'cash reports'));
+
+/**
+ * @swagger
+ * /api/ingest/deposits:
+ *   post:
+ *     summary: Upload bank deposit slips as a CSV file, a JSON array or an NDJSON stream
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [strict, partial]
+ *           default: strict
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [skip, update]
+ *           default: skip
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *         description: >
+ *           When "true", nothing is written. The preview compares the current
+ *           collection-to-deposit reconciliation of the covered store-days
+ *           with the projected one.
+ *           Store-days in a closed period, where the upload would be
+ *           refused, are listed under closed_store_days.
+ *       - in: query
+ *         name: reconcile
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: >
+ *                   CSV file (only .csv accepted) with columns deposit_id,
+ *                   store_id, deposit_date, amount, bank_reference, report_ids
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               description: One deposit slip; report_ids may be an array or a comma-separated string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: One JSON deposit object per line
  *     responses:
  *       200:
- *         description: Orders ingested successfully
+ *         description: >
+ *           Deposits ingested successfully (see orders endpoint for the common
+ *           fields). `affected_store_days` are the store-days of the cash
+ *           reports the deposits cover; their collection-to-deposit delta is
+ *           under `reconciliation.store_days[].deposits`.
  *       400:
- *         description: Invalid file type or missing columns
+ *         description: Invalid file type, missing columns or invalid record
  */
-router.post('/orders', upload.single('file'), (req, res, next) => {
+router.post('/deposits', ingestPayload, handleIngest('deposits', 'deposits'));
+
+/**
+ * @swagger
+ * /api/ingest/order-events:
+ *   post:
+ *     summary: Upload order lifecycle events (cancellations, refunds, pickups, no-shows, partial pickups)
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [strict, partial]
+ *           default: strict
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [skip, update]
+ *           default: skip
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *         description: >
+ *           When "true", nothing is written. The preview compares the current
+ *           reconciliation of the events' order pickup days with the
+ *           projected one.
+ *           Store-days in a closed period, where the upload would be
+ *           refused, are listed under closed_store_days.
+ *       - in: query
+ *         name: reconcile
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: >
+ *                   CSV file (only .csv accepted) with columns event_id,
+ *                   order_id, event_type, event_date and optional amount, note.
+ *                   event_type is one of cancelled, refunded, picked_up,
+ *                   no_show, partial_pickup; amount is required for
+ *                   partial_pickup (amount picked up) and optional for
+ *                   refunded (omitted = whole order)
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               description: One order event
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: One JSON order event per line
+ *     responses:
+ *       200:
+ *         description: >
+ *           Events ingested successfully (see orders endpoint for the common
+ *           fields). `affected_store_days` are the pickup days of the orders
+ *           the events concern.
+ *       400:
+ *         description: Invalid file type, missing columns or invalid record
+ */
+router.post('/order-events', ingestPayload, handleIngest('order_events', 'order events'));
+
+/**
+ * @swagger
+ * /api/ingest/rejections/{id}:
+ *   get:
+ *     summary: Validation report for rows rejected by a partial-mode ingestion
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rejection record with the structured error list
+ *       404:
+ *         description: Rejection record not found
+ */
+router.get('/rejections/:id', (req, res, next) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded. Send a .csv file in the "file" field.' });
+    const rejection = getRejections(req.params.id);
+    if (!rejection) {
+      return res.status(404).json({ success: false, error: `Rejection "${req.params.id}" not found` });
     }
+    const { rows_csv, ...data } = rejection;
+    res.json({ data });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const rows = parseOrdersCsv(req.file.buffer);
-    const now = new Date().toISOString();
-    let inserted = 0;
-    let skipped = 0;
-
-    const insertStmt = db.prepare(`
-      INSERT OR IGNORE INTO orders
-        (id, order_id, store_id, region, customer_id, customer_name, order_date, pickup_date,
-         expected_amount, currency, timezone, payment_method, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = db.transaction((orders) => {
-      for (const o of orders) {
-        const result = insertStmt.run(
-          uuidv4(), o.order_id, o.store_id, o.region, o.customer_id, o.customer_name,
-          o.order_date, o.pickup_date, o.expected_amount, o.currency,
-          'America/Mexico_City', o.payment_method, now
-        );
-        result.changes > 0 ? inserted++ : skipped++;
-      }
-    });
+/**
+ * @swagger
+ * /api/ingest/rejections/{id}/csv:
+ *   get:
+ *     summary: Download rejected rows as CSV, with a rejection_reason column, for correction and re-upload
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV file of the rejected rows
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Rejection record not found
+ */
+router.get('/rejections/:id/csv', (req, res, next) => {
+  try {
+    const rejection = getRejections(req.params.id);
+    if (!rejection) {
+      return res.status(404).json({ success: false, error: `Rejection "${req.params.id}" not found` });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="rejected_${rejection.entity}_${rejection.id}.csv"`);
+    res.send(rejection.rows_csv);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    insertMany(rows);
+/**
+ * @swagger
+ * /api/ingest/batches:
+ *   get:
+ *     summary: List ingestion batches with their provenance and row counts
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [orders, cash_reports, deposits, order_events]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, rolled_back]
+ *       - in: query
+ *         name: uploaded_by
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ */
+router.get('/batches', (req, res, next) => {
+  try {
+    const { entity, status, uploaded_by } = req.query;
+    const data = listBatches({ entity, status, uploaded_by });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
 
+/**
+ * @swagger
+ * /api/ingest/batches/{id}:
+ *   get:
+ *     summary: Batch detail including the ids of the rows it created and the corrections it applied
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch detail
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:id', (req, res, next) => {
+  try {
+    const batch = getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: `Batch "${req.params.id}" not found` });
+    }
+    res.json({ data: batch });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingest/batches/{id}/rollback:
+ *   post:
+ *     summary: Roll back a batch — delete its rows, restore its corrections and re-reconcile what they touched
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who is performing the rollback
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Wrong file uploaded for GDL-001"
+ *     responses:
+ *       200:
+ *         description: >
+ *           Batch rolled back and its affected store-days re-reconciled in the
+ *           same transaction; `reconciliation` shows how each one moved, as
+ *           after an upload
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: >
+ *           Batch already rolled back, one of its records was corrected by a
+ *           later batch, one of its orders has order events or an active
+ *           adjustment, or a running or queued reconciliation job covers one
+ *           of the store-days it would re-reconcile
+ */
+router.post('/batches/:id/rollback', (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const result = rollbackBatch(req.params.id, { rolled_back_by: req.actor, reason });
+    if (!result) {
+      return res.status(404).json({ success: false, error: `Batch "${req.params.id}" not found` });
+    }
     res.json({
       success: true,
-      message: `Ingested ${inserted} orders (${skipped} duplicates skipped)`,
-      inserted,
-      skipped,
-      total: rows.length,
+      message: `Rolled back batch ${result.batch_id}: ${result.deleted} rows deleted, ${result.restored} corrections restored`,
+      ...result,
     });
   } catch (err) {
     next(err);
@@ -74,10 +715,40 @@ router.post('/orders', upload.single('file'), (req, res, next) => {
 
 /**
  * @swagger
- * /api/ingest/cash-reports:
+ * /api/ingest/bank-statements:
  *   post:
- *     summary: Upload cash collection reports CSV file
+ *     summary: Upload an MT940 or CAMT.053 bank statement and match its credits to cash reports
+ *     description: >
+ *       Every credit line is scored against the cash reports dated up to
+ *       `window_days` before its booking date that no deposit covers yet:
+ *       amount (exact, within 1% or 5%), date lag, and whether the
+ *       reference / narrative names the report or the store. A confident,
+ *       unambiguous match is recorded as a deposit; other lines go to the
+ *       review list with their ranked candidates. Debit lines are ignored.
  *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [mt940, camt053]
+ *         description: Detected from the file contents when omitted
+ *       - in: query
+ *         name: window_days
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Days a deposit may follow its report. Defaults to DEPOSIT_MATCH_WINDOW_DAYS (3).
+ *       - in: query
+ *         name: reconcile
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Re-reconcile the store-days of matched reports. Defaults to AUTO_RECONCILE.
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -88,49 +759,206 @@ router.post('/orders', upload.single('file'), (req, res, next) => {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: CSV file (only .csv accepted)
+ *                 description: MT940 (.sta, .mt940, .940, .txt) or CAMT.053 (.xml, .053)
  *     responses:
  *       200:
- *         description: Cash reports ingested successfully
+ *         description: >
+ *           Statement processed. Counts (`inserted`, `skipped` re-sent lines,
+ *           `debits_ignored`, `matched`, `needs_review`, `unmatched`), one
+ *           entry per credit line under `results`, and `affected_store_days`.
  *       400:
- *         description: Invalid file type or missing columns
+ *         description: Missing file, unsupported file type or unparseable statement
  */
-router.post('/cash-reports', upload.single('file'), (req, res, next) => {
+router.post('/bank-statements', statementUpload, (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded. Send a .csv file in the "file" field.' });
+      return res.status(400).json({
+        success: false,
+        error: 'No statement received. Send an MT940 or CAMT.053 file in the "file" field.',
+      });
     }
+    const format = req.query.format
+      ? readOption(req, 'format', STATEMENT_FORMATS)
+      : detectFormat(req.file.buffer);
+    const windowDays = req.query.window_days === undefined
+      ? config.depositMatchWindowDays
+      : Number(req.query.window_days);
+    if (!Number.isInteger(windowDays) || windowDays < 0) {
+      return res.status(400).json({ success: false, error: '"window_days" must be a non-negative integer' });
+    }
+    const autoReconcile = readAutoReconcile(req);
 
-    const rows = parseCashReportsCsv(req.file.buffer);
-    const now = new Date().toISOString();
-    let inserted = 0;
-    let skipped = 0;
-
-    const insertStmt = db.prepare(`
-      INSERT OR IGNORE INTO cash_reports
-        (id, report_id, store_id, report_date, total_collected, order_ids, submitted_by, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = db.transaction((reports) => {
-      for (const r of reports) {
-        const result = insertStmt.run(
-          uuidv4(), r.report_id, r.store_id, r.report_date,
-          r.total_collected, JSON.stringify(r.order_ids), r.submitted_by, now
-        );
-        result.changes > 0 ? inserted++ : skipped++;
-      }
-    });
-
-    insertMany(rows);
+    const transactions = parseStatement(req.file.buffer, format);
+    const result = ingestStatement(
+      transactions,
+      { format, file_name: req.file.originalname, uploaded_by: req.actor },
+      { windowDays }
+    );
 
-    res.json({
+    const body = {
       success: true,
-      message: `Ingested ${inserted} cash reports (${skipped} duplicates skipped)`,
-      inserted,
-      skipped,
-      total: rows.length,
-    });
+      message: `Processed ${result.inserted} credit lines: ${result.matched} matched, ` +
+        `${result.needs_review} need review, ${result.unmatched} unmatched`,
+      format,
+      ...result,
+    };
+    if (autoReconcile) {
+      body.reconciliation = reconcileStoreDays(result.affected_store_days, { triggered_by: req.actor });
+    }
+
+    res.json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingest/bank-statements/review:
+ *   get:
+ *     summary: Bank statement credit lines waiting for review, with their ranked candidate reports
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [needs_review, unmatched, matched, dismissed]
+ *         description: Defaults to needs_review and unmatched
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: >
+ *           Lines newest booking date first. `candidates` lists up to three
+ *           reports with `confidence` (0..1) and the `reasons` behind it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 count:
+ *                   type: integer
+ */
+router.get('/bank-statements/review', (req, res, next) => {
+  try {
+    const { status, account, from, to } = req.query;
+    const data = listBankTransactions({ status, account, from, to });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingest/bank-statements/review/{id}/match:
+ *   post:
+ *     summary: Resolve a reviewed line by recording it as the deposit of the given cash reports
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [report_ids]
+ *             properties:
+ *               report_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["RPT-001"]
+ *     responses:
+ *       200:
+ *         description: Deposit created; the reports' store-days are flagged for re-reconciliation
+ *       400:
+ *         description: report_ids missing or unknown
+ *       404:
+ *         description: Bank transaction not found
+ *       409:
+ *         description: Line already matched or dismissed
+ */
+router.post('/bank-statements/review/:id/match', (req, res, next) => {
+  try {
+    const { report_ids } = req.body || {};
+    const result = matchTransaction(req.params.id, { report_ids, matched_by: req.actor });
+    if (!result) {
+      return res.status(404).json({ success: false, error: `Bank transaction "${req.params.id}" not found` });
+    }
+    res.json({ success: true, message: `Matched to ${result.report_ids.join(', ')}`, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingest/bank-statements/review/{id}/dismiss:
+ *   post:
+ *     summary: Take a line off the review list without creating a deposit
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Interest payment"
+ *     responses:
+ *       200:
+ *         description: Line dismissed
+ *       404:
+ *         description: Bank transaction not found
+ *       409:
+ *         description: Line already matched or dismissed
+ */
+router.post('/bank-statements/review/:id/dismiss', (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const result = dismissTransaction(req.params.id, { dismissed_by: req.actor, reason });
+    if (!result) {
+      return res.status(404).json({ success: false, error: `Bank transaction "${req.params.id}" not found` });
+    }
+    res.json({ success: true, message: 'Bank transaction dismissed', ...result });
   } catch (err) {
     next(err);
   }
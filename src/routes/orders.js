@@ -1,5 +1,8 @@
 import { Router } from 'express';
 import { db } from '../db/index.js';
+import { getCorrectionHistory } from '../services/ingestion.js';
+import { loadOrderEvents } from '../services/orderLifecycle.js';
+import { listAdjustments } from '../services/adjustments.js';
 
 const router = Router();
 
@@ -26,7 +29,7 @@ const router = Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [matched, over_collection, under_collection, unaccounted]
+ *           enum: [matched, minor_variance, over_collection, under_collection, unaccounted, cancelled, not_picked_up, double_claimed, report_mismatch]
  *         description: Filter by reconciliation status (requires JOIN with reconciliations)
  *       - in: query
  *         name: page
@@ -173,6 +176,21 @@ router.get('/', (req, res, next) => {
  *                 reconciliation:
  *                   type: object
  *                   nullable: true
+ *                 corrections:
+ *                   type: array
+ *                   description: Previous versions replaced by correction uploads, newest first
+ *                   items:
+ *                     type: object
+ *                 events:
+ *                   type: array
+ *                   description: Lifecycle events (cancelled, refunded, picked_up, no_show, partial_pickup), oldest first
+ *                   items:
+ *                     type: object
+ *                 adjustments:
+ *                   type: array
+ *                   description: Manual adjustments recorded against the order, voided ones included, newest first
+ *                   items:
+ *                     $ref: '#/components/schemas/Adjustment'
  *       404:
  *         description: Order not found
  */
@@ -190,7 +208,11 @@ router.get('/:order_id', (req, res, next) => {
       `SELECT * FROM reconciliations WHERE order_id = ?`
     ).get(order_id) || null;
 
-    res.json({ order, reconciliation });
+    const corrections = getCorrectionHistory('orders', order_id);
+    const events = loadOrderEvents([order_id]).get(order_id) ?? [];
+    const adjustments = listAdjustments({ order_id });
+
+    res.json({ order, reconciliation, corrections, events, adjustments });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,248 @@
+import { Router } from 'express';
+import {
+  closePeriod,
+  reopenPeriod,
+  getPeriodLock,
+  listPeriodLocks,
+} from '../services/periodLocks.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PeriodLock:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         store_id:
+ *           type: string
+ *           nullable: true
+ *           description: Null when the period is closed for every store
+ *         from_date:
+ *           type: string
+ *         to_date:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [closed, reopened]
+ *         closed_by:
+ *           type: string
+ *         closed_at:
+ *           type: string
+ *         close_reason:
+ *           type: string
+ *           nullable: true
+ *         reopened_by:
+ *           type: string
+ *           nullable: true
+ *         reopened_at:
+ *           type: string
+ *           nullable: true
+ *         reopen_reason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/periods:
+ *   get:
+ *     summary: Period closes and reopens, newest first
+ *     tags: [Periods]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [closed, reopened]
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         description: Locks covering this store, including all-store locks
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Locks covering this date
+ *     responses:
+ *       200:
+ *         description: Period locks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PeriodLock'
+ *                 count:
+ *                   type: integer
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { status, store_id, date } = req.query;
+    const data = listPeriodLocks({ status, store_id, date });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/close:
+ *   post:
+ *     summary: Close a date range so its numbers can no longer change
+ *     description: >
+ *       While closed, uploads, corrections and rollbacks that touch the
+ *       range's store-days are refused with 409, and so is reconciling it.
+ *       Only PERIOD_ADMINS may close periods; while that setting is empty
+ *       nobody may.
+ *     tags: [Periods]
+ *     parameters:
+ *       - in: header
+ *         name: X-User
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Who closes the period
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, to]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-01"
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-31"
+ *               store_id:
+ *                 type: string
+ *                 description: Close the range for one store only
+ *               reason:
+ *                 type: string
+ *                 example: "January close"
+ *     responses:
+ *       201:
+ *         description: Period closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PeriodLock'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Caller may not close periods
+ */
+router.post('/close', (req, res, next) => {
+  try {
+    const data = closePeriod(req.body || {}, req.actor);
+    res.status(201).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/{id}:
+ *   get:
+ *     summary: One period lock
+ *     tags: [Periods]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lock detail
+ *       404:
+ *         description: Lock not found
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const lock = getPeriodLock(req.params.id);
+    if (!lock) {
+      return res.status(404).json({ success: false, error: `Period lock "${req.params.id}" not found` });
+    }
+    res.json({ data: lock });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/{id}/reopen:
+ *   post:
+ *     summary: Reopen a closed period
+ *     description: >
+ *       Only PERIOD_ADMINS may reopen periods, and a reason is required. The
+ *       lock keeps who closed and reopened it, when and why.
+ *     tags: [Periods]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Late bank statement for GDL-001"
+ *     responses:
+ *       200:
+ *         description: Period reopened
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Caller may not reopen periods
+ *       404:
+ *         description: Lock not found
+ *       409:
+ *         description: Already reopened
+ */
+router.post('/:id/reopen', (req, res, next) => {
+  try {
+    const data = reopenPeriod(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Period lock "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import { Router } from 'express';
+import {
+  PRIORITY_SCOPES,
+  listPriorityRules,
+  getPriorityRule,
+  createPriorityRule,
+  updatePriorityRule,
+  deletePriorityRule,
+} from '../services/priorityRules.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriorityRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Large GDL stores"
+ *         scope:
+ *           type: string
+ *           enum: [global, region, store, currency]
+ *         scope_value:
+ *           type: string
+ *           description: Region, store_id or currency code; omit for global rules
+ *           example: "gdl"
+ *         amount_threshold:
+ *           type: number
+ *           description: Fires when the absolute variance exceeds this amount
+ *           example: 250
+ *         pct_threshold:
+ *           type: number
+ *           description: Fires when the absolute variance percentage exceeds this
+ *           example: 15
+ *         severity:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *           nullable: true
+ *           description: >
+ *             high, critical or unset flag the row high priority; low and
+ *             medium only record the rule on it
+ */
+
+/**
+ * @swagger
+ * /api/priority-rules:
+ *   get:
+ *     summary: List high-priority rules
+ *     tags: [Priority Rules]
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global, region, store, currency]
+ *     responses:
+ *       200:
+ *         description: Rules, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Unknown scope
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { scope } = req.query;
+    if (scope && !PRIORITY_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `"scope" must be one of: ${PRIORITY_SCOPES.join(', ')}`,
+      });
+    }
+    const data = listPriorityRules({ scope });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-rules:
+ *   post:
+ *     summary: Create a high-priority rule
+ *     description: >
+ *       A variance is judged by the rules of the most specific scope that has
+ *       any for it — store, then region, then currency, then global — and is
+ *       high priority when one of them fires. The rule that fired is recorded
+ *       on the reconciliation row from the next reconciliation on.
+ *     tags: [Priority Rules]
+ *     parameters:
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who is creating the rule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriorityRuleInput'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const data = createPriorityRule(req.body || {}, req.actor);
+    res.status(201).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-rules/{id}:
+ *   get:
+ *     summary: Get a high-priority rule
+ *     tags: [Priority Rules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule detail
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const rule = getPriorityRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: `Priority rule "${req.params.id}" not found` });
+    }
+    res.json({ data: rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-rules/{id}:
+ *   put:
+ *     summary: Update a high-priority rule
+ *     description: Only the fields sent are changed; send null to clear an optional one.
+ *     tags: [Priority Rules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who is changing the rule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriorityRuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', (req, res, next) => {
+  try {
+    const data = updatePriorityRule(req.params.id, req.body || {}, req.actor);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Priority rule "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/priority-rules/{id}:
+ *   delete:
+ *     summary: Delete a high-priority rule
+ *     tags: [Priority Rules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ *       409:
+ *         description: The seeded default rule cannot be deleted
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const data = deletePriorityRule(req.params.id);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Priority rule "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,9 +1,107 @@
 import { Router } from 'express';
 import { db } from '../db/index.js';
-import { reconcileDate, reconcileDateRange } from '../services/reconciler.js';
+import {
+  reconcileDate,
+  reconcileDateRange,
+  reconcilePendingStoreDays,
+  summarizeRecords,
+  addToSummary,
+  ALLOCATION_STRATEGIES,
+} from '../services/reconciler.js';
+import { pendingStoreDays } from '../services/storeDays.js';
+import { withRun, getRun, listRuns, runRecords, diffRuns } from '../services/reconciliationRuns.js';
+import { submitJob, getJob, listJobs, cancelJob, assertNoOverlappingJob } from '../services/reconciliationJobs.js';
+import { simulateReconciliation } from '../services/reconciliationSimulation.js';
+import { openReconcileScopes } from '../services/periodLocks.js';
+import { withCaseRefs } from '../services/cases.js';
+import { loadAdjustments } from '../services/adjustments.js';
+import { isDate } from '../services/dates.js';
+import { config } from '../config.js';
 
 const router = Router();
 
+/**
+ * `late_window_days` from a reconcile request body, defaulting to the
+ * LATE_REPORT_WINDOW_DAYS setting.
+ */
+function readWindowDays(body) {
+  const value = body.late_window_days ?? config.lateReportWindowDays;
+  if (!Number.isInteger(value) || value < 0) {
+    throw Object.assign(
+      new Error('"late_window_days" must be a non-negative integer'),
+      { status: 400 }
+    );
+  }
+  return value;
+}
+
+/**
+ * `allocation_strategy` from a reconcile request body; undefined leaves
+ * each store on its configured strategy.
+ */
+function readStrategy(body) {
+  const value = body.allocation_strategy;
+  if (value !== undefined && !Object.hasOwn(ALLOCATION_STRATEGIES, value)) {
+    throw Object.assign(
+      new Error(`"allocation_strategy" must be one of: ${Object.keys(ALLOCATION_STRATEGIES).join(', ')}`),
+      { status: 400 }
+    );
+  }
+  return value;
+}
+
+const RECONCILE_MODES = ['full', 'incremental'];
+
+/**
+ * `mode` from a reconcile request body: full (the default) or incremental,
+ * which only takes a store filter.
+ */
+function readMode(body) {
+  const value = body.mode ?? 'full';
+  if (!RECONCILE_MODES.includes(value)) {
+    throw Object.assign(new Error(`"mode" must be one of: ${RECONCILE_MODES.join(', ')}`), { status: 400 });
+  }
+  if (value === 'incremental' && body.date) {
+    throw Object.assign(
+      new Error('"date" cannot be combined with incremental mode, which reconciles every pending date'),
+      { status: 400 }
+    );
+  }
+  return value;
+}
+
+/**
+ * `async` from a reconcile request body: true queues the reconciliation as a
+ * job (see /api/reconciliation/jobs) instead of running it in the request.
+ * `fallback` is what the request gets without one: a job for anything
+ * larger than a short range, so a request never holds a long write.
+ */
+function readAsync(body, fallback) {
+  const value = body.async ?? fallback;
+  if (typeof value !== 'boolean') {
+    throw Object.assign(new Error('"async" must be a boolean'), { status: 400 });
+  }
+  return value;
+}
+
+/**
+ * 202 response for a reconcile request queued as a job.
+ */
+function sendJobAccepted(res, job) {
+  res.status(202).location(`/api/reconciliation/jobs/${job.id}`).json({
+    success: true,
+    message: job.status === 'queued'
+      ? `Reconciliation queued as job ${job.id} behind an overlapping job`
+      : `Reconciliation started as job ${job.id}`,
+    job_id: job.id,
+    data: job,
+  });
+}
+
+function parseDepositIds(row) {
+  return { ...row, deposit_ids: JSON.parse(row.deposit_ids) };
+}
+
 // ---------------------------------------------------------------------------
 // POST /api/reconcile
 // ---------------------------------------------------------------------------
@@ -13,13 +111,41 @@ const router = Router();
  * /api/reconcile:
  *   post:
  *     summary: Trigger reconciliation for a specific date or for all available dates
+ *     description: >
+ *       Recorded as a reconciliation run with who triggered it, its parameters
+ *       and its totals (see GET /api/reconciliation/runs). A date in a closed
+ *       period is refused with 409; without a date, the store-days of closed
+ *       periods are skipped and listed under `locked_store_days`.
+ *
+ *       With `mode: "incremental"` only the store-days that may be out of
+ *       date are reconciled (see GET /api/reconciliation/store-days/pending):
+ *       those flagged dirty by an upload, correction, rollback, adjustment or
+ *       priority rule change, and those never reconciled. `skipped` counts
+ *       the store-days left alone as up to date.
+ *
+ *       Without a date (full or incremental), the reconciliation is queued
+ *       as a job and the request returns 202 with its id straight away; poll
+ *       GET /api/reconciliation/jobs/{id} for progress and fetch
+ *       GET /api/reconciliation/jobs/{id}/summary once it has finished. A
+ *       single date runs in the request. `async` overrides either default.
  *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who triggers the run
  *     requestBody:
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [full, incremental]
+ *                 default: full
+ *                 description: incremental reconciles only pending store-days and takes no date
  *               date:
  *                 type: string
  *                 format: date
@@ -27,9 +153,32 @@ const router = Router();
  *                 example: "2024-01-15"
  *               store_id:
  *                 type: string
- *                 description: Limit reconciliation to one store. Only relevant when date is provided.
+ *                 description: Limit reconciliation to one store.
  *                 example: "CDMX-001"
+ *               late_window_days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: >
+ *                   How many days after the pickup date a cash report may still
+ *                   claim an order. Defaults to LATE_REPORT_WINDOW_DAYS (2).
+ *                 example: 2
+ *               allocation_strategy:
+ *                 type: string
+ *                 enum: [proportional, sequential, report_level, exact_match]
+ *                 description: >
+ *                   How each cash report's total is split over its orders, for
+ *                   every store in this run. Defaults to the store's entry in
+ *                   STORE_ALLOCATION_STRATEGIES, else ALLOCATION_STRATEGY
+ *                   (proportional).
+ *               async:
+ *                 type: boolean
+ *                 description: >
+ *                   Queue the reconciliation as a background job instead of
+ *                   waiting for it. Defaults to true without a date and false
+ *                   with one.
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ReconciliationJobAccepted'
  *       200:
  *         description: Reconciliation completed successfully
  *         content:
@@ -41,43 +190,153 @@ const router = Router();
  *                   type: boolean
  *                 message:
  *                   type: string
+ *                 run_id:
+ *                   type: string
+ *                   description: The reconciliation run recorded for this request
  *                 reconciled:
  *                   type: integer
  *                   description: Number of reconciliation records produced
  *                 records:
  *                   type: array
+ *                   description: The records produced (with a date only)
+ *                   items:
+ *                     type: object
+ *                 summary:
+ *                   type: object
+ *                   description: >
+ *                     Without a date, or in incremental mode, the totals of
+ *                     the records instead of the records: total_orders,
+ *                     status_counts, allocation_counts, total_expected,
+ *                     total_actual, total_variance, high_priority_count. The
+ *                     rows are under the run (GET
+ *                     /api/reconciliation/runs/{id}/records).
+ *                 store_days:
+ *                   type: array
+ *                   description: The store-days reconciled and why (incremental mode only)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 skipped:
+ *                   type: integer
+ *                   description: Store-days left alone as already up to date (incremental mode only)
+ *                 locked_store_days:
+ *                   type: array
+ *                   description: Store-days skipped because their period is closed (no-date runs only)
  *                   items:
  *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *       400:
+ *         description: Invalid date or mode, or a date with incremental mode
+ *       409:
+ *         description: >
+ *           The date is in a closed period, or (without async) a running or
+ *           queued job covers the same store-days
  */
 router.post('/reconcile', async (req, res, next) => {
   try {
     const { date, store_id } = req.body || {};
+    if (date && !isDate(date)) {
+      return res.status(400).json({ success: false, error: '"date" must be a date (YYYY-MM-DD)' });
+    }
+    const windowDays = readWindowDays(req.body || {});
+    const strategy = readStrategy(req.body || {});
+    const mode = readMode(req.body || {});
+    // Only a single date runs in the request unless asked
+    const runAsync = readAsync(req.body || {}, !date);
 
-    let records = [];
+    const params = {
+      mode,
+      date: date || null,
+      store_id: store_id || null,
+      late_window_days: windowDays,
+      allocation_strategy: strategy ?? null,
+    };
 
-    if (!date) {
-      // Reconcile every distinct pickup_date found in the orders table
+    if (runAsync) {
+      return sendJobAccepted(res, submitJob({ triggered_by: req.actor, trigger: 'api', params }));
+    }
+    assertNoOverlappingJob({ store_id, from: date, to: date });
+
+    if (mode === 'incremental') {
+      const { run, result } = withRun(
+        { triggered_by: req.actor, trigger: 'api', params },
+        runId => reconcilePendingStoreDays(store_id || undefined, { windowDays, strategy, runId })
+      );
+      const body = {
+        success: true,
+        message: `Reconciled ${result.summary.total_orders} orders across ${result.store_days.length} pending store-days; `
+          + `${result.skipped} store-days already up to date`,
+        run_id: run.id,
+        reconciled: result.summary.total_orders,
+        summary: result.summary,
+        store_days: result.store_days,
+        skipped: result.skipped,
+      };
+      if (result.locked.length > 0) {
+        body.message += ` (${result.locked.length} store-days in closed periods left as they were)`;
+        body.locked_store_days = result.locked;
+      }
+      return res.json(body);
+    }
+
+    if (date) {
+      const { run, result: records } = withRun(
+        { triggered_by: req.actor, trigger: 'api', params },
+        runId => reconcileDate(date, store_id || undefined, { windowDays, strategy, runId })
+      );
+      return res.json({
+        success: true,
+        message: `Reconciled ${records.length} orders for date ${date}${store_id ? ` / store ${store_id}` : ''}`,
+        run_id: run.id,
+        reconciled: records.length,
+        records,
+      });
+    }
+
+    // Reconcile every distinct pickup_date found in the orders table,
+    // leaving closed periods as they were. Only the totals are kept: every
+    // date can be millions of orders
+    const locked = [];
+    const { run, result: summary } = withRun({ triggered_by: req.actor, trigger: 'api', params }, (runId) => {
       const dates = db
         .prepare('SELECT DISTINCT pickup_date FROM orders ORDER BY pickup_date')
         .all()
         .map(r => r.pickup_date);
 
+      const totals = summarizeRecords([]);
       for (const d of dates) {
-        const dayRecords = reconcileDate(d, store_id || undefined);
-        records.push(...dayRecords);
+        const { scopes, locked: lockedDays } = openReconcileScopes(d, store_id || undefined);
+        locked.push(...lockedDays);
+        for (const scope of scopes) {
+          addToSummary(totals, reconcileDate(d, scope, { windowDays, strategy, runId }));
+        }
       }
-    } else {
-      records = reconcileDate(date, store_id || undefined);
-    }
+      return totals;
+    });
 
-    res.json({
+    const body = {
       success: true,
-      message: date
-        ? `Reconciled ${records.length} orders for date ${date}${store_id ? ` / store ${store_id}` : ''}`
-        : `Reconciled ${records.length} orders across all dates`,
-      reconciled: records.length,
-      records,
-    });
+      message: `Reconciled ${summary.total_orders} orders across all dates`,
+      run_id: run.id,
+      reconciled: summary.total_orders,
+      summary,
+    };
+    if (locked.length > 0) {
+      body.message += ` (${locked.length} store-days in closed periods left as they were)`;
+      body.locked_store_days = locked;
+    }
+
+    res.json(body);
   } catch (err) {
     next(err);
   }
@@ -92,7 +351,23 @@ router.post('/reconcile', async (req, res, next) => {
  * /api/reconcile/batch:
  *   post:
  *     summary: Reconcile a date range in a single request
+ *     description: >
+ *       Recorded as a reconciliation run with who triggered it, its parameters
+ *       and its totals (see GET /api/reconciliation/runs). The range is
+ *       written in one transaction, all of it or none.
+ *
+ *       A range longer than SYNC_RECONCILE_MAX_DAYS (default 7) is queued as
+ *       a job and the request returns 202 with its id straight away (see
+ *       POST /api/reconcile); `async` overrides that either way. A job
+ *       commits day by day, so a failed or cancelled job keeps the days it
+ *       finished.
  *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: header
+ *         name: X-User
+ *         schema:
+ *           type: string
+ *         description: Who triggers the run
  *     requestBody:
  *       required: true
  *       content:
@@ -117,7 +392,23 @@ router.post('/reconcile', async (req, res, next) => {
  *                 type: string
  *                 description: Optionally limit to one store
  *                 example: "CDMX-001"
+ *               late_window_days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: See POST /api/reconcile
+ *               allocation_strategy:
+ *                 type: string
+ *                 enum: [proportional, sequential, report_level, exact_match]
+ *                 description: See POST /api/reconcile
+ *               async:
+ *                 type: boolean
+ *                 description: >
+ *                   Queue the range as a background job instead of waiting for
+ *                   it. Defaults to true for ranges longer than
+ *                   SYNC_RECONCILE_MAX_DAYS.
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ReconciliationJobAccepted'
  *       200:
  *         description: Batch reconciliation completed successfully
  *         content:
@@ -129,14 +420,17 @@ router.post('/reconcile', async (req, res, next) => {
  *                   type: boolean
  *                 message:
  *                   type: string
+ *                 run_id:
+ *                   type: string
  *                 reconciled:
  *                   type: integer
- *                 records:
- *                   type: array
- *                   items:
- *                     type: object
+ *                 summary:
+ *                   type: object
+ *                   description: >
+ *                     Totals of the records produced, as for POST
+ *                     /api/reconcile without a date; the rows are under the run
  *       400:
- *         description: Validation error — from and to are required, and from must be <= to
+ *         description: Validation error — from and to are required dates (YYYY-MM-DD), and from must be <= to
  *         content:
  *           application/json:
  *             schema:
@@ -147,6 +441,10 @@ router.post('/reconcile', async (req, res, next) => {
  *                   example: false
  *                 error:
  *                   type: string
+ *       409:
+ *         description: >
+ *           Part of the range is in a closed period, or (without async) a
+ *           running or queued job covers the same store-days
  */
 router.post('/reconcile/batch', (req, res, next) => {
   try {
@@ -159,6 +457,219 @@ router.post('/reconcile/batch', (req, res, next) => {
       });
     }
 
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" and "to" must be dates (YYYY-MM-DD)',
+      });
+    }
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" date must be less than or equal to "to" date',
+      });
+    }
+
+    const windowDays = readWindowDays(req.body);
+    const strategy = readStrategy(req.body);
+    const days = (Date.parse(to) - Date.parse(from)) / 86_400_000 + 1;
+    const runAsync = readAsync(req.body, days > config.syncReconcileMaxDays);
+    const params = {
+      from, to, store_id: store_id || null, late_window_days: windowDays, allocation_strategy: strategy ?? null,
+    };
+
+    if (runAsync) {
+      return sendJobAccepted(res, submitJob({ triggered_by: req.actor, trigger: 'batch', params }));
+    }
+    assertNoOverlappingJob({ store_id, from, to });
+
+    const { run, result: { summary } } = withRun(
+      { triggered_by: req.actor, trigger: 'batch', params },
+      runId => reconcileDateRange(from, to, store_id || undefined, { windowDays, strategy, runId })
+    );
+
+    res.json({
+      success: true,
+      message: `Reconciled ${summary.total_orders} orders from ${from} to ${to}${store_id ? ` for store ${store_id}` : ''}`,
+      run_id: run.id,
+      reconciled: summary.total_orders,
+      summary,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/reconciliation/simulate
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/simulate:
+ *   post:
+ *     summary: What-if reconciliation with overridden parameters, compared with the stored results
+ *     description: >
+ *       Runs the reconciler in memory over the range with the given late
+ *       window, allocation strategy, priority rules and rounding tolerances,
+ *       and compares the order rows it would produce with the stored ones:
+ *       status counts, variance totals and the orders whose status, variance
+ *       or priority would change. Nothing is written — no rows, no run, no cases — and
+ *       closed periods can be simulated too.
+ *
+ *       The stored rows are whatever the last reconciliation left, so data
+ *       loaded since then shows up as a change as well; simulate without
+ *       overrides to see how much of the difference that is.
+ *
+ *       It runs inside the request, so the range is capped at
+ *       SIMULATION_MAX_DAYS (default 31); reconcile longer ranges as a job.
+ *     tags: [Reconciliation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: One date; shorthand for from = to = date
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-15"
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-19"
+ *               store_id:
+ *                 type: string
+ *                 example: "CDMX-002"
+ *               late_window_days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: See POST /api/reconcile
+ *               allocation_strategy:
+ *                 type: string
+ *                 enum: [proportional, sequential, report_level, exact_match]
+ *                 description: See POST /api/reconcile
+ *               priority_rules:
+ *                 type: array
+ *                 description: >
+ *                   Rules to judge by on top of the stored ones, shaped as for
+ *                   POST /api/priority-rules. A rule with the `id` of a stored
+ *                   rule (e.g. "default") replaces it.
+ *                 items:
+ *                   type: object
+ *                   example:
+ *                     scope: store
+ *                     scope_value: CDMX-002
+ *                     pct_threshold: 1
+ *               variance_tolerances:
+ *                 type: object
+ *                 description: >
+ *                   Rounding tolerances per currency, shaped as VARIANCE_TOLERANCES;
+ *                   a currency given here replaces its configured tolerance
+ *                 example:
+ *                   MXN:
+ *                     amount: 0.5
+ *     responses:
+ *       200:
+ *         description: Current vs projected reconciliation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 parameters:
+ *                   type: object
+ *                   description: >
+ *                     The range and the parameters simulated: rules with their
+ *                     ids, and the tolerances in effect
+ *                 store_day_count:
+ *                   type: integer
+ *                 current:
+ *                   type: object
+ *                   description: >
+ *                     Stored rows: total_orders, status_counts, allocation_counts,
+ *                     total_expected, total_actual, total_variance, high_priority_count
+ *                 projected:
+ *                   type: object
+ *                   description: The same figures for the rows the simulation would write
+ *                 difference:
+ *                   type: object
+ *                   description: >
+ *                     Projected minus current: status_counts (moved statuses only),
+ *                     total_actual, total_variance, high_priority_count
+ *                 changed_orders:
+ *                   type: array
+ *                   description: >
+ *                     Orders whose status, variance or priority would change, in the
+ *                     shape of a dry run's changed_orders
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       order_id:
+ *                         type: string
+ *                       store_id:
+ *                         type: string
+ *                       reconciliation_date:
+ *                         type: string
+ *                       current_status:
+ *                         type: string
+ *                         nullable: true
+ *                       projected_status:
+ *                         type: string
+ *                         nullable: true
+ *                       current_variance:
+ *                         type: number
+ *                         nullable: true
+ *                       projected_variance:
+ *                         type: number
+ *                         nullable: true
+ *                       current_high_priority:
+ *                         type: integer
+ *                         nullable: true
+ *                       projected_high_priority:
+ *                         type: integer
+ *                         nullable: true
+ *                       current_report_id:
+ *                         type: string
+ *                         nullable: true
+ *                       projected_report_id:
+ *                         type: string
+ *                         nullable: true
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: >
+ *           Missing, malformed or inverted range, a range over SIMULATION_MAX_DAYS,
+ *           or an invalid parameter, rule or tolerance
+ */
+router.post('/reconciliation/simulate', (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const from = body.from ?? body.date;
+    const to = body.to ?? body.date;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: '"date", or "from" and "to", are required',
+      });
+    }
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({
+        success: false,
+        error: '"date", "from" and "to" must be dates (YYYY-MM-DD)',
+      });
+    }
     if (from > to) {
       return res.status(400).json({
         success: false,
@@ -166,13 +677,37 @@ router.post('/reconcile/batch', (req, res, next) => {
       });
     }
 
-    const records = reconcileDateRange(from, to, store_id || undefined);
+    const priorityRules = body.priority_rules ?? [];
+    if (!Array.isArray(priorityRules) || priorityRules.some(r => !r || typeof r !== 'object')) {
+      return res.status(400).json({ success: false, error: '"priority_rules" must be an array of rules' });
+    }
+    const windowDays = readWindowDays(body);
+    const strategy = readStrategy(body);
+    const store_id = body.store_id || undefined;
+
+    const result = simulateReconciliation(
+      { from, to, store_id },
+      { windowDays, strategy, priorityRules, tolerances: body.variance_tolerances }
+    );
 
     res.json({
       success: true,
-      message: `Reconciled ${records.length} orders from ${from} to ${to}${store_id ? ` for store ${store_id}` : ''}`,
-      reconciled: records.length,
-      records,
+      message: `Simulation: ${result.changed_orders.length} of ${result.projected.total_orders} orders would change`,
+      parameters: {
+        from,
+        to,
+        store_id: store_id ?? null,
+        late_window_days: windowDays,
+        allocation_strategy: strategy ?? null,
+        priority_rules: result.priority_rules,
+        variance_tolerances: result.tolerances,
+      },
+      store_day_count: result.store_day_count,
+      current: result.current,
+      projected: result.projected,
+      difference: result.difference,
+      changed_orders: result.changed_orders,
+      count: result.changed_orders.length,
     });
   } catch (err) {
     next(err);
@@ -239,12 +774,28 @@ router.post('/reconcile/batch', (req, res, next) => {
  *                         type: integer
  *                       matched:
  *                         type: integer
+ *                       minor_variance:
+ *                         type: integer
+ *                         description: Orders off by no more than their currency's rounding tolerance
  *                       over_collection:
  *                         type: integer
  *                       under_collection:
  *                         type: integer
  *                       unaccounted:
  *                         type: integer
+ *                         description: Orders due cash that no report claims
+ *                       cancelled:
+ *                         type: integer
+ *                         description: Unclaimed orders that were cancelled or fully refunded
+ *                       not_picked_up:
+ *                         type: integer
+ *                         description: Unclaimed orders the customer never picked up
+ *                       double_claimed:
+ *                         type: integer
+ *                         description: Orders claimed by more than one cash report
+ *                       report_mismatch:
+ *                         type: integer
+ *                         description: Orders of reports that did not match exactly under the exact_match strategy
  *                       total_expected:
  *                         type: number
  *                       total_actual:
@@ -253,6 +804,33 @@ router.post('/reconcile/batch', (req, res, next) => {
  *                         type: number
  *                       high_priority_count:
  *                         type: integer
+ *                       late_matches:
+ *                         type: integer
+ *                         description: Orders matched by a cash report dated after their pickup date
+ *                       exact_allocations:
+ *                         type: integer
+ *                         description: Orders whose actual amount came from a line-item cash report
+ *                       proportional_allocations:
+ *                         type: integer
+ *                         description: Orders whose actual amount is a proportional share of a report total
+ *                       allocation_method:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [exact, proportional, mixed]
+ *                         description: How collected cash was attributed to the store-day's orders (null when nothing was reported)
+ *                       total_collected:
+ *                         type: number
+ *                         description: Cash reported as collected by the store-day's cash reports
+ *                       total_deposited:
+ *                         type: number
+ *                         description: Share of bank deposits attributed to those reports
+ *                       deposit_variance:
+ *                         type: number
+ *                         description: total_deposited - total_collected (negative = cash missing after collection)
+ *                       reports_not_deposited:
+ *                         type: integer
+ *                       short_deposits:
+ *                         type: integer
  */
 router.get('/reconciliation/summary', (req, res, next) => {
   try {
@@ -299,15 +877,44 @@ router.get('/reconciliation/summary', (req, res, next) => {
         ${regionSelect},
         COUNT(*)                                                       AS total_orders,
         SUM(CASE WHEN r.status = 'matched'          THEN 1 ELSE 0 END) AS matched,
+        SUM(CASE WHEN r.status = 'minor_variance'   THEN 1 ELSE 0 END) AS minor_variance,
         SUM(CASE WHEN r.status = 'over_collection'  THEN 1 ELSE 0 END) AS over_collection,
         SUM(CASE WHEN r.status = 'under_collection' THEN 1 ELSE 0 END) AS under_collection,
         SUM(CASE WHEN r.status = 'unaccounted'      THEN 1 ELSE 0 END) AS unaccounted,
+        SUM(CASE WHEN r.status = 'cancelled'        THEN 1 ELSE 0 END) AS cancelled,
+        SUM(CASE WHEN r.status = 'not_picked_up'    THEN 1 ELSE 0 END) AS not_picked_up,
+        SUM(CASE WHEN r.status = 'double_claimed'   THEN 1 ELSE 0 END) AS double_claimed,
+        SUM(CASE WHEN r.status = 'report_mismatch'  THEN 1 ELSE 0 END) AS report_mismatch,
         ROUND(SUM(r.expected_amount), 2)                               AS total_expected,
         ROUND(SUM(COALESCE(r.actual_amount, 0)), 2)                    AS total_actual,
         ROUND(SUM(COALESCE(r.variance_amount, 0)), 2)                  AS total_variance,
-        SUM(r.is_high_priority)                                        AS high_priority_count
+        SUM(r.is_high_priority)                                        AS high_priority_count,
+        SUM(r.is_late_match)                                           AS late_matches,
+        SUM(CASE WHEN r.allocation_method = 'exact'        THEN 1 ELSE 0 END) AS exact_allocations,
+        SUM(CASE WHEN r.allocation_method = 'proportional' THEN 1 ELSE 0 END) AS proportional_allocations,
+        CASE
+          WHEN COUNT(DISTINCT r.allocation_method) > 1 THEN 'mixed'
+          ELSE MAX(r.allocation_method)
+        END                                                            AS allocation_method,
+        COALESCE(MAX(d.total_collected), 0)                            AS total_collected,
+        COALESCE(MAX(d.total_deposited), 0)                            AS total_deposited,
+        COALESCE(MAX(d.deposit_variance), 0)                           AS deposit_variance,
+        COALESCE(MAX(d.not_deposited), 0)                              AS reports_not_deposited,
+        COALESCE(MAX(d.short_deposits), 0)                             AS short_deposits
       FROM reconciliations r
       ${joinClause}
+      LEFT JOIN (
+        SELECT
+          store_id,
+          reconciliation_date,
+          ROUND(SUM(collected_amount), 2)                              AS total_collected,
+          ROUND(SUM(deposited_amount), 2)                              AS total_deposited,
+          ROUND(SUM(variance_amount), 2)                               AS deposit_variance,
+          SUM(CASE WHEN status = 'not_deposited' THEN 1 ELSE 0 END)    AS not_deposited,
+          SUM(CASE WHEN status = 'short_deposit' THEN 1 ELSE 0 END)    AS short_deposits
+        FROM deposit_reconciliations
+        GROUP BY store_id, reconciliation_date
+      ) d ON d.store_id = r.store_id AND d.reconciliation_date = r.reconciliation_date
       ${whereClause}
       GROUP BY r.store_id, r.reconciliation_date${regionGroup}
       ORDER BY r.reconciliation_date, r.store_id
@@ -322,28 +929,85 @@ router.get('/reconciliation/summary', (req, res, next) => {
 });
 
 // ---------------------------------------------------------------------------
-// GET /api/reconciliation/discrepancies
+// GET /api/reconciliation/store-days
 // ---------------------------------------------------------------------------
 
 /**
  * @swagger
- * /api/reconciliation/discrepancies:
+ * components:
+ *   schemas:
+ *     StoreDayReconciliation:
+ *       type: object
+ *       properties:
+ *         store_id:
+ *           type: string
+ *         reconciliation_date:
+ *           type: string
+ *         order_count:
+ *           type: integer
+ *         report_count:
+ *           type: integer
+ *           description: Cash reports dated that day (a late report counts on its own date)
+ *         expected_amount:
+ *           type: number
+ *           description: Sum of what the store-day's orders were due
+ *         reported_amount:
+ *           type: number
+ *           description: Sum of the reports' total_collected
+ *         unallocated_amount:
+ *           type: number
+ *           description: >
+ *             Reported cash no valid order claim took — amounts for unknown,
+ *             cross-store or out-of-window orders, or a report none of whose
+ *             orders could take its cash
+ *         late_matched_amount:
+ *           type: number
+ *           description: >
+ *             What later reports paid the store-day's orders, credited here
+ *             as those orders' late matches are
+ *         credited_earlier_amount:
+ *           type: number
+ *           description: >
+ *             The part of the day's reports that paid earlier days' orders,
+ *             credited to those days instead
+ *         variance_amount:
+ *           type: number
+ *           description: >
+ *             reported_amount - credited_earlier_amount + late_matched_amount
+ *             + adjustment_amount - expected_amount
+ *         variance_pct:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [matched, minor_variance, over_collection, under_collection, unaccounted]
+ *         is_high_priority:
+ *           type: integer
+ *         priority_rule_id:
+ *           type: string
+ *           nullable: true
+ *         priority_severity:
+ *           type: string
+ *           nullable: true
+ *         adjustment_amount:
+ *           type: number
+ *           description: Active adjustments of the store-day, those of its orders included
+ *         unadjusted_variance_amount:
+ *           type: number
+ *           description: variance_amount without adjustment_amount
+ *         unadjusted_status:
+ *           type: string
+ *         reconciled_at:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/reconciliation/store-days:
  *   get:
- *     summary: List non-matched reconciliation records with optional filters
+ *     summary: Expected against reported cash per store per day, as of the last reconciliation
  *     tags: [Reconciliation]
  *     parameters:
  *       - in: query
- *         name: min_variance
- *         schema:
- *           type: number
- *         description: Minimum absolute variance amount in MXN
- *         example: 50
- *       - in: query
- *         name: store_id
- *         schema:
- *           type: string
- *         example: "CDMX-001"
- *       - in: query
  *         name: from
  *         schema:
  *           type: string
@@ -356,15 +1020,24 @@ router.get('/reconciliation/summary', (req, res, next) => {
  *           format: date
  *         example: "2024-01-19"
  *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         example: "CDMX-002"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [matched, minor_variance, over_collection, under_collection, unaccounted]
+ *       - in: query
  *         name: priority
  *         schema:
  *           type: string
  *           enum: ["true", "false"]
- *         description: When "true", return only high-priority discrepancies
- *         example: "true"
+ *         description: When "true", return only high-priority store-days
  *     responses:
  *       200:
- *         description: Discrepancy records ordered by absolute variance descending
+ *         description: Store-day records ordered by date then store
  *         content:
  *           application/json:
  *             schema:
@@ -373,20 +1046,17 @@ router.get('/reconciliation/summary', (req, res, next) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
+ *                     $ref: '#/components/schemas/StoreDayReconciliation'
  *                 count:
  *                   type: integer
  */
-router.get('/reconciliation/discrepancies', (req, res, next) => {
+router.get('/reconciliation/store-days', (req, res, next) => {
   try {
-    const { min_variance, store_id, from, to, priority } = req.query;
+    const { from, to, store_id, status, priority } = req.query;
 
-    let sql = "SELECT * FROM reconciliations WHERE status != 'matched'";
+    let sql = 'SELECT * FROM store_day_reconciliations WHERE 1=1';
     const params = [];
 
-    if (priority === 'true') {
-      sql += ' AND is_high_priority = 1';
-    }
     if (store_id) {
       sql += ' AND store_id = ?';
       params.push(store_id);
@@ -399,12 +1069,15 @@ router.get('/reconciliation/discrepancies', (req, res, next) => {
       sql += ' AND reconciliation_date <= ?';
       params.push(to);
     }
-    if (min_variance !== undefined && min_variance !== '') {
-      sql += ' AND ABS(variance_amount) >= ?';
-      params.push(parseFloat(min_variance));
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+    if (priority === 'true') {
+      sql += ' AND is_high_priority = 1';
     }
 
-    sql += ' ORDER BY ABS(COALESCE(variance_amount, expected_amount)) DESC';
+    sql += ' ORDER BY reconciliation_date, store_id';
 
     const data = db.prepare(sql).all(...params);
 
@@ -414,34 +1087,437 @@ router.get('/reconciliation/discrepancies', (req, res, next) => {
   }
 });
 
-// ---------------------------------------------------------------------------
-// GET /api/reconciliation/status
-// ---------------------------------------------------------------------------
-
 /**
  * @swagger
- * /api/reconciliation/status:
+ * /api/reconciliation/store-days/pending:
  *   get:
- *     summary: Per-order reconciliation status list with optional filters
+ *     summary: Store-days an incremental reconciliation would pick up
+ *     description: >
+ *       Store-days flagged dirty since they were last reconciled, with what
+ *       flagged them (order_ingested, cash_report_corrected, adjustment,
+ *       priority_rule_changed, ...), and store-days with data that were
+ *       never reconciled (never_reconciled).
  *     tags: [Reconciliation]
  *     parameters:
  *       - in: query
- *         name: date
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter by reconciliation date (YYYY-MM-DD)
- *         example: "2024-01-15"
- *       - in: query
  *         name: store_id
  *         schema:
  *           type: string
- *         example: "CDMX-001"
+ *     responses:
+ *       200:
+ *         description: Pending store-days, by date then store
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/store-days/pending', (req, res, next) => {
+  try {
+    const data = pendingStoreDays(req.query.store_id || undefined);
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/store-days/{store_id}/{date}:
+ *   get:
+ *     summary: One store-day with the order, report and deposit rows behind it
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: store_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "CDMX-002"
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-15"
+ *     responses:
+ *       200:
+ *         description: Store-day detail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/StoreDayReconciliation'
+ *                     - type: object
+ *                       properties:
+ *                         orders:
+ *                           type: array
+ *                           description: The day's per-order reconciliation rows
+ *                           items:
+ *                             type: object
+ *                         cash_reports:
+ *                           type: array
+ *                           description: The store's cash reports dated that day
+ *                           items:
+ *                             type: object
+ *                         report_variances:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         claim_anomalies:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         deposits:
+ *                           type: array
+ *                           description: Collection-to-deposit rows of those reports
+ *                           items:
+ *                             type: object
+ *                         adjustments:
+ *                           type: array
+ *                           description: Active adjustments of the store-day and its orders
+ *                           items:
+ *                             $ref: '#/components/schemas/Adjustment'
+ *       404:
+ *         description: The store-day has not been reconciled
+ */
+router.get('/reconciliation/store-days/:store_id/:date', (req, res, next) => {
+  try {
+    const { store_id, date } = req.params;
+
+    const storeDay = db.prepare(`
+      SELECT * FROM store_day_reconciliations WHERE store_id = ? AND reconciliation_date = ?
+    `).get(store_id, date);
+
+    if (!storeDay) {
+      return res.status(404).json({
+        success: false,
+        error: `Store-day ${store_id} / ${date} has not been reconciled`,
+      });
+    }
+
+    const forDay = table => db.prepare(`
+      SELECT * FROM ${table} WHERE store_id = ? AND reconciliation_date = ?
+    `);
+
+    res.json({
+      data: {
+        ...storeDay,
+        orders: db.prepare(`
+          SELECT * FROM reconciliations WHERE store_id = ? AND reconciliation_date = ? ORDER BY order_id
+        `).all(store_id, date),
+        cash_reports: db.prepare(`
+          SELECT * FROM cash_reports WHERE store_id = ? AND report_date = ? ORDER BY report_id
+        `).all(store_id, date).map(r => ({
+          ...r,
+          order_ids: JSON.parse(r.order_ids),
+          order_amounts: r.order_amounts ? JSON.parse(r.order_amounts) : null,
+        })),
+        report_variances: forDay('report_variances').all(store_id, date),
+        claim_anomalies: forDay('claim_anomalies').all(store_id, date),
+        deposits: forDay('deposit_reconciliations').all(store_id, date).map(parseDepositIds),
+        adjustments: loadAdjustments(date, store_id),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/discrepancies
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/discrepancies:
+ *   get:
+ *     summary: List non-matched reconciliation records, order-to-collection and collection-to-deposit, plus invalid cash report claims
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: min_variance
+ *         schema:
+ *           type: number
+ *         description: Minimum absolute variance amount in MXN
+ *         example: 50
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         example: "CDMX-001"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-15"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-19"
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: When "true", return only high-priority discrepancies
+ *         example: "true"
+ *     responses:
+ *       200:
+ *         description: >
+ *           Discrepancy records ordered by absolute variance descending. Every
+ *           record carries case_id and case_status, the discrepancy case
+ *           opened for it (null when it has none).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   description: Orders whose collected amount differs from the expected one
+ *                   items:
+ *                     type: object
+ *                 count:
+ *                   type: integer
+ *                 deposit_discrepancies:
+ *                   type: array
+ *                   description: >
+ *                     Cash reports that were not deposited, or deposited short
+ *                     or over (status not_deposited, short_deposit, over_deposit)
+ *                   items:
+ *                     type: object
+ *                 deposit_count:
+ *                   type: integer
+ *                 claim_anomalies:
+ *                   type: array
+ *                   description: >
+ *                     Order ids a cash report claims that could not be used:
+ *                     unknown_order (no such order), cross_store (another
+ *                     store's order) or wrong_date (picked up outside the
+ *                     report's window). min_variance does not apply to them.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       report_id:
+ *                         type: string
+ *                       store_id:
+ *                         type: string
+ *                       reconciliation_date:
+ *                         type: string
+ *                       order_id:
+ *                         type: string
+ *                       anomaly_type:
+ *                         type: string
+ *                         enum: [unknown_order, cross_store, wrong_date]
+ *                       order_store_id:
+ *                         type: string
+ *                         nullable: true
+ *                       order_pickup_date:
+ *                         type: string
+ *                         nullable: true
+ *                       days_late:
+ *                         type: integer
+ *                         nullable: true
+ *                       claimed_amount:
+ *                         type: number
+ *                         nullable: true
+ *                       submitted_by:
+ *                         type: string
+ *                       is_high_priority:
+ *                         type: integer
+ *                 claim_anomaly_count:
+ *                   type: integer
+ *                 report_discrepancies:
+ *                   type: array
+ *                   description: >
+ *                     Report-level variance lines (report_level and exact_match
+ *                     allocation strategies) that are neither matched nor a
+ *                     minor variance
+ *                   items:
+ *                     type: object
+ *                 report_discrepancy_count:
+ *                   type: integer
+ */
+router.get('/reconciliation/discrepancies', (req, res, next) => {
+  try {
+    const { min_variance, store_id, from, to, priority } = req.query;
+
+    // Cancelled and never-picked-up orders owe no cash, and a minor variance
+    // is only rounding: not discrepancies
+    let sql = `
+      SELECT * FROM reconciliations
+      WHERE status NOT IN ('matched', 'minor_variance', 'cancelled', 'not_picked_up')
+    `;
+    const params = [];
+
+    if (priority === 'true') {
+      sql += ' AND is_high_priority = 1';
+    }
+    if (store_id) {
+      sql += ' AND store_id = ?';
+      params.push(store_id);
+    }
+    if (from) {
+      sql += ' AND reconciliation_date >= ?';
+      params.push(from);
+    }
+    if (to) {
+      sql += ' AND reconciliation_date <= ?';
+      params.push(to);
+    }
+    if (min_variance !== undefined && min_variance !== '') {
+      sql += ' AND ABS(variance_amount) >= ?';
+      params.push(parseFloat(min_variance));
+    }
+
+    sql += ' ORDER BY ABS(COALESCE(variance_amount, expected_amount)) DESC';
+
+    const data = withCaseRefs('order', db.prepare(sql).all(...params));
+
+    // Same filters over the collection-to-deposit stage
+    let depositSql = "SELECT * FROM deposit_reconciliations WHERE status != 'matched'";
+    const depositParams = [];
+
+    if (priority === 'true') {
+      depositSql += ' AND is_high_priority = 1';
+    }
+    if (store_id) {
+      depositSql += ' AND store_id = ?';
+      depositParams.push(store_id);
+    }
+    if (from) {
+      depositSql += ' AND reconciliation_date >= ?';
+      depositParams.push(from);
+    }
+    if (to) {
+      depositSql += ' AND reconciliation_date <= ?';
+      depositParams.push(to);
+    }
+    if (min_variance !== undefined && min_variance !== '') {
+      depositSql += ' AND ABS(variance_amount) >= ?';
+      depositParams.push(parseFloat(min_variance));
+    }
+
+    depositSql += ' ORDER BY ABS(variance_amount) DESC';
+
+    const deposits = withCaseRefs('deposit', db.prepare(depositSql).all(...depositParams).map(parseDepositIds));
+
+    // Invalid claims, keyed on the claiming report's store and date
+    let anomalySql = 'SELECT * FROM claim_anomalies WHERE 1=1';
+    const anomalyParams = [];
+
+    if (priority === 'true') {
+      anomalySql += ' AND is_high_priority = 1';
+    }
+    if (store_id) {
+      anomalySql += ' AND store_id = ?';
+      anomalyParams.push(store_id);
+    }
+    if (from) {
+      anomalySql += ' AND reconciliation_date >= ?';
+      anomalyParams.push(from);
+    }
+    if (to) {
+      anomalySql += ' AND reconciliation_date <= ?';
+      anomalyParams.push(to);
+    }
+
+    anomalySql += ' ORDER BY reconciliation_date, store_id, report_id, order_id';
+
+    const anomalies = withCaseRefs('claim_anomaly', db.prepare(anomalySql).all(...anomalyParams));
+
+    // Variance kept on report-level lines by the allocation strategy
+    let reportSql = "SELECT * FROM report_variances WHERE status NOT IN ('matched', 'minor_variance')";
+    const reportParams = [];
+
+    if (priority === 'true') {
+      reportSql += ' AND is_high_priority = 1';
+    }
+    if (store_id) {
+      reportSql += ' AND store_id = ?';
+      reportParams.push(store_id);
+    }
+    if (from) {
+      reportSql += ' AND reconciliation_date >= ?';
+      reportParams.push(from);
+    }
+    if (to) {
+      reportSql += ' AND reconciliation_date <= ?';
+      reportParams.push(to);
+    }
+    if (min_variance !== undefined && min_variance !== '') {
+      reportSql += ' AND ABS(variance_amount) >= ?';
+      reportParams.push(parseFloat(min_variance));
+    }
+
+    reportSql += ' ORDER BY ABS(variance_amount) DESC';
+
+    const reportLines = withCaseRefs('report_line', db.prepare(reportSql).all(...reportParams));
+
+    res.json({
+      data,
+      count: data.length,
+      deposit_discrepancies: deposits,
+      deposit_count: deposits.length,
+      claim_anomalies: anomalies,
+      claim_anomaly_count: anomalies.length,
+      report_discrepancies: reportLines,
+      report_discrepancy_count: reportLines.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/status
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/status:
+ *   get:
+ *     summary: Per-order reconciliation status list with optional filters
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by reconciliation date (YYYY-MM-DD)
+ *         example: "2024-01-15"
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         example: "CDMX-001"
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [matched, over_collection, under_collection, unaccounted]
+ *           enum: [matched, minor_variance, over_collection, under_collection, unaccounted, cancelled, not_picked_up, double_claimed, report_mismatch]
  *         description: Filter by reconciliation status
  *     responses:
  *       200:
@@ -488,4 +1564,956 @@ router.get('/reconciliation/status', (req, res, next) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/deposits
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/deposits:
+ *   get:
+ *     summary: Per-report collection-to-deposit reconciliation with optional filters
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by report date (YYYY-MM-DD)
+ *         example: "2024-01-15"
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         example: "CDMX-001"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [matched, short_deposit, over_deposit, not_deposited]
+ *     responses:
+ *       200:
+ *         description: Deposit reconciliation records ordered by date desc then store
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       report_id:
+ *                         type: string
+ *                       store_id:
+ *                         type: string
+ *                       reconciliation_date:
+ *                         type: string
+ *                       collected_amount:
+ *                         type: number
+ *                       deposited_amount:
+ *                         type: number
+ *                       variance_amount:
+ *                         type: number
+ *                       variance_pct:
+ *                         type: number
+ *                       deposit_ids:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       status:
+ *                         type: string
+ *                       is_high_priority:
+ *                         type: integer
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/deposits', (req, res, next) => {
+  try {
+    const { date, store_id, status } = req.query;
+
+    let sql = 'SELECT * FROM deposit_reconciliations WHERE 1=1';
+    const params = [];
+
+    if (date) {
+      sql += ' AND reconciliation_date = ?';
+      params.push(date);
+    }
+    if (store_id) {
+      sql += ' AND store_id = ?';
+      params.push(store_id);
+    }
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+
+    sql += ' ORDER BY reconciliation_date DESC, store_id, report_id';
+
+    const data = db.prepare(sql).all(...params).map(parseDepositIds);
+
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/conflicts
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/conflicts:
+ *   get:
+ *     summary: Orders claimed by more than one cash report, with every claim
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-15"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-19"
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         description: Store of the contested order
+ *         example: "CDMX-001"
+ *     responses:
+ *       200:
+ *         description: double_claimed orders ordered by date then store, claims oldest report first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       order_id:
+ *                         type: string
+ *                       store_id:
+ *                         type: string
+ *                       reconciliation_date:
+ *                         type: string
+ *                       expected_amount:
+ *                         type: number
+ *                       claimed_total:
+ *                         type: number
+ *                         description: Sum of every report's claimed amount
+ *                       variance_amount:
+ *                         type: number
+ *                       claims:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             report_id:
+ *                               type: string
+ *                             report_store_id:
+ *                               type: string
+ *                             report_date:
+ *                               type: string
+ *                             submitted_by:
+ *                               type: string
+ *                             claimed_amount:
+ *                               type: number
+ *                             allocation_method:
+ *                               type: string
+ *                               enum: [exact, proportional]
+ *                             days_late:
+ *                               type: integer
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/conflicts', (req, res, next) => {
+  try {
+    const { from, to, store_id } = req.query;
+
+    let sql = "SELECT * FROM reconciliations WHERE status = 'double_claimed'";
+    const params = [];
+
+    if (store_id) {
+      sql += ' AND store_id = ?';
+      params.push(store_id);
+    }
+    if (from) {
+      sql += ' AND reconciliation_date >= ?';
+      params.push(from);
+    }
+    if (to) {
+      sql += ' AND reconciliation_date <= ?';
+      params.push(to);
+    }
+
+    sql += ' ORDER BY reconciliation_date, store_id, order_id';
+
+    const contested = db.prepare(sql).all(...params);
+
+    const claimsStmt = db.prepare(`
+      SELECT report_id, report_store_id, report_date, submitted_by,
+             claimed_amount, allocation_method, days_late
+      FROM conflicting_claims
+      WHERE order_id = ? AND reconciliation_date = ?
+      ORDER BY report_date, report_id
+    `);
+
+    const data = contested.map(r => ({
+      order_id: r.order_id,
+      store_id: r.store_id,
+      reconciliation_date: r.reconciliation_date,
+      expected_amount: r.expected_amount,
+      claimed_total: r.actual_amount,
+      variance_amount: r.variance_amount,
+      claims: claimsStmt.all(r.order_id, r.reconciliation_date),
+    }));
+
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/dirty
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * /api/reconciliation/dirty:
+ *   get:
+ *     summary: Store-days whose source data changed since they were last reconciled
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *         example: "CDMX-001"
+ *     responses:
+ *       200:
+ *         description: Store-days waiting for re-reconciliation, oldest date first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       marked_at:
+ *                         type: string
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/dirty', (req, res, next) => {
+  try {
+    const { store_id } = req.query;
+
+    let sql = 'SELECT * FROM dirty_store_days';
+    const params = [];
+
+    if (store_id) {
+      sql += ' WHERE store_id = ?';
+      params.push(store_id);
+    }
+
+    sql += ' ORDER BY date, store_id';
+
+    const data = db.prepare(sql).all(...params);
+
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/reconciliation/runs
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         triggered_by:
+ *           type: string
+ *           description: X-User of the request, or "system"
+ *         trigger:
+ *           type: string
+ *           enum: [api, batch, ingest, rollback, system]
+ *         params:
+ *           type: object
+ *           description: Dates, store and options the run was asked for
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed, cancelled]
+ *         started_at:
+ *           type: string
+ *         finished_at:
+ *           type: string
+ *           nullable: true
+ *         store_day_count:
+ *           type: integer
+ *         total_orders:
+ *           type: integer
+ *         status_counts:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *         total_expected:
+ *           type: number
+ *         total_actual:
+ *           type: number
+ *         total_variance:
+ *           type: number
+ *         high_priority_count:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         history_pruned:
+ *           type: boolean
+ *           description: >
+ *             The run's order rows were dropped from the history under
+ *             RUN_HISTORY_RETENTION; its totals remain, but its records and
+ *             diffs are gone (410)
+ */
+
+/**
+ * @swagger
+ * /api/reconciliation/runs:
+ *   get:
+ *     summary: Reconciliation runs, newest first
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: triggered_by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed, cancelled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Started on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Started on or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Runs with their totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationRun'
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/runs', (req, res, next) => {
+  try {
+    const { triggered_by, status, from, to } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ success: false, error: '"limit" must be a positive integer' });
+    }
+
+    const data = listRuns({ triggered_by, status, from, to, limit });
+
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+function prunedError(run) {
+  return `The order rows of run "${run.id}" were pruned from the history (RUN_HISTORY_RETENTION)`;
+}
+
+/**
+ * @swagger
+ * /api/reconciliation/runs/diff:
+ *   get:
+ *     summary: Orders whose status or variance changed between two runs
+ *     description: >
+ *       Compares the order rows each run wrote, over the store-days both runs
+ *       reconciled. An order only one run saw shows null on the other side.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: before
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Id of the earlier run
+ *       - in: query
+ *         name: after
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Id of the later run
+ *     responses:
+ *       200:
+ *         description: Changed orders, by order_id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 before:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *                 after:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *                 store_days:
+ *                   type: array
+ *                   description: Store-days both runs reconciled
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       store_id:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                 changed_orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       order_id:
+ *                         type: string
+ *                       store_id:
+ *                         type: string
+ *                       reconciliation_date:
+ *                         type: string
+ *                       before_status:
+ *                         type: string
+ *                         nullable: true
+ *                       after_status:
+ *                         type: string
+ *                         nullable: true
+ *                       before_variance:
+ *                         type: number
+ *                         nullable: true
+ *                       after_variance:
+ *                         type: number
+ *                         nullable: true
+ *                       before_report_id:
+ *                         type: string
+ *                         nullable: true
+ *                       after_report_id:
+ *                         type: string
+ *                         nullable: true
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: before or after missing
+ *       404:
+ *         description: Run not found
+ *       410:
+ *         description: A run's order rows were pruned from the history
+ */
+router.get('/reconciliation/runs/diff', (req, res, next) => {
+  try {
+    const { before, after } = req.query;
+
+    if (!before || !after) {
+      return res.status(400).json({
+        success: false,
+        error: '"before" and "after" run ids are required',
+      });
+    }
+
+    const beforeRun = getRun(before);
+    const afterRun = getRun(after);
+    const missing = !beforeRun ? before : !afterRun ? after : null;
+    if (missing) {
+      return res.status(404).json({ success: false, error: `Reconciliation run "${missing}" not found` });
+    }
+    const pruned = [beforeRun, afterRun].find(run => run.history_pruned);
+    if (pruned) {
+      return res.status(410).json({ success: false, error: prunedError(pruned) });
+    }
+
+    const { store_days, changed_orders } = diffRuns(before, after);
+
+    res.json({
+      before: beforeRun,
+      after: afterRun,
+      store_days,
+      changed_orders,
+      count: changed_orders.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/runs/{id}:
+ *   get:
+ *     summary: One reconciliation run
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Run detail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *       404:
+ *         description: Run not found
+ */
+router.get('/reconciliation/runs/:id', (req, res, next) => {
+  try {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: `Reconciliation run "${req.params.id}" not found` });
+    }
+    res.json({ data: run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/runs/{id}/records:
+ *   get:
+ *     summary: The order rows of the store-days a run reconciled, as they were then
+ *     description: >
+ *       The history keeps only the rows that changed, so each order is shown
+ *       with the latest row up to this run; an unchanged row carries the
+ *       run_id of the run that last changed it.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reconciliation rows ordered by date, store and order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 count:
+ *                   type: integer
+ *       404:
+ *         description: Run not found
+ *       410:
+ *         description: The run's order rows were pruned from the history
+ */
+router.get('/reconciliation/runs/:id/records', (req, res, next) => {
+  try {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: `Reconciliation run "${req.params.id}" not found` });
+    }
+    if (run.history_pruned) {
+      return res.status(410).json({ success: false, error: prunedError(run) });
+    }
+    const { store_id, date } = req.query;
+    const data = runRecords(req.params.id, { store_id, date });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Reconciliation jobs
+// ---------------------------------------------------------------------------
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         triggered_by:
+ *           type: string
+ *           description: X-User of the request that queued it
+ *         trigger:
+ *           type: string
+ *           enum: [api, batch]
+ *           description: POST /api/reconcile or POST /api/reconcile/batch
+ *         params:
+ *           type: object
+ *           description: The reconcile request's parameters
+ *         store_id:
+ *           type: string
+ *           nullable: true
+ *           description: Store the job covers (null = every store)
+ *         from_date:
+ *           type: string
+ *           nullable: true
+ *           description: First date the job covers (null = every date)
+ *         to_date:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         cancel_requested:
+ *           type: boolean
+ *           description: A running job stops before its next day
+ *         steps_total:
+ *           type: integer
+ *           nullable: true
+ *           description: >
+ *             Reconcile steps, known once the job starts: one per date
+ *             (split by store around closed periods), or one per pending
+ *             store-day in incremental mode
+ *         steps_done:
+ *           type: integer
+ *         percent_done:
+ *           type: integer
+ *           nullable: true
+ *         run_id:
+ *           type: string
+ *           nullable: true
+ *           description: The reconciliation run recording the job's work
+ *         summary:
+ *           type: object
+ *           nullable: true
+ *           description: See GET /api/reconciliation/jobs/{id}/summary
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *         started_at:
+ *           type: string
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           nullable: true
+ *   responses:
+ *     ReconciliationJobAccepted:
+ *       description: >
+ *         Queued as a job (async requests). It starts straight away unless a
+ *         job over an overlapping store and date range is running or queued
+ *         before it, in which case it waits for that job to finish.
+ *       headers:
+ *         Location:
+ *           schema:
+ *             type: string
+ *           description: URL of the job
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *               message:
+ *                 type: string
+ *               job_id:
+ *                 type: string
+ *               data:
+ *                 $ref: '#/components/schemas/ReconciliationJob'
+ */
+
+/**
+ * @swagger
+ * /api/reconciliation/jobs:
+ *   get:
+ *     summary: Reconciliation jobs, newest first
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: triggered_by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Jobs with their progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationJob'
+ *                 count:
+ *                   type: integer
+ */
+router.get('/reconciliation/jobs', (req, res, next) => {
+  try {
+    const { status, triggered_by } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ success: false, error: '"limit" must be a positive integer' });
+    }
+
+    const data = listJobs({ status, triggered_by, limit });
+
+    res.json({ data, count: data.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/jobs/{id}:
+ *   get:
+ *     summary: One reconciliation job and its progress
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job detail, with days done out of days total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationJob'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/reconciliation/jobs/:id', (req, res, next) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Reconciliation job "${req.params.id}" not found` });
+    }
+    res.json({ data: job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/jobs/{id}/summary:
+ *   get:
+ *     summary: What a finished reconciliation job did
+ *     description: >
+ *       The totals of the job's run over the days it reconciled — all of them,
+ *       or those before it was cancelled — with the store-days left alone. The
+ *       order rows are at GET /api/reconciliation/runs/{run_id}/records. A
+ *       failed job has no totals, only its error.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job_id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [completed, failed, cancelled]
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *                     run_id:
+ *                       type: string
+ *                       nullable: true
+ *                     reconciled:
+ *                       type: integer
+ *                       description: Order records written
+ *                     store_day_count:
+ *                       type: integer
+ *                     status_counts:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                     total_expected:
+ *                       type: number
+ *                     total_actual:
+ *                       type: number
+ *                     total_variance:
+ *                       type: number
+ *                     high_priority_count:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                       description: Store-days left alone as up to date (incremental mode only)
+ *                     locked_store_days:
+ *                       type: array
+ *                       description: Store-days skipped because their period is closed
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           store_id:
+ *                             type: string
+ *                           date:
+ *                             type: string
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job is still queued or running
+ */
+router.get('/reconciliation/jobs/:id/summary', (req, res, next) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Reconciliation job "${req.params.id}" not found` });
+    }
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: `Job "${job.id}" is still ${job.status} (${job.steps_done}/${job.steps_total ?? '?'} steps done)`,
+      });
+    }
+    res.json({
+      data: {
+        job_id: job.id, status: job.status, error: job.error, run_id: job.run_id, ...job.summary,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a reconciliation job
+ *     description: >
+ *       A queued job is cancelled straight away. A running job stops before
+ *       its next day: the days it finished stay reconciled and its run is
+ *       marked cancelled with their totals.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled, or asked to stop (cancel_requested)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationJob'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job already finished
+ */
+router.post('/reconciliation/jobs/:id/cancel', (req, res, next) => {
+  try {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Reconciliation job "${req.params.id}" not found` });
+    }
+    res.json({ success: true, data: job });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
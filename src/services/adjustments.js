@@ -0,0 +1,231 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, cachedStatement } from '../db/index.js';
+import { markStoreDaysDirty } from './storeDays.js';
+
+export const ADJUSTMENT_TARGETS = ['order', 'store_day'];
+export const ADJUSTMENT_STATUSES = ['active', 'voided'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function adjustmentError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Active adjustments of one date, optionally one store, for reconcileDate
+ * and previews. An order's adjustments follow the order: they count on its
+ * current pickup day, even when a correction moved it after they were made.
+ *
+ * @param {string} date
+ * @param {string} [store_id]
+ * @returns {Array<object>} - adjustments rows, store_id and adjustment_date as of now
+ */
+export function loadAdjustments(date, store_id) {
+  let sql = `
+    SELECT a.*, COALESCE(o.store_id, a.store_id) AS store_id,
+           COALESCE(o.pickup_date, a.adjustment_date) AS adjustment_date
+    FROM adjustments a
+    LEFT JOIN orders o ON a.target_type = 'order' AND o.order_id = a.order_id
+    WHERE a.status = 'active' AND COALESCE(o.pickup_date, a.adjustment_date) = ?
+  `;
+  const params = [date];
+  if (store_id) {
+    sql += ' AND COALESCE(o.store_id, a.store_id) = ?';
+    params.push(store_id);
+  }
+  return cachedStatement(`${sql} ORDER BY a.created_at, a.rowid`).all(...params);
+}
+
+/**
+ * Sum adjustments per order and per store-day.
+ *
+ * @param {Array<object>} adjustments - adjustments rows (see loadAdjustments)
+ * @returns {{ byOrder: Map<string, number>, byStore: Map<string, number> }}
+ *          - order_id → sum of its order adjustments; store_id → sum of
+ *            every adjustment of the store-day, order ones included
+ */
+export function sumAdjustments(adjustments) {
+  const byOrder = new Map();
+  const byStore = new Map();
+  for (const adj of adjustments) {
+    if (adj.target_type === 'order') {
+      byOrder.set(adj.order_id, (byOrder.get(adj.order_id) ?? 0) + adj.amount);
+    }
+    byStore.set(adj.store_id, (byStore.get(adj.store_id) ?? 0) + adj.amount);
+  }
+  return { byOrder, byStore };
+}
+
+/**
+ * Record an adjustment: a signed amount finance knows to add to what was
+ * collected for an order or a store-day — a refund paid out of the drawer
+ * (positive), cash found after the report was sent (negative), and so on.
+ * It is applied from the next reconciliation of its store-day, which is
+ * marked dirty here; a store-day in a closed period is refused with 409.
+ *
+ * @param {object} input
+ * @param {string} input.target_type - order | store_day
+ * @param {string} [input.order_id]  - For order adjustments
+ * @param {string} [input.store_id]  - For store-day adjustments
+ * @param {string} [input.date]      - For store-day adjustments (YYYY-MM-DD)
+ * @param {number} input.amount      - Signed, non-zero
+ * @param {string} input.reason
+ * @param {string} input.approved_by - Someone other than the caller
+ * @param {string} actor
+ * @returns {object} - The adjustments row
+ */
+export function createAdjustment(input, actor) {
+  const { target_type, order_id, amount, reason, approved_by } = input;
+
+  if (!ADJUSTMENT_TARGETS.includes(target_type)) {
+    throw adjustmentError(`"target_type" must be one of: ${ADJUSTMENT_TARGETS.join(', ')}`);
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || Math.abs(amount) < 0.005) {
+    throw adjustmentError('"amount" must be a non-zero number');
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw adjustmentError('"reason" is required');
+  }
+  if (typeof approved_by !== 'string' || !approved_by.trim()) {
+    throw adjustmentError('"approved_by" is required');
+  }
+  if (approved_by.trim() === actor) {
+    throw adjustmentError('An adjustment must be approved by someone other than its author');
+  }
+
+  let store_id;
+  let date;
+  if (target_type === 'order') {
+    if (!order_id) throw adjustmentError('"order_id" is required for order adjustments');
+    const order = db.prepare('SELECT store_id, pickup_date FROM orders WHERE order_id = ?').get(order_id);
+    if (!order) throw adjustmentError(`Order "${order_id}" not found`);
+    store_id = order.store_id;
+    date = order.pickup_date;
+  } else {
+    if (order_id) throw adjustmentError('"order_id" is only set on order adjustments');
+    if (!input.store_id || !DATE_RE.test(input.date ?? '')) {
+      throw adjustmentError('"store_id" and "date" (YYYY-MM-DD) are required for store-day adjustments');
+    }
+    store_id = input.store_id;
+    date = input.date;
+  }
+
+  const adjustment = {
+    id: uuidv4(),
+    target_type,
+    order_id: target_type === 'order' ? order_id : null,
+    store_id,
+    adjustment_date: date,
+    amount: Math.round(amount * 100) / 100,
+    reason: reason.trim(),
+    approved_by: approved_by.trim(),
+    created_by: actor,
+    created_at: new Date().toISOString(),
+  };
+
+  db.transaction(() => {
+    markStoreDaysDirty([{ store_id, date }], 'adjustment');
+    db.prepare(`
+      INSERT INTO adjustments
+        (id, target_type, order_id, store_id, adjustment_date, amount, reason,
+         approved_by, created_by, created_at, status)
+      VALUES
+        (@id, @target_type, @order_id, @store_id, @adjustment_date, @amount, @reason,
+         @approved_by, @created_by, @created_at, 'active')
+    `).run(adjustment);
+  })();
+
+  return getAdjustment(adjustment.id);
+}
+
+/**
+ * Void an adjustment. The row is kept, with who voided it and why; the
+ * store-day is marked dirty so the next reconciliation drops it.
+ *
+ * @param {string} id
+ * @param {object} input
+ * @param {string} input.reason - Required
+ * @param {string} actor
+ * @returns {object|null} - The adjustment, null when there is no such adjustment
+ */
+export function voidAdjustment(id, { reason }, actor) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw adjustmentError('"reason" is required to void an adjustment');
+  }
+  const adjustment = getAdjustment(id);
+  if (!adjustment) return null;
+  if (adjustment.status !== 'active') {
+    throw adjustmentError(`Adjustment "${id}" was already voided`, 409);
+  }
+
+  // An order adjustment counts on the order's current day (see loadAdjustments)
+  const order = adjustment.order_id
+    ? db.prepare('SELECT store_id, pickup_date FROM orders WHERE order_id = ?').get(adjustment.order_id)
+    : null;
+  const storeDay = order
+    ? { store_id: order.store_id, date: order.pickup_date }
+    : { store_id: adjustment.store_id, date: adjustment.adjustment_date };
+
+  db.transaction(() => {
+    markStoreDaysDirty([storeDay], 'adjustment');
+    db.prepare(`
+      UPDATE adjustments
+      SET status = 'voided', voided_by = ?, voided_at = ?, void_reason = ?
+      WHERE id = ?
+    `).run(actor, new Date().toISOString(), reason.trim(), id);
+  })();
+  return getAdjustment(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getAdjustment(id) {
+  return db.prepare('SELECT * FROM adjustments WHERE id = ?').get(id);
+}
+
+/**
+ * Adjustments, newest first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.target_type]
+ * @param {string} [filters.order_id]
+ * @param {string} [filters.store_id]
+ * @param {string} [filters.from]   - adjustment_date on or after
+ * @param {string} [filters.to]     - adjustment_date on or before
+ * @param {string} [filters.status] - active | voided
+ * @returns {Array<object>}
+ */
+export function listAdjustments({ target_type, order_id, store_id, from, to, status } = {}) {
+  let sql = 'SELECT * FROM adjustments WHERE 1=1';
+  const params = [];
+
+  if (target_type) {
+    sql += ' AND target_type = ?';
+    params.push(target_type);
+  }
+  if (order_id) {
+    sql += ' AND order_id = ?';
+    params.push(order_id);
+  }
+  if (store_id) {
+    sql += ' AND store_id = ?';
+    params.push(store_id);
+  }
+  if (from) {
+    sql += ' AND adjustment_date >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND adjustment_date <= ?';
+    params.push(to);
+  }
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+
+  sql += ' ORDER BY created_at DESC, rowid DESC';
+  return db.prepare(sql).all(...params);
+}
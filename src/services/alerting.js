@@ -1,4 +1,5 @@
 import { db } from '../db/index.js';
+import { loadPriorityRules, evaluatePriority } from './priorityRules.js';
 
 /**
  * Returns all high-priority reconciliation rows (is_high_priority = 1).
@@ -33,14 +34,16 @@ export function getHighPriorityAlerts({ from, to, store_id } = {}) {
 }
 
 /**
- * Determines whether a variance qualifies as high-priority.
- * High-priority when the absolute variance amount exceeds 100 MXN
- * OR the absolute variance percentage exceeds 10%.
+ * Determines whether a variance qualifies as high-priority under the stored
+ * priority rules (see evaluatePriority). The row's store, region and
+ * currency pick which rules apply; without them only global rules do.
  *
  * @param {number|null} varianceAmount - Variance in currency units (may be null)
  * @param {number|null} variancePct    - Variance as a percentage (may be null)
+ * @param {object} [row]               - { store_id, region, currency } of the variance
  * @returns {boolean}
  */
-export function isHighPriority(varianceAmount, variancePct) {
-  return Math.abs(varianceAmount ?? 0) > 100 || Math.abs(variancePct ?? 0) > 10;
+export function isHighPriority(varianceAmount, variancePct, row = {}) {
+  const priority = loadPriorityRules(row.store_id ? [row.store_id] : []);
+  return evaluatePriority(priority, row, varianceAmount, variancePct).is_high_priority === 1;
 }
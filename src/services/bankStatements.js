@@ -0,0 +1,389 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../db/index.js';
+import { parseMt940 } from './mt940Parser.js';
+import { parseCamt053 } from './camt053Parser.js';
+import { addReportStoreDays, storeDayList, markStoreDaysDirty } from './storeDays.js';
+
+export const STATEMENT_FORMATS = ['mt940', 'camt053'];
+
+// A candidate needs at least this confidence, and a clear lead over the
+// runner-up, to be turned into a deposit without review.
+const AUTO_MATCH_CONFIDENCE = 0.75;
+const AMBIGUITY_MARGIN = 0.1;
+const MAX_CANDIDATES = 3;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Bank narratives drop or change punctuation: "RPT-001" arrives as "RPT001"
+function normalize(text) {
+  return String(text ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the statement format from the file contents: CAMT.053 is XML, MT940
+ * is tagged text starting its statements with :20:.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {'mt940'|'camt053'}
+ */
+export function detectFormat(buffer) {
+  const text = String(buffer).trimStart();
+  if (text.startsWith('<')) return 'camt053';
+  if (/^:20:/m.test(text)) return 'mt940';
+  throw Object.assign(
+    new Error('Unrecognized bank statement format. Expected MT940 or CAMT.053'),
+    { status: 400 }
+  );
+}
+
+/**
+ * @param {Buffer|string} buffer
+ * @param {'mt940'|'camt053'} format
+ * @returns {Array<object>} - Bank transactions (see mt940Parser)
+ */
+export function parseStatement(buffer, format) {
+  return format === 'camt053' ? parseCamt053(buffer) : parseMt940(buffer);
+}
+
+/**
+ * Score one cash report as the source of a bank credit.
+ *
+ *   amount     0.5 exact · 0.3 within 1% · 0.1 within 5%
+ *   date       up to 0.2, decreasing as the deposit lags the report
+ *   reference  0.3 when the narrative names the report · 0.1 when it names the store
+ *
+ * @returns {object|null} - Candidate with its confidence and reasons, or null
+ *                          when neither amount nor reference point at the report
+ */
+function scoreCandidate(transaction, report, windowDays) {
+  const reasons = [];
+  const diff = Math.abs(transaction.amount - report.total_collected);
+  const pct = report.total_collected > 0 ? diff / report.total_collected : Infinity;
+
+  let amountScore = 0;
+  if (diff < 0.005) {
+    amountScore = 0.5;
+    reasons.push('exact amount');
+  } else if (pct <= 0.01) {
+    amountScore = 0.3;
+    reasons.push('amount within 1%');
+  } else if (pct <= 0.05) {
+    amountScore = 0.1;
+    reasons.push('amount within 5%');
+  }
+
+  const text = normalize(`${transaction.reference ?? ''} ${transaction.description ?? ''}`);
+  let referenceScore = 0;
+  if (text.includes(normalize(report.report_id))) {
+    referenceScore = 0.3;
+    reasons.push('report id in reference');
+  } else if (text.includes(normalize(report.store_id))) {
+    referenceScore = 0.1;
+    reasons.push('store id in reference');
+  }
+
+  if (amountScore === 0 && referenceScore < 0.3) return null;
+
+  const lag = daysBetween(report.report_date, transaction.booking_date);
+  const dateScore = 0.2 * (1 - lag / (windowDays + 1));
+  reasons.push(lag === 0 ? 'deposited same day' : `deposited ${lag} day(s) after report`);
+
+  return {
+    report_id: report.report_id,
+    store_id: report.store_id,
+    report_date: report.report_date,
+    total_collected: report.total_collected,
+    confidence: round2(Math.min(1, amountScore + dateScore + referenceScore)),
+    reasons,
+  };
+}
+
+/**
+ * Rank the cash reports that could explain a bank credit: reports dated
+ * within `windowDays` before the booking date that no deposit covers yet.
+ */
+function rankCandidates(transaction, windowDays, claimed) {
+  const reports = db.prepare(`
+    SELECT * FROM cash_reports c
+    WHERE c.report_date BETWEEN ? AND ?
+      AND NOT EXISTS (
+        SELECT 1 FROM deposit_reports dr WHERE dr.report_id = c.report_id
+      )
+  `).all(shiftDate(transaction.booking_date, -windowDays), transaction.booking_date);
+
+  return reports
+    .filter(r => !claimed.has(r.report_id))
+    .map(r => scoreCandidate(transaction, r, windowDays))
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence || a.report_id.localeCompare(b.report_id))
+    .slice(0, MAX_CANDIDATES);
+}
+
+function createDeposit(transaction, reports) {
+  const depositId = `BANK-${transaction.id}`;
+  db.prepare(`
+    INSERT INTO deposits
+      (id, deposit_id, store_id, deposit_date, amount, bank_reference, report_ids, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(), depositId, reports[0].store_id, transaction.booking_date, transaction.amount,
+    transaction.reference ?? transaction.transaction_key, JSON.stringify(reports.map(r => r.report_id)),
+    new Date().toISOString()
+  );
+  return depositId;
+}
+
+/**
+ * Store the credit lines of a parsed bank statement and try to match each
+ * one to a cash report. A confident, unambiguous match becomes a deposit
+ * (deposit_id `BANK-<transaction id>`) and its report's store-day is marked
+ * for re-reconciliation; other lines wait on the review list with their
+ * ranked candidates. Debit lines are not deposits and are only counted.
+ *
+ * Lines already stored from an earlier upload of the same statement
+ * (same format, account, statement id and line number) are skipped.
+ *
+ * @param {Array<object>} transactions - Output of parseMt940 / parseCamt053
+ * @param {object} source
+ * @param {'mt940'|'camt053'} source.format
+ * @param {string|null} source.file_name
+ * @param {string}      source.uploaded_by
+ * @param {object} opts
+ * @param {number} opts.windowDays - How many days a deposit may lag its report
+ * @returns {object} - Counts, per-line results and affected_store_days
+ */
+export function ingestStatement(transactions, source, { windowDays }) {
+  const now = new Date().toISOString();
+  const counts = { inserted: 0, skipped: 0, debits_ignored: 0, matched: 0, needs_review: 0, unmatched: 0 };
+  const results = [];
+  const affected = new Map();
+  const claimed = new Set();
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO bank_transactions
+      (id, transaction_key, format, file_name, statement_id, account, sequence,
+       booking_date, value_date, amount, currency, reference, description,
+       status, confidence, candidates, report_ids, deposit_id, matched_by, matched_at,
+       uploaded_by, created_at)
+    VALUES
+      (@id, @transaction_key, @format, @file_name, @statement_id, @account, @sequence,
+       @booking_date, @value_date, @amount, @currency, @reference, @description,
+       @status, @confidence, @candidates, @report_ids, @deposit_id, @matched_by, @matched_at,
+       @uploaded_by, @created_at)
+  `);
+  const exists = db.prepare('SELECT 1 FROM bank_transactions WHERE transaction_key = ?');
+
+  const run = db.transaction(() => {
+    for (const t of transactions) {
+      if (t.credit_debit !== 'C') {
+        counts.debits_ignored++;
+        continue;
+      }
+      const key = [source.format, t.account, t.statement_id, t.sequence].join('|');
+      if (exists.get(key)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const row = {
+        ...t,
+        id: uuidv4(),
+        transaction_key: key,
+        format: source.format,
+        file_name: source.file_name ?? null,
+        status: 'unmatched',
+        confidence: null,
+        candidates: '[]',
+        report_ids: null,
+        deposit_id: null,
+        matched_by: null,
+        matched_at: null,
+        uploaded_by: source.uploaded_by,
+        created_at: now,
+      };
+
+      const candidates = rankCandidates(row, windowDays, claimed);
+      const [best, runnerUp] = candidates;
+      row.candidates = JSON.stringify(candidates);
+
+      if (best && best.confidence >= AUTO_MATCH_CONFIDENCE &&
+          (!runnerUp || best.confidence - runnerUp.confidence >= AMBIGUITY_MARGIN)) {
+        row.status = 'matched';
+        row.confidence = best.confidence;
+        row.report_ids = JSON.stringify([best.report_id]);
+        row.deposit_id = createDeposit(row, [best]);
+        row.matched_by = 'auto';
+        row.matched_at = now;
+        claimed.add(best.report_id);
+        addReportStoreDays(affected, [best.report_id]);
+      } else if (best) {
+        row.status = 'needs_review';
+        row.confidence = best.confidence;
+      }
+
+      insertStmt.run(row);
+      counts.inserted++;
+      counts[row.status]++;
+      results.push({
+        transaction_id: row.id,
+        booking_date: row.booking_date,
+        amount: row.amount,
+        reference: row.reference,
+        status: row.status,
+        confidence: row.confidence,
+        report_ids: row.report_ids ? JSON.parse(row.report_ids) : [],
+        deposit_id: row.deposit_id,
+      });
+    }
+
+    markStoreDaysDirty(storeDayList(affected), 'deposit_ingested');
+  });
+
+  run();
+
+  return {
+    ...counts,
+    total: transactions.length,
+    results,
+    affected_store_days: storeDayList(affected),
+  };
+}
+
+function parseTransaction(row) {
+  return {
+    ...row,
+    candidates: JSON.parse(row.candidates),
+    report_ids: row.report_ids ? JSON.parse(row.report_ids) : [],
+  };
+}
+
+/**
+ * Bank credit lines, newest booking date first. By default only the ones
+ * waiting for review (needs_review, unmatched).
+ *
+ * @param {object}  [opts]
+ * @param {string}  [opts.status]  - matched | needs_review | unmatched | dismissed
+ * @param {string}  [opts.account]
+ * @param {string}  [opts.from]
+ * @param {string}  [opts.to]
+ * @returns {Array<object>}
+ */
+export function listBankTransactions({ status, account, from, to } = {}) {
+  let sql = 'SELECT * FROM bank_transactions WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  } else {
+    sql += " AND status IN ('needs_review', 'unmatched')";
+  }
+  if (account) {
+    sql += ' AND account = ?';
+    params.push(account);
+  }
+  if (from) {
+    sql += ' AND booking_date >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND booking_date <= ?';
+    params.push(to);
+  }
+
+  sql += ' ORDER BY booking_date DESC, rowid';
+
+  return db.prepare(sql).all(...params).map(parseTransaction);
+}
+
+function loadOpenTransaction(id) {
+  const row = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(id);
+  if (!row) return null;
+  if (row.status === 'matched' || row.status === 'dismissed') {
+    throw Object.assign(new Error(`Bank transaction "${id}" is already ${row.status}`), { status: 409 });
+  }
+  return row;
+}
+
+/**
+ * Resolve a reviewed line by hand: record it as the deposit of the given
+ * cash reports.
+ *
+ * @param {string} id
+ * @param {object} opts
+ * @param {Array<string>} opts.report_ids
+ * @param {string}        opts.matched_by
+ * @returns {object|null} - Updated transaction plus affected_store_days, or null when not found
+ */
+export function matchTransaction(id, { report_ids, matched_by }) {
+  if (!Array.isArray(report_ids) || report_ids.length === 0) {
+    throw Object.assign(new Error('"report_ids" must be a non-empty array'), { status: 400 });
+  }
+
+  const run = db.transaction(() => {
+    const row = loadOpenTransaction(id);
+    if (!row) return null;
+
+    const reports = db.prepare(`
+      SELECT * FROM cash_reports WHERE report_id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(report_ids));
+    const missing = report_ids.filter(rid => !reports.some(r => r.report_id === rid));
+    if (missing.length > 0) {
+      throw Object.assign(new Error(`Unknown cash report(s): ${missing.join(', ')}`), { status: 400 });
+    }
+
+    const depositId = createDeposit(row, report_ids.map(rid => reports.find(r => r.report_id === rid)));
+    db.prepare(`
+      UPDATE bank_transactions
+      SET status = 'matched', report_ids = ?, deposit_id = ?, matched_by = ?, matched_at = ?
+      WHERE id = ?
+    `).run(JSON.stringify(report_ids), depositId, matched_by, new Date().toISOString(), id);
+
+    const affected = new Map();
+    addReportStoreDays(affected, report_ids);
+    const storeDays = storeDayList(affected);
+    markStoreDaysDirty(storeDays, 'deposit_ingested');
+
+    return {
+      ...parseTransaction(db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(id)),
+      affected_store_days: storeDays,
+    };
+  });
+
+  return run();
+}
+
+/**
+ * Take a line off the review list without creating a deposit (interest,
+ * transfers between own accounts, ...).
+ *
+ * @param {string} id
+ * @param {object} opts
+ * @param {string} opts.dismissed_by
+ * @param {string} [opts.reason]
+ * @returns {object|null} - Updated transaction, or null when not found
+ */
+export function dismissTransaction(id, { dismissed_by, reason }) {
+  const row = loadOpenTransaction(id);
+  if (!row) return null;
+
+  db.prepare(`
+    UPDATE bank_transactions
+    SET status = 'dismissed', matched_by = ?, matched_at = ?, review_note = ?
+    WHERE id = ?
+  `).run(dismissed_by, new Date().toISOString(), reason ?? null, id);
+
+  return parseTransaction(db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(id));
+}
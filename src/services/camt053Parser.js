@@ -0,0 +1,111 @@
+/**
+ * ISO 20022 CAMT.053 (bank to customer statement) parser. Produces the same
+ * bank transaction shape as mt940Parser.
+ *
+ * Only the handful of elements the deposit matcher needs are read, so a
+ * small tag extractor is used instead of a full XML parser. Namespace
+ * prefixes (e.g. <ns2:Ntry>) are accepted.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function statementError(message) {
+  return Object.assign(new Error(`CAMT.053: ${message}`), { status: 400 });
+}
+
+function decode(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name])
+    .trim();
+}
+
+/**
+ * Every element named `tag` directly or indirectly inside `xml`, as
+ * { attrs, body } pairs. Elements of the same name are not expected to nest.
+ */
+function elements(xml, tag) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+  return [...xml.matchAll(re)].map(m => ({ attrs: m[1] ?? '', body: m[2] }));
+}
+
+function first(xml, ...path) {
+  let current = xml;
+  for (const tag of path) {
+    const [found] = elements(current, tag);
+    if (!found) return null;
+    current = found.body;
+  }
+  return decode(current);
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+function entryDate(entry, tag) {
+  const [el] = elements(entry, tag);
+  if (!el) return null;
+  const value = first(el.body, 'Dt') ?? first(el.body, 'DtTm');
+  return value ? value.slice(0, 10) : null;
+}
+
+/**
+ * Parse a CAMT.053 document. Every <Ntry> of every <Stmt> becomes one
+ * transaction. The reference is the bank's AcctSvcrRef (falling back to
+ * NtryRef / EndToEndId); the description joins the unstructured remittance
+ * information and AddtlNtryInf, which is where stores put their report ids.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {Array<object>} - Bank transactions
+ */
+export function parseCamt053(buffer) {
+  const xml = String(buffer);
+  const statements = elements(xml, 'Stmt');
+  if (statements.length === 0) throw statementError('no <Stmt> element found');
+
+  const transactions = [];
+  for (const { body: stmt } of statements) {
+    const statementId = first(stmt, 'Id');
+    const [acct] = elements(stmt, 'Acct');
+    const account = acct
+      ? first(acct.body, 'IBAN') ?? first(acct.body, 'Othr', 'Id')
+      : null;
+
+    elements(stmt, 'Ntry').forEach(({ body: entry }, i) => {
+      const [amt] = elements(entry, 'Amt');
+      const amount = amt ? parseFloat(decode(amt.body)) : NaN;
+      if (isNaN(amount)) throw statementError(`entry ${i + 1} of statement ${statementId}: invalid <Amt>`);
+
+      const indicator = first(entry, 'CdtDbtInd');
+      if (indicator !== 'CRDT' && indicator !== 'DBIT') {
+        throw statementError(`entry ${i + 1} of statement ${statementId}: invalid <CdtDbtInd>`);
+      }
+      const bookingDate = entryDate(entry, 'BookgDt') ?? entryDate(entry, 'ValDt');
+      if (!bookingDate) {
+        throw statementError(`entry ${i + 1} of statement ${statementId}: missing booking date`);
+      }
+
+      const description = [
+        ...elements(entry, 'Ustrd').map(u => decode(u.body)),
+        first(entry, 'AddtlNtryInf'),
+      ].filter(Boolean).join(' ');
+
+      transactions.push({
+        statement_id: statementId,
+        account,
+        sequence: i + 1,
+        booking_date: bookingDate,
+        value_date: entryDate(entry, 'ValDt') ?? bookingDate,
+        amount,
+        currency: attr(amt.attrs, 'Ccy'),
+        credit_debit: indicator === 'CRDT' ? 'C' : 'D',
+        reference: first(entry, 'AcctSvcrRef') ?? first(entry, 'NtryRef') ?? first(entry, 'EndToEndId'),
+        description,
+      });
+    });
+  }
+
+  return transactions;
+}
@@ -0,0 +1,328 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, cachedStatement } from '../db/index.js';
+
+export const CASE_STATUSES = ['open', 'investigating', 'resolved', 'written_off'];
+export const CLOSED_CASE_STATUSES = ['resolved', 'written_off'];
+export const RESOLUTION_CODES = [
+  'data_entry_error',
+  'cash_found',
+  'late_report',
+  'duplicate_report',
+  'bank_timing',
+  'customer_refund',
+  'cash_loss',
+  'other',
+];
+
+// A case follows one discrepancy across re-reconciliations, identified by
+// what it is about rather than by the reconciliation row, whose id changes
+// on every run.
+export const CASE_SOURCES = {
+  order: rec => rec.order_id,
+  deposit: rec => rec.report_id,
+  report_line: rec => rec.report_id,
+  claim_anomaly: rec => `${rec.report_id}|${rec.order_id}`,
+};
+
+const CASE_FIELDS = ['status', 'assignee', 'resolution_code'];
+
+function caseError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Open a case for every high-priority discrepancy among the records of one
+ * reconciled date (optionally one store), and refresh the cases already
+ * open for them. Cases of that date whose discrepancy is no longer flagged
+ * keep their status but get still_flagged = 0. A case is never reopened or
+ * closed here — that is finance's call.
+ *
+ * Runs inside reconcileDate's transaction.
+ *
+ * @param {string} date
+ * @param {string} [store_id]
+ * @param {object} found
+ * @param {Array<object>} [found.order]         - reconciliations records
+ * @param {Array<object>} [found.deposit]       - deposit_reconciliations records
+ * @param {Array<object>} [found.report_line]   - report_variances records
+ * @param {Array<object>} [found.claim_anomaly] - claim_anomalies records
+ * @param {object} ctx
+ * @param {string} ctx.runId
+ * @param {string} ctx.now
+ * @returns {number} - Cases opened
+ */
+export function syncCases(date, store_id, found, { runId, now }) {
+  const unflag = store_id
+    ? cachedStatement('UPDATE discrepancy_cases SET still_flagged = 0 WHERE reconciliation_date = ? AND store_id = ?')
+    : cachedStatement('UPDATE discrepancy_cases SET still_flagged = 0 WHERE reconciliation_date = ?');
+  unflag.run(...(store_id ? [date, store_id] : [date]));
+
+  const findStmt = cachedStatement('SELECT id FROM discrepancy_cases WHERE source_type = ? AND source_key = ?');
+  const refreshStmt = cachedStatement(`
+    UPDATE discrepancy_cases
+    SET store_id = @store_id, reconciliation_date = @reconciliation_date,
+        discrepancy_status = @discrepancy_status, variance_amount = @variance_amount,
+        priority_rule_id = @priority_rule_id, priority_severity = @priority_severity, still_flagged = 1,
+        last_seen_run_id = @run_id, last_seen_at = @now
+    WHERE id = @id
+  `);
+  const insertStmt = cachedStatement(`
+    INSERT INTO discrepancy_cases
+      (id, source_type, source_key, store_id, reconciliation_date, order_id, report_id,
+       discrepancy_status, variance_amount, priority_rule_id, priority_severity, still_flagged, status,
+       opened_at, opened_run_id, last_seen_run_id, last_seen_at, updated_at)
+    VALUES
+      (@id, @source_type, @source_key, @store_id, @reconciliation_date, @order_id, @report_id,
+       @discrepancy_status, @variance_amount, @priority_rule_id, @priority_severity, 1, 'open',
+       @now, @run_id, @run_id, @now, @now)
+  `);
+
+  let opened = 0;
+  for (const [sourceType, keyOf] of Object.entries(CASE_SOURCES)) {
+    for (const rec of found[sourceType] ?? []) {
+      if (!rec.is_high_priority) continue;
+      const row = {
+        source_type: sourceType,
+        source_key: keyOf(rec),
+        store_id: rec.store_id,
+        reconciliation_date: rec.reconciliation_date,
+        order_id: rec.order_id ?? null,
+        report_id: rec.report_id ?? null,
+        discrepancy_status: rec.status ?? rec.anomaly_type,
+        variance_amount: rec.variance_amount ?? null,
+        priority_rule_id: rec.priority_rule_id ?? null,
+        priority_severity: rec.priority_severity ?? null,
+        run_id: runId,
+        now,
+      };
+      const existing = findStmt.get(sourceType, row.source_key);
+      if (existing) {
+        refreshStmt.run({ ...row, id: existing.id });
+      } else {
+        insertStmt.run({ ...row, id: uuidv4() });
+        opened++;
+      }
+    }
+  }
+  return opened;
+}
+
+/**
+ * Cases of the given discrepancies, to show next to them.
+ *
+ * @param {string} sourceType    - A key of CASE_SOURCES
+ * @param {Array<object>} records
+ * @returns {Array<object>}      - The records with case_id and case_status (null without a case)
+ */
+export function withCaseRefs(sourceType, records) {
+  if (records.length === 0) return records;
+  const keyOf = CASE_SOURCES[sourceType];
+  const rows = db.prepare(`
+    SELECT source_key, id, status FROM discrepancy_cases
+    WHERE source_type = ? AND source_key IN (SELECT value FROM json_each(?))
+  `).all(sourceType, JSON.stringify(records.map(keyOf)));
+  const byKey = new Map(rows.map(r => [r.source_key, r]));
+  return records.map((rec) => {
+    const found = byKey.get(keyOf(rec));
+    return { ...rec, case_id: found?.id ?? null, case_status: found?.status ?? null };
+  });
+}
+
+/**
+ * Cases, most recently opened first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.assignee]
+ * @param {string} [filters.store_id]
+ * @param {string} [filters.source_type]
+ * @param {string} [filters.from]          - reconciliation_date on or after
+ * @param {string} [filters.to]            - reconciliation_date on or before
+ * @param {string} [filters.still_flagged] - "true" / "false"
+ * @returns {Array<object>}
+ */
+export function listCases({ status, assignee, store_id, source_type, from, to, still_flagged } = {}) {
+  let sql = 'SELECT * FROM discrepancy_cases WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  if (assignee) {
+    sql += ' AND assignee = ?';
+    params.push(assignee);
+  }
+  if (store_id) {
+    sql += ' AND store_id = ?';
+    params.push(store_id);
+  }
+  if (source_type) {
+    sql += ' AND source_type = ?';
+    params.push(source_type);
+  }
+  if (from) {
+    sql += ' AND reconciliation_date >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND reconciliation_date <= ?';
+    params.push(to);
+  }
+  if (still_flagged === 'true' || still_flagged === 'false') {
+    sql += ' AND still_flagged = ?';
+    params.push(still_flagged === 'true' ? 1 : 0);
+  }
+
+  sql += ' ORDER BY opened_at DESC, reconciliation_date DESC, store_id, source_key';
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * A case with its notes, attachments and change history.
+ *
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getCase(id) {
+  const row = db.prepare('SELECT * FROM discrepancy_cases WHERE id = ?').get(id);
+  if (!row) return null;
+  return {
+    ...row,
+    notes: db.prepare('SELECT * FROM case_notes WHERE case_id = ? ORDER BY created_at, rowid').all(id),
+    attachments: db.prepare('SELECT * FROM case_attachments WHERE case_id = ? ORDER BY uploaded_at, rowid').all(id),
+    history: db.prepare('SELECT * FROM case_history WHERE case_id = ? ORDER BY changed_at, rowid').all(id)
+      .map(h => ({ ...h, changes: JSON.parse(h.changes) })),
+  };
+}
+
+/**
+ * Change a case's status, assignee or resolution code; fields left out keep
+ * their value. Resolving or writing off needs a resolution code; moving a
+ * closed case back to open or investigating clears it. Every change is kept
+ * in case_history.
+ *
+ * @param {string} id
+ * @param {object} input - Request body
+ * @param {string} actor
+ * @returns {object|null} - The case (see getCase), null when there is no such case
+ */
+export function updateCase(id, input, actor) {
+  const existing = db.prepare('SELECT * FROM discrepancy_cases WHERE id = ?').get(id);
+  if (!existing) return null;
+
+  const next = {};
+  for (const field of CASE_FIELDS) next[field] = field in input ? input[field] : existing[field];
+
+  if (!CASE_STATUSES.includes(next.status)) {
+    throw caseError(`"status" must be one of: ${CASE_STATUSES.join(', ')}`);
+  }
+  if (next.assignee !== null && (typeof next.assignee !== 'string' || !next.assignee.trim())) {
+    throw caseError('"assignee" must be a non-empty string or null');
+  }
+  const closing = CLOSED_CASE_STATUSES.includes(next.status);
+  if (closing) {
+    if (!RESOLUTION_CODES.includes(next.resolution_code)) {
+      throw caseError(`"resolution_code" must be one of: ${RESOLUTION_CODES.join(', ')} to close a case`);
+    }
+  } else if ('resolution_code' in input && input.resolution_code !== null) {
+    throw caseError('"resolution_code" is only set when a case is resolved or written off');
+  } else {
+    next.resolution_code = null;
+  }
+
+  const changes = {};
+  for (const field of CASE_FIELDS) {
+    if (next[field] !== existing[field]) changes[field] = { from: existing[field], to: next[field] };
+  }
+  if (Object.keys(changes).length === 0) return getCase(id);
+
+  const now = new Date().toISOString();
+  const wasClosed = CLOSED_CASE_STATUSES.includes(existing.status);
+  let closedAt = existing.closed_at;
+  let closedBy = existing.closed_by;
+  if (closing && (!wasClosed || changes.status)) {
+    closedAt = now;
+    closedBy = actor;
+  } else if (!closing) {
+    closedAt = null;
+    closedBy = null;
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE discrepancy_cases
+      SET status = @status, assignee = @assignee, resolution_code = @resolution_code,
+          closed_at = @closed_at, closed_by = @closed_by, updated_at = @now, updated_by = @actor
+      WHERE id = @id
+    `).run({ ...next, closed_at: closedAt, closed_by: closedBy, now, actor, id });
+    db.prepare(`
+      INSERT INTO case_history (id, case_id, changes, changed_by, changed_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(uuidv4(), id, JSON.stringify(changes), actor, now);
+  })();
+
+  return getCase(id);
+}
+
+/**
+ * @param {string} id
+ * @param {object} input
+ * @param {string} input.body
+ * @param {string} actor
+ * @returns {object|null} - The note, null when there is no such case
+ */
+export function addCaseNote(id, { body }, actor) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw caseError('"body" is required');
+  }
+  if (!db.prepare('SELECT 1 FROM discrepancy_cases WHERE id = ?').get(id)) return null;
+
+  const note = { id: uuidv4(), case_id: id, author: actor, body: body.trim(), created_at: new Date().toISOString() };
+  db.prepare(`
+    INSERT INTO case_notes (id, case_id, author, body, created_at)
+    VALUES (@id, @case_id, @author, @body, @created_at)
+  `).run(note);
+  return note;
+}
+
+/**
+ * Record an attachment's metadata. The file itself lives wherever `url`
+ * points; nothing is uploaded here.
+ *
+ * @param {string} id
+ * @param {object} input
+ * @param {string} input.file_name
+ * @param {string} [input.content_type]
+ * @param {number} [input.size_bytes]
+ * @param {string} [input.url]
+ * @param {string} actor
+ * @returns {object|null} - The attachment, null when there is no such case
+ */
+export function addCaseAttachment(id, { file_name, content_type, size_bytes, url }, actor) {
+  if (typeof file_name !== 'string' || !file_name.trim()) {
+    throw caseError('"file_name" is required');
+  }
+  if (size_bytes !== undefined && size_bytes !== null && (!Number.isInteger(size_bytes) || size_bytes < 0)) {
+    throw caseError('"size_bytes" must be a non-negative integer');
+  }
+  if (!db.prepare('SELECT 1 FROM discrepancy_cases WHERE id = ?').get(id)) return null;
+
+  const attachment = {
+    id: uuidv4(),
+    case_id: id,
+    file_name: file_name.trim(),
+    content_type: content_type ?? null,
+    size_bytes: size_bytes ?? null,
+    url: url ?? null,
+    uploaded_by: actor,
+    uploaded_at: new Date().toISOString(),
+  };
+  db.prepare(`
+    INSERT INTO case_attachments
+      (id, case_id, file_name, content_type, size_bytes, url, uploaded_by, uploaded_at)
+    VALUES
+      (@id, @case_id, @file_name, @content_type, @size_bytes, @url, @uploaded_by, @uploaded_at)
+  `).run(attachment);
+  return attachment;
+}
@@ -9,6 +9,27 @@ const REPORT_REQUIRED_COLUMNS = [
   'report_id', 'store_id', 'report_date', 'total_collected', 'order_ids', 'submitted_by',
 ];
 
+// Line-item cash reports: one row per collected order instead of one per report
+const LINE_ITEM_REQUIRED_COLUMNS = [
+  'report_id', 'store_id', 'report_date', 'order_id', 'amount_collected', 'submitted_by',
+];
+
+const LINE_ITEM_JSON_REQUIRED = ['report_id', 'store_id', 'report_date', 'line_items', 'submitted_by'];
+
+const DEPOSIT_REQUIRED_COLUMNS = [
+  'deposit_id', 'store_id', 'deposit_date', 'amount', 'bank_reference', 'report_ids',
+];
+
+const ORDER_EVENT_REQUIRED_COLUMNS = ['event_id', 'order_id', 'event_type', 'event_date'];
+
+export const ORDER_EVENT_TYPES = ['cancelled', 'refunded', 'picked_up', 'no_show', 'partial_pickup'];
+
+// Event types that carry an amount: the amount actually picked up and paid,
+// or the amount refunded (omitted = the whole order)
+const AMOUNT_EVENT_TYPES = ['partial_pickup', 'refunded'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
 function parseCsv(buffer) {
   return parse(buffer, {
     columns: true,
@@ -30,66 +51,673 @@ function validateColumns(records, required) {
   }
 }
 
-export function parseOrdersCsv(buffer) {
-  const records = parseCsv(buffer);
-  validateColumns(records, ORDER_REQUIRED_COLUMNS);
+function validateArray(records) {
+  if (!Array.isArray(records)) {
+    throw Object.assign(new Error('JSON body must be an array of records'), { status: 400 });
+  }
+  if (records.length === 0) throw Object.assign(new Error('No records provided'), { status: 400 });
+}
 
-  return records.map((row, i) => {
-    const amount = parseFloat(row.expected_amount);
-    if (isNaN(amount) || amount < 0) {
-      throw Object.assign(
-        new Error(`Row ${i + 2}: invalid expected_amount "${row.expected_amount}"`),
-        { status: 400 }
-      );
+// CSV cells are always strings; JSON values may be numbers or arrays.
+function str(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function toAmount(value) {
+  return typeof value === 'number' ? value : parseFloat(value);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * JSON payloads have no header row, so every record is checked for the
+ * required fields on its own. CSV rows always carry every column once the
+ * header has been validated.
+ */
+function missingFieldIssues(row, required) {
+  return required
+    .filter(c => row[c] === undefined || row[c] === null)
+    .map(c => ({ column: c, value: null, reason: `${c} is required` }));
+}
+
+function dateIssue(row, column) {
+  const value = str(row[column]);
+  return ISO_DATE.test(value)
+    ? null
+    : { column, value: row[column], reason: `invalid ${column} "${row[column]}" (expected YYYY-MM-DD)` };
+}
+
+/**
+ * Check one order record. Returns the normalized row, or the list of issues
+ * that made it unusable.
+ */
+function checkOrder(row) {
+  const issues = [];
+  const amount = toAmount(row.expected_amount);
+  if (isNaN(amount) || amount < 0) {
+    issues.push({
+      column: 'expected_amount',
+      value: row.expected_amount,
+      reason: `invalid expected_amount "${row.expected_amount}"`,
+    });
+  }
+  if (!str(row.order_id)) {
+    issues.push({ column: 'order_id', value: row.order_id, reason: 'order_id is required' });
+  }
+  if (!str(row.store_id)) {
+    issues.push({ column: 'store_id', value: row.store_id, reason: 'store_id is required' });
+  }
+  for (const column of ['order_date', 'pickup_date']) {
+    const issue = dateIssue(row, column);
+    if (issue) issues.push(issue);
+  }
+  if (issues.length > 0) return { issues };
+
+  return {
+    value: {
+      order_id: str(row.order_id),
+      store_id: str(row.store_id),
+      region: str(row.region).toLowerCase(),
+      customer_id: str(row.customer_id),
+      customer_name: str(row.customer_name),
+      order_date: str(row.order_date),
+      pickup_date: str(row.pickup_date),
+      expected_amount: amount,
+      currency: (str(row.currency) || 'MXN').toUpperCase(),
+      payment_method: str(row.payment_method),
+    },
+  };
+}
+
+function parseIdList(raw) {
+  // order_ids / report_ids can be a quoted CSV list, a JSON array string or (JSON bodies) a real array
+  if (Array.isArray(raw)) return raw.map(str).filter(Boolean);
+  const text = str(raw);
+  if (text.startsWith('[')) {
+    const ids = JSON.parse(text);
+    if (!Array.isArray(ids)) throw new Error('not an array');
+    return ids.map(str).filter(Boolean);
+  }
+  return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the `line_items` of a JSON cash report into order_id → amount.
+ * Returns the issues instead when any item is unusable.
+ */
+function parseLineItems(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { issues: [{ column: 'line_items', value: raw, reason: 'line_items must be a non-empty array' }] };
+  }
+  const amounts = {};
+  const issues = [];
+  raw.forEach((item, i) => {
+    const orderId = str(item?.order_id);
+    const amount = toAmount(item?.amount_collected);
+    if (!orderId) {
+      issues.push({ column: 'line_items', value: item, reason: `line_items[${i}]: order_id is required` });
+    } else if (isNaN(amount) || amount < 0) {
+      issues.push({
+        column: 'line_items',
+        value: item,
+        reason: `line_items[${i}]: invalid amount_collected "${item.amount_collected}"`,
+      });
+    } else if (orderId in amounts) {
+      issues.push({ column: 'line_items', value: item, reason: `line_items[${i}]: duplicate order_id "${orderId}"` });
+    } else {
+      amounts[orderId] = amount;
     }
-    if (!row.order_id?.trim()) {
-      throw Object.assign(new Error(`Row ${i + 2}: order_id is required`), { status: 400 });
+  });
+  return issues.length > 0 ? { issues } : { amounts };
+}
+
+/**
+ * Check one cash report record. Returns the normalized row, or the list of
+ * issues that made it unusable.
+ *
+ * A record carrying `line_items` (JSON only) reports the amount collected per
+ * order: `order_ids` defaults to the line item orders and `total_collected`
+ * to their sum. Orders listed in `order_ids` without a line item share what
+ * is left of the total proportionally.
+ */
+function checkCashReport(row) {
+  const issues = [];
+
+  let orderAmounts = null;
+  if (row.line_items !== undefined) {
+    const items = parseLineItems(row.line_items);
+    if (items.issues) issues.push(...items.issues);
+    else orderAmounts = items.amounts;
+  }
+
+  const itemsTotal = orderAmounts
+    ? round2(Object.values(orderAmounts).reduce((sum, a) => sum + a, 0))
+    : null;
+  const total = row.total_collected === undefined && itemsTotal !== null
+    ? itemsTotal
+    : toAmount(row.total_collected);
+  if (isNaN(total) || total < 0) {
+    issues.push({
+      column: 'total_collected',
+      value: row.total_collected,
+      reason: `invalid total_collected "${row.total_collected}"`,
+    });
+  }
+  if (!str(row.report_id)) {
+    issues.push({ column: 'report_id', value: row.report_id, reason: 'report_id is required' });
+  }
+  if (!str(row.store_id)) {
+    issues.push({ column: 'store_id', value: row.store_id, reason: 'store_id is required' });
+  }
+  const issue = dateIssue(row, 'report_date');
+  if (issue) issues.push(issue);
+
+  let orderIds = [];
+  try {
+    if (row.order_ids !== undefined) orderIds = parseIdList(row.order_ids);
+  } catch {
+    issues.push({ column: 'order_ids', value: row.order_ids, reason: `invalid order_ids "${row.order_ids}"` });
+  }
+  if (issues.length > 0) return { issues };
+
+  if (orderAmounts) {
+    for (const id of Object.keys(orderAmounts)) {
+      if (!orderIds.includes(id)) orderIds.push(id);
     }
-    return {
-      order_id: row.order_id.trim(),
-      store_id: row.store_id.trim(),
-      region: row.region.trim().toLowerCase(),
-      customer_id: row.customer_id.trim(),
-      customer_name: row.customer_name.trim(),
-      order_date: row.order_date.trim(),
-      pickup_date: row.pickup_date.trim(),
-      expected_amount: amount,
-      currency: (row.currency || 'MXN').trim().toUpperCase(),
-      payment_method: row.payment_method.trim(),
-    };
+  }
+
+  return {
+    value: {
+      report_id: str(row.report_id),
+      store_id: str(row.store_id),
+      report_date: str(row.report_date),
+      total_collected: total,
+      order_ids: orderIds,
+      submitted_by: str(row.submitted_by),
+      order_amounts: orderAmounts,
+    },
+  };
+}
+
+/**
+ * Check one row of a line-item cash report CSV on its own. The rows are
+ * grouped into reports afterwards by groupLineItems.
+ */
+function checkLineItem(row) {
+  const issues = [];
+  const amount = toAmount(row.amount_collected);
+  if (isNaN(amount) || amount < 0) {
+    issues.push({
+      column: 'amount_collected',
+      value: row.amount_collected,
+      reason: `invalid amount_collected "${row.amount_collected}"`,
+    });
+  }
+  for (const column of ['report_id', 'store_id', 'order_id']) {
+    if (!str(row[column])) issues.push({ column, value: row[column], reason: `${column} is required` });
+  }
+  const issue = dateIssue(row, 'report_date');
+  if (issue) issues.push(issue);
+  if (issues.length > 0) return { issues };
+
+  return {
+    value: {
+      report_id: str(row.report_id),
+      store_id: str(row.store_id),
+      report_date: str(row.report_date),
+      order_id: str(row.order_id),
+      amount_collected: amount,
+      submitted_by: str(row.submitted_by),
+    },
+  };
+}
+
+/**
+ * Fold validated line-item rows into one cash report per report_id. A
+ * report is only accepted when every one of its lines is valid and they
+ * agree on store, date and submitter — otherwise all of its lines are
+ * rejected, since a report missing some of its orders would reconcile as
+ * short.
+ */
+function groupLineItems(records) {
+  const groups = new Map(); // report_id → [{ row, record, result }]
+  const rejected = [];
+
+  records.forEach((record, i) => {
+    const row = csvRow(i);
+    const result = checkLineItem(record);
+    const key = str(record.report_id);
+    if (!key) {
+      rejected.push({ row, record, errors: result.issues.map(issue => ({ row, ...issue })) });
+      return;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, record, result });
   });
+
+  const rows = [];
+  for (const [reportId, lines] of groups) {
+    const first = lines.find(l => l.result.value)?.result.value;
+    const seen = new Set();
+    for (const line of lines) {
+      const { value } = line.result;
+      if (!value) continue;
+      const issues = [];
+      for (const column of ['store_id', 'report_date', 'submitted_by']) {
+        if (value[column] !== first[column]) {
+          issues.push({
+            column,
+            value: value[column],
+            reason: `${column} "${value[column]}" differs from earlier lines of report ${reportId}`,
+          });
+        }
+      }
+      if (seen.has(value.order_id)) {
+        issues.push({
+          column: 'order_id',
+          value: value.order_id,
+          reason: `order_id "${value.order_id}" appears twice in report ${reportId}`,
+        });
+      }
+      seen.add(value.order_id);
+      if (issues.length > 0) line.result = { issues };
+    }
+
+    if (lines.some(l => l.result.issues)) {
+      for (const { row, record, result } of lines) {
+        const issues = result.issues ?? [{
+          column: null,
+          value: null,
+          reason: `report ${reportId} has invalid lines`,
+        }];
+        rejected.push({ row, record, errors: issues.map(issue => ({ row, ...issue })) });
+      }
+      continue;
+    }
+
+    const values = lines.map(l => l.result.value);
+    const orderAmounts = Object.fromEntries(values.map(v => [v.order_id, v.amount_collected]));
+    rows.push({
+      report_id: reportId,
+      store_id: first.store_id,
+      report_date: first.report_date,
+      total_collected: round2(values.reduce((sum, v) => sum + v.amount_collected, 0)),
+      order_ids: values.map(v => v.order_id),
+      submitted_by: first.submitted_by,
+      order_amounts: orderAmounts,
+    });
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+  return { rows, rejected };
 }
 
-export function parseCashReportsCsv(buffer) {
-  const records = parseCsv(buffer);
-  validateColumns(records, REPORT_REQUIRED_COLUMNS);
+/**
+ * Check one bank deposit slip. Returns the normalized row, or the list of
+ * issues that made it unusable.
+ */
+function checkDeposit(row) {
+  const issues = [];
+  const amount = toAmount(row.amount);
+  if (isNaN(amount) || amount < 0) {
+    issues.push({ column: 'amount', value: row.amount, reason: `invalid amount "${row.amount}"` });
+  }
+  for (const column of ['deposit_id', 'store_id', 'bank_reference']) {
+    if (!str(row[column])) issues.push({ column, value: row[column], reason: `${column} is required` });
+  }
+  const issue = dateIssue(row, 'deposit_date');
+  if (issue) issues.push(issue);
 
-  return records.map((row, i) => {
-    const total = parseFloat(row.total_collected);
-    if (isNaN(total) || total < 0) {
-      throw Object.assign(
-        new Error(`Row ${i + 2}: invalid total_collected "${row.total_collected}"`),
-        { status: 400 }
-      );
+  let reportIds = [];
+  try {
+    reportIds = parseIdList(row.report_ids);
+  } catch {
+    issues.push({ column: 'report_ids', value: row.report_ids, reason: `invalid report_ids "${row.report_ids}"` });
+  }
+  if (reportIds.length === 0 && !issues.some(i => i.column === 'report_ids')) {
+    issues.push({ column: 'report_ids', value: row.report_ids, reason: 'report_ids must list at least one report' });
+  }
+  if (issues.length > 0) return { issues };
+
+  return {
+    value: {
+      deposit_id: str(row.deposit_id),
+      store_id: str(row.store_id),
+      deposit_date: str(row.deposit_date),
+      amount,
+      bank_reference: str(row.bank_reference),
+      report_ids: reportIds,
+    },
+  };
+}
+
+/**
+ * Run `check` over every record and split the result into accepted rows and
+ * rejected ones. Each rejected entry keeps the raw record so it can be
+ * written back out for correction.
+ *
+ * @returns {{ rows: Array<object>, rejected: Array<{row: number, record: object, errors: Array<object>}> }}
+ */
+/**
+ * Check one order lifecycle event. `amount` is required for partial_pickup,
+ * optional for refunded and not accepted for the other event types.
+ */
+function checkOrderEvent(row) {
+  const issues = [];
+  for (const column of ['event_id', 'order_id']) {
+    if (!str(row[column])) issues.push({ column, value: row[column], reason: `${column} is required` });
+  }
+  const type = str(row.event_type).toLowerCase();
+  if (!ORDER_EVENT_TYPES.includes(type)) {
+    issues.push({
+      column: 'event_type',
+      value: row.event_type,
+      reason: `invalid event_type "${row.event_type}" (expected one of: ${ORDER_EVENT_TYPES.join(', ')})`,
+    });
+  }
+  const issue = dateIssue(row, 'event_date');
+  if (issue) issues.push(issue);
+
+  let amount = null;
+  if (str(row.amount)) {
+    amount = toAmount(row.amount);
+    if (isNaN(amount) || amount < 0) {
+      issues.push({ column: 'amount', value: row.amount, reason: `invalid amount "${row.amount}"` });
+    } else if (ORDER_EVENT_TYPES.includes(type) && !AMOUNT_EVENT_TYPES.includes(type)) {
+      issues.push({ column: 'amount', value: row.amount, reason: `${type} events do not take an amount` });
     }
-    if (!row.report_id?.trim()) {
-      throw Object.assign(new Error(`Row ${i + 2}: report_id is required`), { status: 400 });
+  } else if (type === 'partial_pickup') {
+    issues.push({ column: 'amount', value: row.amount, reason: 'partial_pickup events require the amount picked up' });
+  }
+  if (issues.length > 0) return { issues };
+
+  return {
+    value: {
+      event_id: str(row.event_id),
+      order_id: str(row.order_id),
+      event_type: type,
+      event_date: str(row.event_date),
+      amount,
+      note: str(row.note) || null,
+    },
+  };
+}
+
+function validateAll(records, check, required, rowNumber) {
+  const rows = [];
+  const rejected = [];
+
+  records.forEach((record, i) => {
+    const row = rowNumber(i);
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      rejected.push({
+        row,
+        record: {},
+        errors: [{ row, column: null, value: record, reason: 'expected an object' }],
+      });
+      return;
     }
-    // order_ids can be a quoted CSV list or JSON array
-    let orderIds;
-    const raw = row.order_ids.trim();
-    if (raw.startsWith('[')) {
-      orderIds = JSON.parse(raw);
+    const fields = typeof required === 'function' ? required(record) : required;
+    const missing = fields ? missingFieldIssues(record, fields) : [];
+    const result = missing.length > 0 ? { issues: missing } : check(record);
+    if (result.issues) {
+      rejected.push({ row, record, errors: result.issues.map(issue => ({ row, ...issue })) });
     } else {
-      orderIds = raw.split(',').map(s => s.trim()).filter(Boolean);
+      rows.push(result.value);
+    }
+  });
+
+  return { rows, rejected };
+}
+
+/**
+ * Strict mode: a single bad record rejects the whole payload.
+ */
+function strict({ rows, rejected }, label) {
+  if (rejected.length > 0) {
+    const [first] = rejected[0].errors;
+    throw Object.assign(new Error(`${label} ${first.row}: ${first.reason}`), { status: 400 });
+  }
+  return rows;
+}
+
+const csvRow = i => i + 2; // header is row 1
+const jsonRecord = i => i + 1;
+
+const reportJsonRequired = record => (
+  record.line_items === undefined ? REPORT_REQUIRED_COLUMNS : LINE_ITEM_JSON_REQUIRED
+);
+
+/**
+ * Validate every row of an orders CSV without stopping at the first bad one.
+ * Header problems (empty file, missing columns) still throw.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateOrdersCsv(buffer) {
+  const records = parseCsv(buffer);
+  validateColumns(records, ORDER_REQUIRED_COLUMNS);
+  return validateAll(records, checkOrder, null, csvRow);
+}
+
+/**
+ * Validate every row of a cash reports CSV without stopping at the first bad
+ * one. Header problems (empty file, missing columns) still throw.
+ *
+ * A file with `order_id` and `amount_collected` columns (and no `order_ids`)
+ * is read as the line-item format: one row per collected order, grouped into
+ * reports by report_id.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateCashReportsCsv(buffer) {
+  const records = parseCsv(buffer);
+  const headers = Object.keys(records[0] ?? {});
+  if (headers.includes('amount_collected') && !headers.includes('order_ids')) {
+    validateColumns(records, LINE_ITEM_REQUIRED_COLUMNS);
+    return groupLineItems(records);
+  }
+  validateColumns(records, REPORT_REQUIRED_COLUMNS);
+  return validateAll(records, checkCashReport, null, csvRow);
+}
+
+/**
+ * Validate an array of order objects received as JSON or NDJSON.
+ *
+ * @param {Array<object>} records
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateOrdersJson(records) {
+  validateArray(records);
+  return validateAll(records, checkOrder, ORDER_REQUIRED_COLUMNS, jsonRecord);
+}
+
+/**
+ * Validate an array of cash report objects received as JSON or NDJSON.
+ *
+ * @param {Array<object>} records
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateCashReportsJson(records) {
+  validateArray(records);
+  return validateAll(records, checkCashReport, reportJsonRequired, jsonRecord);
+}
+
+/**
+ * Validate every row of a bank deposits CSV without stopping at the first
+ * bad one. Header problems (empty file, missing columns) still throw.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateDepositsCsv(buffer) {
+  const records = parseCsv(buffer);
+  validateColumns(records, DEPOSIT_REQUIRED_COLUMNS);
+  return validateAll(records, checkDeposit, null, csvRow);
+}
+
+/**
+ * Validate an array of bank deposit objects received as JSON or NDJSON.
+ *
+ * @param {Array<object>} records
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateDepositsJson(records) {
+  validateArray(records);
+  return validateAll(records, checkDeposit, DEPOSIT_REQUIRED_COLUMNS, jsonRecord);
+}
+
+/**
+ * Validate every row of an order events CSV without stopping at the first
+ * bad one. Header problems (empty file, missing columns) still throw.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateOrderEventsCsv(buffer) {
+  const records = parseCsv(buffer);
+  validateColumns(records, ORDER_EVENT_REQUIRED_COLUMNS);
+  return validateAll(records, checkOrderEvent, null, csvRow);
+}
+
+/**
+ * Validate an array of order event objects received as JSON or NDJSON.
+ *
+ * @param {Array<object>} records
+ * @returns {{ rows: Array<object>, rejected: Array<object> }}
+ */
+export function validateOrderEventsJson(records) {
+  validateArray(records);
+  return validateAll(records, checkOrderEvent, ORDER_EVENT_REQUIRED_COLUMNS, jsonRecord);
+}
+
+export function parseOrdersCsv(buffer) {
+  return strict(validateOrdersCsv(buffer), 'Row');
+}
+
+export function parseCashReportsCsv(buffer) {
+  return strict(validateCashReportsCsv(buffer), 'Row');
+}
+
+/**
+ * Validate and normalize an array of order objects received as JSON or
+ * NDJSON. Produces the same row shape as parseOrdersCsv.
+ *
+ * @param {Array<object>} records
+ * @returns {Array<object>}
+ */
+export function parseOrdersJson(records) {
+  return strict(validateOrdersJson(records), 'Record');
+}
+
+/**
+ * Validate and normalize an array of cash report objects received as JSON or
+ * NDJSON. `order_ids` may be an array or a comma-separated string; a record
+ * may carry `line_items` ([{ order_id, amount_collected }]) instead.
+ *
+ * @param {Array<object>} records
+ * @returns {Array<object>}
+ */
+export function parseCashReportsJson(records) {
+  return strict(validateCashReportsJson(records), 'Record');
+}
+
+export function parseDepositsCsv(buffer) {
+  return strict(validateDepositsCsv(buffer), 'Row');
+}
+
+/**
+ * Validate and normalize an array of bank deposit objects received as JSON
+ * or NDJSON. `report_ids` may be an array or a comma-separated string.
+ *
+ * @param {Array<object>} records
+ * @returns {Array<object>}
+ */
+export function parseDepositsJson(records) {
+  return strict(validateDepositsJson(records), 'Record');
+}
+
+export function parseOrderEventsCsv(buffer) {
+  return strict(validateOrderEventsCsv(buffer), 'Row');
+}
+
+/**
+ * Validate and normalize an array of order lifecycle events received as
+ * JSON or NDJSON. Produces the same row shape as parseOrderEventsCsv.
+ *
+ * @param {Array<object>} records
+ * @returns {Array<object>}
+ */
+export function parseOrderEventsJson(records) {
+  return strict(validateOrderEventsJson(records), 'Record');
+}
+
+/**
+ * Split a newline-delimited JSON document into an array of values.
+ * Blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+export function parseNdjson(text) {
+  const records = [];
+  String(text ?? '').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      throw Object.assign(new Error(`Line ${i + 1}: invalid JSON`), { status: 400 });
     }
-    return {
-      report_id: row.report_id.trim(),
-      store_id: row.store_id.trim(),
-      report_date: row.report_date.trim(),
-      total_collected: total,
-      order_ids: orderIds,
-      submitted_by: row.submitted_by.trim(),
-    };
   });
+  return records;
+}
+
+function csvCell(value) {
+  let text;
+  if (Array.isArray(value)) {
+    text = value.some(v => typeof v === 'object') ? JSON.stringify(value) : value.join(',');
+  } else {
+    text = str(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rejected records back to CSV so a store can fix and re-upload
+ * them. Keeps the original columns and appends `source_row` and
+ * `rejection_reason`, which the parsers ignore on re-upload.
+ *
+ * @param {Array<{row: number, record: object, errors: Array<object>}>} rejected
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @returns {string}
+ */
+export function rejectedRowsToCsv(rejected, entity) {
+  let base = {
+    orders: ORDER_REQUIRED_COLUMNS,
+    cash_reports: REPORT_REQUIRED_COLUMNS,
+    deposits: DEPOSIT_REQUIRED_COLUMNS,
+    order_events: [...ORDER_EVENT_REQUIRED_COLUMNS, 'amount', 'note'],
+  }[entity];
+  if (entity === 'cash_reports' && rejected.some(r => 'amount_collected' in r.record)) {
+    base = LINE_ITEM_REQUIRED_COLUMNS;
+  }
+  const extra = [];
+  for (const { record } of rejected) {
+    for (const key of Object.keys(record)) {
+      if (!base.includes(key) && !extra.includes(key)) extra.push(key);
+    }
+  }
+  const columns = [...base, ...extra, 'source_row', 'rejection_reason'];
+
+  const lines = rejected.map(({ row, record, errors }) => columns.map((col) => {
+    if (col === 'source_row') return String(row);
+    if (col === 'rejection_reason') return csvCell(errors.map(e => e.reason).join('; '));
+    return csvCell(record[col]);
+  }).join(','));
+
+  return [columns.join(','), ...lines].join('\n') + '\n';
 }
@@ -0,0 +1,14 @@
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a request value is a real calendar date as YYYY-MM-DD: the range
+ * loops step through dates, so "2024-02-30" must not reach them.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isDate(value) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
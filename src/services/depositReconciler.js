@@ -0,0 +1,173 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, cachedStatement } from '../db/index.js';
+import { evaluatePriority, DEFAULT_PRIORITY } from './priorityRules.js';
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function parseIds(json) {
+  try {
+    const ids = JSON.parse(json);
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * total_collected of every cash report the given deposits cover. Needed to
+ * split a deposit that covers several reports, some of which may belong to
+ * other store-days.
+ *
+ * @param {Array<object>} deposits - deposits rows (report_ids is a JSON string)
+ * @returns {Map<string, number>}  - report_id → total_collected
+ */
+export function loadReportTotals(deposits) {
+  const ids = [...new Set(deposits.flatMap(d => parseIds(d.report_ids)))];
+  if (ids.length === 0) return new Map();
+  const rows = cachedStatement(`
+    SELECT report_id, total_collected FROM cash_reports
+    WHERE report_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(ids));
+  return new Map(rows.map(r => [r.report_id, r.total_collected]));
+}
+
+/**
+ * Load the deposits that cover any of `reports`, whatever their deposit
+ * date, together with the collected totals needed to split them.
+ *
+ * @param {Array<object>} reports - cash_reports rows of one store-day
+ * @returns {{ deposits: Array<object>, collected: Map<string, number> }}
+ */
+export function loadDepositInputs(reports) {
+  if (reports.length === 0) return { deposits: [], collected: new Map() };
+  const deposits = cachedStatement(`
+    SELECT DISTINCT d.* FROM deposit_reports dr
+    JOIN deposits d ON d.deposit_id = dr.deposit_id
+    WHERE dr.report_id IN (SELECT value FROM json_each(?))
+    ORDER BY d.deposit_date, d.deposit_id
+  `).all(JSON.stringify(reports.map(r => r.report_id)));
+  return { deposits, collected: loadReportTotals(deposits) };
+}
+
+/**
+ * Second reconciliation stage: compare what each cash report says was
+ * collected with what reached the bank. Pure, like computeReconciliation.
+ *
+ * Algorithm
+ * ---------
+ * 1. Split every deposit across the reports it covers, proportionally to
+ *    their total_collected (evenly when none of them collected anything).
+ *    Covered report_ids that are not stored get no share.
+ * 2. For each report:
+ *    a. No deposit covers it → deposited = 0; status = "not_deposited"
+ *       (or "matched" when nothing was collected)
+ *    b. Otherwise deposited = sum of its shares
+ *       · variance_amount = deposited - collected
+ *       · status: 0 → matched, <0 → short_deposit, >0 → over_deposit
+ * 3. is_high_priority = a priority rule fires for the variance (see
+ *    evaluatePriority), recorded in priority_rule_id / priority_severity
+ *
+ * @param {string} date                    - ISO date string YYYY-MM-DD
+ * @param {Array<object>} reports          - cash_reports rows to reconcile
+ * @param {Array<object>} deposits         - deposits covering any of them
+ * @param {Map<string, number>} collected  - total_collected of every covered report
+ * @param {string} [now]                   - Timestamp stamped on every record
+ * @param {object} [opts]
+ * @param {object} [opts.priority=DEFAULT_PRIORITY] - Priority rules (see loadPriorityRules)
+ * @returns {Array<object>}                - deposit_reconciliations record objects
+ */
+export function computeDepositReconciliation(
+  date, reports, deposits, collected, now = new Date().toISOString(),
+  { priority = DEFAULT_PRIORITY } = {}
+) {
+  /** @type {Map<string, number>} report_id → deposited share */
+  const deposited = new Map();
+  /** @type {Map<string, string[]>} report_id → deposit_ids */
+  const depositIds = new Map();
+
+  for (const deposit of deposits) {
+    const covered = parseIds(deposit.report_ids).filter(id => collected.has(id));
+    const sum = covered.reduce((acc, id) => acc + collected.get(id), 0);
+    for (const id of covered) {
+      const share = sum > 0
+        ? (collected.get(id) / sum) * deposit.amount
+        : deposit.amount / covered.length;
+      deposited.set(id, (deposited.get(id) ?? 0) + share);
+      if (!depositIds.has(id)) depositIds.set(id, []);
+      depositIds.get(id).push(deposit.deposit_id);
+    }
+  }
+
+  return reports.map((report) => {
+    const collectedAmount = round2(report.total_collected);
+    const ids = depositIds.get(report.report_id) ?? [];
+    const depositedAmount = round2(deposited.get(report.report_id) ?? 0);
+
+    let varianceAmount = round2(depositedAmount - collectedAmount);
+    let variancePct = collectedAmount !== 0
+      ? round2((varianceAmount / collectedAmount) * 100)
+      : 0;
+
+    let status;
+    if (Math.abs(varianceAmount) < 0.005) {
+      varianceAmount = 0;
+      variancePct = 0;
+      status = 'matched';
+    } else if (ids.length === 0) {
+      status = 'not_deposited';
+    } else if (varianceAmount < 0) {
+      status = 'short_deposit';
+    } else {
+      status = 'over_deposit';
+    }
+
+    const flag = evaluatePriority(priority, report, varianceAmount, variancePct);
+
+    return {
+      id: uuidv4(),
+      report_id: report.report_id,
+      store_id: report.store_id,
+      reconciliation_date: date,
+      collected_amount: collectedAmount,
+      deposited_amount: depositedAmount,
+      variance_amount: varianceAmount,
+      variance_pct: variancePct,
+      deposit_ids: JSON.stringify(ids),
+      status,
+      ...flag,
+      reconciled_at: now,
+    };
+  });
+}
+
+/**
+ * Status counts and money totals for a set of deposit reconciliation
+ * records.
+ *
+ * @param {Array<object>} records
+ * @returns {object}
+ */
+export function summarizeDepositRecords(records) {
+  const status_counts = {};
+  let totalCollected = 0;
+  let totalDeposited = 0;
+  let highPriority = 0;
+
+  for (const r of records) {
+    status_counts[r.status] = (status_counts[r.status] ?? 0) + 1;
+    totalCollected += r.collected_amount;
+    totalDeposited += r.deposited_amount;
+    highPriority += r.is_high_priority;
+  }
+
+  return {
+    total_reports: records.length,
+    status_counts,
+    total_collected: round2(totalCollected),
+    total_deposited: round2(totalDeposited),
+    deposit_variance: round2(totalDeposited - totalCollected),
+    high_priority_count: highPriority,
+  };
+}
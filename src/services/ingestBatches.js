@@ -0,0 +1,323 @@
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../db/index.js';
+import { ingestOrders, ingestCashReports, ingestDeposits, ingestOrderEvents } from './ingestion.js';
+import {
+  addStoreDay,
+  addReportStoreDays,
+  addOrderStoreDays,
+  addClaimingReportStoreDays,
+  storeDayList,
+  markStoreDaysDirty,
+} from './storeDays.js';
+import { reconcileStoreDays } from './reconciler.js';
+import { assertNoJobOverStoreDays } from './reconciliationJobs.js';
+
+// `addStoreDays` records the store-days a row is reconciled on;
+// `reconRefs` lists the [table, column] reconciliation rows that point back at it;
+// `dependents` lists the rows loaded or entered against it that must go first.
+const ENTITIES = {
+  orders: {
+    ingest: ingestOrders,
+    table: 'orders',
+    key: 'order_id',
+    addStoreDays: (map, row) => {
+      addStoreDay(map, row.store_id, row.pickup_date);
+      addClaimingReportStoreDays(map, [row.order_id]);
+    },
+    reconRefs: [['reconciliations', 'order_id'], ['conflicting_claims', 'order_id']],
+    dependents: [
+      {
+        sql: 'SELECT batch_id FROM order_events WHERE order_id = ? LIMIT 1',
+        refusal: (recordId, row) => `${recordId} has order events; roll back batch "${row.batch_id}" first`,
+      },
+      {
+        sql: "SELECT id FROM adjustments WHERE order_id = ? AND status = 'active' LIMIT 1",
+        refusal: (recordId, row) => `${recordId} has active adjustment "${row.id}"; void it first`,
+      },
+    ],
+  },
+  cash_reports: {
+    ingest: ingestCashReports,
+    table: 'cash_reports',
+    key: 'report_id',
+    addStoreDays: (map, row) => {
+      addStoreDay(map, row.store_id, row.report_date);
+      addOrderStoreDays(map, JSON.parse(row.order_ids));
+    },
+    reconRefs: [
+      ['reconciliations', 'report_id'],
+      ['deposit_reconciliations', 'report_id'],
+      ['conflicting_claims', 'report_id'],
+      ['claim_anomalies', 'report_id'],
+      ['report_variances', 'report_id'],
+    ],
+  },
+  deposits: {
+    ingest: ingestDeposits,
+    table: 'deposits',
+    key: 'deposit_id',
+    addStoreDays: (map, row) => addReportStoreDays(map, JSON.parse(row.report_ids)),
+    // Deposits have no reconciliation rows of their own; the reports they
+    // covered are re-reconciled through the dirty flag.
+    reconRefs: [],
+  },
+  order_events: {
+    ingest: ingestOrderEvents,
+    table: 'order_events',
+    key: 'event_id',
+    addStoreDays: (map, row) => addOrderStoreDays(map, [row.order_id]),
+    // Reconciliation rows belong to the order; it is re-reconciled without the event
+    reconRefs: [],
+  },
+};
+
+/**
+ * sha256 of an uploaded payload, used to spot the same file being loaded
+ * twice.
+ *
+ * @param {Buffer|string} payload
+ * @returns {string}
+ */
+export function checksum(payload) {
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Ingest `rows` as one tracked batch. The batch record, the inserted rows
+ * (tagged with batch_id) and any corrections are written in a single
+ * transaction.
+ *
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @param {Array<object>} rows - Normalized rows from the parser
+ * @param {object} source
+ * @param {string}      source.source_type  - csv | json | ndjson
+ * @param {string|null} source.file_name
+ * @param {string}      source.checksum
+ * @param {string}      source.uploaded_by
+ * @param {number}      [source.rejected=0]    - Rows rejected by partial-mode validation
+ * @param {string|null} [source.rejection_id]
+ * @param {object} [opts] - Passed through to ingestOrders / ingestCashReports / ingestDeposits /
+ *                          ingestOrderEvents
+ * @returns {object} - Ingest result plus `batch_id` and `duplicate_of`
+ */
+export function ingestBatch(entity, rows, source, opts = {}) {
+  const { ingest } = ENTITIES[entity];
+  const batchId = uuidv4();
+  const now = new Date().toISOString();
+
+  const run = db.transaction(() => {
+    const previous = db.prepare(`
+      SELECT id FROM ingest_batches
+      WHERE entity = ? AND checksum = ? AND status = 'completed'
+      ORDER BY created_at DESC LIMIT 1
+    `).get(entity, source.checksum);
+
+    db.prepare(`
+      INSERT INTO ingest_batches
+        (id, entity, source_type, file_name, checksum, uploaded_by, rejected, rejection_id,
+         status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'completed', ?)
+    `).run(
+      batchId, entity, source.source_type, source.file_name ?? null, source.checksum,
+      source.uploaded_by, source.rejected ?? 0, source.rejection_id ?? null, now
+    );
+
+    const result = ingest(rows, { ...opts, batchId });
+
+    db.prepare(`
+      UPDATE ingest_batches
+      SET total_rows = ?, inserted = ?, skipped = ?, updated = ?
+      WHERE id = ?
+    `).run(
+      result.total + (source.rejected ?? 0), result.inserted, result.skipped, result.updated,
+      batchId
+    );
+
+    return { ...result, batch_id: batchId, duplicate_of: previous?.id ?? null };
+  });
+
+  return run();
+}
+
+/**
+ * @param {object}  [opts]
+ * @param {string}  [opts.entity]
+ * @param {string}  [opts.status]
+ * @param {string}  [opts.uploaded_by]
+ * @returns {Array<object>} - Batches, newest first
+ */
+export function listBatches({ entity, status, uploaded_by } = {}) {
+  let sql = 'SELECT * FROM ingest_batches WHERE 1=1';
+  const params = [];
+
+  if (entity) {
+    sql += ' AND entity = ?';
+    params.push(entity);
+  }
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  if (uploaded_by) {
+    sql += ' AND uploaded_by = ?';
+    params.push(uploaded_by);
+  }
+
+  sql += ' ORDER BY created_at DESC, rowid DESC';
+
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * A batch with the ids of the rows it created and the corrections it applied.
+ *
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getBatch(id) {
+  const batch = db.prepare('SELECT * FROM ingest_batches WHERE id = ?').get(id);
+  if (!batch) return null;
+
+  const { table, key } = ENTITIES[batch.entity];
+  const created = db
+    .prepare(`SELECT ${key} FROM ${table} WHERE batch_id = ? ORDER BY ${key}`)
+    .all(id)
+    .map(r => r[key]);
+  const corrections = db.prepare(`
+    SELECT record_id, changes, corrected_at FROM correction_history
+    WHERE batch_id = ? ORDER BY rowid
+  `).all(id).map(c => ({ ...c, changes: JSON.parse(c.changes) }));
+
+  return { ...batch, created_ids: created, corrections };
+}
+
+/**
+ * Undo a batch: delete the rows it created, restore the rows it corrected
+ * to their previous version, and delete the reconciliation rows that were
+ * computed from any of them. The affected store-days are then re-reconciled
+ * from what is left, in the same transaction, so no order, store-day or
+ * double-claim row built from the batch's data outlives it.
+ *
+ * Refused with 409 when the batch was already rolled back, when a later
+ * batch has corrected one of its records (rolling back would silently
+ * discard that later correction), when an order it created has events or
+ * an active adjustment, which would be left pointing at nothing, or when a
+ * running or queued job covers one of the store-days it re-reconciles.
+ *
+ * @param {string} id
+ * @param {object} opts
+ * @param {string} opts.rolled_back_by
+ * @param {string} [opts.reason]
+ * @returns {object|null} - Rollback summary, or null when the batch does not exist
+ */
+export function rollbackBatch(id, { rolled_back_by, reason }) {
+  const batch = db.prepare('SELECT * FROM ingest_batches WHERE id = ?').get(id);
+  if (!batch) return null;
+  if (batch.status === 'rolled_back') {
+    throw Object.assign(new Error(`Batch "${id}" was already rolled back`), { status: 409 });
+  }
+
+  const { table, key, addStoreDays, reconRefs, dependents = [] } = ENTITIES[batch.entity];
+
+  const run = db.transaction(() => {
+    const created = db.prepare(`SELECT * FROM ${table} WHERE batch_id = ?`).all(id);
+    const corrections = db.prepare(`
+      SELECT rowid, * FROM correction_history WHERE batch_id = ? ORDER BY rowid DESC
+    `).all(id);
+
+    const touched = [...new Set([...created.map(r => r[key]), ...corrections.map(c => c.record_id)])];
+    const laterEdit = db.prepare(`
+      SELECT batch_id FROM correction_history
+      WHERE entity = ? AND record_id = ? AND corrected_at >= ?
+        AND (batch_id IS NULL OR batch_id != ?)
+      LIMIT 1
+    `);
+    for (const recordId of touched) {
+      const later = laterEdit.get(batch.entity, recordId, batch.created_at, id);
+      if (later) {
+        throw Object.assign(
+          new Error(`Cannot roll back batch "${id}": ${recordId} was corrected again by batch "${later.batch_id}"`),
+          { status: 409 }
+        );
+      }
+    }
+    for (const { sql, refusal } of dependents) {
+      const dependent = db.prepare(sql);
+      for (const row of created) {
+        const found = dependent.get(row[key]);
+        if (found) {
+          throw Object.assign(
+            new Error(`Cannot roll back batch "${id}": ${refusal(row[key], found)}`),
+            { status: 409 }
+          );
+        }
+      }
+    }
+
+    const affected = new Map();
+    let restored = 0;
+
+    // Newest correction first, so a record corrected twice by the same batch
+    // ends up at its pre-batch version.
+    for (const c of corrections) {
+      const previous = JSON.parse(c.previous_data);
+      const fields = Object.keys(JSON.parse(c.changes));
+      const current = db.prepare(`SELECT * FROM ${table} WHERE ${key} = ?`).get(c.record_id);
+      if (!current) continue;
+      db.prepare(`UPDATE ${table} SET ${fields.map(f => `${f} = @${f}`).join(', ')} WHERE ${key} = @${key}`)
+        .run({ ...previous, [key]: c.record_id });
+      addStoreDays(affected, current);
+      addStoreDays(affected, previous);
+      restored++;
+    }
+    db.prepare('DELETE FROM correction_history WHERE batch_id = ?').run(id);
+
+    for (const row of created) addStoreDays(affected, row);
+
+    // Reconciliation rows keyed on the deleted records
+    const reconDeleted = {
+      reconciliations: 0,
+      deposit_reconciliations: 0,
+      conflicting_claims: 0,
+      claim_anomalies: 0,
+      report_variances: 0,
+    };
+    for (const [reconTable, column] of reconRefs) {
+      const deleteRecon = db.prepare(`DELETE FROM ${reconTable} WHERE ${column} = ?`);
+      for (const row of created) {
+        reconDeleted[reconTable] += deleteRecon.run(row[key]).changes;
+      }
+    }
+
+    const deleted = db.prepare(`DELETE FROM ${table} WHERE batch_id = ?`).run(id).changes;
+
+    const storeDays = storeDayList(affected);
+    // Refuses store-days in a closed period, or that a pending job will
+    // reconcile, before anything is recomputed
+    assertNoJobOverStoreDays(storeDays);
+    markStoreDaysDirty(storeDays, 'batch_rolled_back');
+    const reconciliation = reconcileStoreDays(storeDays, { triggered_by: rolled_back_by, trigger: 'rollback' });
+
+    db.prepare(`
+      UPDATE ingest_batches
+      SET status = 'rolled_back', rolled_back_at = ?, rolled_back_by = ?, rollback_reason = ?
+      WHERE id = ?
+    `).run(new Date().toISOString(), rolled_back_by, reason ?? null, id);
+
+    return {
+      batch_id: id,
+      deleted,
+      restored,
+      reconciliations_deleted: reconDeleted.reconciliations,
+      deposit_reconciliations_deleted: reconDeleted.deposit_reconciliations,
+      conflicting_claims_deleted: reconDeleted.conflicting_claims,
+      claim_anomalies_deleted: reconDeleted.claim_anomalies,
+      report_variances_deleted: reconDeleted.report_variances,
+      affected_store_days: storeDays,
+      reconciliation,
+    };
+  });
+
+  return run();
+}
@@ -0,0 +1,218 @@
+import { db } from '../db/index.js';
+import { classifyRows, toStoredReport, toStoredDeposit } from './ingestion.js';
+import {
+  loadDayInputs,
+  loadContextOrders,
+  loadLateReports,
+  reportAppliesTo,
+  computeReconciliation,
+  summarizeRecords,
+  diffRecords,
+} from './reconciler.js';
+import {
+  loadDepositInputs,
+  loadReportTotals,
+  computeDepositReconciliation,
+  summarizeDepositRecords,
+} from './depositReconciler.js';
+import { loadOrderEvents, applyOrderEvents } from './orderLifecycle.js';
+import {
+  addStoreDay,
+  addReportStoreDays,
+  addOrderStoreDays,
+  addClaimingReportStoreDays,
+  storeDayList,
+} from './storeDays.js';
+import { closedLocksFor } from './periodLocks.js';
+
+/**
+ * Replace or remove the rows an ingestion would write in one store-day's
+ * inputs. A written row that `belongs` elsewhere is dropped from this one.
+ */
+function overlay(existing, writes, key, belongs) {
+  const byKey = new Map(existing.map(r => [r[key], r]));
+  for (const row of writes) {
+    if (belongs(row)) {
+      byKey.set(row[key], row);
+    } else {
+      byKey.delete(row[key]);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Deposits are previewed on the collection-to-deposit stage: for every
+ * store-day whose reports the upload covers, current vs projected deposit
+ * reconciliation.
+ */
+function previewDepositStage(storeDays, writes) {
+  const currentStmt = db.prepare(
+    'SELECT * FROM deposit_reconciliations WHERE reconciliation_date = ? AND store_id = ?'
+  );
+
+  return storeDays.map(({ store_id, date }) => {
+    // Late reports are deposit-reconciled on their own report_date
+    const inputs = loadDayInputs(date, store_id);
+    const reports = inputs.reports.filter(r => r.report_date === date);
+    const reportIds = new Set(reports.map(r => r.report_id));
+    const deposits = overlay(
+      loadDepositInputs(reports).deposits, writes, 'deposit_id',
+      row => JSON.parse(row.report_ids).some(id => reportIds.has(id))
+    );
+
+    const current = currentStmt.all(date, store_id);
+    const projected = computeDepositReconciliation(
+      date, reports, deposits, loadReportTotals(deposits), undefined, { priority: inputs.priority }
+    );
+
+    return {
+      store_id,
+      date,
+      current: summarizeDepositRecords(current),
+      projected: summarizeDepositRecords(projected),
+      changed_reports: diffRecords(current, projected, { key: 'report_id', labels: ['current', 'projected'] }),
+    };
+  });
+}
+
+/**
+ * Orders of one store-day re-annotated with their stored lifecycle events,
+ * overlaid with the events an upload would write.
+ */
+function withProjectedEvents(orders, writes) {
+  const orderIds = new Set(orders.map(o => o.order_id));
+  const stored = [...loadOrderEvents([...orderIds]).values()].flat();
+  const events = overlay(stored, writes, 'event_id', row => orderIds.has(row.order_id));
+
+  const byOrder = new Map();
+  for (const event of events) {
+    if (!byOrder.has(event.order_id)) byOrder.set(event.order_id, []);
+    byOrder.get(event.order_id).push(event);
+  }
+  return applyOrderEvents(orders, byOrder);
+}
+
+/**
+ * Dry run of an ingestion: classify the rows against what is stored and
+ * re-run the reconciler in memory for every store-day the upload would
+ * touch. Nothing is written to SQLite.
+ *
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @param {Array<object>} rows - Normalized rows from the parser
+ * @param {object} [opts]
+ * @param {'skip'|'update'} [opts.onDuplicate='skip'] - Whether changed rows would be applied
+ * @returns {object} - Row counts, affected store-days (and those of them in
+ *                     a closed period) and a per store-day current vs
+ *                     projected reconciliation comparison
+ */
+export function previewIngest(entity, rows, { onDuplicate = 'skip' } = {}) {
+  const isOrders = entity === 'orders';
+  const isDeposits = entity === 'deposits';
+  const isEvents = entity === 'order_events';
+  const key = {
+    orders: 'order_id', cash_reports: 'report_id', deposits: 'deposit_id', order_events: 'event_id',
+  }[entity];
+  const dateField = isOrders ? 'pickup_date' : 'report_date';
+
+  const classified = classifyRows(entity, rows);
+  const applied = onDuplicate === 'update' ? classified.changed : [];
+
+  // Rows as they would be stored (list columns as JSON strings)
+  const toStored = {
+    orders: row => row,
+    cash_reports: toStoredReport,
+    deposits: toStoredDeposit,
+    order_events: row => row,
+  }[entity];
+  const writes = [...classified.new, ...applied.map(c => c.row)].map(toStored);
+
+  const affected = new Map();
+  if (isDeposits) {
+    for (const row of [...writes, ...applied.map(c => c.existing)]) {
+      addReportStoreDays(affected, JSON.parse(row.report_ids));
+    }
+  } else if (isEvents) {
+    addOrderStoreDays(affected, [...writes, ...applied.map(c => c.existing)].map(row => row.order_id));
+  } else {
+    const touched = [...writes, ...applied.map(c => c.existing)];
+    for (const row of touched) addStoreDay(affected, row.store_id, row[dateField]);
+    // Late reports: the report's day and the pickup days of what it claims move together
+    if (isOrders) {
+      addClaimingReportStoreDays(affected, touched.map(row => row.order_id));
+    } else {
+      for (const row of touched) addOrderStoreDays(affected, JSON.parse(row.order_ids));
+    }
+  }
+  const storeDays = storeDayList(affected);
+
+  const summary = {
+    counts: {
+      total: rows.length,
+      new: classified.new.length,
+      duplicate: classified.duplicate.length,
+      changed: classified.changed.length,
+    },
+    would_insert: classified.new.length,
+    would_update: applied.length,
+    changes: classified.changed.map(({ row, changes }) => ({ [key]: row[key], changes })),
+    affected_store_days: storeDays,
+    // The real upload is refused (409) while any of these stays closed
+    closed_store_days: storeDays.filter(({ store_id, date }) => closedLocksFor(date, date, store_id).length > 0),
+  };
+
+  if (isDeposits) {
+    return { ...summary, reconciliation_preview: previewDepositStage(storeDays, writes) };
+  }
+
+  const currentStmt = db.prepare(
+    'SELECT * FROM reconciliations WHERE reconciliation_date = ? AND store_id = ?'
+  );
+
+  const reconciliation_preview = storeDays.map(({ store_id, date }) => {
+    const inputs = loadDayInputs(date, store_id);
+    let { orders, reports, contextOrders } = inputs;
+    if (isOrders) {
+      const here = row => row.store_id === store_id && row.pickup_date === date;
+      // New or moved orders pick up any events stored for them
+      const overlaid = overlay(orders, writes, key, here);
+      orders = applyOrderEvents(overlaid, loadOrderEvents(overlaid.map(o => o.order_id)));
+      // loadDayInputs found the late reports of the stored orders only; add
+      // those claiming the orders that would land here, and drop the ones
+      // whose orders would move away
+      const orderIds = new Set(orders.map(o => o.order_id));
+      const loaded = new Set(reports.map(r => r.report_id));
+      const late = loadLateReports(date, writes.filter(here).map(row => row.order_id))
+        .filter(r => !loaded.has(r.report_id));
+      reports = [...reports, ...late].filter(r => reportAppliesTo(r, date, store_id, orderIds));
+      const claimed = new Set(reports.flatMap(r => JSON.parse(r.order_ids)));
+      const others = overlay(
+        loadContextOrders(orders, reports), writes, key,
+        row => !here(row) && claimed.has(row.order_id)
+      );
+      contextOrders = applyOrderEvents(others, loadOrderEvents(others.map(o => o.order_id)));
+    } else if (isEvents) {
+      orders = withProjectedEvents(orders, writes);
+      contextOrders = withProjectedEvents(contextOrders, writes);
+    } else {
+      const orderIds = new Set(orders.map(o => o.order_id));
+      reports = overlay(reports, writes, key, row => reportAppliesTo(row, date, store_id, orderIds));
+      contextOrders = loadContextOrders(orders, reports);
+    }
+
+    const current = currentStmt.all(date, store_id);
+    const projected = computeReconciliation(date, orders, reports, undefined, {
+      contextOrders, priority: inputs.priority, adjustments: inputs.adjustments,
+    });
+
+    return {
+      store_id,
+      date,
+      current: summarizeRecords(current),
+      projected: summarizeRecords(projected),
+      changed_orders: diffRecords(current, projected, { labels: ['current', 'projected'] }),
+    };
+  });
+
+  return { ...summary, reconciliation_preview };
+}
@@ -0,0 +1,508 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../db/index.js';
+import { rejectedRowsToCsv } from './csvParser.js';
+import {
+  addStoreDay,
+  addReportStoreDays,
+  addOrderStoreDays,
+  addClaimingReportStoreDays,
+  storeDayList,
+  markStoreDaysDirty,
+} from './storeDays.js';
+
+export const DUPLICATE_MODES = ['skip', 'update'];
+
+const ORDER_FIELDS = [
+  'store_id', 'region', 'customer_id', 'customer_name', 'order_date', 'pickup_date',
+  'expected_amount', 'currency', 'payment_method',
+];
+
+const REPORT_FIELDS = [
+  'store_id', 'report_date', 'total_collected', 'order_ids', 'submitted_by', 'order_amounts',
+];
+
+/**
+ * A parsed cash report in the shape it is stored: order_ids as a JSON array
+ * string, order_amounts as a JSON object string (null for reports without
+ * per-order amounts).
+ *
+ * @param {object} report - Normalized row from the parser
+ * @returns {object}
+ */
+export function toStoredReport(report) {
+  return {
+    ...report,
+    order_ids: JSON.stringify(report.order_ids),
+    order_amounts: report.order_amounts ? JSON.stringify(report.order_amounts) : null,
+  };
+}
+
+const DEPOSIT_FIELDS = ['store_id', 'deposit_date', 'amount', 'bank_reference', 'report_ids'];
+
+/**
+ * A parsed deposit in the shape it is stored: report_ids as a JSON array
+ * string.
+ *
+ * @param {object} deposit - Normalized row from the parser
+ * @returns {object}
+ */
+export function toStoredDeposit(deposit) {
+  return { ...deposit, report_ids: JSON.stringify(deposit.report_ids) };
+}
+
+const ORDER_EVENT_FIELDS = ['order_id', 'event_type', 'event_date', 'amount', 'note'];
+
+const RECORDS = {
+  orders: { table: 'orders', key: 'order_id', fields: ORDER_FIELDS, toStored: row => row },
+  cash_reports: { table: 'cash_reports', key: 'report_id', fields: REPORT_FIELDS, toStored: toStoredReport },
+  deposits: { table: 'deposits', key: 'deposit_id', fields: DEPOSIT_FIELDS, toStored: toStoredDeposit },
+  order_events: { table: 'order_events', key: 'event_id', fields: ORDER_EVENT_FIELDS, toStored: row => row },
+};
+
+/**
+ * Compare an existing row with an incoming one over `fields`.
+ * @returns {object} field → { from, to } for every field that differs
+ */
+function diffFields(existing, incoming, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (existing[field] !== incoming[field]) {
+      changes[field] = { from: existing[field], to: incoming[field] };
+    }
+  }
+  return changes;
+}
+
+function recordHistory(entity, recordId, previous, changes, correctedAt, batchId) {
+  db.prepare(`
+    INSERT INTO correction_history
+      (id, entity, record_id, previous_data, changes, corrected_at, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(), entity, recordId, JSON.stringify(previous), JSON.stringify(changes),
+    correctedAt, batchId
+  );
+}
+
+/**
+ * Split incoming rows into new records, identical re-sends and records that
+ * exist with different field values — the same decisions ingestOrders /
+ * ingestCashReports / ingestDeposits / ingestOrderEvents make, without
+ * writing anything.
+ *
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @param {Array<object>} rows - Normalized rows from the parser
+ * @returns {{ new: Array<object>, duplicate: Array<object>,
+ *             changed: Array<{row: object, existing: object, changes: object}> }}
+ */
+export function classifyRows(entity, rows) {
+  const { table, key: keyField, fields, toStored } = RECORDS[entity];
+  const selectStmt = db.prepare(`SELECT * FROM ${table} WHERE ${keyField} = ?`);
+
+  const result = { new: [], duplicate: [], changed: [] };
+  // Later rows in the same payload see earlier ones, as they would on insert
+  const seen = new Map();
+
+  for (const row of rows) {
+    const key = row[keyField];
+    const stored = toStored(row);
+    const existing = seen.get(key) ?? selectStmt.get(key);
+
+    if (!existing) {
+      result.new.push(row);
+      seen.set(key, stored);
+      continue;
+    }
+    const changes = diffFields(existing, stored, fields);
+    if (Object.keys(changes).length === 0) {
+      result.duplicate.push(row);
+    } else {
+      result.changed.push({ row, existing, changes });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Insert normalized order rows (as produced by parseOrdersCsv /
+ * parseOrdersJson).
+ *
+ * With `onDuplicate: 'skip'` (default) existing order_ids are left untouched
+ * and counted as skipped. With `'update'` an existing order whose fields
+ * differ is overwritten and its previous version is kept in
+ * correction_history. Identical re-sends are still counted as skipped.
+ *
+ * Every (store_id, pickup_date) that gained or changed an order — including
+ * the old store-day of a moved order — is marked for re-reconciliation and
+ * returned as `affected_store_days`, together with the store-days of the
+ * cash reports that claim those orders (a late report splits its cash over
+ * orders of several days).
+ *
+ * @param {Array<object>} rows
+ * @param {object} [opts]
+ * @param {'skip'|'update'} [opts.onDuplicate='skip']
+ * @param {string|null}     [opts.batchId]  - ingest_batches.id recorded on created rows and corrections
+ * @returns {{ inserted: number, skipped: number, updated: number, total: number,
+ *             corrections: Array<object>, affected_store_days: Array<object> }}
+ */
+export function ingestOrders(rows, { onDuplicate = 'skip', batchId = null } = {}) {
+  const now = new Date().toISOString();
+  let inserted = 0;
+  let skipped = 0;
+  const corrections = [];
+  const insertedDays = new Map();
+  const correctedDays = new Map();
+  const insertedIds = [];
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO orders
+      (id, order_id, store_id, region, customer_id, customer_name, order_date, pickup_date,
+       expected_amount, currency, timezone, payment_method, created_at, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const selectStmt = db.prepare('SELECT * FROM orders WHERE order_id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE orders SET
+      store_id = @store_id, region = @region, customer_id = @customer_id,
+      customer_name = @customer_name, order_date = @order_date, pickup_date = @pickup_date,
+      expected_amount = @expected_amount, currency = @currency, payment_method = @payment_method
+    WHERE order_id = @order_id
+  `);
+
+  const insertMany = db.transaction((orders) => {
+    for (const o of orders) {
+      const result = insertStmt.run(
+        uuidv4(), o.order_id, o.store_id, o.region, o.customer_id, o.customer_name,
+        o.order_date, o.pickup_date, o.expected_amount, o.currency,
+        'America/Mexico_City', o.payment_method, now, batchId
+      );
+      if (result.changes > 0) {
+        inserted++;
+        addStoreDay(insertedDays, o.store_id, o.pickup_date);
+        insertedIds.push(o.order_id);
+        continue;
+      }
+
+      const existing = onDuplicate === 'update' ? selectStmt.get(o.order_id) : null;
+      const changes = existing ? diffFields(existing, o, ORDER_FIELDS) : {};
+      if (Object.keys(changes).length === 0) {
+        skipped++;
+        continue;
+      }
+
+      recordHistory('orders', o.order_id, existing, changes, now, batchId);
+      updateStmt.run(o);
+      addStoreDay(correctedDays, existing.store_id, existing.pickup_date);
+      addStoreDay(correctedDays, o.store_id, o.pickup_date);
+      corrections.push({ order_id: o.order_id, changes });
+    }
+    addClaimingReportStoreDays(insertedDays, insertedIds);
+    addClaimingReportStoreDays(correctedDays, corrections.map(c => c.order_id));
+    markStoreDaysDirty(storeDayList(insertedDays), 'order_ingested');
+    markStoreDaysDirty(storeDayList(correctedDays), 'order_corrected');
+  });
+
+  insertMany(rows);
+
+  return {
+    inserted,
+    skipped,
+    updated: corrections.length,
+    total: rows.length,
+    corrections,
+    affected_store_days: storeDayList(new Map([...insertedDays, ...correctedDays])),
+  };
+}
+
+/**
+ * Insert normalized cash report rows (as produced by parseCashReportsCsv /
+ * parseCashReportsJson). Duplicate report_ids follow the same `onDuplicate`
+ * rules as ingestOrders; the affected days are keyed on
+ * (store_id, report_date), plus the pickup days of the orders a report
+ * claims, which a late report is reconciled on.
+ *
+ * @param {Array<object>} rows
+ * @param {object} [opts]
+ * @param {'skip'|'update'} [opts.onDuplicate='skip']
+ * @param {string|null}     [opts.batchId]  - ingest_batches.id recorded on created rows and corrections
+ * @returns {{ inserted: number, skipped: number, updated: number, total: number,
+ *             corrections: Array<object>, affected_store_days: Array<object> }}
+ */
+export function ingestCashReports(rows, { onDuplicate = 'skip', batchId = null } = {}) {
+  const now = new Date().toISOString();
+  let inserted = 0;
+  let skipped = 0;
+  const corrections = [];
+  const insertedDays = new Map();
+  const correctedDays = new Map();
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO cash_reports
+      (id, report_id, store_id, report_date, total_collected, order_ids, order_amounts,
+       submitted_by, created_at, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const selectStmt = db.prepare('SELECT * FROM cash_reports WHERE report_id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE cash_reports SET
+      store_id = @store_id, report_date = @report_date, total_collected = @total_collected,
+      order_ids = @order_ids, order_amounts = @order_amounts, submitted_by = @submitted_by
+    WHERE report_id = @report_id
+  `);
+
+  const insertMany = db.transaction((reports) => {
+    for (const r of reports) {
+      const stored = toStoredReport(r);
+      const result = insertStmt.run(
+        uuidv4(), r.report_id, r.store_id, r.report_date, r.total_collected,
+        stored.order_ids, stored.order_amounts, r.submitted_by, now, batchId
+      );
+      if (result.changes > 0) {
+        inserted++;
+        addStoreDay(insertedDays, r.store_id, r.report_date);
+        addOrderStoreDays(insertedDays, r.order_ids);
+        continue;
+      }
+
+      const existing = onDuplicate === 'update' ? selectStmt.get(r.report_id) : null;
+      const changes = existing ? diffFields(existing, stored, REPORT_FIELDS) : {};
+      if (Object.keys(changes).length === 0) {
+        skipped++;
+        continue;
+      }
+
+      recordHistory('cash_reports', r.report_id, existing, changes, now, batchId);
+      updateStmt.run(stored);
+      addStoreDay(correctedDays, existing.store_id, existing.report_date);
+      addStoreDay(correctedDays, r.store_id, r.report_date);
+      addOrderStoreDays(correctedDays, [...JSON.parse(existing.order_ids), ...r.order_ids]);
+      corrections.push({ report_id: r.report_id, changes });
+    }
+    markStoreDaysDirty(storeDayList(insertedDays), 'cash_report_ingested');
+    markStoreDaysDirty(storeDayList(correctedDays), 'cash_report_corrected');
+  });
+
+  insertMany(rows);
+
+  return {
+    inserted,
+    skipped,
+    updated: corrections.length,
+    total: rows.length,
+    corrections,
+    affected_store_days: storeDayList(new Map([...insertedDays, ...correctedDays])),
+  };
+}
+
+/**
+ * Insert normalized bank deposit rows (as produced by parseDepositsCsv /
+ * parseDepositsJson). Duplicate deposit_ids follow the same `onDuplicate`
+ * rules as ingestOrders.
+ *
+ * Deposits are reconciled against the cash reports they cover, so the
+ * affected days are the (store_id, report_date) of those reports rather
+ * than the deposit date.
+ *
+ * @param {Array<object>} rows
+ * @param {object} [opts]
+ * @param {'skip'|'update'} [opts.onDuplicate='skip']
+ * @param {string|null}     [opts.batchId]  - ingest_batches.id recorded on created rows and corrections
+ * @returns {{ inserted: number, skipped: number, updated: number, total: number,
+ *             corrections: Array<object>, affected_store_days: Array<object> }}
+ */
+export function ingestDeposits(rows, { onDuplicate = 'skip', batchId = null } = {}) {
+  const now = new Date().toISOString();
+  let inserted = 0;
+  let skipped = 0;
+  const corrections = [];
+  const insertedDays = new Map();
+  const correctedDays = new Map();
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO deposits
+      (id, deposit_id, store_id, deposit_date, amount, bank_reference, report_ids,
+       created_at, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const selectStmt = db.prepare('SELECT * FROM deposits WHERE deposit_id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE deposits SET
+      store_id = @store_id, deposit_date = @deposit_date, amount = @amount,
+      bank_reference = @bank_reference, report_ids = @report_ids
+    WHERE deposit_id = @deposit_id
+  `);
+
+  const insertMany = db.transaction((deposits) => {
+    for (const d of deposits) {
+      const stored = toStoredDeposit(d);
+      const result = insertStmt.run(
+        uuidv4(), d.deposit_id, d.store_id, d.deposit_date, d.amount,
+        d.bank_reference, stored.report_ids, now, batchId
+      );
+      if (result.changes > 0) {
+        inserted++;
+        addReportStoreDays(insertedDays, d.report_ids);
+        continue;
+      }
+
+      const existing = onDuplicate === 'update' ? selectStmt.get(d.deposit_id) : null;
+      const changes = existing ? diffFields(existing, stored, DEPOSIT_FIELDS) : {};
+      if (Object.keys(changes).length === 0) {
+        skipped++;
+        continue;
+      }
+
+      recordHistory('deposits', d.deposit_id, existing, changes, now, batchId);
+      updateStmt.run(stored);
+      addReportStoreDays(correctedDays, JSON.parse(existing.report_ids));
+      addReportStoreDays(correctedDays, d.report_ids);
+      corrections.push({ deposit_id: d.deposit_id, changes });
+    }
+    markStoreDaysDirty(storeDayList(insertedDays), 'deposit_ingested');
+    markStoreDaysDirty(storeDayList(correctedDays), 'deposit_corrected');
+  });
+
+  insertMany(rows);
+
+  return {
+    inserted,
+    skipped,
+    updated: corrections.length,
+    total: rows.length,
+    corrections,
+    affected_store_days: storeDayList(new Map([...insertedDays, ...correctedDays])),
+  };
+}
+
+/**
+ * Insert normalized order lifecycle events (as produced by
+ * parseOrderEventsCsv / parseOrderEventsJson). Duplicate event_ids follow
+ * the same `onDuplicate` rules as ingestOrders.
+ *
+ * An event changes what its order should have collected, so the affected
+ * days are the (store_id, pickup_date) of the orders it concerns. Events for
+ * orders that are not stored yet are kept and apply once the order arrives.
+ *
+ * @param {Array<object>} rows
+ * @param {object} [opts]
+ * @param {'skip'|'update'} [opts.onDuplicate='skip']
+ * @param {string|null}     [opts.batchId]  - ingest_batches.id recorded on created rows and corrections
+ * @returns {{ inserted: number, skipped: number, updated: number, total: number,
+ *             corrections: Array<object>, affected_store_days: Array<object> }}
+ */
+export function ingestOrderEvents(rows, { onDuplicate = 'skip', batchId = null } = {}) {
+  const now = new Date().toISOString();
+  let inserted = 0;
+  let skipped = 0;
+  const corrections = [];
+  const insertedDays = new Map();
+  const correctedDays = new Map();
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO order_events
+      (id, event_id, order_id, event_type, event_date, amount, note, created_at, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const selectStmt = db.prepare('SELECT * FROM order_events WHERE event_id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE order_events SET
+      order_id = @order_id, event_type = @event_type, event_date = @event_date,
+      amount = @amount, note = @note
+    WHERE event_id = @event_id
+  `);
+
+  const insertMany = db.transaction((events) => {
+    for (const e of events) {
+      const result = insertStmt.run(
+        uuidv4(), e.event_id, e.order_id, e.event_type, e.event_date, e.amount, e.note,
+        now, batchId
+      );
+      if (result.changes > 0) {
+        inserted++;
+        addOrderStoreDays(insertedDays, [e.order_id]);
+        continue;
+      }
+
+      const existing = onDuplicate === 'update' ? selectStmt.get(e.event_id) : null;
+      const changes = existing ? diffFields(existing, e, ORDER_EVENT_FIELDS) : {};
+      if (Object.keys(changes).length === 0) {
+        skipped++;
+        continue;
+      }
+
+      recordHistory('order_events', e.event_id, existing, changes, now, batchId);
+      updateStmt.run(e);
+      addOrderStoreDays(correctedDays, [existing.order_id, e.order_id]);
+      corrections.push({ event_id: e.event_id, changes });
+    }
+    markStoreDaysDirty(storeDayList(insertedDays), 'order_event_ingested');
+    markStoreDaysDirty(storeDayList(correctedDays), 'order_event_corrected');
+  });
+
+  insertMany(rows);
+
+  return {
+    inserted,
+    skipped,
+    updated: corrections.length,
+    total: rows.length,
+    corrections,
+    affected_store_days: storeDayList(new Map([...insertedDays, ...correctedDays])),
+  };
+}
+
+/**
+ * Previous versions of a corrected order, cash report, deposit or order
+ * event, newest first.
+ *
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @param {string} recordId - order_id, report_id, deposit_id or event_id
+ * @returns {Array<object>}
+ */
+export function getCorrectionHistory(entity, recordId) {
+  return db.prepare(`
+    SELECT * FROM correction_history
+    WHERE entity = ? AND record_id = ?
+    ORDER BY corrected_at DESC, rowid DESC
+  `).all(entity, recordId).map(row => ({
+    ...row,
+    previous_data: JSON.parse(row.previous_data),
+    changes: JSON.parse(row.changes),
+  }));
+}
+
+/**
+ * Persist the rows rejected by a partial-accept ingestion so they can be
+ * downloaded later as a CSV.
+ *
+ * @param {'orders'|'cash_reports'|'deposits'|'order_events'} entity
+ * @param {Array<object>} rejected   - `rejected` list from a validate* parser
+ * @param {string|null}   sourceName - Uploaded file name, if any
+ * @returns {{ id: string, errors: Array<object> }}
+ */
+export function saveRejections(entity, rejected, sourceName) {
+  const id = uuidv4();
+  const errors = rejected.flatMap(r => r.errors);
+
+  db.prepare(`
+    INSERT INTO ingest_rejections
+      (id, entity, source_name, rejected_count, errors, rows_csv, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, entity, sourceName ?? null, rejected.length, JSON.stringify(errors),
+    rejectedRowsToCsv(rejected, entity), new Date().toISOString()
+  );
+
+  return { id, errors };
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} - Rejection record with `errors` parsed, or null
+ */
+export function getRejections(id) {
+  const row = db.prepare('SELECT * FROM ingest_rejections WHERE id = ?').get(id);
+  if (!row) return null;
+  return { ...row, errors: JSON.parse(row.errors) };
+}
@@ -0,0 +1,142 @@
+/**
+ * SWIFT MT940 customer statement parser. Produces the bank transaction shape
+ * shared with camt053Parser:
+ *
+ *   { statement_id, account, sequence, booking_date, value_date, amount,
+ *     currency, credit_debit, reference, description }
+ *
+ * `amount` is always positive; `credit_debit` is 'C' for money in and 'D'
+ * for money out (reversals are folded in: RC → D, RD → C).
+ */
+
+// :61: statement line
+//   value date YYMMDD, optional entry date MMDD, C/D/RC/RD, optional funds
+//   code, amount with decimal comma, 4-char transaction type, reference for
+//   the account owner, optional //bank reference, optional supplementary line
+const STATEMENT_LINE =
+  /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([A-Z][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// :60F: / :60M: opening balance — C/D, date YYMMDD, currency, amount
+const OPENING_BALANCE = /^[CD]\d{6}([A-Z]{3})/;
+
+function statementError(message) {
+  return Object.assign(new Error(`MT940: ${message}`), { status: 400 });
+}
+
+function toIsoDate(yy, mm, dd) {
+  return `20${yy}-${mm}-${dd}`;
+}
+
+/**
+ * Split the message body into [tag, value] pairs. A field's value runs
+ * until the next line that starts with `:tag:`.
+ */
+function fields(text) {
+  const result = [];
+  for (const line of text.split(/\r?\n/)) {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      result.push([tag[1], tag[2]]);
+    } else if (result.length > 0 && line.trim() && !/^-}?$/.test(line.trim())) {
+      result[result.length - 1][1] += `\n${line}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse one :61: statement line (plus its optional supplementary line).
+ */
+function parseStatementLine(value) {
+  const m = value.trim().match(STATEMENT_LINE);
+  if (!m) throw statementError(`invalid :61: statement line "${value.split('\n')[0]}"`);
+
+  const [, yy, mm, dd, entry, mark, , rawAmount, , ownerRef, bankRef, supplementary] = m;
+  const valueDate = toIsoDate(yy, mm, dd);
+  let bookingDate = valueDate;
+  if (entry) {
+    // Entry date has no year: take the value date's, rolling over at year end
+    let year = Number(`20${yy}`);
+    if (mm === '12' && entry.startsWith('01')) year += 1;
+    if (mm === '01' && entry.startsWith('12')) year -= 1;
+    bookingDate = `${year}-${entry.slice(0, 2)}-${entry.slice(2)}`;
+  }
+
+  return {
+    booking_date: bookingDate,
+    value_date: valueDate,
+    amount: parseFloat(rawAmount.replace(',', '.')),
+    credit_debit: mark === 'C' || mark === 'RD' ? 'C' : 'D',
+    reference: [ownerRef.trim(), bankRef?.trim()].filter(r => r && r !== 'NONREF').join(' ') || null,
+    supplementary: supplementary?.trim() ?? '',
+  };
+}
+
+/**
+ * Parse an MT940 file. A file may hold several statements (each starting at
+ * its own :20:); every :61: line becomes one transaction and the :86: that
+ * follows it becomes its description.
+ *
+ * @param {Buffer|string} buffer
+ * @returns {Array<object>} - Bank transactions
+ */
+export function parseMt940(buffer) {
+  const text = String(buffer);
+  const parsed = fields(text);
+  if (!parsed.some(([tag]) => tag === '20')) {
+    throw statementError('no statement found (expected a :20: field)');
+  }
+
+  const transactions = [];
+  let statement = { id: null, account: null, currency: null, sequence: 0 };
+  let last = null;
+
+  for (const [tag, value] of parsed) {
+    switch (tag) {
+      case '20':
+        statement = { id: value.trim(), account: null, currency: null, sequence: 0 };
+        last = null;
+        break;
+      case '25':
+        statement.account = value.trim();
+        break;
+      case '60F':
+      case '60M': {
+        const m = value.trim().match(OPENING_BALANCE);
+        if (m) statement.currency = m[1];
+        break;
+      }
+      case '61': {
+        const line = parseStatementLine(value);
+        statement.sequence += 1;
+        last = {
+          statement_id: statement.id,
+          account: statement.account,
+          sequence: statement.sequence,
+          booking_date: line.booking_date,
+          value_date: line.value_date,
+          amount: line.amount,
+          currency: statement.currency,
+          credit_debit: line.credit_debit,
+          reference: line.reference,
+          description: line.supplementary,
+        };
+        transactions.push(last);
+        break;
+      }
+      case '86':
+        if (last) {
+          last.description = [last.description, value.replace(/\s*\n\s*/g, ' ').trim()]
+            .filter(Boolean)
+            .join(' ');
+        }
+        break;
+      default:
+        // A :86: after a balance field describes the statement, not a line
+        last = null;
+        break;
+    }
+  }
+
+  return transactions;
+}
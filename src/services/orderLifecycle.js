@@ -0,0 +1,99 @@
+import { db, cachedStatement } from '../db/index.js';
+
+// Status given to an order nobody reported cash for when its lifecycle
+// events leave nothing to collect — it is not missing cash.
+const NOT_COLLECTED_STATUS = {
+  cancelled: 'cancelled',
+  refunded: 'cancelled',
+  no_show: 'not_picked_up',
+  partial_pickup: 'not_picked_up',
+};
+
+/**
+ * Lifecycle events of the given orders, oldest first.
+ *
+ * @param {Array<string>} orderIds
+ * @returns {Map<string, Array<object>>} - order_id → order_events rows
+ */
+export function loadOrderEvents(orderIds) {
+  const byOrder = new Map();
+  if (orderIds.length === 0) return byOrder;
+  const rows = cachedStatement(`
+    SELECT * FROM order_events
+    WHERE order_id IN (SELECT value FROM json_each(?))
+    ORDER BY event_date, created_at, rowid
+  `).all(JSON.stringify(orderIds));
+  for (const row of rows) {
+    if (!byOrder.has(row.order_id)) byOrder.set(row.order_id, []);
+    byOrder.get(row.order_id).push(row);
+  }
+  return byOrder;
+}
+
+/**
+ * Work out how much cash the store should have collected for an order once
+ * its lifecycle events are applied.
+ *
+ * The latest of cancelled / no_show / picked_up / partial_pickup decides
+ * whether the order was collected at all (a picked_up after a no_show
+ * reinstates it). Refunds are cumulative and come off whatever was due; a
+ * refund without an amount refunds the whole order.
+ *
+ * @param {object} order          - orders row
+ * @param {Array<object>} events  - Its order_events rows
+ * @returns {{ collectible_amount: number, lifecycle_event: string|null }}
+ */
+export function resolveLifecycle(order, events = []) {
+  let state = null;
+  let pickedUpAmount = null;
+  let refunded = 0;
+
+  // Stable sort: events on the same date keep their load order
+  const chronological = [...events].sort((a, b) => a.event_date.localeCompare(b.event_date));
+  for (const event of chronological) {
+    if (event.event_type === 'refunded') {
+      refunded += event.amount ?? Infinity;
+    } else {
+      state = event.event_type;
+      pickedUpAmount = event.event_type === 'partial_pickup' ? event.amount : null;
+    }
+  }
+
+  let due = order.expected_amount;
+  if (state === 'cancelled' || state === 'no_show') due = 0;
+  if (state === 'partial_pickup') due = pickedUpAmount;
+
+  const collectible = Math.max(0, due - refunded);
+  let lifecycleEvent = state;
+  if (refunded > 0 && state !== 'cancelled' && state !== 'no_show') lifecycleEvent = 'refunded';
+
+  return { collectible_amount: collectible, lifecycle_event: lifecycleEvent };
+}
+
+/**
+ * Orders annotated with `collectible_amount` and `lifecycle_event`, the
+ * fields computeReconciliation reads. Annotating an already annotated
+ * order recomputes from its expected_amount.
+ *
+ * @param {Array<object>} orders
+ * @param {Map<string, Array<object>>} eventsByOrder - As returned by loadOrderEvents
+ * @returns {Array<object>}
+ */
+export function applyOrderEvents(orders, eventsByOrder) {
+  return orders.map(order => ({
+    ...order,
+    ...resolveLifecycle(order, eventsByOrder.get(order.order_id)),
+  }));
+}
+
+/**
+ * Reconciliation status of an order no cash report claims. Orders that were
+ * cancelled, fully refunded or never picked up are not unaccounted cash.
+ *
+ * @param {object} order - Annotated order (see applyOrderEvents)
+ * @returns {'unaccounted'|'cancelled'|'not_picked_up'}
+ */
+export function unclaimedStatus(order) {
+  const notCollected = NOT_COLLECTED_STATUS[order.lifecycle_event];
+  return notCollected && order.collectible_amount < 0.005 ? notCollected : 'unaccounted';
+}
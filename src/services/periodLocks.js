@@ -0,0 +1,233 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, cachedStatement } from '../db/index.js';
+import { config } from '../config.js';
+import { isDate } from './dates.js';
+
+function lockError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Whether `actor` may close and reopen periods: only the users listed in
+ * PERIOD_ADMINS. With none configured nobody may.
+ *
+ * @param {string} actor
+ * @returns {boolean}
+ */
+export function canManagePeriods(actor) {
+  return config.periodAdmins.includes(actor);
+}
+
+function assertPeriodAdmin(actor, action) {
+  if (config.periodAdmins.length === 0) {
+    throw lockError('Closing and reopening periods is disabled until PERIOD_ADMINS is set', 403);
+  }
+  if (!canManagePeriods(actor)) {
+    throw lockError(`"${actor}" is not allowed to ${action} periods`, 403);
+  }
+}
+
+/**
+ * Closed locks covering any day in [from, to] for `store_id`. A lock without
+ * a store covers every store; without `store_id` every lock counts.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {string} [store_id]
+ * @returns {Array<object>}
+ */
+export function closedLocksFor(from, to, store_id) {
+  let sql = `
+    SELECT * FROM period_locks
+    WHERE status = 'closed' AND from_date <= ? AND to_date >= ?
+  `;
+  const params = [to, from];
+  if (store_id) {
+    sql += ' AND (store_id IS NULL OR store_id = ?)';
+    params.push(store_id);
+  }
+  return cachedStatement(`${sql} ORDER BY from_date, closed_at`).all(...params);
+}
+
+function describeLock(lock) {
+  const range = lock.from_date === lock.to_date ? lock.from_date : `${lock.from_date}..${lock.to_date}`;
+  return `${lock.store_id ?? 'all stores'} ${range}`;
+}
+
+/**
+ * Refuse to reconcile [from, to] (optionally one store) when a closed period
+ * covers any of it. Without a store every store of the range would be
+ * rewritten, so a lock on any store refuses it.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {string} [store_id]
+ * @throws {Error} 409 naming the closed periods
+ */
+export function assertReconcileOpen(from, to, store_id) {
+  const locks = closedLocksFor(from, to, store_id);
+  if (locks.length > 0) {
+    throw lockError(
+      `Cannot reconcile a closed period (${locks.map(describeLock).join(', ')}); reopen it first`,
+      409
+    );
+  }
+}
+
+/**
+ * Refuse a data change that touches store-days in a closed period. Called
+ * by markStoreDaysDirty, which every ingestion, correction and rollback goes
+ * through inside its transaction, so a refused change is rolled back whole.
+ *
+ * @param {Array<{store_id: string, date: string}>} storeDays
+ * @throws {Error} 409 listing the closed store-days
+ */
+export function assertStoreDaysOpen(storeDays) {
+  if (storeDays.length === 0) return;
+  if (!db.prepare("SELECT 1 FROM period_locks WHERE status = 'closed' LIMIT 1").get()) return;
+
+  const locked = storeDays.filter(({ store_id, date }) => closedLocksFor(date, date, store_id).length > 0);
+  if (locked.length > 0) {
+    const list = locked.map(d => `${d.store_id} ${d.date}`).join(', ');
+    throw lockError(`Cannot change data of a closed period (${list}); reopen it first`, 409);
+  }
+}
+
+/**
+ * How to reconcile `date` leaving closed periods alone: the store filters to
+ * pass to reconcileDate (undefined for every store) and the store-days that
+ * were skipped. Used when reconciling every date, where one closed month
+ * should not stop the rest.
+ *
+ * @param {string} date
+ * @param {string} [store_id]
+ * @returns {{ scopes: Array<string|undefined>, locked: Array<{store_id: string, date: string}> }}
+ */
+export function openReconcileScopes(date, store_id) {
+  const locks = closedLocksFor(date, date, store_id);
+  if (locks.length === 0) return { scopes: [store_id], locked: [] };
+
+  const stores = store_id
+    ? [store_id]
+    : db.prepare(`
+        SELECT store_id FROM orders WHERE pickup_date = ?
+        UNION
+        SELECT store_id FROM cash_reports WHERE report_date = ?
+        ORDER BY store_id
+      `).all(date, date).map(r => r.store_id);
+  const lockedAll = locks.some(l => l.store_id === null);
+  const lockedStores = new Set(locks.map(l => l.store_id));
+  const isLocked = s => lockedAll || lockedStores.has(s);
+
+  return {
+    scopes: stores.filter(s => !isLocked(s)),
+    locked: stores.filter(isLocked).map(s => ({ store_id: s, date })),
+  };
+}
+
+/**
+ * Close [from, to] for one store or, without `store_id`, for every store.
+ *
+ * @param {object} input
+ * @param {string} input.from
+ * @param {string} input.to
+ * @param {string} [input.store_id]
+ * @param {string} [input.reason]
+ * @param {string} actor
+ * @returns {object} - The period_locks row
+ */
+export function closePeriod({ from, to, store_id, reason }, actor) {
+  assertPeriodAdmin(actor, 'close');
+  if (!isDate(from) || !isDate(to)) {
+    throw lockError('"from" and "to" must be dates (YYYY-MM-DD)', 400);
+  }
+  if (from > to) {
+    throw lockError('"from" date must be less than or equal to "to" date', 400);
+  }
+
+  const lock = {
+    id: uuidv4(),
+    store_id: store_id || null,
+    from_date: from,
+    to_date: to,
+    status: 'closed',
+    closed_by: actor,
+    closed_at: new Date().toISOString(),
+    close_reason: reason ?? null,
+  };
+  db.prepare(`
+    INSERT INTO period_locks
+      (id, store_id, from_date, to_date, status, closed_by, closed_at, close_reason)
+    VALUES
+      (@id, @store_id, @from_date, @to_date, @status, @closed_by, @closed_at, @close_reason)
+  `).run(lock);
+  return getPeriodLock(lock.id);
+}
+
+/**
+ * Reopen a closed period. The lock row keeps who closed and who reopened it,
+ * when and why; closing the period again creates a new lock.
+ *
+ * @param {string} id
+ * @param {object} input
+ * @param {string} input.reason - Required
+ * @param {string} actor
+ * @returns {object|null} - The lock, null when there is no such lock
+ */
+export function reopenPeriod(id, { reason }, actor) {
+  assertPeriodAdmin(actor, 'reopen');
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw lockError('"reason" is required to reopen a period', 400);
+  }
+
+  const lock = getPeriodLock(id);
+  if (!lock) return null;
+  if (lock.status !== 'closed') {
+    throw lockError(`Period lock "${id}" was already reopened`, 409);
+  }
+
+  db.prepare(`
+    UPDATE period_locks
+    SET status = 'reopened', reopened_by = ?, reopened_at = ?, reopen_reason = ?
+    WHERE id = ?
+  `).run(actor, new Date().toISOString(), reason.trim(), id);
+  return getPeriodLock(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getPeriodLock(id) {
+  return db.prepare('SELECT * FROM period_locks WHERE id = ?').get(id);
+}
+
+/**
+ * Closes and reopens, newest first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.status]   - closed | reopened
+ * @param {string} [filters.store_id] - Locks covering this store (including all-store locks)
+ * @param {string} [filters.date]     - Locks covering this date
+ * @returns {Array<object>}
+ */
+export function listPeriodLocks({ status, store_id, date } = {}) {
+  let sql = 'SELECT * FROM period_locks WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  if (store_id) {
+    sql += ' AND (store_id IS NULL OR store_id = ?)';
+    params.push(store_id);
+  }
+  if (date) {
+    sql += ' AND from_date <= ? AND to_date >= ?';
+    params.push(date, date);
+  }
+
+  sql += ' ORDER BY closed_at DESC, rowid DESC';
+  return db.prepare(sql).all(...params);
+}
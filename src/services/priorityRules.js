@@ -0,0 +1,266 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, cachedStatement } from '../db/index.js';
+import { markRuleScopeDirty } from './storeDays.js';
+
+export const PRIORITY_SCOPES = ['global', 'region', 'store', 'currency'];
+export const PRIORITY_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+// Severities that make a variance high priority; low and medium ones are
+// recorded without flagging it. A rule without a severity counts as high
+export const FLAGGING_SEVERITIES = ['high', 'critical'];
+
+// A variance is judged by the rules of the most specific scope that has any
+const SCOPE_PRECEDENCE = ['store', 'region', 'currency', 'global'];
+
+/**
+ * The 100 MXN / 10% rule every variance was judged by before rules were
+ * configurable. Seeded into an empty priority_rules table, and used by the
+ * compute functions when they are not given rules.
+ */
+export const DEFAULT_PRIORITY_RULE = {
+  id: 'default',
+  name: 'Default',
+  scope: 'global',
+  scope_value: null,
+  amount_threshold: 100,
+  pct_threshold: 10,
+  severity: null,
+};
+
+export const DEFAULT_PRIORITY = { rules: [DEFAULT_PRIORITY_RULE], stores: new Map() };
+
+const NOT_FIRED = { is_high_priority: 0, priority_rule_id: null, priority_severity: null };
+
+function ruleError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Every priority rule, plus the region and currency of the given stores so
+ * rows that only carry a store_id (deposits, report lines) can be judged by
+ * region and currency rules too.
+ *
+ * @param {Array<string>} [storeIds=[]]
+ * @returns {{ rules: Array<object>, stores: Map<string, {region: string, currency: string}> }}
+ */
+export function loadPriorityRules(storeIds = []) {
+  const rules = cachedStatement('SELECT * FROM priority_rules ORDER BY created_at, id').all();
+  const storeStmt = cachedStatement('SELECT region, currency FROM orders WHERE store_id = ? LIMIT 1');
+  const stores = new Map();
+  for (const store_id of new Set(storeIds)) {
+    const row = storeStmt.get(store_id);
+    if (row) stores.set(store_id, row);
+  }
+  return { rules, stores };
+}
+
+function exceeds(rule, varianceAmount, variancePct) {
+  return (
+    (rule.amount_threshold !== null && Math.abs(varianceAmount ?? 0) > rule.amount_threshold) ||
+    (rule.pct_threshold !== null && Math.abs(variancePct ?? 0) > rule.pct_threshold)
+  );
+}
+
+function severityRank(rule) {
+  return PRIORITY_SEVERITIES.indexOf(rule.severity ?? 'high');
+}
+
+/**
+ * Judge a variance by the priority rules. Only the rules of the most
+ * specific scope that has any for the row apply (store, then region, then
+ * currency, then global), so a store rule replaces the global thresholds for
+ * that store. A rule fires when the absolute variance exceeds its amount
+ * threshold or the absolute percentage exceeds its percent threshold; when
+ * several fire, the most severe is recorded. The row is high priority only
+ * when that rule's severity is high or critical (or unset, as for the
+ * default rule); a low or medium rule is recorded without flagging it.
+ *
+ * @param {{ rules: Array<object>, stores: Map }} priority - See loadPriorityRules
+ * @param {{ store_id: string, region?: string, currency?: string }} row
+ * @param {number|null} varianceAmount
+ * @param {number|null} variancePct
+ * @returns {{ is_high_priority: 0|1, priority_rule_id: string|null, priority_severity: string|null }}
+ */
+export function evaluatePriority(priority, row, varianceAmount, variancePct) {
+  const known = priority.stores.get(row.store_id) ?? {};
+  const values = {
+    store: row.store_id,
+    region: row.region ?? known.region,
+    currency: row.currency ?? known.currency,
+  };
+
+  for (const scope of SCOPE_PRECEDENCE) {
+    const rules = priority.rules.filter(
+      r => r.scope === scope && (scope === 'global' || r.scope_value === values[scope])
+    );
+    if (rules.length === 0) continue;
+
+    const fired = rules
+      .filter(r => exceeds(r, varianceAmount, variancePct))
+      .sort((a, b) => severityRank(b) - severityRank(a));
+    if (fired.length === 0) return NOT_FIRED;
+    const [rule] = fired;
+    return {
+      is_high_priority: FLAGGING_SEVERITIES.includes(rule.severity ?? 'high') ? 1 : 0,
+      priority_rule_id: rule.id,
+      priority_severity: rule.severity,
+    };
+  }
+
+  return NOT_FIRED;
+}
+
+/**
+ * Validate a priority rule, as created or after an update.
+ */
+function checkRule(rule) {
+  if (!PRIORITY_SCOPES.includes(rule.scope)) {
+    throw ruleError(`"scope" must be one of: ${PRIORITY_SCOPES.join(', ')}`);
+  }
+  if (rule.scope === 'global' && rule.scope_value !== null) {
+    throw ruleError('"scope_value" must be empty for a global rule');
+  }
+  if (rule.scope !== 'global' && (typeof rule.scope_value !== 'string' || !rule.scope_value.trim())) {
+    throw ruleError(`"scope_value" is required for a ${rule.scope} rule`);
+  }
+  for (const field of ['amount_threshold', 'pct_threshold']) {
+    const value = rule[field];
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw ruleError(`"${field}" must be a non-negative number`);
+    }
+  }
+  if (rule.amount_threshold === null && rule.pct_threshold === null) {
+    throw ruleError('At least one of "amount_threshold" and "pct_threshold" is required');
+  }
+  if (rule.severity !== null && !PRIORITY_SEVERITIES.includes(rule.severity)) {
+    throw ruleError(`"severity" must be one of: ${PRIORITY_SEVERITIES.join(', ')}`);
+  }
+  if (rule.name !== null && typeof rule.name !== 'string') {
+    throw ruleError('"name" must be a string');
+  }
+}
+
+const RULE_FIELDS = ['name', 'scope', 'scope_value', 'amount_threshold', 'pct_threshold', 'severity'];
+
+/**
+ * The rule fields of a request body, missing ones null, validated.
+ *
+ * @param {object} input
+ * @returns {object}
+ * @throws {Error} 400 describing the first invalid field
+ */
+export function normalizePriorityRule(input) {
+  const rule = {};
+  for (const field of RULE_FIELDS) rule[field] = input[field] ?? null;
+  if (typeof rule.scope_value === 'string') rule.scope_value = rule.scope_value.trim();
+  checkRule(rule);
+  return rule;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getPriorityRule(id) {
+  return db.prepare('SELECT * FROM priority_rules WHERE id = ?').get(id);
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.scope]
+ * @returns {Array<object>}
+ */
+export function listPriorityRules({ scope } = {}) {
+  if (scope) {
+    return db.prepare('SELECT * FROM priority_rules WHERE scope = ? ORDER BY created_at, id').all(scope);
+  }
+  return db.prepare('SELECT * FROM priority_rules ORDER BY created_at, id').all();
+}
+
+/**
+ * Create a rule and flag the reconciled store-days in its scope dirty, so
+ * an incremental reconciliation re-judges them.
+ *
+ * @param {object} input - Request body
+ * @param {string} actor - Who creates the rule
+ * @returns {object}     - The stored rule
+ */
+export function createPriorityRule(input, actor) {
+  const rule = normalizePriorityRule(input);
+
+  const now = new Date().toISOString();
+  const row = { id: uuidv4(), ...rule, created_by: actor, created_at: now, updated_by: actor, updated_at: now };
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO priority_rules
+        (id, name, scope, scope_value, amount_threshold, pct_threshold, severity,
+         created_by, created_at, updated_by, updated_at)
+      VALUES
+        (@id, @name, @scope, @scope_value, @amount_threshold, @pct_threshold, @severity,
+         @created_by, @created_at, @updated_by, @updated_at)
+    `).run(row);
+    markRuleScopeDirty([row], 'priority_rule_changed');
+  })();
+  return row;
+}
+
+/**
+ * Change the given fields of a rule; fields left out keep their value and
+ * null clears an optional one. Store-days in the old and new scope are
+ * flagged dirty. The default rule keeps its global scope.
+ *
+ * @param {string} id
+ * @param {object} input - Request body
+ * @param {string} actor - Who changes the rule
+ * @returns {object|null} - The updated rule, null when there is no such rule
+ */
+export function updatePriorityRule(id, input, actor) {
+  const existing = getPriorityRule(id);
+  if (!existing) return null;
+
+  const rule = {};
+  for (const field of RULE_FIELDS) rule[field] = field in input ? input[field] : existing[field];
+  if (typeof rule.scope_value === 'string') rule.scope_value = rule.scope_value.trim();
+  checkRule(rule);
+  if (id === DEFAULT_PRIORITY_RULE.id && rule.scope !== 'global') {
+    throw ruleError('The default priority rule must stay global');
+  }
+
+  const row = { ...existing, ...rule, updated_by: actor, updated_at: new Date().toISOString() };
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE priority_rules
+      SET name = @name, scope = @scope, scope_value = @scope_value,
+          amount_threshold = @amount_threshold, pct_threshold = @pct_threshold,
+          severity = @severity, updated_by = @updated_by, updated_at = @updated_at
+      WHERE id = @id
+    `).run(row);
+    // Both the old and the new scope may be judged differently now
+    markRuleScopeDirty([existing, row], 'priority_rule_changed');
+  })();
+  return row;
+}
+
+/**
+ * Delete a rule, flagging the store-days in its scope dirty. The seeded
+ * default rule cannot be deleted: without a global rule nothing outside
+ * the other rules' scopes would ever be flagged.
+ *
+ * @param {string} id
+ * @returns {object|null} - The deleted rule, null when there is no such rule
+ * @throws {Error} 409 for the default rule
+ */
+export function deletePriorityRule(id) {
+  const existing = getPriorityRule(id);
+  if (!existing) return null;
+  if (id === DEFAULT_PRIORITY_RULE.id) {
+    throw Object.assign(
+      new Error('The default priority rule cannot be deleted; change its thresholds instead'),
+      { status: 409 }
+    );
+  }
+  db.transaction(() => {
+    db.prepare('DELETE FROM priority_rules WHERE id = ?').run(id);
+    markRuleScopeDirty([existing], 'priority_rule_changed');
+  })();
+  return existing;
+}
@@ -1,8 +1,18 @@
 import { v4 as uuidv4 } from 'uuid';
-import { db } from '../db/index.js';
-
-const HIGH_PRIORITY_AMOUNT = 100;
-const HIGH_PRIORITY_PCT = 10;
+import { db, cachedStatement } from '../db/index.js';
+import {
+  loadDepositInputs,
+  computeDepositReconciliation,
+  summarizeDepositRecords,
+} from './depositReconciler.js';
+import { loadOrderEvents, applyOrderEvents, unclaimedStatus } from './orderLifecycle.js';
+import { loadPriorityRules, evaluatePriority, DEFAULT_PRIORITY } from './priorityRules.js';
+import { withRun } from './reconciliationRuns.js';
+import { assertReconcileOpen, closedLocksFor } from './periodLocks.js';
+import { pendingStoreDays, upToDateStoreDayCount } from './storeDays.js';
+import { loadAdjustments, sumAdjustments } from './adjustments.js';
+import { syncCases } from './cases.js';
+import { config } from '../config.js';
 
 /**
  * Round a number to 2 decimal places.
@@ -14,223 +24,1422 @@ function round2(n) {
 }
 
 /**
- * Reconcile all orders whose pickup_date equals `date` (optionally scoped to
- * a single store).  The function performs a full re-reconciliation: it first
- * deletes every existing reconciliation row that matches the date + optional
- * store, then inserts fresh rows computed from the current orders and
- * cash_reports data.
+ * Variance of a collected amount against an expected one, with
+ * floating-point noise under 0.005 treated as zero. A variance inside the
+ * currency's rounding tolerance is a minor_variance: effectively matched,
+ * but kept apart from exact matches.
  *
- * Algorithm
- * ---------
- * 1. Fetch orders WHERE pickup_date = date [AND store_id = store_id]
- * 2. Fetch cash_reports WHERE report_date = date [AND store_id = store_id]
- * 3. For each cash_report parse order_ids JSON and build a map
- *    order_id → report so we know which report "claims" each order.
- * 4. For each order:
- *    a. No claiming report → status = "unaccounted", actual/variance = null
- *    b. Report found →
- *       · Collect all orders listed in that report
- *       · proportional actual = (order.expected / sum_expected_in_report) * report.total_collected
- *       · variance_amount = actual - expected
- *       · variance_pct   = (variance_amount / expected) * 100
- *       · status: 0 → matched, >0 → over_collection, <0 → under_collection
- * 5. is_high_priority = |variance_amount| > 100 OR |variance_pct| > 10
- *    (always 0 for "unaccounted")
- * 6. INSERT all rows inside a single transaction.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {{amount?: number, pct?: number}|null} [tolerance] - See resolveTolerance
+ * @returns {{ varianceAmount: number, variancePct: number, status: string }}
+ *          - status matched, minor_variance, over_collection or under_collection
+ */
+function measureVariance(actual, expected, tolerance = null) {
+  let varianceAmount = round2(actual - expected);
+  let variancePct = expected !== 0 ? round2((varianceAmount / expected) * 100) : 0;
+  if (Math.abs(varianceAmount) < 0.005) {
+    varianceAmount = 0;
+    variancePct = 0;
+  }
+  let status = 'matched';
+  if (varianceAmount > 0) status = 'over_collection';
+  if (varianceAmount < 0) status = 'under_collection';
+  if (status !== 'matched' && withinTolerance(varianceAmount, variancePct, expected, tolerance)) {
+    status = 'minor_variance';
+  }
+  return { varianceAmount, variancePct, status };
+}
+
+/**
+ * Whether a variance is inside every limit the tolerance sets. There is no
+ * percentage of nothing, so against an expected 0 only an amount-only
+ * tolerance can hold.
+ */
+function withinTolerance(varianceAmount, variancePct, expected, tolerance) {
+  const amount = tolerance?.amount ?? null;
+  const pct = tolerance?.pct ?? null;
+  if (amount === null && pct === null) return false;
+  return (amount === null || Math.abs(varianceAmount) <= amount)
+    && (pct === null || (expected !== 0 && Math.abs(variancePct) <= pct));
+}
+
+/**
+ * The rounding tolerance for a currency: its own entry in `tolerances`,
+ * else the "*" entry, else none.
+ *
+ * @param {string} [currency]
+ * @param {object} [tolerances=config.varianceTolerances] - currency → { amount?, pct? }
+ * @returns {{amount?: number, pct?: number}|null}
+ */
+export function resolveTolerance(currency, tolerances = config.varianceTolerances) {
+  return (currency && tolerances[currency]) ?? tolerances['*'] ?? null;
+}
+
+/**
+ * Validate a currency → { amount, pct } tolerance map, as configured in
+ * VARIANCE_TOLERANCES or sent with a simulation.
+ *
+ * @param {*} tolerances
+ * @throws {Error} 400 describing the first invalid entry
+ */
+export function checkTolerances(tolerances) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+  if (!tolerances || typeof tolerances !== 'object' || Array.isArray(tolerances)) {
+    throw invalid('Variance tolerances must be an object of currency → { amount, pct }');
+  }
+  for (const [currency, tolerance] of Object.entries(tolerances)) {
+    if (!tolerance || typeof tolerance !== 'object' || Array.isArray(tolerance)) {
+      throw invalid(`Tolerance for "${currency}" must be an object with "amount" and/or "pct"`);
+    }
+    for (const field of ['amount', 'pct']) {
+      const value = tolerance[field];
+      if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw invalid(`Tolerance "${field}" for "${currency}" must be a non-negative number`);
+      }
+    }
+    if ((tolerance.amount ?? null) === null && (tolerance.pct ?? null) === null) {
+      throw invalid(`Tolerance for "${currency}" needs "amount" and/or "pct"`);
+    }
+  }
+}
+
+// Settings that count days or runs, by environment variable
+const COUNT_SETTINGS = {
+  LATE_REPORT_WINDOW_DAYS: 'lateReportWindowDays',
+  DEPOSIT_MATCH_WINDOW_DAYS: 'depositMatchWindowDays',
+  RUN_HISTORY_RETENTION: 'runHistoryRetention',
+  SIMULATION_MAX_DAYS: 'simulationMaxDays',
+  SYNC_RECONCILE_MAX_DAYS: 'syncReconcileMaxDays',
+};
+
+/**
+ * Validate the reconciliation settings read from the environment. Called
+ * when the app starts, so a bad value fails there and not on the first
+ * reconcile.
+ *
+ * @throws {Error} naming the setting and what is wrong with it
+ */
+export function checkConfig() {
+  try {
+    checkTolerances(config.varianceTolerances);
+  } catch (err) {
+    throw new Error(`Invalid VARIANCE_TOLERANCES: ${err.message}`);
+  }
+
+  for (const [name, key] of Object.entries(COUNT_SETTINGS)) {
+    if (!Number.isInteger(config[key]) || config[key] < 0) {
+      throw new Error(`Invalid ${name} "${config[key]}": must be a non-negative whole number`);
+    }
+  }
+
+  const names = Object.keys(ALLOCATION_STRATEGIES).join(', ');
+  if (!Object.hasOwn(ALLOCATION_STRATEGIES, config.allocationStrategy)) {
+    throw new Error(`Invalid ALLOCATION_STRATEGY "${config.allocationStrategy}"; use one of ${names}`);
+  }
+  const perStore = config.storeAllocationStrategies;
+  if (!perStore || typeof perStore !== 'object' || Array.isArray(perStore)) {
+    throw new Error('Invalid STORE_ALLOCATION_STRATEGIES: must be an object of store_id → strategy');
+  }
+  for (const [store_id, name] of Object.entries(perStore)) {
+    if (typeof name !== 'string' || !Object.hasOwn(ALLOCATION_STRATEGIES, name)) {
+      throw new Error(
+        `Invalid STORE_ALLOCATION_STRATEGIES: unknown strategy ${JSON.stringify(name)} for ${store_id}; use one of ${names}`
+      );
+    }
+  }
+}
+
+// Priority of a row no rule is asked about: a minor variance is effectively matched
+const NOT_HIGH_PRIORITY = { is_high_priority: 0, priority_rule_id: null, priority_severity: null };
+
+// YYYY-MM-DD → days since the epoch. Every claim checks how late its report
+// is, so the same few dates are parsed over and over.
+const epochDays = new Map();
+
+function epochDay(date) {
+  let day = epochDays.get(date);
+  if (day === undefined) {
+    day = Math.round(Date.parse(`${date}T00:00:00Z`) / 86400000);
+    epochDays.set(date, day);
+  }
+  return day;
+}
+
+/**
+ * Days from `from` to `to` (both YYYY-MM-DD); negative when `to` is earlier.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return epochDay(to) - epochDay(from);
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Order columns the engine reads; loading whole rows costs more than the
+// reconciliation of them
+const ORDER_INPUT_COLUMNS = 'order_id, store_id, region, currency, pickup_date, expected_amount';
+
+function parseJsonIds(json) {
+  try {
+    const ids = JSON.parse(json);
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Orders claimed by `reports` that are not among the day's orders — a late
+ * report also covers orders from earlier days, and its cash is split across
+ * all of them. Orders of other stores are loaded too, so their claims can be
+ * told apart from claims on unknown orders. They are only used for
+ * allocation and claim checks; their rows belong to their own store-day.
+ *
+ * @param {Array<object>} orders  - The day's orders
+ * @param {Array<object>} reports - cash_reports rows
+ * @returns {Array<object>}       - Annotated orders rows (see applyOrderEvents)
+ */
+export function loadContextOrders(orders, reports) {
+  const dayIds = new Set(orders.map(o => o.order_id));
+  const ids = [...new Set(reports.flatMap(r => parseJsonIds(r.order_ids)))].filter(id => !dayIds.has(id));
+  if (ids.length === 0) return [];
+  const rows = cachedStatement(`
+    SELECT ${ORDER_INPUT_COLUMNS} FROM orders
+    WHERE order_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(ids));
+  return applyOrderEvents(rows, loadOrderEvents(rows.map(o => o.order_id)));
+}
+
+/**
+ * Why a cash report's claim on an order is not valid, or null when it is:
+ * the order does not exist, belongs to another store, or was picked up
+ * outside the report's late window.
+ *
+ * @param {object} report
+ * @param {object|undefined} order
+ * @param {number|null} lag       - report_date - pickup_date in days
+ * @param {number} windowDays
+ * @returns {'unknown_order'|'cross_store'|'wrong_date'|null}
+ */
+function claimAnomaly(report, order, lag, windowDays) {
+  if (!order) return 'unknown_order';
+  if (order.store_id !== report.store_id) return 'cross_store';
+  if (lag < 0 || lag > windowDays) return 'wrong_date';
+  return null;
+}
+
+/**
+ * order_id → order over the day's orders and the context orders, and the
+ * days a report is late for one of them. Orders passed as the day's orders
+ * count as picked up on `date`, whatever their rows say.
+ */
+function claimLookup(date, orders, contextOrders) {
+  /** @type {Map<string, object>} order_id → order, for every order a report may claim */
+  const orderById = new Map();
+  for (const o of contextOrders) orderById.set(o.order_id, o);
+  for (const o of orders) orderById.set(o.order_id, o);
+
+  const dayIds = new Set(orders.map(o => o.order_id));
+  const daysLate = (report, order) => daysBetween(
+    dayIds.has(order.order_id) ? date : order.pickup_date,
+    report.report_date ?? date
+  );
+  return { orderById, dayIds, daysLate };
+}
+
+/**
+ * Whether a cash report belongs in the inputs of `date` for a store whose
+ * orders that day are `orderIds`: dated that day, or a late report dated up
+ * to `windowDays` later that claims one of those orders.
+ *
+ * @param {object} report             - cash_reports row (order_ids as a JSON string)
+ * @param {string} date
+ * @param {string} store_id
+ * @param {Set<string>} orderIds
+ * @param {number} [windowDays=config.lateReportWindowDays]
+ * @returns {boolean}
+ */
+export function reportAppliesTo(report, date, store_id, orderIds, windowDays = config.lateReportWindowDays) {
+  if (report.report_date === date) return report.store_id === store_id;
+  const lag = daysBetween(date, report.report_date);
+  return lag > 0 && lag <= windowDays && parseJsonIds(report.order_ids).some(id => orderIds.has(id));
+}
+
+/**
+ * Reports dated up to `windowDays` after `date` that claim any of
+ * `orderIds`, through the claim index. loadDayInputs finds the late reports
+ * of the stored orders itself; a dry run asks for those of the orders it
+ * would write.
+ *
+ * @param {string} date
+ * @param {Array<string>} orderIds
+ * @param {number} [windowDays=config.lateReportWindowDays]
+ * @returns {Array<object>} - cash_reports rows
+ */
+export function loadLateReports(date, orderIds, windowDays = config.lateReportWindowDays) {
+  if (!(windowDays > 0) || orderIds.length === 0) return [];
+  return cachedStatement(`
+    SELECT DISTINCT c.* FROM cash_report_orders ro
+    JOIN cash_reports c ON c.report_id = ro.report_id
+    WHERE ro.order_id IN (SELECT value FROM json_each(?))
+      AND c.report_date > ? AND c.report_date <= ?
+    ORDER BY c.report_date, c.report_id
+  `).all(JSON.stringify(orderIds), date, shiftDate(date, windowDays));
+}
+
+/**
+ * Load the inputs reconcileDate works from: orders whose pickup_date equals
+ * `date`, cash_reports whose report_date equals `date`, and the reports
+ * dated up to `windowDays` later that claim one of those orders (late
+ * reports), optionally scoped to a single store. Orders come with the
+ * columns the engine reads (ORDER_INPUT_COLUMNS), annotated with what their
+ * lifecycle events leave to collect (see applyOrderEvents), the
+ * priority rules come with the region and currency of the stores involved,
+ * and the day's active adjustments with them (see loadAdjustments).
  *
  * @param {string} date       - ISO date string YYYY-MM-DD
  * @param {string} [store_id] - Optional store filter
- * @returns {Array<object>}   - Array of reconciliation record objects that were inserted
+ * @param {object} [opts]
+ * @param {number} [opts.windowDays=config.lateReportWindowDays] - How late a report may be
+ * @returns {{
+ *   orders: Array<object>, reports: Array<object>, contextOrders: Array<object>,
+ *   priority: object, adjustments: Array<object>
+ * }}
  */
-export function reconcileDate(date, store_id) {
-  const now = new Date().toISOString();
+export function loadDayInputs(date, store_id, { windowDays = config.lateReportWindowDays } = {}) {
+  const scope = store_id ? ' AND store_id = ?' : '';
+  const params = store_id ? [date, store_id] : [date];
 
-  // ------------------------------------------------------------------
-  // 1. Fetch orders for this date (+ optional store)
-  // ------------------------------------------------------------------
-  const orderParams = [date];
-  let orderSql = 'SELECT * FROM orders WHERE pickup_date = ?';
-  if (store_id) {
-    orderSql += ' AND store_id = ?';
-    orderParams.push(store_id);
+  const rows = cachedStatement(
+    `SELECT ${ORDER_INPUT_COLUMNS} FROM orders WHERE pickup_date = ?${scope}`
+  ).all(...params);
+  const orders = applyOrderEvents(rows, loadOrderEvents(rows.map(o => o.order_id)));
+  const reports = cachedStatement(`SELECT * FROM cash_reports WHERE report_date = ?${scope}`).all(...params);
+
+  if (windowDays > 0 && orders.length > 0) {
+    // Later reports claiming any of the day's orders, through the claim index
+    const late = cachedStatement(`
+      SELECT DISTINCT c.* FROM orders o
+      JOIN cash_report_orders ro ON ro.order_id = o.order_id
+      JOIN cash_reports c ON c.report_id = ro.report_id
+      WHERE o.pickup_date = ?${scope.replace('store_id', 'o.store_id')}
+        AND c.report_date > ? AND c.report_date <= ?
+      ORDER BY c.report_date, c.report_id
+    `).all(...params, date, shiftDate(date, windowDays));
+    reports.push(...late);
   }
-  const orders = db.prepare(orderSql).all(...orderParams);
 
-  // ------------------------------------------------------------------
-  // 2. Fetch cash_reports for this date (+ optional store)
-  // ------------------------------------------------------------------
-  const reportParams = [date];
-  let reportSql = 'SELECT * FROM cash_reports WHERE report_date = ?';
-  if (store_id) {
-    reportSql += ' AND store_id = ?';
-    reportParams.push(store_id);
+  const storeIds = [...orders.map(o => o.store_id), ...reports.map(r => r.store_id)];
+  return {
+    orders,
+    reports,
+    contextOrders: loadContextOrders(orders, reports),
+    priority: loadPriorityRules(storeIds),
+    adjustments: loadAdjustments(date, store_id),
+  };
+}
+
+/**
+ * Allocation strategies: how the part of a report's total that its
+ * order_amounts do not tie to an order (the remainder) is attributed to the
+ * orders it claims without an amount. `allocate` receives the remainder and
+ * those orders in the order the report lists them, and returns
+ * order_id → amount (null when nothing can be attributed to the order).
+ * Strategies with `reportLine` keep the report's variance on a report-level
+ * line (report_variances) instead of spreading it over the orders. Those
+ * with `wholeReport` get every valid claim, including the orders the report
+ * lists an amount for (as `listed`), and all the cash those claims carry.
+ */
+export const ALLOCATION_STRATEGIES = {
+  // Shares in proportion to each order's expected amount
+  proportional: {
+    reportLine: false,
+    allocate(remainder, claims) {
+      const sum = claims.reduce((acc, c) => acc + c.expected, 0);
+      return new Map(claims.map(c => [
+        c.order_id,
+        sum > 0 ? round2((c.expected / sum) * remainder) : round2(remainder),
+      ]));
+    },
+  },
+  // Orders are paid in full in listed order until the cash runs out, so the
+  // shortfall lands on the last ones; any surplus goes to the last order
+  sequential: {
+    reportLine: false,
+    allocate(remainder, claims) {
+      const shares = new Map();
+      let left = remainder;
+      for (const c of claims) {
+        const paid = Math.min(c.expected, Math.max(left, 0));
+        shares.set(c.order_id, round2(paid));
+        left -= paid;
+      }
+      const last = claims[claims.length - 1];
+      if (last && left >= 0.005) shares.set(last.order_id, round2(shares.get(last.order_id) + left));
+      return shares;
+    },
+  },
+  // Every order counts as paid in full; the whole variance is the report's
+  report_level: {
+    reportLine: true,
+    allocate(remainder, claims) {
+      return new Map(claims.map(c => [c.order_id, round2(c.expected)]));
+    },
+  },
+  // The report is judged whole: its orders are paid in full only when its
+  // cash covers them exactly and every amount it lists for an order is that
+  // order's expected amount. Otherwise none of them is, listed or not, and
+  // they are all reported as report_mismatch
+  exact_match: {
+    reportLine: true,
+    wholeReport: true,
+    allocate(remainder, claims) {
+      const sum = claims.reduce((acc, c) => acc + c.expected, 0);
+      const exact = Math.abs(remainder - sum) < 0.005
+        && claims.every(c => c.listed === undefined || Math.abs(c.listed - c.expected) < 0.005);
+      return new Map(claims.map(c => [c.order_id, exact ? round2(c.expected) : null]));
+    },
+  },
+};
+
+/**
+ * Allocation strategy for a store: the per-request override, else the
+ * store's STORE_ALLOCATION_STRATEGIES entry, else ALLOCATION_STRATEGY.
+ *
+ * @param {string} store_id
+ * @param {string} [override]
+ * @returns {string} - A key of ALLOCATION_STRATEGIES
+ */
+export function resolveAllocationStrategy(store_id, override) {
+  const name = override ?? config.storeAllocationStrategies[store_id] ?? config.allocationStrategy;
+  if (!ALLOCATION_STRATEGIES[name]) {
+    throw new Error(`Unknown allocation strategy "${name}" for store ${store_id}`);
   }
-  const reports = db.prepare(reportSql).all(...reportParams);
+  return name;
+}
 
-  // ------------------------------------------------------------------
-  // 3. Build order_id → report lookup
-  //    Also pre-parse order_ids so we don't re-parse in the hot loop.
-  // ------------------------------------------------------------------
-  /** @type {Map<string, {report: object, parsedIds: string[]}>} */
-  const reportMeta = new Map(); // report.report_id → { report, parsedIds }
-  /** @type {Map<string, object>} */
-  const orderToReport = new Map(); // order_id → report
+// The last allocation worked out for each reports array. reconcileDate runs
+// computeReconciliation, computeReportVariances and
+// computeStoreDayReconciliation over the same inputs, and they share it.
+const allocationCache = new WeakMap();
+
+/**
+ * Work out every report's valid claims and how its cash is allocated over
+ * them. Shared by computeReconciliation, computeReportVariances and
+ * computeStoreDayReconciliation; a call with the same inputs as the last one
+ * for `reports` (same arrays, window and strategy) gets the same result.
+ *
+ * @returns {{
+ *   orderClaims: Map<string, Array<{report: object, lag: number}>>,
+ *   allocations: Map<string, object>
+ * }} - order_id → the reports claiming it; report_id → its allocation
+ */
+function allocateReports(date, orders, reports, { contextOrders = [], windowDays, strategy }) {
+  const key = { date, orders, contextOrders, windowDays, strategy };
+  const cached = allocationCache.get(reports);
+  if (cached && Object.keys(key).every(k => cached.key[k] === key[k])) return cached.result;
+
+  const { orderById, dayIds, daysLate } = claimLookup(date, orders, contextOrders);
+
+  /** @type {Map<string, Array<{report: object, lag: number}>>} */
+  const orderClaims = new Map(); // order_id → every report claiming it, with its days late
+  const allocations = new Map();
 
   for (const report of reports) {
-    let parsedIds;
-    try {
-      parsedIds = JSON.parse(report.order_ids);
-    } catch {
-      parsedIds = [];
+    let amounts = null;
+    if (report.order_amounts) {
+      try {
+        amounts = JSON.parse(report.order_amounts);
+      } catch {
+        amounts = null;
+      }
     }
-    reportMeta.set(report.report_id, { report, parsedIds });
-    for (const oid of parsedIds) {
-      // If multiple reports claim the same order_id the last one wins —
-      // this mirrors simple cash-register practice (one report per store/day).
-      orderToReport.set(oid, report);
+    // Claims on unknown orders, other stores' orders or outside the window
+    // are left out of the allocation (see computeClaimAnomalies)
+    const claimedIds = [...new Set(parseJsonIds(report.order_ids))].filter((oid) => {
+      const ord = orderById.get(oid);
+      return claimAnomaly(report, ord, ord && daysLate(report, ord), windowDays) === null;
+    });
+    for (const oid of claimedIds) {
+      if (!dayIds.has(oid)) continue;
+      if (!orderClaims.has(oid)) orderClaims.set(oid, []);
+      orderClaims.get(oid).push({ report, lag: daysLate(report, orderById.get(oid)) });
     }
+
+    const name = resolveAllocationStrategy(report.store_id, strategy);
+    const whole = ALLOCATION_STRATEGIES[name].wholeReport === true;
+
+    // Amounts listed for orders the report cannot claim
+    const claimedSet = new Set(claimedIds);
+    const strayTotal = amounts
+      ? Object.entries(amounts).reduce((acc, [oid, a]) => (claimedSet.has(oid) ? acc : acc + a), 0)
+      : 0;
+
+    // The strategy splits what is left of the total after the exact amounts
+    // over the orders listed without one, on every day the report covers.
+    // A wholeReport strategy gets the listed orders and their cash as well
+    const exactTotal = amounts
+      ? Object.values(amounts).reduce((acc, a) => acc + a, 0)
+      : 0;
+    const remainder = report.total_collected - (whole ? strayTotal : exactTotal);
+    const claims = claimedIds
+      .filter(oid => whole || !(amounts && oid in amounts))
+      .map((oid) => {
+        const ord = orderById.get(oid);
+        const claim = { order_id: oid, expected: ord.collectible_amount ?? ord.expected_amount };
+        if (amounts && oid in amounts) claim.listed = amounts[oid];
+        return claim;
+      });
+
+    // Cash no valid claim takes: the stray amounts, and the remainder when no
+    // order is left to take it
+    const unallocated = strayTotal + (claims.length === 0 ? remainder : 0);
+
+    const shares = ALLOCATION_STRATEGIES[name].allocate(remainder, claims);
+    allocations.set(report.report_id, {
+      report,
+      amounts,
+      strategy: name,
+      remainder,
+      unallocated,
+      allocated: claims.reduce((acc, c) => acc + c.expected, 0),
+      shares,
+      // What it pays each order it validly claims, whatever the order's day
+      paid: new Map(claimedIds.map(oid => [oid, shares.has(oid) ? shares.get(oid) : round2(amounts[oid])])),
+    });
   }
 
-  // ------------------------------------------------------------------
-  // 4. Pre-compute "sum of expected amounts for orders inside each report"
-  //    so proportional allocation is O(1) per order.
-  // ------------------------------------------------------------------
-  /** @type {Map<string, number>} report_id → sum of expected for its orders */
-  const reportExpectedSum = new Map();
+  const result = { orderClaims, allocations };
+  allocationCache.set(reports, { key, result });
+  return result;
+}
+
+/**
+ * Compute reconciliation records for one date from already-loaded orders and
+ * cash reports. Pure: nothing is read from or written to the database, which
+ * lets previews run the exact same logic over data that is not stored yet.
+ *
+ * Algorithm
+ * ---------
+ * 1. For each cash_report parse order_ids (and order_amounts, when the report
+ *    carries per-order collected amounts). A report validly claims an order
+ *    picked up on its report_date or up to `windowDays` earlier (a late
+ *    report) at the report's own store; other claims are left out (see
+ *    computeClaimAnomalies).
+ * 2. For each order, the expected amount is what is left to collect after
+ *    its lifecycle events (collectible_amount; 0 when cancelled or not
+ *    picked up, the picked-up amount for partial pickups, less refunds),
+ *    falling back to orders.expected_amount for orders without events:
+ *    a. No claiming report → status = "unaccounted", actual/variance = null;
+ *       "cancelled" / "not_picked_up" instead when nothing was left to collect
+ *    b. Report lists an amount for the order → actual = that amount
+ *       (allocation_method = "exact")
+ *    c. Otherwise → actual is the allocation strategy's share of whatever the
+ *       report's total has left after its exact amounts, over every order it
+ *       validly claims, including orders of other days (allocation_method =
+ *       "proportional"). The default strategy is proportional:
+ *       · actual = (order.expected / sum_expected_without_amount) * remainder
+ *       See ALLOCATION_STRATEGIES for the others. Under exact_match the
+ *       report is judged whole: when its cash does not cover its orders
+ *       exactly, or an amount it lists (b) is not that order's expected
+ *       amount, every order it claims gets status = "report_mismatch" and
+ *       actual/variance = null, even those whose listed amount was right.
+ *    Then for b and c:
+ *       · variance_amount = actual - expected
+ *       · variance_pct   = (variance_amount / expected) * 100
+ *       · status: 0 → matched, >0 → over_collection, <0 → under_collection;
+ *         minor_variance when inside the currency's rounding tolerance
+ *         (see resolveTolerance)
+ *       · days_late = report_date - pickup_date; is_late_match = days_late > 0
+ *    d. Several reports validly claim the order → status = "double_claimed",
+ *       report_id = null, actual = the sum of every report's share (b or c).
+ *       The record carries a `claims` array with each report's share, which
+ *       reconcileDate stores in conflicting_claims.
+ * 3. Adjustments finance recorded for the order (opts.adjustments) are added
+ *    to actual — to 0 when no report claims it — and variance and status are
+ *    worked out again from the result. adjustment_amount is their sum, and
+ *    unadjusted_variance_amount / unadjusted_status keep the figures before
+ *    them. A report_mismatch order keeps its status and null variance, as
+ *    its variance is on the report's line, but still records its
+ *    adjustment_amount (the store-day counts it like any other).
+ * 4. is_high_priority = a priority rule fires for the (adjusted) variance (see
+ *    evaluatePriority; by default |variance_amount| > 100 OR |variance_pct|
+ *    > 10), recorded in priority_rule_id / priority_severity. Always 0 for
+ *    orders without a variance or with a minor one, always 1 for double
+ *    claims.
+ *
+ * @param {string} date              - ISO date string YYYY-MM-DD
+ * @param {Array<object>} orders     - Order rows, optionally annotated by applyOrderEvents
+ * @param {Array<object>} reports    - cash_reports rows (order_ids / order_amounts are JSON strings)
+ * @param {string} [now]             - Timestamp stamped on every record
+ * @param {object} [opts]
+ * @param {Array<object>} [opts.contextOrders=[]] - Other orders the reports claim (see loadContextOrders)
+ * @param {number} [opts.windowDays=config.lateReportWindowDays] - How late a report may be
+ * @param {string} [opts.strategy] - Allocation strategy for every report (see resolveAllocationStrategy)
+ * @param {object} [opts.priority=DEFAULT_PRIORITY] - Priority rules (see loadPriorityRules)
+ * @param {Array<object>} [opts.adjustments=[]] - Active adjustments of the day (see loadAdjustments)
+ * @param {object} [opts.tolerances=config.varianceTolerances] - Rounding tolerances per currency
+ * @returns {Array<object>}          - Reconciliation record objects
+ */
+export function computeReconciliation(
+  date, orders, reports, now = new Date().toISOString(),
+  {
+    contextOrders = [], windowDays = config.lateReportWindowDays, strategy,
+    priority = DEFAULT_PRIORITY, adjustments = [], tolerances = config.varianceTolerances,
+  } = {}
+) {
+  const { orderClaims, allocations } = allocateReports(date, orders, reports, { contextOrders, windowDays, strategy });
+  const { byOrder: adjustmentsByOrder } = sumAdjustments(adjustments);
 
-  for (const [reportId, { parsedIds }] of reportMeta) {
-    let sum = 0;
-    for (const oid of parsedIds) {
-      // Find the order object by order_id
-      const ord = orders.find(o => o.order_id === oid);
-      if (ord) sum += ord.expected_amount;
+  /**
+   * What one report says it collected for an order; null when its strategy
+   * could not attribute any of the report's cash to it.
+   * @returns {{ amount: number|null, method: 'exact'|'proportional' }}
+   */
+  function reportShare(reportId, orderId) {
+    const { amounts, shares } = allocations.get(reportId);
+    if (amounts && orderId in amounts) {
+      // The report says exactly what was collected for this order, unless
+      // its strategy judged the listed amount with the rest of the report
+      const amount = shares.has(orderId) ? shares.get(orderId) : round2(amounts[orderId]);
+      return { amount, method: 'exact' };
     }
-    reportExpectedSum.set(reportId, sum);
+    // The strategy's share of the report's remaining collected total
+    return { amount: shares.get(orderId), method: 'proportional' };
   }
 
   // ------------------------------------------------------------------
-  // 5. Compute reconciliation record for every order
+  // 2-4. Compute reconciliation record for every order
   // ------------------------------------------------------------------
   const records = [];
 
   for (const order of orders) {
-    const claimingReport = orderToReport.get(order.order_id) ?? null;
+    const claims = orderClaims.get(order.order_id) ?? [];
+    const expectedAmount = order.collectible_amount ?? order.expected_amount;
+    const tolerance = resolveTolerance(order.currency, tolerances);
 
-    let status, actualAmount, varianceAmount, variancePct, reportId, isHighPriority;
+    let status, actualAmount, varianceAmount, variancePct, reportId;
+    let flag = NOT_HIGH_PRIORITY;
+    let allocationMethod = null;
+    let daysLateValue = null;
+    let conflicting = null;
 
-    if (!claimingReport) {
+    if (claims.length === 0) {
       // No cash report references this order
-      status = 'unaccounted';
+      status = unclaimedStatus(order);
       actualAmount = null;
       varianceAmount = null;
       variancePct = null;
       reportId = null;
-      isHighPriority = 0;
     } else {
-      reportId = claimingReport.report_id;
-      const sumExpected = reportExpectedSum.get(reportId) ?? 0;
-
-      // Proportional share of the report's collected total
-      actualAmount = sumExpected > 0
-        ? round2((order.expected_amount / sumExpected) * claimingReport.total_collected)
-        : round2(claimingReport.total_collected);
-
-      varianceAmount = round2(actualAmount - order.expected_amount);
-
-      variancePct = order.expected_amount !== 0
-        ? round2((varianceAmount / order.expected_amount) * 100)
-        : 0;
-
-      // Treat floating-point noise < 0.005 as zero (rounds to 0.00)
-      if (Math.abs(varianceAmount) < 0.005) {
-        varianceAmount = 0;
-        variancePct = 0;
-        status = 'matched';
-      } else if (varianceAmount > 0) {
-        status = 'over_collection';
+      const shares = claims.map(({ report, lag }) => ({
+        report, lag, ...reportShare(report.report_id, order.order_id),
+      }));
+
+      if (shares.length === 1) {
+        const [share] = shares;
+        reportId = share.report.report_id;
+        daysLateValue = share.lag;
+        allocationMethod = share.method;
+        actualAmount = share.amount;
       } else {
-        status = 'under_collection';
+        // Several reports claim the order: the same cash may have been
+        // recorded twice. Nothing is picked; every claim is kept.
+        reportId = null;
+        conflicting = shares;
+        actualAmount = round2(shares.reduce((acc, sh) => acc + (sh.amount ?? 0), 0));
       }
 
-      isHighPriority =
-        Math.abs(varianceAmount) > HIGH_PRIORITY_AMOUNT ||
-        Math.abs(variancePct) > HIGH_PRIORITY_PCT
-          ? 1
-          : 0;
+      if (actualAmount === null) {
+        // The report's strategy attributed none of its cash to this order;
+        // the variance is on the report's line (see computeReportVariances)
+        status = 'report_mismatch';
+        varianceAmount = null;
+        variancePct = null;
+      } else {
+        ({ varianceAmount, variancePct, status } = measureVariance(actualAmount, expectedAmount, tolerance));
+        if (conflicting) status = 'double_claimed';
+      }
     }
 
-    records.push({
+    const unadjustedVariance = varianceAmount;
+    const unadjustedStatus = status;
+    const adjustmentAmount = round2(adjustmentsByOrder.get(order.order_id) ?? 0);
+    // A report_mismatch order has no cash of its own to adjust: the
+    // adjustment is recorded on the row and counted in the store-day only
+    if (adjustmentAmount !== 0 && status !== 'report_mismatch') {
+      actualAmount = round2((actualAmount ?? 0) + adjustmentAmount);
+      ({ varianceAmount, variancePct, status } = measureVariance(actualAmount, expectedAmount, tolerance));
+      if (conflicting) status = 'double_claimed';
+    }
+
+    if (varianceAmount !== null && status !== 'minor_variance') {
+      flag = evaluatePriority(priority, order, varianceAmount, variancePct);
+      // A double claim is always worth a look, whatever the rules say
+      if (conflicting) flag = { ...flag, is_high_priority: 1 };
+    }
+
+    const record = {
       id: uuidv4(),
       order_id: order.order_id,
       report_id: reportId,
       store_id: order.store_id,
       reconciliation_date: date,
-      expected_amount: round2(order.expected_amount),
+      expected_amount: round2(expectedAmount),
       actual_amount: actualAmount,
       variance_amount: varianceAmount,
       variance_pct: variancePct,
       status,
-      is_high_priority: isHighPriority,
+      is_high_priority: flag.is_high_priority,
+      allocation_method: allocationMethod,
+      allocation_strategy: resolveAllocationStrategy(order.store_id, strategy),
+      order_amount: round2(order.expected_amount),
+      lifecycle_event: order.lifecycle_event ?? null,
+      is_late_match: daysLateValue > 0 ? 1 : 0,
+      days_late: daysLateValue,
+      priority_rule_id: flag.priority_rule_id,
+      priority_severity: flag.priority_severity,
+      adjustment_amount: adjustmentAmount,
+      unadjusted_variance_amount: unadjustedVariance,
+      unadjusted_status: unadjustedStatus,
+      reconciled_at: now,
+    };
+
+    if (conflicting) {
+      record.claims = conflicting.map(({ report, lag, amount, method }) => ({
+        report_id: report.report_id,
+        report_store_id: report.store_id,
+        report_date: report.report_date ?? date,
+        submitted_by: report.submitted_by ?? null,
+        claimed_amount: amount,
+        allocation_method: method,
+        days_late: lag,
+      }));
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Report-level lines of the cash reports dated `date` whose allocation
+ * strategy keeps the variance off their orders (report_level, exact_match):
+ * what the report collected beyond its exact per-order amounts (under
+ * exact_match, everything it collected for valid claims) against what the
+ * orders it allocates that cash to were expected to bring in, judged
+ * with the rounding tolerance of the store's currency. Same inputs as
+ * computeReconciliation, and pure as well.
+ *
+ * @param {string} date
+ * @param {Array<object>} orders
+ * @param {Array<object>} reports
+ * @param {string} [now]
+ * @param {object} [opts]            - As for computeReconciliation
+ * @returns {Array<object>}          - report_variances record objects
+ */
+export function computeReportVariances(
+  date, orders, reports, now = new Date().toISOString(),
+  {
+    contextOrders = [], windowDays = config.lateReportWindowDays, strategy,
+    priority = DEFAULT_PRIORITY, tolerances = config.varianceTolerances,
+  } = {}
+) {
+  const { allocations } = allocateReports(date, orders, reports, { contextOrders, windowDays, strategy });
+  const lines = [];
+
+  for (const { report, strategy: name, remainder, allocated } of allocations.values()) {
+    if ((report.report_date ?? date) !== date || !ALLOCATION_STRATEGIES[name].reportLine) continue;
+
+    const tolerance = resolveTolerance(priority.stores.get(report.store_id)?.currency, tolerances);
+    const { varianceAmount, variancePct, status } = measureVariance(remainder, allocated, tolerance);
+    const flag = status === 'minor_variance'
+      ? NOT_HIGH_PRIORITY
+      : evaluatePriority(priority, report, varianceAmount, variancePct);
+
+    lines.push({
+      id: uuidv4(),
+      report_id: report.report_id,
+      store_id: report.store_id,
+      reconciliation_date: date,
+      allocation_strategy: name,
+      collected_amount: round2(remainder),
+      allocated_amount: round2(allocated),
+      variance_amount: varianceAmount,
+      variance_pct: variancePct,
+      status,
+      ...flag,
       reconciled_at: now,
     });
   }
 
-  // ------------------------------------------------------------------
-  // 6. Delete stale rows and insert fresh ones inside a transaction
-  // ------------------------------------------------------------------
-  const deleteStmt = store_id
-    ? db.prepare('DELETE FROM reconciliations WHERE reconciliation_date = ? AND store_id = ?')
-    : db.prepare('DELETE FROM reconciliations WHERE reconciliation_date = ?');
-
-  const insertStmt = db.prepare(`
-    INSERT INTO reconciliations
-      (id, order_id, report_id, store_id, reconciliation_date,
-       expected_amount, actual_amount, variance_amount, variance_pct,
-       status, is_high_priority, reconciled_at)
-    VALUES
-      (@id, @order_id, @report_id, @store_id, @reconciliation_date,
-       @expected_amount, @actual_amount, @variance_amount, @variance_pct,
-       @status, @is_high_priority, @reconciled_at)
-  `);
+  return lines;
+}
 
-  const runTransaction = db.transaction(() => {
-    if (store_id) {
-      deleteStmt.run(date, store_id);
-    } else {
-      deleteStmt.run(date);
+/**
+ * One record per store for `date`: the day's orders against the cash
+ * reports dated that day. Same inputs as computeReconciliation, and pure as
+ * well.
+ *
+ * - expected_amount: what the store-day's orders were due (after lifecycle
+ *   events, as on the order rows)
+ * - reported_amount: sum of total_collected of the store's reports dated
+ *   `date`. A late report counts on its own date, like its deposit
+ * - unallocated_amount: the part of those totals no valid claim took —
+ *   amounts listed for unknown, cross-store or out-of-window orders, and a
+ *   report's whole remainder when none of its orders could take it
+ * - late_matched_amount: what later reports paid the day's orders (their
+ *   late matches), credited here as on the order rows
+ * - credited_earlier_amount: the part of the day's own reports that paid
+ *   earlier days' orders, credited to those days instead
+ * - adjustment_amount: every active adjustment of the store-day, those
+ *   recorded against its orders included
+ * - variance_amount = reported - credited_earlier + late_matched +
+ *   adjustments - expected, variance_pct against expected;
+ *   unadjusted_variance_amount / unadjusted_status are the figures without
+ *   the adjustments
+ * - status: "unaccounted" when orders were due cash, no report came in, no
+ *   later report paid them and nothing was adjusted, else matched /
+ *   minor_variance / over_collection / under_collection by the variance and
+ *   the tolerance of the store's currency
+ * - is_high_priority by the priority rules (see evaluatePriority), never for
+ *   a minor variance
+ *
+ * @param {string} date
+ * @param {Array<object>} orders
+ * @param {Array<object>} reports
+ * @param {string} [now]
+ * @param {object} [opts]            - As for computeReconciliation
+ * @returns {Array<object>}          - store_day_reconciliations record objects
+ */
+export function computeStoreDayReconciliation(
+  date, orders, reports, now = new Date().toISOString(),
+  {
+    contextOrders = [], windowDays = config.lateReportWindowDays, strategy,
+    priority = DEFAULT_PRIORITY, adjustments = [], tolerances = config.varianceTolerances,
+  } = {}
+) {
+  const { allocations } = allocateReports(date, orders, reports, { contextOrders, windowDays, strategy });
+  const { byStore: adjustmentsByStore } = sumAdjustments(adjustments);
+
+  const byStore = new Map();
+  const day = (store_id) => {
+    if (!byStore.has(store_id)) {
+      byStore.set(store_id, {
+        orders: 0, reports: 0, expected: 0, reported: 0, unallocated: 0, lateMatched: 0, creditedEarlier: 0,
+      });
     }
-    for (const rec of records) {
-      insertStmt.run(rec);
+    return byStore.get(store_id);
+  };
+  for (const order of orders) {
+    const d = day(order.store_id);
+    d.orders++;
+    d.expected += order.collectible_amount ?? order.expected_amount;
+    d.currency ??= order.currency;
+  }
+  // Cash follows the orders it paid, so a late report's share of an order
+  // counts on the order's pickup day, as its late match does
+  const dayIds = new Set(orders.map(o => o.order_id));
+  for (const { report, unallocated, paid } of allocations.values()) {
+    const own = (report.report_date ?? date) === date;
+    const d = day(report.store_id);
+    for (const [oid, amount] of paid) {
+      if (amount === null || own === dayIds.has(oid)) continue;
+      if (own) d.creditedEarlier += amount;
+      else d.lateMatched += amount;
     }
-  });
+    if (!own) continue;
+    d.reports++;
+    d.reported += report.total_collected;
+    d.unallocated += unallocated;
+  }
+  for (const [store_id, amount] of adjustmentsByStore) {
+    day(store_id).adjustment = amount;
+  }
+
+  const records = [];
+  for (const [store_id, d] of [...byStore].sort(([a], [b]) => a.localeCompare(b))) {
+    const adjustmentAmount = round2(d.adjustment ?? 0);
+    const collected = d.reported - d.creditedEarlier + d.lateMatched;
+    const unaccounted = d.reports === 0 && d.lateMatched < 0.005 && d.expected >= 0.005;
+    const tolerance = resolveTolerance(d.currency ?? priority.stores.get(store_id)?.currency, tolerances);
+    const unadjusted = measureVariance(collected, d.expected, tolerance);
+    if (unaccounted) unadjusted.status = 'unaccounted';
+    const { varianceAmount, variancePct, status } = adjustmentAmount !== 0
+      ? measureVariance(collected + adjustmentAmount, d.expected, tolerance)
+      : unadjusted;
+    const flag = status === 'minor_variance'
+      ? NOT_HIGH_PRIORITY
+      : evaluatePriority(priority, { store_id }, varianceAmount, variancePct);
 
-  runTransaction();
+    records.push({
+      id: uuidv4(),
+      store_id,
+      reconciliation_date: date,
+      order_count: d.orders,
+      report_count: d.reports,
+      expected_amount: round2(d.expected),
+      reported_amount: round2(d.reported),
+      unallocated_amount: round2(d.unallocated),
+      late_matched_amount: round2(d.lateMatched),
+      credited_earlier_amount: round2(d.creditedEarlier),
+      variance_amount: varianceAmount,
+      variance_pct: variancePct,
+      status,
+      ...flag,
+      adjustment_amount: adjustmentAmount,
+      unadjusted_variance_amount: unadjusted.varianceAmount,
+      unadjusted_status: unadjusted.status,
+      reconciled_at: now,
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Claims computeReconciliation leaves out of the allocation, from the cash
+ * reports dated `date` (a late report is checked on its own date): orders
+ * that do not exist (unknown_order), orders of another store (cross_store)
+ * and orders picked up after the report or more than `windowDays` before it
+ * (wrong_date). The report's cash is then spread over its valid claims only.
+ * Unknown-order and cross-store claims are high priority.
+ *
+ * Takes the same inputs as computeReconciliation and is pure as well;
+ * `contextOrders` must include every claimed order that exists (see
+ * loadContextOrders), or its claim shows as unknown_order.
+ *
+ * @param {string} date
+ * @param {Array<object>} orders
+ * @param {Array<object>} reports
+ * @param {string} [now]
+ * @param {object} [opts]
+ * @param {Array<object>} [opts.contextOrders=[]]
+ * @param {number} [opts.windowDays=config.lateReportWindowDays]
+ * @returns {Array<object>} - claim_anomalies record objects
+ */
+export function computeClaimAnomalies(
+  date, orders, reports, now = new Date().toISOString(),
+  { contextOrders = [], windowDays = config.lateReportWindowDays } = {}
+) {
+  const { orderById, daysLate } = claimLookup(date, orders, contextOrders);
+  const anomalies = [];
+
+  for (const report of reports) {
+    if ((report.report_date ?? date) !== date) continue;
+
+    let amounts = null;
+    try {
+      amounts = report.order_amounts ? JSON.parse(report.order_amounts) : null;
+    } catch {
+      amounts = null;
+    }
+
+    for (const oid of new Set(parseJsonIds(report.order_ids))) {
+      const order = orderById.get(oid);
+      const lag = order ? daysLate(report, order) : null;
+      const type = claimAnomaly(report, order, lag, windowDays);
+      if (!type) continue;
+
+      anomalies.push({
+        id: uuidv4(),
+        report_id: report.report_id,
+        store_id: report.store_id,
+        reconciliation_date: date,
+        order_id: oid,
+        anomaly_type: type,
+        order_store_id: order?.store_id ?? null,
+        order_pickup_date: order?.pickup_date ?? null,
+        days_late: lag,
+        claimed_amount: amounts && oid in amounts ? round2(amounts[oid]) : null,
+        submitted_by: report.submitted_by ?? null,
+        is_high_priority: type === 'wrong_date' ? 0 : 1,
+        reconciled_at: now,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+// Columns written for each kind of result row, in insert order.
+const RESULT_COLUMNS = {
+  reconciliations: [
+    'id', 'order_id', 'report_id', 'store_id', 'reconciliation_date',
+    'expected_amount', 'actual_amount', 'variance_amount', 'variance_pct',
+    'status', 'is_high_priority', 'allocation_method', 'allocation_strategy', 'order_amount',
+    'lifecycle_event', 'is_late_match', 'days_late', 'priority_rule_id', 'priority_severity',
+    'adjustment_amount', 'unadjusted_variance_amount', 'unadjusted_status',
+    'run_id', 'reconciled_at',
+  ],
+  deposit_reconciliations: [
+    'id', 'report_id', 'store_id', 'reconciliation_date', 'collected_amount', 'deposited_amount',
+    'variance_amount', 'variance_pct', 'deposit_ids', 'status', 'is_high_priority',
+    'priority_rule_id', 'priority_severity', 'run_id', 'reconciled_at',
+  ],
+  conflicting_claims: [
+    'id', 'order_id', 'store_id', 'reconciliation_date', 'report_id', 'report_store_id', 'report_date',
+    'submitted_by', 'claimed_amount', 'allocation_method', 'days_late', 'run_id', 'reconciled_at',
+  ],
+  claim_anomalies: [
+    'id', 'report_id', 'store_id', 'reconciliation_date', 'order_id', 'anomaly_type',
+    'order_store_id', 'order_pickup_date', 'days_late', 'claimed_amount', 'submitted_by',
+    'is_high_priority', 'run_id', 'reconciled_at',
+  ],
+  report_variances: [
+    'id', 'report_id', 'store_id', 'reconciliation_date', 'allocation_strategy', 'collected_amount',
+    'allocated_amount', 'variance_amount', 'variance_pct', 'status', 'is_high_priority',
+    'priority_rule_id', 'priority_severity', 'run_id', 'reconciled_at',
+  ],
+  store_day_reconciliations: [
+    'id', 'store_id', 'reconciliation_date', 'order_count', 'report_count', 'expected_amount',
+    'reported_amount', 'unallocated_amount', 'late_matched_amount', 'credited_earlier_amount',
+    'variance_amount', 'variance_pct', 'status',
+    'is_high_priority', 'priority_rule_id', 'priority_severity',
+    'adjustment_amount', 'unadjusted_variance_amount', 'unadjusted_status', 'run_id', 'reconciled_at',
+  ],
+};
+
+// Order row columns kept in reconciliation_history, and the ones of them a
+// change to is kept for
+const HISTORY_COLUMNS = [...RESULT_COLUMNS.reconciliations, 'removed'];
+const TRACKED_COLUMNS = RESULT_COLUMNS.reconciliations.filter(c => !['id', 'run_id', 'reconciled_at'].includes(c));
+
+/**
+ * Insert result rows into `table`. `fixed` supplies the columns that are the
+ * same on every row (run_id).
+ */
+function insertRows(table, rows, fixed, columns = RESULT_COLUMNS[table]) {
+  const stmt = cachedStatement(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+  `);
+  for (const row of rows) {
+    stmt.run(columns.map(c => (c in fixed ? fixed[c] : row[c] ?? null)));
+  }
+}
+
+/**
+ * Keep the order rows of a store-day write that differ from the last state
+ * reconciliation_history holds for them: new orders, changed ones, and a
+ * `removed` row for each order no longer there. Unchanged rows are not
+ * copied again, so re-reconciling a range that did not move writes no
+ * history. The store-days are recorded against the run, which reads its
+ * rows back as the latest one of each order up to it (see runRecords).
+ *
+ * @param {string} date
+ * @param {string} [store_id]
+ * @param {{records: Array<object>, storeDays: Array<object>}} results
+ * @param {{runId: string, now: string}} ctx
+ */
+function recordHistory(date, store_id, { records, storeDays }, { runId, now }) {
+  const scope = store_id ? ' AND store_id = ?' : '';
+  const params = store_id ? [date, store_id] : [date];
+  const key = row => `${row.store_id}|${row.order_id}`;
+
+  // Oldest first, so each order ends up with its latest row
+  const previous = new Map();
+  for (const row of cachedStatement(`
+    SELECT * FROM reconciliation_history WHERE reconciliation_date = ?${scope} ORDER BY rowid
+  `).all(...params)) {
+    previous.set(key(row), row);
+  }
+
+  const stores = new Set(store_id ? [store_id] : storeDays.map(d => d.store_id));
+  const changed = [];
+  for (const rec of records) {
+    stores.add(rec.store_id);
+    const before = previous.get(key(rec));
+    previous.delete(key(rec));
+    if (!before || before.removed || TRACKED_COLUMNS.some(c => (before[c] ?? null) !== (rec[c] ?? null))) {
+      changed.push(rec);
+    }
+  }
+  const gone = [...previous.values()].filter(row => !row.removed);
+  for (const row of gone) stores.add(row.store_id);
+
+  insertRows('reconciliation_history', changed, { run_id: runId, removed: 0 }, HISTORY_COLUMNS);
+  insertRows('reconciliation_history', gone.map(row => ({ ...row, id: uuidv4(), reconciled_at: now })),
+    { run_id: runId, removed: 1 }, HISTORY_COLUMNS);
+
+  const coverStoreDay = cachedStatement(`
+    INSERT OR IGNORE INTO reconciliation_run_store_days (run_id, store_id, reconciliation_date) VALUES (?, ?, ?)
+  `);
+  for (const store of stores) coverStoreDay.run(runId, store, date);
+}
+
+/**
+ * The single write path of reconcileDate: delete the stored results of
+ * `date` (optionally one store) and insert the freshly computed ones, clear
+ * the store-days' dirty flags and sync the discrepancy cases, all in one
+ * transaction — a savepoint inside reconcileDateRange's.
+ *
+ * @param {string} date
+ * @param {string} [store_id]
+ * @param {object} results
+ * @param {Array<object>} results.records        - See computeReconciliation
+ * @param {Array<object>} results.depositRecords - See computeDepositReconciliation
+ * @param {Array<object>} results.anomalies      - See computeClaimAnomalies
+ * @param {Array<object>} results.reportLines    - See computeReportVariances
+ * @param {Array<object>} results.storeDays      - See computeStoreDayReconciliation
+ * @param {object} ctx
+ * @param {string} ctx.runId
+ * @param {string} ctx.now
+ */
+const writeDayResults = db.transaction((date, store_id, results, { runId, now }) => {
+  const { records, depositRecords, anomalies, reportLines, storeDays } = results;
+  const scope = store_id ? ' AND store_id = ?' : '';
+  const params = store_id ? [date, store_id] : [date];
+
+  for (const table of Object.keys(RESULT_COLUMNS)) {
+    cachedStatement(`DELETE FROM ${table} WHERE reconciliation_date = ?${scope}`).run(...params);
+  }
+  cachedStatement(`DELETE FROM dirty_store_days WHERE date = ?${scope}`).run(...params);
+
+  const fixed = { run_id: runId };
+  insertRows('reconciliations', records, fixed);
+  recordHistory(date, store_id, { records, storeDays }, { runId, now });
+  insertRows('conflicting_claims', records.flatMap(rec => (rec.claims ?? []).map(claim => ({
+    id: uuidv4(),
+    order_id: rec.order_id,
+    store_id: rec.store_id,
+    reconciliation_date: date,
+    ...claim,
+    reconciled_at: now,
+  }))), fixed);
+  insertRows('deposit_reconciliations', depositRecords, fixed);
+  insertRows('claim_anomalies', anomalies, fixed);
+  insertRows('report_variances', reportLines, fixed);
+  insertRows('store_day_reconciliations', storeDays, fixed);
+
+  syncCases(date, store_id, {
+    order: records,
+    deposit: depositRecords,
+    report_line: reportLines,
+    claim_anomaly: anomalies,
+  }, { runId, now });
+});
+
+/**
+ * Reconcile all orders whose pickup_date equals `date` (optionally scoped to
+ * a single store).  The function performs a full re-reconciliation: it first
+ * deletes every existing reconciliation row that matches the date + optional
+ * store, then inserts fresh rows computed from the current orders and
+ * cash_reports data (see computeReconciliation for the matching rules).
+ * The collection-to-deposit stage (computeDepositReconciliation) is
+ * recomputed for the same cash reports and replaced the same way.
+ * The claims behind every double_claimed order are replaced in
+ * conflicting_claims, the invalid claims of the date's reports in
+ * claim_anomalies (see computeClaimAnomalies), their report-level lines in
+ * report_variances (see computeReportVariances), the store-day totals in
+ * store_day_reconciliations (see computeStoreDayReconciliation), and any
+ * dirty_store_days flags for the date + optional store are cleared, in the
+ * same transaction.
+ *
+ * Every row written carries the id of the reconciliation run it belongs to,
+ * and the order rows that changed are kept in reconciliation_history so the
+ * run can still be compared after later runs replace them (see
+ * recordHistory and diffRuns). Without a `runId` the day is reconciled as a
+ * run of its own.
+ *
+ * High-priority discrepancies get a discrepancy case, or refresh the one they
+ * already have (see syncCases); cases are never deleted here.
+ *
+ * Refused with 409 when the date is in a closed period for the store (or for
+ * any store, without a store filter); see assertReconcileOpen.
+ *
+ * @param {string} date       - ISO date string YYYY-MM-DD
+ * @param {string} [store_id] - Optional store filter
+ * @param {object} [opts]
+ * @param {number} [opts.windowDays=config.lateReportWindowDays] - How many days
+ *        late a cash report may still claim the date's orders
+ * @param {string} [opts.strategy] - Allocation strategy overriding the stores' own
+ * @param {string} [opts.runId]    - Run the day is reconciled as part of (see withRun)
+ * @returns {Array<object>}   - Array of reconciliation record objects that were inserted
+ */
+export function reconcileDate(date, store_id, { windowDays = config.lateReportWindowDays, strategy, runId } = {}) {
+  if (!runId) {
+    const params = { date, store_id, late_window_days: windowDays, allocation_strategy: strategy };
+    return withRun(
+      { trigger: 'system', params },
+      id => reconcileDate(date, store_id, { windowDays, strategy, runId: id })
+    ).result;
+  }
+  assertReconcileOpen(date, date, store_id);
+
+  const { orders, reports, contextOrders, priority, adjustments } = loadDayInputs(date, store_id, { windowDays });
+  const now = new Date().toISOString();
+  const opts = { contextOrders, windowDays, strategy, priority, adjustments };
+  const records = computeReconciliation(date, orders, reports, now, opts);
+  const reportLines = computeReportVariances(date, orders, reports, now, opts);
+  // Late reports are deposit-reconciled on their own report_date
+  const dayReports = reports.filter(r => r.report_date === date);
+  const { deposits, collected } = loadDepositInputs(dayReports);
+  const depositRecords = computeDepositReconciliation(date, dayReports, deposits, collected, now, { priority });
+  const anomalies = computeClaimAnomalies(date, orders, dayReports, now, { contextOrders, windowDays });
+  const storeDays = computeStoreDayReconciliation(date, orders, reports, now, opts);
+
+  writeDayResults(date, store_id, {
+    records, depositRecords, anomalies, reportLines, storeDays,
+  }, { runId, now });
 
   return records;
 }
 
 /**
  * Reconcile every date in [from, to] inclusive, optionally scoped to one
- * store.  Iterates day-by-day and calls reconcileDate for each.
+ * store, as one run (its own unless `opts.runId` is given) and in one
+ * transaction: the range is written completely or not at all, and a year of
+ * store-days costs one commit instead of one per day.
+ *
+ * Each day is loaded, computed and written before the next one is read, and
+ * only its totals are kept, so memory follows the size of a day rather than
+ * of the range. Pass `opts.collect` to get the records back too, for ranges
+ * small enough to hold them.
  *
  * @param {string} from       - ISO date string YYYY-MM-DD (start, inclusive)
  * @param {string} to         - ISO date string YYYY-MM-DD (end, inclusive)
  * @param {string} [store_id] - Optional store filter
- * @returns {Array<object>}   - Flat array of all reconciliation records produced
+ * @param {object} [opts]     - Passed through to reconcileDate
+ * @param {boolean} [opts.collect=false] - Also return the records produced
+ * @returns {{ summary: object, records: Array<object>|null }} - Totals of
+ *          every record produced (see summarizeRecords), and the records
+ *          themselves when collected
+ */
+export function reconcileDateRange(from, to, store_id, opts = {}) {
+  if (!opts.runId) {
+    const params = { from, to, store_id, late_window_days: opts.windowDays, allocation_strategy: opts.strategy };
+    return withRun(
+      { trigger: 'system', params },
+      runId => reconcileDateRange(from, to, store_id, { ...opts, runId })
+    ).result;
+  }
+  // Refuse the whole range up front rather than stop at its first closed day
+  assertReconcileOpen(from, to, store_id);
+
+  const { collect = false, ...dayOpts } = opts;
+  const summary = summarizeRecords([]);
+  const records = collect ? [] : null;
+
+  db.transaction(() => {
+    // Advance day-by-day through the range using UTC midnight to avoid DST drift
+    for (let date = from; date <= to; date = shiftDate(date, 1)) {
+      const dayRecords = reconcileDate(date, store_id, dayOpts);
+      addToSummary(summary, dayRecords);
+      if (collect) records.push(...dayRecords);
+    }
+  })();
+
+  return { summary, records };
+}
+
+/**
+ * Reconcile only the store-days that may be out of date (see
+ * pendingStoreDays): flagged dirty by an upload, correction, rollback,
+ * adjustment or priority rule change, or never reconciled. Pending
+ * store-days in closed periods are left alone and listed under `locked`.
+ * Changing the allocation strategy settings flags nothing — run a full
+ * reconciliation after that.
+ *
+ * @param {string} [store_id] - Optional store filter
+ * @param {object} opts       - Passed through to reconcileDate; `runId` is required
+ * @returns {{
+ *   summary: object,
+ *   store_days: Array<{store_id: string, date: string, reason: string}>,
+ *   skipped: number,
+ *   locked: Array<{store_id: string, date: string}>
+ * }} - Totals of the records produced (see summarizeRecords), the store-days
+ *      reconciled and why, how many store-days were skipped as up to date,
+ *      and the closed ones left alone
+ */
+export function reconcilePendingStoreDays(store_id, opts) {
+  const skipped = upToDateStoreDayCount(store_id);
+  const summary = summarizeRecords([]);
+  const store_days = [];
+  const locked = [];
+
+  for (const storeDay of pendingStoreDays(store_id)) {
+    if (closedLocksFor(storeDay.date, storeDay.date, storeDay.store_id).length > 0) {
+      locked.push({ store_id: storeDay.store_id, date: storeDay.date });
+      continue;
+    }
+    addToSummary(summary, reconcileDate(storeDay.date, storeDay.store_id, opts));
+    store_days.push(storeDay);
+  }
+
+  return { summary, store_days, skipped, locked };
+}
+
+/**
+ * Status counts and money totals for a set of reconciliation records, in the
+ * same terms as /api/reconciliation/summary.
+ *
+ * @param {Array<object>} records
+ * @returns {object}
+ */
+export function summarizeRecords(records) {
+  const status_counts = {};
+  const allocation_counts = { exact: 0, proportional: 0 };
+  let totalExpected = 0;
+  let totalActual = 0;
+  let totalVariance = 0;
+  let highPriority = 0;
+
+  for (const r of records) {
+    status_counts[r.status] = (status_counts[r.status] ?? 0) + 1;
+    if (r.allocation_method) allocation_counts[r.allocation_method]++;
+    totalExpected += r.expected_amount;
+    totalActual += r.actual_amount ?? 0;
+    totalVariance += r.variance_amount ?? 0;
+    highPriority += r.is_high_priority;
+  }
+
+  return {
+    total_orders: records.length,
+    status_counts,
+    allocation_counts,
+    total_expected: round2(totalExpected),
+    total_actual: round2(totalActual),
+    total_variance: round2(totalVariance),
+    high_priority_count: highPriority,
+  };
+}
+
+/**
+ * Add the totals of `records` to `summary` (see summarizeRecords), for
+ * callers that reconcile more than they can keep.
+ *
+ * @param {object} summary - Updated in place
+ * @param {Array<object>} records
+ * @returns {object} - `summary`
  */
-export function reconcileDateRange(from, to, store_id) {
-  const allRecords = [];
+export function addToSummary(summary, records) {
+  const more = summarizeRecords(records);
+  summary.total_orders += more.total_orders;
+  for (const [status, n] of Object.entries(more.status_counts)) {
+    summary.status_counts[status] = (summary.status_counts[status] ?? 0) + n;
+  }
+  for (const [method, n] of Object.entries(more.allocation_counts)) {
+    summary.allocation_counts[method] = (summary.allocation_counts[method] ?? 0) + n;
+  }
+  for (const field of ['total_expected', 'total_actual', 'total_variance']) {
+    summary[field] = round2(summary[field] + more[field]);
+  }
+  summary.high_priority_count += more.high_priority_count;
+  return summary;
+}
 
-  // Advance day-by-day through the range using UTC midnight to avoid DST drift
-  const current = new Date(`${from}T00:00:00Z`);
-  const end = new Date(`${to}T00:00:00Z`);
+/**
+ * Orders whose status, variance or priority differs between two sets of
+ * records, with their store-day and, for orders, the report each side took
+ * the cash from.
+ * An order missing on one side (never reconciled, or no longer on this
+ * store-day) shows null for that side. Every per-order comparison goes
+ * through here (dry runs, re-reconciliation, run diffs), so they all return
+ * rows of one shape.
+ *
+ * The sides are named in the fields: before_* / after_* for a change that
+ * was made (re-reconciliation, two runs), current_* / projected_* for one
+ * that was only worked out (dry runs).
+ *
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @param {object} [opts]
+ * @param {string} [opts.key='order_id'] - Record key; 'report_id' for deposit records
+ * @param {[string, string]} [opts.labels=['before', 'after']] - Field prefixes of the two sides
+ * @returns {Array<object>}
+ */
+export function diffRecords(before, after, { key = 'order_id', labels: [a_, b_] = ['before', 'after'] } = {}) {
+  const beforeById = new Map(before.map(r => [r[key], r]));
+  const afterById = new Map(after.map(r => [r[key], r]));
+  const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])].sort();
 
-  while (current <= end) {
-    const dateStr = current.toISOString().slice(0, 10);
-    const dayRecords = reconcileDate(dateStr, store_id);
-    allRecords.push(...dayRecords);
-    current.setUTCDate(current.getUTCDate() + 1);
+  const changed = [];
+  for (const id of ids) {
+    const a = beforeById.get(id);
+    const b = afterById.get(id);
+    if (
+      a && b && a.status === b.status && a.variance_amount === b.variance_amount
+      && a.is_high_priority === b.is_high_priority
+    ) continue;
+    const row = b ?? a;
+    const diff = {
+      [key]: id,
+      store_id: row.store_id,
+      reconciliation_date: row.reconciliation_date,
+      [`${a_}_status`]: a?.status ?? null,
+      [`${b_}_status`]: b?.status ?? null,
+      [`${a_}_variance`]: a?.variance_amount ?? null,
+      [`${b_}_variance`]: b?.variance_amount ?? null,
+      [`${a_}_high_priority`]: a?.is_high_priority ?? null,
+      [`${b_}_high_priority`]: b?.is_high_priority ?? null,
+    };
+    if (key === 'order_id') {
+      diff[`${a_}_report_id`] = a?.report_id ?? null;
+      diff[`${b_}_report_id`] = b?.report_id ?? null;
+    }
+    changed.push(diff);
   }
+  return changed;
+}
+
+/**
+ * Re-reconcile exactly the given store-days (e.g. the ones an ingestion
+ * touched), as one run, and report how each one moved.
+ *
+ * @param {Array<{store_id: string, date: string}>} storeDays
+ * @param {object} [run]
+ * @param {string} [run.triggered_by='system'] - Who caused the re-reconciliation
+ * @param {string} [run.trigger='ingest']
+ * @returns {{ run_id: string, reconciled: number, store_days: Array<object> }} -
+ *          Per store-day before/after summaries and the orders whose status
+ *          or variance changed, with the same for the collection-to-deposit
+ *          stage under `deposits`
+ */
+export function reconcileStoreDays(storeDays, { triggered_by, trigger = 'ingest' } = {}) {
+  const { run, result } = withRun(
+    { triggered_by, trigger, params: { store_days: storeDays } },
+    runId => reconcileStoreDaysInRun(storeDays, runId)
+  );
+  return { run_id: run.id, ...result };
+}
+
+function reconcileStoreDaysInRun(storeDays, runId) {
+  const currentStmt = db.prepare(
+    'SELECT * FROM reconciliations WHERE reconciliation_date = ? AND store_id = ?'
+  );
+  const currentDepositStmt = db.prepare(
+    'SELECT * FROM deposit_reconciliations WHERE reconciliation_date = ? AND store_id = ?'
+  );
+
+  let reconciled = 0;
+  const delta = storeDays.map(({ store_id, date }) => {
+    const before = currentStmt.all(date, store_id);
+    const depositsBefore = currentDepositStmt.all(date, store_id);
+    const after = reconcileDate(date, store_id, { runId });
+    const depositsAfter = currentDepositStmt.all(date, store_id);
+    reconciled += after.length;
+    return {
+      store_id,
+      date,
+      before: summarizeRecords(before),
+      after: summarizeRecords(after),
+      changed_orders: diffRecords(before, after),
+      deposits: {
+        before: summarizeDepositRecords(depositsBefore),
+        after: summarizeDepositRecords(depositsAfter),
+        changed_reports: diffRecords(depositsBefore, depositsAfter, { key: 'report_id' }),
+      },
+    };
+  });
 
-  return allRecords;
+  return { reconciled, store_days: delta };
 }
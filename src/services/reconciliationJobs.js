@@ -0,0 +1,337 @@
+import { v4 as uuidv4 } from 'uuid';
+import { setImmediate as nextTick } from 'timers/promises';
+import { db } from '../db/index.js';
+import { reconcileDate } from './reconciler.js';
+import { startRun, finishRun, failRun } from './reconciliationRuns.js';
+import { assertReconcileOpen, closedLocksFor, openReconcileScopes } from './periodLocks.js';
+import { pendingStoreDays, upToDateStoreDayCount } from './storeDays.js';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Jobs this process is running; a job marked running that is not here was
+// left behind by a process that stopped (see resumeJobs)
+const active = new Set();
+
+function jobError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function parseJob(row) {
+  return {
+    ...row,
+    params: JSON.parse(row.params),
+    summary: row.summary ? JSON.parse(row.summary) : null,
+    cancel_requested: row.cancel_requested === 1,
+    percent_done: row.steps_total ? Math.round((row.steps_done / row.steps_total) * 100) : null,
+  };
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getJob(id) {
+  const row = db.prepare('SELECT * FROM reconciliation_jobs WHERE id = ?').get(id);
+  return row ? parseJob(row) : null;
+}
+
+/**
+ * Jobs, newest first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.triggered_by]
+ * @param {number} [filters.limit=50]
+ * @returns {Array<object>}
+ */
+export function listJobs({ status, triggered_by, limit = 50 } = {}) {
+  let sql = 'SELECT * FROM reconciliation_jobs WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  if (triggered_by) {
+    sql += ' AND triggered_by = ?';
+    params.push(triggered_by);
+  }
+
+  sql += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(sql).all(...params).map(parseJob);
+}
+
+/**
+ * Whether two jobs may touch the same store-day. A job without a store
+ * covers every store, and one without dates (every date, or incremental)
+ * covers every date.
+ */
+function overlaps(a, b) {
+  if (a.store_id && b.store_id && a.store_id !== b.store_id) return false;
+  if (a.from_date && b.to_date && a.from_date > b.to_date) return false;
+  if (b.from_date && a.to_date && b.from_date > a.to_date) return false;
+  return true;
+}
+
+/**
+ * Refuse a synchronous reconcile over store-days a running or queued job may
+ * rewrite: the job commits day by day, so the two would interleave and the
+ * later write of each day would win. Without dates the request covers every
+ * date; without a store, every store.
+ *
+ * @param {object} scope
+ * @param {string} [scope.store_id]
+ * @param {string} [scope.from]
+ * @param {string} [scope.to]
+ * @throws {Error} 409 naming the job
+ */
+export function assertNoOverlappingJob({ store_id, from, to }) {
+  assertNoJobOver([{ store_id: store_id || null, from_date: from || null, to_date: to || null }]);
+}
+
+/**
+ * assertNoOverlappingJob for the writers that re-reconcile the store-days
+ * they touched: auto-reconcile after an upload and batch rollback.
+ *
+ * @param {Array<{store_id: string, date: string}>} storeDays
+ * @param {string} [alternative] - What else the caller may do, added to the message
+ * @throws {Error} 409 naming the job
+ */
+export function assertNoJobOverStoreDays(storeDays, alternative) {
+  assertNoJobOver(storeDays.map(({ store_id, date }) => ({ store_id, from_date: date, to_date: date })), alternative);
+}
+
+function assertNoJobOver(scopes, alternative) {
+  if (scopes.length === 0) return;
+  const pending = db.prepare(`
+    SELECT * FROM reconciliation_jobs WHERE status IN ('queued', 'running') ORDER BY created_at, rowid
+  `).all();
+  const job = pending.find(other => scopes.some(scope => overlaps(scope, other)));
+  if (job) {
+    throw jobError(
+      `Reconciliation job "${job.id}" (${job.status}) covers the same store-days; `
+        + (alternative ? `wait for it, cancel it, or ${alternative}` : 'wait for it or cancel it'),
+      409
+    );
+  }
+}
+
+/**
+ * Queue a reconciliation to run in the background and start it unless a
+ * job over an overlapping store and date range is running or queued ahead
+ * of it. A date or range in a closed period is refused here, as the request
+ * run synchronously would be.
+ *
+ * @param {object} meta
+ * @param {string} [meta.triggered_by='system']
+ * @param {'api'|'batch'} meta.trigger - Which reconcile request it stands for
+ * @param {object} meta.params         - That request's parameters, as recorded on its run
+ * @returns {object} - The job (see getJob)
+ */
+export function submitJob({ triggered_by = 'system', trigger, params }) {
+  const from = trigger === 'batch' ? params.from : params.date ?? null;
+  const to = trigger === 'batch' ? params.to : params.date ?? null;
+  if (from) assertReconcileOpen(from, to, params.store_id || undefined);
+
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO reconciliation_jobs
+      (id, triggered_by, trigger, params, store_id, from_date, to_date, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'queued', ?)
+  `).run(id, triggered_by, trigger, JSON.stringify(params), params.store_id || null, from, to, new Date().toISOString());
+
+  scheduleJobs();
+  return getJob(id);
+}
+
+/**
+ * Cancel a job. A queued job is cancelled straight away; a running one stops
+ * before its next day, keeping the days it finished.
+ *
+ * @param {string} id
+ * @returns {object|null} - The job, or null when there is none
+ * @throws {Error} 409 when the job already finished
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  if (FINISHED.includes(job.status)) {
+    throw jobError(`Job "${id}" already ${job.status}`, 409);
+  }
+
+  if (job.status === 'queued') {
+    db.prepare(`
+      UPDATE reconciliation_jobs SET status = 'cancelled', cancel_requested = 1, finished_at = ? WHERE id = ?
+    `).run(new Date().toISOString(), id);
+    // Jobs queued behind it may be free to start now
+    scheduleJobs();
+  } else {
+    db.prepare('UPDATE reconciliation_jobs SET cancel_requested = 1 WHERE id = ?').run(id);
+  }
+  return getJob(id);
+}
+
+/**
+ * Fail the jobs a stopped process left marked running, then start whatever
+ * queued jobs can run. Called once the database is migrated.
+ */
+export function resumeJobs() {
+  const running = db.prepare("SELECT * FROM reconciliation_jobs WHERE status = 'running'").all();
+  for (const job of running.filter(j => !active.has(j.id))) {
+    const err = new Error('Interrupted: the server stopped while the job was running');
+    if (job.run_id) failRun(job.run_id, err);
+    finishJob(job.id, 'failed', { error: err.message });
+  }
+  scheduleJobs();
+}
+
+/**
+ * Start every queued job, oldest first, that overlaps no running job and no
+ * job queued before it.
+ */
+function scheduleJobs() {
+  const ahead = db.prepare("SELECT * FROM reconciliation_jobs WHERE status = 'running'").all();
+  const queued = db.prepare(`
+    SELECT * FROM reconciliation_jobs WHERE status = 'queued' ORDER BY created_at, rowid
+  `).all();
+
+  for (const job of queued) {
+    if (!ahead.some(other => overlaps(job, other))) startJob(job);
+    ahead.push(job);
+  }
+}
+
+function startJob(job) {
+  db.prepare(`
+    UPDATE reconciliation_jobs SET status = 'running', started_at = ? WHERE id = ?
+  `).run(new Date().toISOString(), job.id);
+  active.add(job.id);
+  runJob(job).finally(() => {
+    active.delete(job.id);
+    scheduleJobs();
+  });
+}
+
+function finishJob(id, status, { summary = null, error = null } = {}) {
+  db.prepare(`
+    UPDATE reconciliation_jobs SET status = ?, summary = ?, error = ?, finished_at = ? WHERE id = ?
+  `).run(status, summary && JSON.stringify(summary), error, new Date().toISOString(), id);
+}
+
+/**
+ * The store-days a job reconciles, one reconcileDate call each, worked out
+ * when it starts rather than when it was queued: a range gives one step per
+ * date, every date one per date (split by store around closed periods), and
+ * incremental mode one per pending store-day.
+ *
+ * @param {object} job - reconciliation_jobs row
+ * @returns {{
+ *   steps: Array<{date: string, store_id: string|undefined}>,
+ *   locked: Array<{store_id: string, date: string}>,
+ *   skipped?: number
+ * }}
+ */
+function planJob(job) {
+  const params = JSON.parse(job.params);
+  const store_id = params.store_id || undefined;
+
+  if (job.trigger === 'batch' || params.date) {
+    // The period may have been closed while the job was queued
+    assertReconcileOpen(job.from_date, job.to_date, store_id);
+    const steps = [];
+    for (let date = job.from_date; date <= job.to_date; date = shiftDate(date, 1)) {
+      steps.push({ date, store_id });
+    }
+    return { steps, locked: [] };
+  }
+
+  const steps = [];
+  const locked = [];
+  if (params.mode === 'incremental') {
+    const skipped = upToDateStoreDayCount(store_id);
+    for (const storeDay of pendingStoreDays(store_id)) {
+      if (closedLocksFor(storeDay.date, storeDay.date, storeDay.store_id).length > 0) {
+        locked.push({ store_id: storeDay.store_id, date: storeDay.date });
+      } else {
+        steps.push({ date: storeDay.date, store_id: storeDay.store_id });
+      }
+    }
+    return { steps, locked, skipped };
+  }
+
+  const dates = db.prepare('SELECT DISTINCT pickup_date FROM orders ORDER BY pickup_date').all();
+  for (const { pickup_date: date } of dates) {
+    const { scopes, locked: lockedDays } = openReconcileScopes(date, store_id);
+    locked.push(...lockedDays);
+    for (const scope of scopes) steps.push({ date, store_id: scope });
+  }
+  return { steps, locked };
+}
+
+function jobSummary(run, { locked, skipped }) {
+  const summary = {
+    run_id: run.id,
+    reconciled: run.total_orders,
+    store_day_count: run.store_day_count,
+    status_counts: run.status_counts,
+    total_expected: run.total_expected,
+    total_actual: run.total_actual,
+    total_variance: run.total_variance,
+    high_priority_count: run.high_priority_count,
+    locked_store_days: locked,
+  };
+  if (skipped !== undefined) summary.skipped = skipped;
+  return summary;
+}
+
+/**
+ * Run a job as one reconciliation run, a store-day step at a time, giving
+ * the event loop back between steps so requests (progress polls, cancels,
+ * other jobs) are served meanwhile. Each step commits on its own: a job that
+ * fails or is cancelled keeps the days it finished. Never rejects.
+ */
+async function runJob(job) {
+  // Let the request that queued the job respond first
+  await nextTick();
+
+  const params = JSON.parse(job.params);
+  let runId = null;
+  try {
+    runId = startRun({ triggered_by: job.triggered_by, trigger: job.trigger, params });
+    db.prepare('UPDATE reconciliation_jobs SET run_id = ? WHERE id = ?').run(runId, job.id);
+
+    const plan = planJob(job);
+    db.prepare('UPDATE reconciliation_jobs SET steps_total = ? WHERE id = ?').run(plan.steps.length, job.id);
+
+    const opts = {
+      windowDays: params.late_window_days,
+      strategy: params.allocation_strategy ?? undefined,
+      runId,
+    };
+    const progress = db.prepare('UPDATE reconciliation_jobs SET steps_done = ? WHERE id = ?');
+    const cancelRequested = db.prepare('SELECT cancel_requested FROM reconciliation_jobs WHERE id = ?').pluck();
+
+    for (const [i, step] of plan.steps.entries()) {
+      if (cancelRequested.get(job.id) === 1) {
+        finishJob(job.id, 'cancelled', { summary: jobSummary(finishRun(runId, { status: 'cancelled' }), plan) });
+        return;
+      }
+      reconcileDate(step.date, step.store_id, opts);
+      progress.run(i + 1, job.id);
+      await nextTick();
+    }
+
+    finishJob(job.id, 'completed', { summary: jobSummary(finishRun(runId), plan) });
+  } catch (err) {
+    if (runId) failRun(runId, err);
+    finishJob(job.id, 'failed', { error: err.message });
+  }
+}
@@ -0,0 +1,286 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../db/index.js';
+import { diffRecords } from './reconciler.js';
+import { config } from '../config.js';
+
+/**
+ * Record the start of a reconciliation run. Every row a run writes carries
+ * its id, and the order rows it changed are also kept in
+ * reconciliation_history so the run can be compared with later ones after
+ * its rows were replaced.
+ *
+ * @param {object} meta
+ * @param {string} [meta.triggered_by='system'] - Who asked for the run
+ * @param {string} meta.trigger                  - What started it: api, batch, ingest, rollback, ...
+ * @param {object} [meta.params={}]              - Its parameters (dates, store, options)
+ * @returns {string} - The run id
+ */
+export function startRun({ triggered_by = 'system', trigger, params = {} }) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO reconciliation_runs (id, triggered_by, trigger, params, status, started_at)
+    VALUES (?, ?, ?, ?, 'running', ?)
+  `).run(id, triggered_by, trigger, JSON.stringify(params), new Date().toISOString());
+  return id;
+}
+
+/**
+ * Mark a run completed and store its totals, computed from the order rows it
+ * wrote (still the current ones: no other run may rewrite its store-days
+ * while it runs). A run stopped part way by a cancelled job is finished as
+ * `cancelled`, with the totals of the days it got through. Then prunes the
+ * history of runs past the retention (see pruneRunHistory).
+ *
+ * @param {string} id
+ * @param {object} [opts]
+ * @param {'completed'|'cancelled'} [opts.status='completed']
+ * @returns {object} - The run (see getRun)
+ */
+export function finishRun(id, { status = 'completed' } = {}) {
+  const totals = db.prepare(`
+    SELECT
+      COUNT(DISTINCT store_id || '|' || reconciliation_date)          AS store_day_count,
+      COUNT(*)                                                         AS total_orders,
+      ROUND(COALESCE(SUM(expected_amount), 0), 2)                      AS total_expected,
+      ROUND(COALESCE(SUM(actual_amount), 0), 2)                        AS total_actual,
+      ROUND(COALESCE(SUM(variance_amount), 0), 2)                      AS total_variance,
+      COALESCE(SUM(is_high_priority), 0)                               AS high_priority_count
+    FROM reconciliations
+    WHERE run_id = ?
+  `).get(id);
+  const statusCounts = Object.fromEntries(db.prepare(`
+    SELECT status, COUNT(*) AS n FROM reconciliations WHERE run_id = ? GROUP BY status ORDER BY status
+  `).all(id).map(r => [r.status, r.n]));
+
+  db.prepare(`
+    UPDATE reconciliation_runs
+    SET status = @status, finished_at = @finished_at, store_day_count = @store_day_count,
+        total_orders = @total_orders, status_counts = @status_counts,
+        total_expected = @total_expected, total_actual = @total_actual,
+        total_variance = @total_variance, high_priority_count = @high_priority_count
+    WHERE id = @id
+  `).run({
+    id,
+    status,
+    ...totals,
+    status_counts: JSON.stringify(statusCounts),
+    finished_at: new Date().toISOString(),
+  });
+  pruneRunHistory();
+  return getRun(id);
+}
+
+/**
+ * Mark a run failed. What it was writing when it failed was rolled back:
+ * the store-day in progress, or the whole range under reconcileDateRange.
+ * A reconciliation job commits day by day and keeps the days it finished.
+ *
+ * @param {string} id
+ * @param {Error} err
+ */
+export function failRun(id, err) {
+  db.prepare(`
+    UPDATE reconciliation_runs SET status = 'failed', finished_at = ?, error = ? WHERE id = ?
+  `).run(new Date().toISOString(), err.message, id);
+  pruneRunHistory();
+}
+
+/**
+ * Mark every finished run but the latest `keep` `history_pruned`, and delete
+ * the reconciliation_history rows they no longer need. The history keeps
+ * only changes, so a row of a pruned run stays while it is still the latest
+ * one of its order up to the oldest run kept: the kept runs read it back.
+ * The runs themselves and their totals stay.
+ *
+ * @param {number} [keep=config.runHistoryRetention] - 0 keeps every run's rows
+ * @returns {number} - How many runs were pruned
+ */
+export function pruneRunHistory(keep = config.runHistoryRetention) {
+  if (!keep) return 0;
+  const kept = `
+    SELECT id FROM reconciliation_runs WHERE status != 'running'
+    ORDER BY started_at DESC, rowid DESC LIMIT @keep
+  `;
+  const stale = db.prepare(`
+    SELECT id FROM reconciliation_runs
+    WHERE status != 'running' AND history_pruned = 0 AND id NOT IN (${kept})
+  `).pluck().all({ keep });
+  if (stale.length === 0) return 0;
+  const cutoff = db.prepare(`
+    SELECT MIN(rowid) FROM reconciliation_runs WHERE id IN (${kept})
+  `).pluck().get({ keep });
+
+  const deleteSuperseded = db.prepare(`
+    DELETE FROM reconciliation_history AS h
+    WHERE h.run_id = @id AND EXISTS (
+      SELECT 1 FROM reconciliation_history later
+      JOIN reconciliation_runs r ON r.id = later.run_id
+      WHERE later.reconciliation_date = h.reconciliation_date AND later.store_id = h.store_id
+        AND later.order_id = h.order_id AND later.rowid > h.rowid AND r.rowid <= @cutoff
+    )
+  `);
+  const deleteStoreDays = db.prepare('DELETE FROM reconciliation_run_store_days WHERE run_id = ?');
+  const markPruned = db.prepare('UPDATE reconciliation_runs SET history_pruned = 1 WHERE id = ?');
+  db.transaction(() => {
+    for (const id of stale) {
+      deleteSuperseded.run({ id, cutoff });
+      deleteStoreDays.run(id);
+      markPruned.run(id);
+    }
+  })();
+  return stale.length;
+}
+
+/**
+ * Run `fn` as one reconciliation run: start it, pass it the run id, and
+ * finish the run — or mark it failed and rethrow.
+ *
+ * @param {object} meta         - See startRun
+ * @param {function(string): *} fn
+ * @returns {{ run: object, result: * }}
+ */
+export function withRun(meta, fn) {
+  const id = startRun(meta);
+  try {
+    const result = fn(id);
+    return { run: finishRun(id), result };
+  } catch (err) {
+    failRun(id, err);
+    throw err;
+  }
+}
+
+function parseRun(row) {
+  return {
+    ...row,
+    params: JSON.parse(row.params),
+    status_counts: row.status_counts ? JSON.parse(row.status_counts) : null,
+    history_pruned: row.history_pruned === 1,
+  };
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getRun(id) {
+  const row = db.prepare('SELECT * FROM reconciliation_runs WHERE id = ?').get(id);
+  return row ? parseRun(row) : null;
+}
+
+/**
+ * Runs, newest first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.triggered_by]
+ * @param {string} [filters.status]
+ * @param {string} [filters.from] - Started on or after this date (YYYY-MM-DD)
+ * @param {string} [filters.to]   - Started on or before this date
+ * @param {number} [filters.limit=50]
+ * @returns {Array<object>}
+ */
+export function listRuns({ triggered_by, status, from, to, limit = 50 } = {}) {
+  let sql = 'SELECT * FROM reconciliation_runs WHERE 1=1';
+  const params = [];
+
+  if (triggered_by) {
+    sql += ' AND triggered_by = ?';
+    params.push(triggered_by);
+  }
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  if (from) {
+    sql += ' AND substr(started_at, 1, 10) >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND substr(started_at, 1, 10) <= ?';
+    params.push(to);
+  }
+
+  sql += ' ORDER BY started_at DESC, rowid DESC LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(sql).all(...params).map(parseRun);
+}
+
+/**
+ * The order rows of the store-days a run reconciled, as they were then: the
+ * latest row the history holds for each order up to that run. An unchanged
+ * row keeps the `run_id` of the run that last changed it.
+ *
+ * @param {string} runId
+ * @param {object} [filters]
+ * @param {string} [filters.store_id]
+ * @param {string} [filters.date]
+ * @returns {Array<object>}
+ */
+export function runRecords(runId, { store_id, date } = {}) {
+  let sql = `
+    SELECT h.*, ROW_NUMBER() OVER (
+      PARTITION BY h.reconciliation_date, h.store_id, h.order_id ORDER BY h.rowid DESC
+    ) AS latest
+    FROM reconciliation_run_store_days d
+    JOIN reconciliation_history h
+      ON h.reconciliation_date = d.reconciliation_date AND h.store_id = d.store_id
+    JOIN reconciliation_runs r ON r.id = h.run_id
+    WHERE d.run_id = ? AND r.rowid <= (SELECT rowid FROM reconciliation_runs WHERE id = ?)
+  `;
+  const params = [runId, runId];
+
+  if (store_id) {
+    sql += ' AND d.store_id = ?';
+    params.push(store_id);
+  }
+  if (date) {
+    sql += ' AND d.reconciliation_date = ?';
+    params.push(date);
+  }
+
+  return db.prepare(`
+    SELECT * FROM (${sql}) WHERE latest = 1 AND removed = 0
+    ORDER BY reconciliation_date, store_id, order_id
+  `).all(...params).map(({ latest, removed, ...row }) => row);
+}
+
+/**
+ * @param {string} runId
+ * @returns {Set<string>} - "store_id|date" of every store-day the run reconciled
+ */
+function runStoreDays(runId) {
+  return new Set(db.prepare(`
+    SELECT store_id || '|' || reconciliation_date FROM reconciliation_run_store_days WHERE run_id = ?
+  `).pluck().all(runId));
+}
+
+/**
+ * Orders whose status or variance differs between two runs, over the
+ * store-days both runs reconciled (a run for one day compared with a run for
+ * the whole week only compares that day). An order on one side only — new,
+ * or rolled back in between — shows null for the other.
+ *
+ * @param {string} beforeId
+ * @param {string} afterId
+ * @returns {{ store_days: Array<{store_id: string, date: string}>, changed_orders: Array<object> }}
+ */
+export function diffRuns(beforeId, afterId) {
+  const before = runRecords(beforeId);
+  const after = runRecords(afterId);
+
+  const storeDayKey = r => `${r.store_id}|${r.reconciliation_date}`;
+  const afterDays = runStoreDays(afterId);
+  const shared = new Set([...runStoreDays(beforeId)].filter(k => afterDays.has(k)));
+
+  const changed = diffRecords(
+    before.filter(r => shared.has(storeDayKey(r))),
+    after.filter(r => shared.has(storeDayKey(r)))
+  );
+
+  const store_days = [...shared].sort().map((k) => {
+    const [store_id, date] = k.split('|');
+    return { store_id, date };
+  });
+  return { store_days, changed_orders: changed };
+}
@@ -0,0 +1,147 @@
+import { db } from '../db/index.js';
+import {
+  loadDayInputs, computeReconciliation, summarizeRecords, checkTolerances, diffRecords,
+} from './reconciler.js';
+import { normalizePriorityRule } from './priorityRules.js';
+import { config } from '../config.js';
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function simulationError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Simulated priority rules from request bodies (as for POST
+ * /api/priority-rules), validated. A rule keeps the `id` it was given, so it
+ * can stand in for a stored rule; the others are simulated-1, simulated-2, ...
+ *
+ * @param {Array<object>} inputs
+ * @returns {Array<object>}
+ * @throws {Error} 400 for an invalid rule
+ */
+export function simulatedPriorityRules(inputs) {
+  return inputs.map((input, i) => ({
+    ...normalizePriorityRule(input),
+    id: typeof input.id === 'string' && input.id ? input.id : `simulated-${i + 1}`,
+  }));
+}
+
+/**
+ * The stored rules with the simulated ones applied: one with the id of a
+ * stored rule replaces it, the others are added.
+ */
+function mergePriorityRules(stored, simulated) {
+  const rules = new Map(stored.map(r => [r.id, r]));
+  for (const rule of simulated) rules.set(rule.id, rule);
+  return [...rules.values()];
+}
+
+/**
+ * Projected minus current, for the figures of two summarizeRecords results.
+ * Status counts list only the statuses that moved.
+ */
+function summaryDifference(current, projected) {
+  const statuses = new Set([...Object.keys(current.status_counts), ...Object.keys(projected.status_counts)]);
+  const status_counts = {};
+  for (const status of [...statuses].sort()) {
+    const delta = (projected.status_counts[status] ?? 0) - (current.status_counts[status] ?? 0);
+    if (delta !== 0) status_counts[status] = delta;
+  }
+  return {
+    status_counts,
+    total_actual: round2(projected.total_actual - current.total_actual),
+    total_variance: round2(projected.total_variance - current.total_variance),
+    high_priority_count: projected.high_priority_count - current.high_priority_count,
+  };
+}
+
+/**
+ * What-if reconciliation: run the reconciler in memory over [from, to]
+ * with some of its parameters overridden, and compare the order rows it
+ * would produce with the ones stored, as a dry run does (current against
+ * projected; see diffRecords). Nothing is written — no rows, no run, no
+ * cases — and closed periods may be simulated like any other.
+ *
+ * It runs inside the request and holds both sides of every order in memory,
+ * so the range is capped at SIMULATION_MAX_DAYS.
+ *
+ * The stored rows are whatever the last reconciliation left, so data loaded
+ * since then shows up as a change too; compare without overrides first to
+ * see how much of the difference that is.
+ *
+ * @param {object} scope
+ * @param {string} scope.from       - YYYY-MM-DD, inclusive; a valid date
+ * @param {string} scope.to         - YYYY-MM-DD, inclusive; a valid date
+ * @param {string} [scope.store_id]
+ * @param {object} [overrides]
+ * @param {number} [overrides.windowDays=config.lateReportWindowDays] - Late report window
+ * @param {string} [overrides.strategy]  - Allocation strategy for every store
+ * @param {Array<object>} [overrides.priorityRules=[]] - See simulatedPriorityRules
+ * @param {object} [overrides.tolerances] - Rounding tolerances by currency,
+ *        each replacing the configured one (see resolveTolerance)
+ * @returns {{
+ *   current: object, projected: object, difference: object, store_day_count: number,
+ *   changed_orders: Array<object>, priority_rules: Array<object>, tolerances: object
+ * }} - current and projected are summarizeRecords results; priority_rules
+ *      are the simulated rules with their ids, tolerances those in effect
+ * @throws {Error} 400 for a range over SIMULATION_MAX_DAYS, or an invalid
+ *         rule or tolerance
+ */
+export function simulateReconciliation(
+  { from, to, store_id },
+  { windowDays = config.lateReportWindowDays, strategy, priorityRules = [], tolerances } = {}
+) {
+  const days = (Date.parse(to) - Date.parse(from)) / 86_400_000 + 1;
+  if (days > config.simulationMaxDays) {
+    throw simulationError(
+      `A simulation covers at most ${config.simulationMaxDays} days (SIMULATION_MAX_DAYS); ` +
+      `reconcile longer ranges as a job`
+    );
+  }
+
+  const scope = store_id ? ' AND store_id = ?' : '';
+  const currentStmt = db.prepare(`SELECT * FROM reconciliations WHERE reconciliation_date = ?${scope}`);
+
+  const overrideRules = simulatedPriorityRules(priorityRules);
+  if (tolerances !== undefined) checkTolerances(tolerances);
+  const effectiveTolerances = { ...config.varianceTolerances, ...tolerances };
+
+  const current = [];
+  const projected = [];
+  const storeDays = new Set();
+
+  for (let date = from; date <= to; date = shiftDate(date, 1)) {
+    const { orders, reports, contextOrders, priority, adjustments } = loadDayInputs(date, store_id, { windowDays });
+    const rules = mergePriorityRules(priority.rules, overrideRules);
+    const records = computeReconciliation(date, orders, reports, undefined, {
+      contextOrders, windowDays, strategy, priority: { ...priority, rules }, adjustments,
+      tolerances: effectiveTolerances,
+    });
+    const stored = currentStmt.all(...(store_id ? [date, store_id] : [date]));
+
+    for (const r of [...records, ...stored]) storeDays.add(`${r.store_id}|${date}`);
+    projected.push(...records);
+    current.push(...stored);
+  }
+
+  const currentSummary = summarizeRecords(current);
+  const projectedSummary = summarizeRecords(projected);
+  return {
+    current: currentSummary,
+    projected: projectedSummary,
+    difference: summaryDifference(currentSummary, projectedSummary),
+    store_day_count: storeDays.size,
+    changed_orders: diffRecords(current, projected, { labels: ['current', 'projected'] }),
+    priority_rules: overrideRules,
+    tolerances: effectiveTolerances,
+  };
+}
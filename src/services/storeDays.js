@@ -0,0 +1,197 @@
+import { db } from '../db/index.js';
+import { assertStoreDaysOpen } from './periodLocks.js';
+
+/**
+ * Record a (store_id, date) pair in a Map keyed by "store|date" so each
+ * store-day is only listed once.
+ *
+ * @param {Map<string, {store_id: string, date: string}>} map
+ * @param {string} store_id
+ * @param {string} date
+ */
+export function addStoreDay(map, store_id, date) {
+  map.set(`${store_id}|${date}`, { store_id, date });
+}
+
+/**
+ * @param {Map<string, {store_id: string, date: string}>} map
+ * @returns {Array<{store_id: string, date: string}>} - Sorted by date, then store
+ */
+export function storeDayList(map) {
+  return [...map.values()].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.store_id.localeCompare(b.store_id)
+  );
+}
+
+/**
+ * Flag store-days whose source data changed so the next reconciliation
+ * picks them up. reconcileDate clears the flag. Refused with 409 when one of
+ * them is in a closed period (see assertStoreDaysOpen).
+ *
+ * @param {Array<{store_id: string, date: string}>} storeDays
+ * @param {string} reason
+ */
+export function markStoreDaysDirty(storeDays, reason) {
+  assertStoreDaysOpen(storeDays);
+  const stmt = db.prepare(`
+    INSERT INTO dirty_store_days (store_id, date, reason, marked_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(store_id, date) DO UPDATE SET reason = excluded.reason, marked_at = excluded.marked_at
+  `);
+  const now = new Date().toISOString();
+  for (const { store_id, date } of storeDays) {
+    stmt.run(store_id, date, reason, now);
+  }
+}
+
+/**
+ * Add the store-days of the given cash reports to `map`. A deposit is
+ * reconciled on the store-days of the reports it covers, not on its own
+ * deposit date. Report ids that are not stored yet are ignored — the deposit
+ * is picked up once those reports are ingested and reconciled.
+ *
+ * @param {Map<string, {store_id: string, date: string}>} map
+ * @param {Array<string>} reportIds
+ */
+export function addReportStoreDays(map, reportIds) {
+  if (reportIds.length === 0) return;
+  const rows = db.prepare(`
+    SELECT DISTINCT store_id, report_date FROM cash_reports
+    WHERE report_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(reportIds));
+  for (const r of rows) addStoreDay(map, r.store_id, r.report_date);
+}
+
+/**
+ * Add the store-days of the given orders (store_id, pickup_date) to `map`.
+ * Lifecycle events are reconciled on their order's pickup day. Order ids that
+ * are not stored yet are ignored, as in addReportStoreDays.
+ *
+ * @param {Map<string, {store_id: string, date: string}>} map
+ * @param {Array<string>} orderIds
+ */
+export function addOrderStoreDays(map, orderIds) {
+  if (orderIds.length === 0) return;
+  const rows = db.prepare(`
+    SELECT DISTINCT store_id, pickup_date FROM orders
+    WHERE order_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(orderIds));
+  for (const r of rows) addStoreDay(map, r.store_id, r.pickup_date);
+}
+
+/**
+ * Add the store-days of the cash reports that claim any of the given orders
+ * to `map`. A late report splits its cash over orders of earlier days, so
+ * adding or changing one of those orders moves the report's other orders too.
+ *
+ * @param {Map<string, {store_id: string, date: string}>} map
+ * @param {Array<string>} orderIds
+ */
+export function addClaimingReportStoreDays(map, orderIds) {
+  if (orderIds.length === 0) return;
+  const rows = db.prepare(`
+    SELECT DISTINCT c.store_id, c.report_date FROM cash_report_orders ro
+    JOIN cash_reports c ON c.report_id = ro.report_id
+    WHERE ro.order_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(orderIds));
+  for (const r of rows) addStoreDay(map, r.store_id, r.report_date);
+}
+
+/**
+ * Flag the reconciled store-days a priority rule can re-judge: those of the
+ * rule's store, of the stores of its region or currency, or every one for a
+ * global rule. Pass the rule before and after a change. Unlike
+ * markStoreDaysDirty, store-days in closed periods are skipped instead of
+ * refusing the change — their results stay as they were closed.
+ *
+ * @param {Array<{scope: string, scope_value: string|null}>} rules
+ * @param {string} reason
+ */
+export function markRuleScopeDirty(rules, reason) {
+  const now = new Date().toISOString();
+  for (const { scope, scope_value } of rules) {
+    let where = '1=1';
+    const params = [reason, now];
+    if (scope === 'store') {
+      where = 's.store_id = ?';
+      params.push(scope_value);
+    } else if (scope === 'region' || scope === 'currency') {
+      where = `s.store_id IN (SELECT store_id FROM orders WHERE ${scope} = ?)`;
+      params.push(scope_value);
+    }
+    db.prepare(`
+      INSERT INTO dirty_store_days (store_id, date, reason, marked_at)
+      SELECT s.store_id, s.reconciliation_date, ?, ?
+      FROM store_day_reconciliations s
+      WHERE ${where}
+        AND NOT EXISTS (
+          SELECT 1 FROM period_locks l
+          WHERE l.status = 'closed' AND l.from_date <= s.reconciliation_date AND l.to_date >= s.reconciliation_date
+            AND (l.store_id IS NULL OR l.store_id = s.store_id)
+        )
+      ON CONFLICT(store_id, date) DO UPDATE SET reason = excluded.reason, marked_at = excluded.marked_at
+    `).run(...params);
+  }
+}
+
+/**
+ * Store-days whose stored results may be out of date: the ones flagged
+ * dirty, and the ones with orders or cash reports that were never
+ * reconciled (reason "never_reconciled"), e.g. data loaded before dirty
+ * tracking existed.
+ *
+ * @param {string} [store_id]
+ * @returns {Array<{store_id: string, date: string, reason: string}>} - Sorted by date, then store
+ */
+export function pendingStoreDays(store_id) {
+  const storeFilter = store_id ? 'AND store_id = ?' : '';
+  const params = store_id ? [store_id, store_id] : [];
+
+  const dirty = db.prepare(`
+    SELECT store_id, date, reason FROM dirty_store_days WHERE 1=1 ${storeFilter}
+  `).all(...(store_id ? [store_id] : []));
+  const unreconciled = db.prepare(`
+    SELECT a.store_id, a.date FROM (
+      SELECT store_id, pickup_date AS date FROM orders WHERE 1=1 ${storeFilter}
+      UNION
+      SELECT store_id, report_date AS date FROM cash_reports WHERE 1=1 ${storeFilter}
+    ) a
+    WHERE NOT EXISTS (
+      SELECT 1 FROM store_day_reconciliations s
+      WHERE s.store_id = a.store_id AND s.reconciliation_date = a.date
+    )
+  `).all(...params);
+
+  const map = new Map(dirty.map(d => [`${d.store_id}|${d.date}`, d]));
+  for (const { store_id: s, date } of unreconciled) {
+    if (!map.has(`${s}|${date}`)) map.set(`${s}|${date}`, { store_id: s, date, reason: 'never_reconciled' });
+  }
+  return [...map.values()].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.store_id.localeCompare(b.store_id)
+  );
+}
+
+/**
+ * How many store-days with orders or cash reports are reconciled and not
+ * flagged dirty, i.e. what an incremental run leaves alone.
+ *
+ * @param {string} [store_id]
+ * @returns {number}
+ */
+export function upToDateStoreDayCount(store_id) {
+  const storeFilter = store_id ? 'AND store_id = ?' : '';
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM (
+      SELECT store_id, pickup_date AS date FROM orders WHERE 1=1 ${storeFilter}
+      UNION
+      SELECT store_id, report_date AS date FROM cash_reports WHERE 1=1 ${storeFilter}
+    ) a
+    WHERE EXISTS (
+      SELECT 1 FROM store_day_reconciliations s
+      WHERE s.store_id = a.store_id AND s.reconciliation_date = a.date
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM dirty_store_days d WHERE d.store_id = a.store_id AND d.date = a.date
+    )
+  `).get(...(store_id ? [store_id, store_id] : [])).n;
+}
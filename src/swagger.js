@@ -17,10 +17,14 @@ const options = {
     ],
     tags: [
       { name: 'Health', description: 'Service health' },
-      { name: 'Ingestion', description: 'Upload CSV data files' },
+      { name: 'Ingestion', description: 'Upload orders, cash reports and bank deposits (CSV, JSON or NDJSON)' },
       { name: 'Reconciliation', description: 'Run and query reconciliation results' },
       { name: 'Orders', description: 'Query order data' },
       { name: 'Analytics', description: 'Trend analysis and statistics' },
+      { name: 'Priority Rules', description: 'Thresholds that flag variances as high priority' },
+      { name: 'Periods', description: 'Close and reopen date ranges' },
+      { name: 'Cases', description: 'Follow up high-priority discrepancies' },
+      { name: 'Adjustments', description: 'Manual amounts applied by reconciliation' },
     ],
   },
   // Use absolute path so the glob works in any working directory (including Vercel)
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEED_DIR = join(__dirname, '../../data/seed');
+
+import { createApp } from '../../src/app.js';
+import { db } from '../../src/db/index.js';
+import { config } from '../../src/config.js';
+
+const app = createApp();
+
+beforeAll(async () => {
+  db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports; DELETE FROM adjustments; DELETE FROM period_locks;');
+  await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+  await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+  await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'GDL-001' });
+});
+
+describe('manual adjustments', () => {
+  let adjustment;
+
+  it('records an approved adjustment against an order', async () => {
+    const res = await request(app)
+      .post('/api/adjustments')
+      .set('X-User', 'clerk')
+      .send({ target_type: 'order', order_id: 'ORD-0051', amount: -66.37, reason: 'Tip kept in the drawer', approved_by: 'finance.lead' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      target_type: 'order', store_id: 'GDL-001', adjustment_date: '2024-01-15', amount: -66.37,
+      approved_by: 'finance.lead', created_by: 'clerk', status: 'active',
+    });
+    adjustment = res.body.data;
+
+    const order = await request(app).get('/api/orders/ORD-0051');
+    expect(order.body.adjustments.map(a => a.id)).toEqual([adjustment.id]);
+  });
+
+  it('applies it on the next reconciliation, keeping the unadjusted variance', async () => {
+    const before = db.prepare("SELECT variance_amount FROM reconciliations WHERE order_id = 'ORD-0051'").get();
+    await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'GDL-001' });
+
+    const row = db.prepare(`
+      SELECT variance_amount, adjustment_amount, unadjusted_variance_amount FROM reconciliations WHERE order_id = 'ORD-0051'
+    `).get();
+    expect(row).toEqual({
+      variance_amount: Math.round((before.variance_amount - 66.37) * 100) / 100,
+      adjustment_amount: -66.37,
+      unadjusted_variance_amount: before.variance_amount,
+    });
+
+    const storeDay = await request(app).get('/api/reconciliation/store-days/GDL-001/2024-01-15');
+    expect(storeDay.body.data).toMatchObject({ adjustment_amount: -66.37 });
+    expect(storeDay.body.data.adjustments.map(a => a.id)).toEqual([adjustment.id]);
+  });
+
+  it('voids an adjustment with a reason', async () => {
+    expect((await request(app).post(`/api/adjustments/${adjustment.id}/void`).send({})).status).toBe(400);
+
+    const res = await request(app).post(`/api/adjustments/${adjustment.id}/void`).set('X-User', 'finance.lead')
+      .send({ reason: 'Tip was deposited after all' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'voided', voided_by: 'finance.lead' });
+    expect((await request(app).post(`/api/adjustments/${adjustment.id}/void`).send({ reason: 'again' })).status).toBe(409);
+
+    const active = await request(app).get('/api/adjustments').query({ store_id: 'GDL-001', status: 'active' });
+    expect(active.body.count).toBe(0);
+  });
+
+  it('validates adjustments', async () => {
+    const base = { target_type: 'store_day', store_id: 'GDL-001', date: '2024-01-15', amount: 10, reason: 'x', approved_by: 'lead' };
+    for (const body of [
+      { ...base, target_type: 'drawer' },
+      { ...base, amount: 'ten' },
+      { ...base, reason: '' },
+      { ...base, approved_by: undefined },
+      { ...base, date: undefined },
+      { ...base, target_type: 'order', order_id: 'ORD-NOPE' },
+    ]) {
+      expect((await request(app).post('/api/adjustments').set('X-User', 'clerk').send(body)).status).toBe(400);
+    }
+    expect((await request(app).post('/api/adjustments').set('X-User', 'lead').send(base)).status).toBe(400);
+    expect((await request(app).get('/api/adjustments').query({ status: 'pending' })).status).toBe(400);
+    expect((await request(app).get('/api/adjustments/nope')).status).toBe(404);
+  });
+
+  it('refuses adjustments in a closed period', async () => {
+    config.periodAdmins = ['finance.lead'];
+    try {
+      await request(app).post('/api/periods/close').set('X-User', 'finance.lead')
+        .send({ from: '2024-01-15', to: '2024-01-15', store_id: 'GDL-001' });
+    } finally {
+      config.periodAdmins = [];
+    }
+    const res = await request(app).post('/api/adjustments').set('X-User', 'clerk').send({
+      target_type: 'store_day', store_id: 'GDL-001', date: '2024-01-15', amount: 10, reason: 'x', approved_by: 'lead',
+    });
+    expect(res.status).toBe(409);
+    expect((await request(app).get('/api/adjustments').query({ store_id: 'GDL-001', status: 'active' })).body.count).toBe(0);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEED_DIR = join(__dirname, '../../data/seed');
+
+import { createApp } from '../../src/app.js';
+import { db } from '../../src/db/index.js';
+
+const app = createApp();
+
+let ruleId;
+
+beforeAll(async () => {
+  db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports; DELETE FROM discrepancy_cases;');
+  await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+  await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+  // Flag every GDL-001 variance so the store's over-collections open cases
+  const rule = await request(app).post('/api/priority-rules').send({
+    scope: 'store', scope_value: 'GDL-001', amount_threshold: 0, severity: 'critical',
+  });
+  ruleId = rule.body.data.id;
+});
+
+describe('discrepancy cases', () => {
+  const orderCases = async (query = {}) =>
+    (await request(app).get('/api/cases').query({ store_id: 'GDL-001', source_type: 'order', ...query })).body.data;
+
+  it('opens a case for each high-priority discrepancy', async () => {
+    const run = await request(app).post('/api/reconcile').send({ async: false });
+    const flagged = db.prepare(`
+      SELECT order_id FROM reconciliations WHERE store_id = 'GDL-001' AND is_high_priority = 1 ORDER BY order_id
+    `).all().map(r => r.order_id);
+    expect(flagged.length).toBeGreaterThan(0);
+
+    const cases = await orderCases();
+    expect(cases.map(c => c.order_id).sort()).toEqual(flagged);
+    for (const c of cases) {
+      expect(c).toMatchObject({
+        status: 'open',
+        still_flagged: 1,
+        discrepancy_status: 'over_collection',
+        priority_rule_id: ruleId,
+        priority_severity: 'critical',
+        opened_run_id: run.body.run_id,
+      });
+    }
+    // GDL-002 over-collections stay under the global rule; its undeposited reports do not
+    expect((await request(app).get('/api/cases').query({ store_id: 'GDL-002', source_type: 'order' })).body.count).toBe(0);
+    const deposits = (await request(app).get('/api/cases').query({ store_id: 'GDL-002', source_type: 'deposit' })).body.data;
+    expect(deposits.length).toBeGreaterThan(0);
+    expect(deposits.every(c => c.discrepancy_status === 'not_deposited' && c.source_key === c.report_id)).toBe(true);
+  });
+
+  it('keeps the same cases when the orders are reconciled again', async () => {
+    const before = await orderCases();
+    const run = await request(app).post('/api/reconcile').send({ async: false });
+    const after = await orderCases();
+
+    expect(after.map(c => c.id).sort()).toEqual(before.map(c => c.id).sort());
+    expect(after.every(c => c.last_seen_run_id === run.body.run_id)).toBe(true);
+    expect(after.every(c => c.opened_run_id !== run.body.run_id)).toBe(true);
+  });
+
+  it('shows each discrepancy\'s case', async () => {
+    const res = await request(app).get('/api/reconciliation/discrepancies').query({ store_id: 'GDL-001' });
+    const caseIds = new Set((await orderCases()).map(c => c.id));
+    for (const row of res.body.data) {
+      if (row.is_high_priority) {
+        expect(caseIds.has(row.case_id)).toBe(true);
+        expect(row.case_status).toBe('open');
+      } else {
+        expect(row.case_id).toBeNull();
+      }
+    }
+  });
+
+  it('assigns, annotates and resolves a case', async () => {
+    const [{ id }] = await orderCases();
+
+    const assigned = await request(app).put(`/api/cases/${id}`).set('X-User', 'lead')
+      .send({ status: 'investigating', assignee: 'ana.finance' });
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.data).toMatchObject({ status: 'investigating', assignee: 'ana.finance', updated_by: 'lead' });
+
+    const note = await request(app).post(`/api/cases/${id}/notes`).set('X-User', 'ana.finance')
+      .send({ body: 'Customer paid a tip on top' });
+    expect(note.status).toBe(201);
+    const attachment = await request(app).post(`/api/cases/${id}/attachments`).set('X-User', 'ana.finance')
+      .send({ file_name: 'receipt.jpg', content_type: 'image/jpeg', size_bytes: 1024 });
+    expect(attachment.status).toBe(201);
+
+    const unresolved = await request(app).put(`/api/cases/${id}`).send({ status: 'resolved' });
+    expect(unresolved.status).toBe(400);
+
+    const resolved = await request(app).put(`/api/cases/${id}`).set('X-User', 'ana.finance')
+      .send({ status: 'resolved', resolution_code: 'customer_refund' });
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data).toMatchObject({ resolution_code: 'customer_refund', closed_by: 'ana.finance' });
+
+    const detail = (await request(app).get(`/api/cases/${id}`)).body.data;
+    expect(detail.notes).toEqual([expect.objectContaining({ author: 'ana.finance', body: 'Customer paid a tip on top' })]);
+    expect(detail.attachments).toEqual([expect.objectContaining({ file_name: 'receipt.jpg', size_bytes: 1024 })]);
+    expect(detail.history.map(h => h.changes.status.to)).toEqual(['investigating', 'resolved']);
+
+    const filtered = await request(app).get('/api/cases').query({ status: 'resolved', assignee: 'ana.finance' });
+    expect(filtered.body.data.map(c => c.id)).toEqual([id]);
+  });
+
+  it('reopening clears the resolution', async () => {
+    const [{ id }] = await request(app).get('/api/cases').query({ status: 'resolved' }).then(r => r.body.data);
+    const res = await request(app).put(`/api/cases/${id}`).send({ status: 'open' });
+    expect(res.body.data).toMatchObject({ status: 'open', resolution_code: null, closed_by: null, closed_at: null });
+    await request(app).put(`/api/cases/${id}`).send({ status: 'written_off', resolution_code: 'cash_loss' });
+  });
+
+  it('keeps cases whose discrepancy is no longer flagged', async () => {
+    const before = await orderCases();
+    await request(app).delete(`/api/priority-rules/${ruleId}`);
+    await request(app).post('/api/reconcile').send({ async: false });
+
+    const after = await orderCases();
+    expect(after.map(c => c.id).sort()).toEqual(before.map(c => c.id).sort());
+    expect(after.every(c => c.still_flagged === 0)).toBe(true);
+    expect(after.filter(c => c.status === 'written_off')).toHaveLength(1);
+    expect((await orderCases({ still_flagged: 'true' }))).toEqual([]);
+  });
+
+  it('validates updates and returns 404 for unknown cases', async () => {
+    const [{ id }] = await orderCases({ status: 'open' });
+    for (const body of [
+      { status: 'closed' },
+      { assignee: '' },
+      { status: 'written_off', resolution_code: 'lost_it' },
+      { resolution_code: 'cash_loss' },
+    ]) {
+      expect((await request(app).put(`/api/cases/${id}`).send(body)).status).toBe(400);
+    }
+    expect((await request(app).post(`/api/cases/${id}/notes`).send({})).status).toBe(400);
+    expect((await request(app).post(`/api/cases/${id}/attachments`).send({ file_name: 'a', size_bytes: -1 })).status).toBe(400);
+    expect((await request(app).get('/api/cases').query({ status: 'closed' })).status).toBe(400);
+
+    expect((await request(app).get('/api/cases/nope')).status).toBe(404);
+    expect((await request(app).put('/api/cases/nope').send({ status: 'open' })).status).toBe(404);
+    expect((await request(app).post('/api/cases/nope/notes').send({ body: 'x' })).status).toBe(404);
+  });
+});
@@ -11,7 +11,13 @@ import { db } from '../../src/db/index.js';
 const app = createApp();
 
 beforeEach(() => {
-  db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports;');
+  db.exec(`
+    DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports;
+    DELETE FROM correction_history; DELETE FROM dirty_store_days; DELETE FROM ingest_batches;
+    DELETE FROM deposits; DELETE FROM deposit_reconciliations; DELETE FROM order_events;
+    DELETE FROM conflicting_claims; DELETE FROM claim_anomalies; DELETE FROM report_variances;
+    DELETE FROM adjustments;
+  `);
 });
 
 const SEED_DIR = join(__dirname, '../../data/seed');
@@ -87,3 +93,912 @@ describe('POST /api/ingest/cash-reports', () => {
     expect(res.status).toBe(400);
   });
 });
+
+describe('POST /api/ingest (JSON and NDJSON bodies)', () => {
+  const ORDER = {
+    order_id: 'ORD-J001', store_id: 'CDMX-001', region: 'CDMX', customer_id: 'CUST-001',
+    customer_name: 'Juan García', order_date: '2024-01-15', pickup_date: '2024-01-15',
+    expected_amount: 450, currency: 'mxn', payment_method: 'cash_on_pickup',
+  };
+
+  it('ingests orders sent as a JSON array', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders')
+      .send([ORDER, { ...ORDER, order_id: 'ORD-J002' }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(2);
+
+    const row = db.prepare('SELECT * FROM orders WHERE order_id = ?').get('ORD-J001');
+    expect(row.region).toBe('cdmx');
+    expect(row.currency).toBe('MXN');
+  });
+
+  it('ingests cash reports sent as NDJSON and skips duplicates', async () => {
+    const body = [
+      JSON.stringify({
+        report_id: 'RPT-J001', store_id: 'CDMX-001', report_date: '2024-01-15',
+        total_collected: 450, order_ids: ['ORD-J001'], submitted_by: 'María López',
+      }),
+      '',
+      JSON.stringify({
+        report_id: 'RPT-J001', store_id: 'CDMX-001', report_date: '2024-01-15',
+        total_collected: '450.00', order_ids: 'ORD-J001', submitted_by: 'María López',
+      }),
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/ingest/cash-reports')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(1);
+    expect(res.body.skipped).toBe(1);
+
+    const row = db.prepare('SELECT order_ids FROM cash_reports WHERE report_id = ?').get('RPT-J001');
+    expect(JSON.parse(row.order_ids)).toEqual(['ORD-J001']);
+  });
+
+  it('applies the same validation as CSV uploads', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders')
+      .send([{ ...ORDER, expected_amount: 'abc' }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Record 1: invalid expected_amount/);
+  });
+
+  it('returns 400 when a JSON body is not an array', async () => {
+    const res = await request(app).post('/api/ingest/orders').send(ORDER);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/array/i);
+  });
+
+  it('returns 400 for a malformed NDJSON line', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(`${JSON.stringify(ORDER)}\n{not json`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Line 2/);
+  });
+});
+
+describe('POST /api/ingest?mode=partial', () => {
+  const HEADER = 'order_id,store_id,region,customer_id,customer_name,order_date,pickup_date,expected_amount,currency,payment_method';
+  const CSV = [
+    HEADER,
+    'ORD-P001,CDMX-001,cdmx,CUST-001,Juan,2024-01-15,2024-01-15,450.00,MXN,cash_on_pickup',
+    'ORD-P002,CDMX-001,cdmx,CUST-002,Ana,2024-01-15,2024-01-15,-5,MXN,cash_on_pickup',
+    'ORD-P003,CDMX-001,cdmx,CUST-003,Luis,2024-01-15,2024-01-15,300.00,MXN,cash_on_pickup',
+  ].join('\n');
+
+  it('ingests valid rows and returns a structured error list', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders?mode=partial')
+      .attach('file', Buffer.from(CSV), { filename: 'orders.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(2);
+    expect(res.body.rejected).toBe(1);
+    expect(res.body.total).toBe(3);
+    expect(res.body.errors).toEqual([
+      { row: 3, column: 'expected_amount', value: '-5', reason: 'invalid expected_amount "-5"' },
+    ]);
+    expect(res.body.rejected_rows_url).toBe(`/api/ingest/rejections/${res.body.rejection_id}/csv`);
+  });
+
+  it('serves the rejected rows back as a CSV download', async () => {
+    const ingest = await request(app)
+      .post('/api/ingest/orders?mode=partial')
+      .attach('file', Buffer.from(CSV), { filename: 'orders.csv', contentType: 'text/csv' });
+
+    const res = await request(app).get(ingest.body.rejected_rows_url);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text).toContain('ORD-P002');
+    expect(res.text).not.toContain('ORD-P001');
+
+    const report = await request(app).get(`/api/ingest/rejections/${ingest.body.rejection_id}`);
+    expect(report.body.data.source_name).toBe('orders.csv');
+    expect(report.body.data.rejected_count).toBe(1);
+  });
+
+  it('keeps strict all-or-nothing as the default', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders')
+      .attach('file', Buffer.from(CSV), { filename: 'orders.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(400);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM orders').get().n).toBe(0);
+  });
+
+  it('returns 400 for an unknown mode', async () => {
+    const res = await request(app).post('/api/ingest/orders?mode=lenient').send([]);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid mode/);
+  });
+
+  it('returns 404 for an unknown rejection id', async () => {
+    const res = await request(app).get('/api/ingest/rejections/nope/csv');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/ingest?on_duplicate=update', () => {
+  const REPORT = {
+    report_id: 'RPT-C001', store_id: 'GDL-001', report_date: '2024-01-15',
+    total_collected: 500, order_ids: ['ORD-C001'], submitted_by: 'Elena Gutiérrez',
+  };
+
+  it('counts a changed duplicate as skipped in the default mode', async () => {
+    await request(app).post('/api/ingest/cash-reports').send([REPORT]);
+    const res = await request(app)
+      .post('/api/ingest/cash-reports')
+      .send([{ ...REPORT, total_collected: 450 }]);
+
+    expect(res.body.skipped).toBe(1);
+    expect(res.body).not.toHaveProperty('updated');
+    const row = db.prepare('SELECT total_collected FROM cash_reports WHERE report_id = ?').get('RPT-C001');
+    expect(row.total_collected).toBe(500);
+  });
+
+  it('applies corrections, reports changed fields and keeps history', async () => {
+    await request(app).post('/api/ingest/cash-reports').send([REPORT]);
+    const res = await request(app)
+      .post('/api/ingest/cash-reports?on_duplicate=update')
+      .send([{ ...REPORT, total_collected: 450, report_date: '2024-01-16' }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toBe(1);
+    expect(res.body.skipped).toBe(0);
+    expect(res.body.corrections).toEqual([{
+      report_id: 'RPT-C001',
+      changes: {
+        report_date: { from: '2024-01-15', to: '2024-01-16' },
+        total_collected: { from: 500, to: 450 },
+      },
+    }]);
+    expect(res.body.affected_store_days).toEqual([
+      { store_id: 'GDL-001', date: '2024-01-15' },
+      { store_id: 'GDL-001', date: '2024-01-16' },
+    ]);
+
+    const row = db.prepare('SELECT * FROM cash_reports WHERE report_id = ?').get('RPT-C001');
+    expect(row.total_collected).toBe(450);
+    const history = db.prepare('SELECT * FROM correction_history WHERE record_id = ?').all('RPT-C001');
+    expect(history).toHaveLength(1);
+    expect(JSON.parse(history[0].previous_data).total_collected).toBe(500);
+  });
+
+  it('marks corrected store-days dirty until they are reconciled again', async () => {
+    const order = {
+      order_id: 'ORD-C001', store_id: 'GDL-001', region: 'gdl', customer_id: 'CUST-001',
+      customer_name: 'Juan', order_date: '2024-01-15', pickup_date: '2024-01-15',
+      expected_amount: 500, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    await request(app).post('/api/ingest/orders?reconcile=false').send([order]);
+    const res = await request(app)
+      .post('/api/ingest/orders?on_duplicate=update&reconcile=false')
+      .send([{ ...order, expected_amount: 520 }, order]);
+
+    // The second record reverts the first, so both count as corrections
+    expect(res.body.updated).toBe(2);
+
+    let dirty = await request(app).get('/api/reconciliation/dirty');
+    expect(dirty.body.data).toMatchObject([{ store_id: 'GDL-001', date: '2024-01-15', reason: 'order_corrected' }]);
+
+    const detail = await request(app).get('/api/orders/ORD-C001');
+    expect(detail.body.corrections).toHaveLength(2);
+
+    await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'GDL-001' });
+    dirty = await request(app).get('/api/reconciliation/dirty');
+    expect(dirty.body.count).toBe(0);
+  });
+
+  it('leaves identical re-sends alone and records no history', async () => {
+    await request(app).post('/api/ingest/cash-reports').send([REPORT]);
+    const res = await request(app).post('/api/ingest/cash-reports?on_duplicate=update').send([REPORT]);
+
+    expect(res.body.updated).toBe(0);
+    expect(res.body.skipped).toBe(1);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM correction_history').get().n).toBe(0);
+  });
+});
+
+describe('ingest batches', () => {
+  const ORDERS_CSV = join(SEED_DIR, 'orders.csv');
+  const REPORTS_CSV = join(SEED_DIR, 'cash_reports.csv');
+
+  it('records provenance for every upload', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders')
+      .set('X-User', 'finance.ana')
+      .attach('file', ORDERS_CSV);
+
+    const batch = await request(app).get(`/api/ingest/batches/${res.body.batch_id}`);
+    expect(batch.status).toBe(200);
+    expect(batch.body.data).toMatchObject({
+      entity: 'orders',
+      source_type: 'csv',
+      file_name: 'orders.csv',
+      uploaded_by: 'finance.ana',
+      inserted: res.body.inserted,
+      status: 'completed',
+    });
+    expect(batch.body.data.checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(batch.body.data.created_ids).toHaveLength(res.body.inserted);
+    expect(batch.body.data.created_ids[0]).toBe('ORD-0001');
+  });
+
+  it('lists batches and flags a re-upload of the same file', async () => {
+    const first = await request(app).post('/api/ingest/orders').attach('file', ORDERS_CSV);
+    const second = await request(app).post('/api/ingest/orders').attach('file', ORDERS_CSV);
+    await request(app).post('/api/ingest/cash-reports').attach('file', REPORTS_CSV);
+
+    expect(second.body.duplicate_of).toBe(first.body.batch_id);
+
+    const res = await request(app).get('/api/ingest/batches?entity=orders');
+    expect(res.body.count).toBe(2);
+    expect(res.body.data[0].id).toBe(second.body.batch_id);
+  });
+
+  it('rolls back a batch and the reconciliations that depend on it', async () => {
+    await request(app).post('/api/ingest/orders').attach('file', ORDERS_CSV);
+    const reports = await request(app).post('/api/ingest/cash-reports').attach('file', REPORTS_CSV);
+    await request(app).post('/api/reconcile').send({ async: false });
+
+    const claimed = db.prepare('SELECT COUNT(*) AS n FROM reconciliations WHERE report_id IS NOT NULL').get().n;
+    expect(claimed).toBeGreaterThan(0);
+
+    const res = await request(app)
+      .post(`/api/ingest/batches/${reports.body.batch_id}/rollback`)
+      .set('X-User', 'finance.ana')
+      .send({ reason: 'wrong week' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted).toBe(reports.body.inserted);
+    expect(res.body.reconciliations_deleted).toBe(claimed);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM cash_reports').get().n).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM orders').get().n).toBeGreaterThan(0);
+
+    // Re-reconciled with the rollback: nothing is left waiting, and no order
+    // points at a deleted report
+    const dirty = await request(app).get('/api/reconciliation/dirty');
+    expect(dirty.body.count).toBe(0);
+    expect(res.body.reconciliation.store_days).toHaveLength(res.body.affected_store_days.length);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliations WHERE report_id IS NOT NULL').get().n).toBe(0);
+
+    const batch = await request(app).get(`/api/ingest/batches/${reports.body.batch_id}`);
+    expect(batch.body.data).toMatchObject({
+      status: 'rolled_back', rolled_back_by: 'finance.ana', rollback_reason: 'wrong week',
+    });
+
+    const again = await request(app).post(`/api/ingest/batches/${reports.body.batch_id}/rollback`).send({});
+    expect(again.status).toBe(409);
+  });
+
+  it('leaves no store-day or double-claim rows built from a rolled-back batch', async () => {
+    const order = {
+      order_id: 'ORD-RB01', store_id: 'GDL-001', region: 'gdl', customer_id: 'CUST-001',
+      customer_name: 'Elena Ruiz', order_date: '2024-02-01', pickup_date: '2024-02-01',
+      expected_amount: 300, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    const report = {
+      report_id: 'RPT-RB01', store_id: 'GDL-001', report_date: '2024-02-01',
+      total_collected: 300, order_ids: ['ORD-RB01'], submitted_by: 'Elena',
+    };
+    await request(app).post('/api/ingest/orders').send([order]);
+    await request(app).post('/api/ingest/cash-reports').send([report]);
+    const twice = await request(app).post('/api/ingest/cash-reports').send([{ ...report, report_id: 'RPT-RB02' }]);
+
+    const conflicts = () => request(app).get('/api/reconciliation/conflicts?store_id=GDL-001&from=2024-02-01&to=2024-02-01');
+    const storeDay = () => request(app).get('/api/reconciliation/store-days/GDL-001/2024-02-01');
+    expect((await conflicts()).body.count).toBe(1);
+    expect((await storeDay()).body.data).toMatchObject({ report_count: 2, reported_amount: 600 });
+
+    const res = await request(app).post(`/api/ingest/batches/${twice.body.batch_id}/rollback`).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.reconciliation.store_days).toEqual([
+      expect.objectContaining({ store_id: 'GDL-001', date: '2024-02-01' }),
+    ]);
+
+    expect((await conflicts()).body.count).toBe(0);
+    expect((await storeDay()).body.data).toMatchObject({
+      report_count: 1, reported_amount: 300, variance_amount: 0, status: 'matched',
+    });
+    const detail = await request(app).get('/api/orders/ORD-RB01');
+    expect(detail.body.reconciliation).toMatchObject({ status: 'matched', report_id: 'RPT-RB01' });
+    const run = await request(app).get(`/api/reconciliation/runs/${res.body.reconciliation.run_id}`);
+    expect(run.body.data).toMatchObject({ trigger: 'rollback', status: 'completed' });
+  });
+
+  it('restores corrected rows to their previous version on rollback', async () => {
+    const report = {
+      report_id: 'RPT-B001', store_id: 'GDL-001', report_date: '2024-01-15',
+      total_collected: 500, order_ids: ['ORD-B001'], submitted_by: 'Elena',
+    };
+    await request(app).post('/api/ingest/cash-reports').send([report]);
+    const fix = await request(app)
+      .post('/api/ingest/cash-reports?on_duplicate=update')
+      .send([{ ...report, total_collected: 450 }]);
+
+    const res = await request(app).post(`/api/ingest/batches/${fix.body.batch_id}/rollback`).send({});
+    expect(res.body.restored).toBe(1);
+    expect(res.body.deleted).toBe(0);
+
+    const row = db.prepare('SELECT total_collected FROM cash_reports WHERE report_id = ?').get('RPT-B001');
+    expect(row.total_collected).toBe(500);
+  });
+
+  it('refuses to roll back a batch whose rows were corrected by a later batch', async () => {
+    const report = {
+      report_id: 'RPT-B002', store_id: 'GDL-001', report_date: '2024-01-15',
+      total_collected: 500, order_ids: ['ORD-B001'], submitted_by: 'Elena',
+    };
+    const original = await request(app).post('/api/ingest/cash-reports').send([report]);
+    await request(app)
+      .post('/api/ingest/cash-reports?on_duplicate=update')
+      .send([{ ...report, total_collected: 450 }]);
+
+    const res = await request(app).post(`/api/ingest/batches/${original.body.batch_id}/rollback`).send({});
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/corrected again/);
+  });
+
+  it('refuses to roll back orders that have events or active adjustments', async () => {
+    const order = {
+      order_id: 'ORD-RB03', store_id: 'GDL-001', region: 'gdl', customer_id: 'CUST-001',
+      customer_name: 'Elena Ruiz', order_date: '2024-02-01', pickup_date: '2024-02-01',
+      expected_amount: 300, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    const orders = await request(app).post('/api/ingest/orders').send([order]);
+    const rollback = () => request(app).post(`/api/ingest/batches/${orders.body.batch_id}/rollback`).send({});
+
+    const events = await request(app).post('/api/ingest/order-events').send([{
+      event_id: 'EV-RB03', order_id: 'ORD-RB03', event_type: 'cancelled', event_date: '2024-01-31',
+    }]);
+    const withEvents = await rollback();
+    expect(withEvents.status).toBe(409);
+    expect(withEvents.body.error).toContain(`roll back batch "${events.body.batch_id}" first`);
+    await request(app).post(`/api/ingest/batches/${events.body.batch_id}/rollback`).send({});
+
+    const adjustment = await request(app).post('/api/adjustments').set('X-User', 'clerk').send({
+      target_type: 'order', order_id: 'ORD-RB03', amount: -10, reason: 'Tip', approved_by: 'finance.lead',
+    });
+    const withAdjustment = await rollback();
+    expect(withAdjustment.status).toBe(409);
+    expect(withAdjustment.body.error).toContain(`active adjustment "${adjustment.body.data.id}"`);
+    expect(db.prepare("SELECT 1 FROM orders WHERE order_id = 'ORD-RB03'").get()).toBeDefined();
+
+    await request(app).post(`/api/adjustments/${adjustment.body.data.id}/void`)
+      .set('X-User', 'finance.lead').send({ reason: 'Entered by mistake' });
+    expect((await rollback()).status).toBe(200);
+    expect(db.prepare("SELECT 1 FROM orders WHERE order_id = 'ORD-RB03'").get()).toBeUndefined();
+  });
+
+  it('returns 404 for an unknown batch', async () => {
+    expect((await request(app).get('/api/ingest/batches/nope')).status).toBe(404);
+    expect((await request(app).post('/api/ingest/batches/nope/rollback').send({})).status).toBe(404);
+  });
+});
+
+describe('POST /api/ingest?dry_run=true', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+    await request(app).post('/api/reconcile').send({ async: false });
+  });
+
+  function storedReport(store_id, date) {
+    const row = db.prepare('SELECT * FROM cash_reports WHERE store_id = ? AND report_date = ?').get(store_id, date);
+    return { ...row, order_ids: JSON.parse(row.order_ids) };
+  }
+
+  function snapshot() {
+    return db.prepare(`
+      SELECT (SELECT COUNT(*) FROM orders) AS orders, (SELECT COUNT(*) FROM cash_reports) AS reports,
+             (SELECT COUNT(*) FROM ingest_batches) AS batches,
+             (SELECT COUNT(*) FROM dirty_store_days) AS dirty,
+             (SELECT group_concat(status || variance_amount) FROM reconciliations) AS recon
+    `).get();
+  }
+
+  it('previews a correction without writing anything', async () => {
+    // GDL-001 over-collected by 200 on 2024-01-15; the corrected report removes the excess
+    const report = storedReport('GDL-001', '2024-01-15');
+    const before = snapshot();
+
+    const res = await request(app)
+      .post('/api/ingest/cash-reports?dry_run=true&on_duplicate=update')
+      .send([{ ...report, total_collected: report.total_collected - 200 }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.dry_run).toBe(true);
+    expect(res.body.counts).toMatchObject({ total: 1, new: 0, duplicate: 0, changed: 1, rejected: 0 });
+    expect(res.body.would_update).toBe(1);
+    expect(res.body.affected_store_days).toEqual([{ store_id: 'GDL-001', date: '2024-01-15' }]);
+
+    const [day] = res.body.reconciliation_preview;
+    expect(day.current.status_counts).toEqual({ over_collection: 5 });
+    expect(day.projected.status_counts).toEqual({ matched: 5 });
+    expect(day.projected.total_variance).toBe(0);
+    expect(day.changed_orders).toHaveLength(5);
+    expect(day.changed_orders[0]).toMatchObject({ current_status: 'over_collection', projected_status: 'matched' });
+
+    expect(snapshot()).toEqual(before);
+  });
+
+  it('counts new and duplicate rows and previews new store-days', async () => {
+    const report = storedReport('MTY-001', '2024-01-16');
+    const missing = db.prepare(
+      "SELECT order_id, expected_amount FROM orders WHERE store_id = 'MTY-001' AND pickup_date = '2024-01-15'"
+    ).all();
+
+    const res = await request(app)
+      .post('/api/ingest/cash-reports?dry_run=true')
+      .send([
+        report,
+        {
+          report_id: 'RPT-LATE', store_id: 'MTY-001', report_date: '2024-01-15',
+          total_collected: missing.reduce((s, o) => s + o.expected_amount, 0),
+          order_ids: missing.map(o => o.order_id), submitted_by: 'Patricia Morales',
+        },
+      ]);
+
+    expect(res.body.counts).toMatchObject({ new: 1, duplicate: 1, changed: 0 });
+    const [day] = res.body.reconciliation_preview;
+    expect(day).toMatchObject({ store_id: 'MTY-001', date: '2024-01-15' });
+    expect(day.current.status_counts).toEqual({ unaccounted: 5 });
+    expect(day.projected.status_counts).toEqual({ matched: 5 });
+    expect(db.prepare("SELECT COUNT(*) AS n FROM cash_reports WHERE report_id = 'RPT-LATE'").get().n).toBe(0);
+  });
+
+  it('ignores changed rows in the preview unless on_duplicate=update', async () => {
+    const report = storedReport('GDL-001', '2024-01-15');
+    const res = await request(app)
+      .post('/api/ingest/cash-reports?dry_run=true')
+      .send([{ ...report, total_collected: 1 }]);
+
+    expect(res.body.counts.changed).toBe(1);
+    expect(res.body.would_update).toBe(0);
+    expect(res.body.reconciliation_preview).toEqual([]);
+  });
+});
+
+describe('automatic re-reconciliation after ingestion', () => {
+  it('reconciles only the store-days the upload touched and returns the delta', async () => {
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    const reports = db.prepare('SELECT COUNT(*) AS n FROM reconciliations').get().n;
+    // Orders alone: every order is reconciled as unaccounted
+    expect(reports).toBe(db.prepare('SELECT COUNT(*) AS n FROM orders').get().n);
+
+    const order = db.prepare(
+      "SELECT * FROM orders WHERE store_id = 'CDMX-001' AND pickup_date = '2024-01-15' ORDER BY order_id"
+    ).all();
+    const res = await request(app).post('/api/ingest/cash-reports').send([{
+      report_id: 'RPT-A001', store_id: 'CDMX-001', report_date: '2024-01-15',
+      total_collected: order.reduce((s, o) => s + o.expected_amount, 0),
+      order_ids: order.map(o => o.order_id), submitted_by: 'María López',
+    }]);
+
+    expect(res.body.affected_store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-15' }]);
+    expect(res.body.reconciliation.reconciled).toBe(order.length);
+    const [day] = res.body.reconciliation.store_days;
+    expect(day.before.status_counts).toEqual({ unaccounted: order.length });
+    expect(day.after.status_counts).toEqual({ matched: order.length });
+    expect(day.changed_orders).toHaveLength(order.length);
+
+    // Other store-days were left untouched
+    const other = db.prepare(
+      "SELECT DISTINCT status FROM reconciliations WHERE store_id = 'CDMX-001' AND reconciliation_date = '2024-01-16'"
+    ).all();
+    expect(other).toEqual([{ status: 'unaccounted' }]);
+  });
+
+  it('can be switched off per request', async () => {
+    const res = await request(app)
+      .post('/api/ingest/orders?reconcile=false')
+      .attach('file', join(SEED_DIR, 'orders.csv'));
+
+    expect(res.body).not.toHaveProperty('reconciliation');
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliations').get().n).toBe(0);
+
+    const dirty = await request(app).get('/api/reconciliation/dirty');
+    expect(dirty.body.count).toBe(res.body.affected_store_days.length);
+  });
+});
+
+describe('line-item cash reports', () => {
+  const ORDER = {
+    order_id: 'ORD-L001', store_id: 'CDMX-001', region: 'cdmx', customer_id: 'CUST-001',
+    customer_name: 'Juan García', order_date: '2024-01-15', pickup_date: '2024-01-15',
+    expected_amount: 300, currency: 'MXN', payment_method: 'cash_on_pickup',
+  };
+
+  beforeEach(async () => {
+    await request(app).post('/api/ingest/orders').send([
+      ORDER,
+      { ...ORDER, order_id: 'ORD-L002', expected_amount: 100 },
+    ]);
+  });
+
+  it('reconciles each order against its own collected amount', async () => {
+    const csv = [
+      'report_id,store_id,report_date,order_id,amount_collected,submitted_by',
+      'RPT-L001,CDMX-001,2024-01-15,ORD-L001,300.00,María López',
+      'RPT-L001,CDMX-001,2024-01-15,ORD-L002,60.00,María López',
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/ingest/cash-reports')
+      .attach('file', Buffer.from(csv), { filename: 'lines.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(1);
+    const report = db.prepare('SELECT * FROM cash_reports WHERE report_id = ?').get('RPT-L001');
+    expect(report.total_collected).toBe(360);
+    expect(JSON.parse(report.order_amounts)).toEqual({ 'ORD-L001': 300, 'ORD-L002': 60 });
+
+    // Proportionally the 40 short would be split 30/10; per order it is all on ORD-L002
+    const rows = db.prepare(
+      'SELECT order_id, status, variance_amount, allocation_method FROM reconciliations ORDER BY order_id'
+    ).all();
+    expect(rows).toEqual([
+      { order_id: 'ORD-L001', status: 'matched', variance_amount: 0, allocation_method: 'exact' },
+      { order_id: 'ORD-L002', status: 'under_collection', variance_amount: -40, allocation_method: 'exact' },
+    ]);
+
+    const summary = await request(app).get('/api/reconciliation/summary?store_id=CDMX-001');
+    expect(summary.body.data[0]).toMatchObject({
+      exact_allocations: 2,
+      proportional_allocations: 0,
+      allocation_method: 'exact',
+    });
+  });
+
+  it('falls back to proportional allocation for reports without line items', async () => {
+    await request(app).post('/api/ingest/cash-reports').send([{
+      report_id: 'RPT-L002', store_id: 'CDMX-001', report_date: '2024-01-15',
+      total_collected: 360, order_ids: ['ORD-L001', 'ORD-L002'], submitted_by: 'María López',
+    }]);
+
+    const summary = await request(app).get('/api/reconciliation/summary?store_id=CDMX-001');
+    expect(summary.body.data[0]).toMatchObject({
+      exact_allocations: 0,
+      proportional_allocations: 2,
+      allocation_method: 'proportional',
+    });
+  });
+});
+
+describe('POST /api/ingest/deposits', () => {
+  const DEPOSIT = {
+    deposit_id: 'DEP-001', store_id: 'CDMX-001', deposit_date: '2024-01-16',
+    amount: 2000, bank_reference: 'BBVA-778812', report_ids: ['RPT-001'],
+  };
+
+  beforeEach(async () => {
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+  });
+
+  it('previews a deposit against the reports it covers without writing', async () => {
+    const res = await request(app).post('/api/ingest/deposits?dry_run=true').send([DEPOSIT]);
+
+    expect(res.status).toBe(200);
+    // Reconciled on the report's store-day, not the deposit date
+    expect(res.body.affected_store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-15' }]);
+    const [day] = res.body.reconciliation_preview;
+    expect(day.current.status_counts).toEqual({ not_deposited: 1 });
+    expect(day.projected.status_counts).toEqual({ short_deposit: 1 });
+    expect(day.changed_reports).toEqual([{
+      report_id: 'RPT-001',
+      store_id: 'CDMX-001',
+      reconciliation_date: '2024-01-15',
+      current_status: 'not_deposited',
+      projected_status: 'short_deposit',
+      current_variance: -2235,
+      projected_variance: -235,
+      current_high_priority: 1,
+      projected_high_priority: 1,
+    }]);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM deposits').get().n).toBe(0);
+  });
+
+  it('ingests deposits, re-reconciles the covered store-day and rolls back cleanly', async () => {
+    const res = await request(app).post('/api/ingest/deposits').send([DEPOSIT]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(1);
+    const [day] = res.body.reconciliation.store_days;
+    expect(day.deposits.after.status_counts).toEqual({ short_deposit: 1 });
+    expect(day.deposits.after.deposit_variance).toBe(-235);
+
+    const rollback = await request(app).post(`/api/ingest/batches/${res.body.batch_id}/rollback`).send({});
+    expect(rollback.body.deleted).toBe(1);
+    expect(rollback.body.affected_store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-15' }]);
+  });
+});
+
+describe('POST /api/ingest/order-events', () => {
+  // ORD-0030 (CDMX-002, 2024-01-15, 250.00) and ORD-0035 (CDMX-002,
+  // 2024-01-16, 695.00) are in no cash report: unaccounted in the seed data
+  const EVENTS_CSV = [
+    'event_id,order_id,event_type,event_date,amount,note',
+    'EV-001,ORD-0030,cancelled,2024-01-14,,Customer cancelled by phone',
+    'EV-002,ORD-0035,no_show,2024-01-16,,',
+  ].join('\n');
+
+  const upload = (query = '') => request(app)
+    .post(`/api/ingest/order-events${query}`)
+    .attach('file', Buffer.from(EVENTS_CSV), 'order_events.csv');
+
+  beforeEach(async () => {
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+    await request(app).post('/api/reconcile').send({ async: false });
+  });
+
+  it('previews the orders leaving unaccounted without writing', async () => {
+    const res = await upload('?dry_run=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.affected_store_days).toEqual([
+      { store_id: 'CDMX-002', date: '2024-01-15' },
+      { store_id: 'CDMX-002', date: '2024-01-16' },
+    ]);
+    expect(res.body.reconciliation_preview[0].changed_orders).toEqual([{
+      order_id: 'ORD-0030',
+      store_id: 'CDMX-002',
+      reconciliation_date: '2024-01-15',
+      current_status: 'unaccounted',
+      projected_status: 'cancelled',
+      current_variance: null,
+      projected_variance: null,
+      current_high_priority: 0,
+      projected_high_priority: 0,
+      current_report_id: null,
+      projected_report_id: null,
+    }]);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM order_events').get().n).toBe(0);
+  });
+
+  it('reports cancelled and not picked up orders apart from unaccounted cash', async () => {
+    const before = await request(app).get('/api/reconciliation/summary?store_id=CDMX-002&from=2024-01-15&to=2024-01-15');
+
+    const res = await upload();
+    expect(res.body.inserted).toBe(2);
+    expect(res.body.reconciliation.store_days[1].changed_orders[0]).toMatchObject({
+      order_id: 'ORD-0035', after_status: 'not_picked_up',
+    });
+
+    const after = await request(app).get('/api/reconciliation/summary?store_id=CDMX-002&from=2024-01-15&to=2024-01-15');
+    const [was] = before.body.data;
+    const [now] = after.body.data;
+    expect(now.unaccounted).toBe(was.unaccounted - 1);
+    expect(now.cancelled).toBe(1);
+    expect(now.total_expected).toBe(was.total_expected - 250);
+
+    const discrepancies = await request(app).get('/api/reconciliation/discrepancies?store_id=CDMX-002');
+    expect(discrepancies.body.data.map(r => r.order_id)).not.toContain('ORD-0030');
+
+    const detail = await request(app).get('/api/orders/ORD-0030');
+    expect(detail.body.reconciliation).toMatchObject({ status: 'cancelled', order_amount: 250, expected_amount: 0 });
+    expect(detail.body.events.map(e => e.event_type)).toEqual(['cancelled']);
+  });
+
+  it('puts the orders back to unaccounted when the batch is rolled back', async () => {
+    const res = await upload();
+    await request(app).post(`/api/ingest/batches/${res.body.batch_id}/rollback`).send({});
+    await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'CDMX-002' });
+
+    const rec = db.prepare("SELECT status FROM reconciliations WHERE order_id = 'ORD-0030'").get();
+    expect(rec.status).toBe('unaccounted');
+  });
+});
+
+describe('late cash reports', () => {
+  // ORD-0030 (CDMX-002, picked up 2024-01-15, 250.00) is in no seed report
+  const LATE_REPORT = {
+    report_id: 'RPT-LATE', store_id: 'CDMX-002', report_date: '2024-01-16',
+    total_collected: 250, order_ids: ['ORD-0030'], submitted_by: 'Pedro Ruiz',
+  };
+
+  beforeEach(async () => {
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+    await request(app).post('/api/reconcile').send({ async: false });
+  });
+
+  it('re-reconciles the pickup day a late report covers', async () => {
+    const preview = await request(app).post('/api/ingest/cash-reports?dry_run=true').send([LATE_REPORT]);
+    expect(preview.body.reconciliation_preview[0].changed_orders[0]).toMatchObject({
+      order_id: 'ORD-0030', projected_status: 'matched',
+    });
+
+    const res = await request(app).post('/api/ingest/cash-reports').send([LATE_REPORT]);
+
+    expect(res.body.affected_store_days).toEqual([
+      { store_id: 'CDMX-002', date: '2024-01-15' },
+      { store_id: 'CDMX-002', date: '2024-01-16' },
+    ]);
+    const [monday] = res.body.reconciliation.store_days;
+    expect(monday.changed_orders).toEqual([{
+      order_id: 'ORD-0030',
+      store_id: 'CDMX-002',
+      reconciliation_date: '2024-01-15',
+      before_status: 'unaccounted',
+      after_status: 'matched',
+      before_variance: null,
+      after_variance: 0,
+      before_high_priority: 0,
+      after_high_priority: 0,
+      before_report_id: null,
+      after_report_id: 'RPT-LATE',
+    }]);
+    const rec = db.prepare("SELECT * FROM reconciliations WHERE order_id = 'ORD-0030'").get();
+    expect(rec).toMatchObject({ report_id: 'RPT-LATE', is_late_match: 1, days_late: 1 });
+
+    const analytics = await request(app).get('/api/analytics/late-reports');
+    const store = analytics.body.data.find(d => d.store_id === 'CDMX-002');
+    expect(store).toMatchObject({ late_reports: 1, late_orders: 1, avg_days_late: 1, max_days_late: 1 });
+    expect(store.late_report_rate).toBeGreaterThan(0);
+  });
+
+  it('shows a late match the same way in the order and the store-day views', async () => {
+    const order = {
+      order_id: 'ORD-LATE-1', store_id: 'CDMX-002', region: 'cdmx', customer_id: 'CUST-001',
+      customer_name: 'Juan García', order_date: '2024-02-05', pickup_date: '2024-02-05',
+      expected_amount: 250, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    await request(app).post('/api/ingest/orders').send([order]);
+    await request(app).post('/api/ingest/cash-reports').send([{
+      ...LATE_REPORT, report_id: 'RPT-LATE-1', report_date: '2024-02-06', order_ids: ['ORD-LATE-1'],
+    }]);
+
+    const detail = await request(app).get('/api/orders/ORD-LATE-1');
+    expect(detail.body.reconciliation).toMatchObject({ status: 'matched', is_late_match: 1, report_id: 'RPT-LATE-1' });
+
+    const pickupDay = await request(app).get('/api/reconciliation/store-days/CDMX-002/2024-02-05');
+    expect(pickupDay.body.data).toMatchObject({
+      report_count: 0, late_matched_amount: 250, variance_amount: 0, status: 'matched',
+    });
+    expect(pickupDay.body.data.orders).toEqual([expect.objectContaining({ order_id: 'ORD-LATE-1', status: 'matched' })]);
+    const reportDay = await request(app).get('/api/reconciliation/store-days/CDMX-002/2024-02-06');
+    expect(reportDay.body.data).toMatchObject({
+      report_count: 1, reported_amount: 250, credited_earlier_amount: 250, variance_amount: 0, status: 'matched',
+    });
+  });
+
+  it('previews an order a later report already claims as matched', async () => {
+    const order = {
+      order_id: 'ORD-LATE-2', store_id: 'CDMX-002', region: 'cdmx', customer_id: 'CUST-001',
+      customer_name: 'Juan García', order_date: '2024-02-05', pickup_date: '2024-02-05',
+      expected_amount: 250, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    await request(app).post('/api/ingest/cash-reports').send([{
+      ...LATE_REPORT, report_id: 'RPT-LATE-2', report_date: '2024-02-06', order_ids: ['ORD-LATE-2'],
+    }]);
+
+    const preview = await request(app).post('/api/ingest/orders?dry_run=true').send([order]);
+    const pickupDay = preview.body.reconciliation_preview
+      .find(d => d.store_id === 'CDMX-002' && d.date === '2024-02-05');
+    expect(pickupDay.changed_orders).toEqual([expect.objectContaining({
+      order_id: 'ORD-LATE-2', projected_status: 'matched', projected_report_id: 'RPT-LATE-2',
+    })]);
+
+    await request(app).post('/api/ingest/orders').send([order]);
+    const rec = db.prepare("SELECT * FROM reconciliations WHERE order_id = 'ORD-LATE-2'").get();
+    expect(rec).toMatchObject({ status: 'matched', report_id: 'RPT-LATE-2', is_late_match: 1 });
+  });
+
+  it('takes the window per request', async () => {
+    await request(app).post('/api/ingest/cash-reports?reconcile=false').send([LATE_REPORT]);
+
+    const res = await request(app).post('/api/reconcile')
+      .send({ date: '2024-01-15', store_id: 'CDMX-002', late_window_days: 0 });
+
+    expect(res.body.records.find(r => r.order_id === 'ORD-0030').status).toBe('unaccounted');
+
+    const bad = await request(app).post('/api/reconcile').send({ date: '2024-01-15', late_window_days: -1 });
+    expect(bad.status).toBe(400);
+  });
+});
+
+describe('POST /api/ingest/bank-statements', () => {
+  // RPT-001 (2235.00, 2024-01-15) named in the narrative → auto-matched;
+  // 2490.00 is RPT-003's amount but without any reference → review;
+  // 777.77 matches nothing → unmatched; the debit is ignored.
+  const MT940 = [
+    ':20:STMT240118',
+    ':25:012345678901234567',
+    ':60F:C240115MXN0,00',
+    ':61:2401160116C2235,00NTRFNONREF//BBVA778812',
+    ':86:DEPOSITO CDMX-001 RPT-001',
+    ':61:2401180118C2490,00NTRFNONREF//BBVA778990',
+    ':86:DEPOSITO EN EFECTIVO',
+    ':61:2401180118C777,77NTRFNONREF//BBVA779001',
+    ':86:TRANSFERENCIA',
+    ':61:240118D15,00NCHGNONREF',
+    ':62F:C240118MXN5487,77',
+    '-}',
+  ].join('\n');
+
+  const upload = (content = MT940, query = '') => request(app)
+    .post(`/api/ingest/bank-statements${query}`)
+    .set('X-User', 'treasury.luis')
+    .attach('file', Buffer.from(content), { filename: 'statement.sta', contentType: 'text/plain' });
+
+  beforeEach(async () => {
+    db.exec('DELETE FROM bank_transactions;');
+    await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+    await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+  });
+
+  it('auto-matches confident credits and queues the rest for review', async () => {
+    const res = await upload();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      format: 'mt940', inserted: 3, debits_ignored: 1, matched: 1, needs_review: 1, unmatched: 1,
+    });
+    const [matched] = res.body.results;
+    expect(matched.report_ids).toEqual(['RPT-001']);
+    expect(matched.confidence).toBeGreaterThanOrEqual(0.75);
+
+    // The match became a deposit and RPT-001's store-day was re-reconciled
+    const deposit = db.prepare('SELECT * FROM deposits WHERE deposit_id = ?').get(matched.deposit_id);
+    expect(deposit).toMatchObject({ store_id: 'CDMX-001', amount: 2235, bank_reference: 'BBVA778812' });
+    const recon = db.prepare("SELECT status FROM deposit_reconciliations WHERE report_id = 'RPT-001'").get();
+    expect(recon.status).toBe('matched');
+
+    const review = await request(app).get('/api/ingest/bank-statements/review');
+    expect(review.body.count).toBe(2);
+    const pending = review.body.data.find(t => t.status === 'needs_review');
+    expect(pending.candidates[0]).toMatchObject({ report_id: 'RPT-003' });
+    expect(pending.candidates[0].reasons).toContain('exact amount');
+  });
+
+  it('skips lines already loaded from the same statement', async () => {
+    await upload();
+    const res = await upload();
+
+    expect(res.body.inserted).toBe(0);
+    expect(res.body.skipped).toBe(3);
+  });
+
+  it('resolves review lines by hand', async () => {
+    await upload();
+    const review = await request(app).get('/api/ingest/bank-statements/review');
+    const pending = review.body.data.find(t => t.status === 'needs_review');
+    const unmatched = review.body.data.find(t => t.status === 'unmatched');
+
+    const match = await request(app)
+      .post(`/api/ingest/bank-statements/review/${pending.id}/match`)
+      .set('X-User', 'treasury.luis')
+      .send({ report_ids: ['RPT-003'] });
+    expect(match.status).toBe(200);
+    expect(match.body).toMatchObject({ status: 'matched', matched_by: 'treasury.luis' });
+    expect(match.body.affected_store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-17' }]);
+
+    const dismiss = await request(app)
+      .post(`/api/ingest/bank-statements/review/${unmatched.id}/dismiss`)
+      .send({ reason: 'Transfer between own accounts' });
+    expect(dismiss.body.status).toBe('dismissed');
+
+    const again = await request(app)
+      .post(`/api/ingest/bank-statements/review/${pending.id}/match`)
+      .send({ report_ids: ['RPT-003'] });
+    expect(again.status).toBe(409);
+    expect((await request(app).get('/api/ingest/bank-statements/review')).body.count).toBe(0);
+  });
+
+  it('rejects files that are not bank statements', async () => {
+    const res = await upload('order_id,store_id\nORD-1,CDMX-001');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unrecognized bank statement format/);
+  });
+});
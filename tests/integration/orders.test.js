@@ -8,6 +8,7 @@ const SEED_DIR = join(__dirname, '../../data/seed');
 
 import { createApp } from '../../src/app.js';
 import { db } from '../../src/db/index.js';
+import { config } from '../../src/config.js';
 
 const app = createApp();
 
@@ -15,7 +16,7 @@ beforeAll(async () => {
   db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports;');
   await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
   await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
-  await request(app).post('/api/reconcile').send({});
+  await request(app).post('/api/reconcile').send({ async: false });
 });
 
 describe('GET /api/orders', () => {
@@ -91,6 +92,41 @@ describe('GET /api/analytics/daily', () => {
   });
 });
 
+describe('minor variances', () => {
+  it('count as matched in the rates and discrepancy lists while reported apart', async () => {
+    const store = async () =>
+      (await request(app).get('/api/analytics/stores')).body.data.find(s => s.store_id === 'GDL-001');
+    const before = await store();
+    expect(before).toMatchObject({ minor_variance: 0 });
+    expect(before.discrepancies).toBeGreaterThan(0);
+
+    // Wide enough to take in every collection difference
+    config.varianceTolerances = { '*': { amount: 10000 } };
+    try {
+      await request(app).post('/api/reconcile').send({ async: false });
+
+      const after = await store();
+      expect(after.minor_variance).toBeGreaterThan(0);
+      expect(after.discrepancies).toBe(before.discrepancies - after.minor_variance);
+      expect(after.discrepancy_rate).toBeLessThan(before.discrepancy_rate);
+
+      const daily = (await request(app).get('/api/analytics/daily?store_id=GDL-001')).body.data;
+      daily.forEach(d => expect(d.accuracy_rate).toBe(
+        Math.round(((d.matched + d.minor_variance) * 100) / d.total_orders * 100) / 100
+      ));
+
+      const summary = (await request(app).get('/api/reconciliation/summary?store_id=GDL-001')).body.data;
+      expect(summary.reduce((n, d) => n + d.minor_variance, 0)).toBe(after.minor_variance);
+
+      const discrepancies = (await request(app).get('/api/reconciliation/discrepancies?store_id=GDL-001')).body.data;
+      discrepancies.forEach(r => expect(r.status).not.toBe('minor_variance'));
+    } finally {
+      config.varianceTolerances = {};
+      await request(app).post('/api/reconcile').send({ async: false });
+    }
+  });
+});
+
 describe('GET /api/health', () => {
   it('returns healthy status', async () => {
     const res = await request(app).get('/api/health');
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEED_DIR = join(__dirname, '../../data/seed');
+
+import { createApp } from '../../src/app.js';
+import { db } from '../../src/db/index.js';
+import { config } from '../../src/config.js';
+
+const app = createApp();
+
+const ORDER = {
+  order_id: 'ORD-LOCK-1', store_id: 'CDMX-001', region: 'cdmx', customer_id: 'CUST-001',
+  customer_name: 'Juan García', order_date: '2024-01-15', pickup_date: '2024-01-15',
+  expected_amount: 450, currency: 'MXN', payment_method: 'cash_on_pickup',
+};
+
+beforeAll(async () => {
+  db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports; DELETE FROM period_locks;');
+  await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+  await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+  await request(app).post('/api/reconcile').send({ async: false });
+  config.periodAdmins = ['finance.lead'];
+});
+
+afterAll(() => {
+  config.periodAdmins = [];
+});
+
+describe('period close', () => {
+  let lock;
+
+  it('is disabled until PERIOD_ADMINS is set', async () => {
+    config.periodAdmins = [];
+    try {
+      const res = await request(app)
+        .post('/api/periods/close')
+        .set('X-User', 'finance.lead')
+        .send({ from: '2024-01-15', to: '2024-01-16', store_id: 'CDMX-001' });
+      expect(res.status).toBe(403);
+      expect(res.body.error).toMatch(/PERIOD_ADMINS/);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM period_locks').get().n).toBe(0);
+    } finally {
+      config.periodAdmins = ['finance.lead'];
+    }
+  });
+
+  it('closes a range for a store', async () => {
+    const res = await request(app)
+      .post('/api/periods/close')
+      .set('X-User', 'finance.lead')
+      .send({ from: '2024-01-15', to: '2024-01-16', store_id: 'CDMX-001', reason: 'Week close' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'closed', closed_by: 'finance.lead', close_reason: 'Week close' });
+    lock = res.body.data;
+  });
+
+  it('refuses uploads and reconciliation of the closed store-days', async () => {
+    const upload = await request(app).post('/api/ingest/orders').send([ORDER]);
+    expect(upload.status).toBe(409);
+    expect(db.prepare("SELECT 1 FROM orders WHERE order_id = 'ORD-LOCK-1'").get()).toBeUndefined();
+    // Rows rejected from a refused batch are not kept either
+    const rejections = db.prepare('SELECT COUNT(*) AS n FROM ingest_rejections').get().n;
+    const partial = await request(app).post('/api/ingest/orders?mode=partial')
+      .send([ORDER, { ...ORDER, order_id: 'ORD-LOCK-BAD', expected_amount: 'abc' }]);
+    expect(partial.status).toBe(409);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM ingest_rejections').get().n).toBe(rejections);
+
+    // The dry run names the closed store-days instead of previewing a clean upload
+    const preview = await request(app).post('/api/ingest/orders?dry_run=true').send([ORDER]);
+    expect(preview.status).toBe(200);
+    expect(preview.body.closed_store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-15' }]);
+    expect(preview.body.message).toMatch(/closed period/);
+    const open = await request(app).post('/api/ingest/orders?dry_run=true').send([{ ...ORDER, pickup_date: '2024-01-17' }]);
+    expect(open.body.closed_store_days).toEqual([]);
+
+    expect((await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'CDMX-001' })).status).toBe(409);
+    // Without a store the closed store would be rewritten too
+    expect((await request(app).post('/api/reconcile').send({ date: '2024-01-16' })).status).toBe(409);
+    expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-14', to: '2024-01-19' })).status).toBe(409);
+    // Queued jobs are refused up front too, rather than failing later
+    expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-14', to: '2024-01-19', async: true })).status).toBe(409);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliation_jobs').get().n).toBe(0);
+
+    // Other stores and days are still open
+    expect((await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'GDL-001' })).status).toBe(200);
+    expect((await request(app).post('/api/ingest/orders').send([{ ...ORDER, pickup_date: '2024-01-17' }])).status).toBe(200);
+  });
+
+  it('leaves closed store-days alone when reconciling every date', async () => {
+    const before = db.prepare(`
+      SELECT run_id FROM reconciliations WHERE store_id = 'CDMX-001' AND reconciliation_date = '2024-01-15' LIMIT 1
+    `).get();
+
+    const res = await request(app).post('/api/reconcile').send({ async: false });
+    expect(res.status).toBe(200);
+    expect(res.body.locked_store_days).toEqual([
+      { store_id: 'CDMX-001', date: '2024-01-15' },
+      { store_id: 'CDMX-001', date: '2024-01-16' },
+    ]);
+
+    const after = db.prepare(`
+      SELECT run_id FROM reconciliations WHERE store_id = 'CDMX-001' AND reconciliation_date = '2024-01-15' LIMIT 1
+    `).get();
+    expect(after.run_id).toBe(before.run_id);
+    const other = db.prepare(`
+      SELECT run_id FROM reconciliations WHERE store_id = 'GDL-001' AND reconciliation_date = '2024-01-15' LIMIT 1
+    `).get();
+    expect(other.run_id).toBe(res.body.run_id);
+  });
+
+  it('reopens only for an authorized caller with a reason', async () => {
+    expect((await request(app).post(`/api/periods/${lock.id}/reopen`).send({ reason: 'x' })).status).toBe(403);
+    expect((await request(app).post(`/api/periods/${lock.id}/reopen`).set('X-User', 'finance.lead').send({})).status).toBe(400);
+
+    config.periodAdmins = ['controller'];
+    try {
+      const denied = await request(app).post(`/api/periods/${lock.id}/reopen`).set('X-User', 'finance.lead').send({ reason: 'x' });
+      expect(denied.status).toBe(403);
+
+      const res = await request(app)
+        .post(`/api/periods/${lock.id}/reopen`)
+        .set('X-User', 'controller')
+        .send({ reason: 'Missing order found' });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        status: 'reopened', closed_by: 'finance.lead', reopened_by: 'controller', reopen_reason: 'Missing order found',
+      });
+
+      const again = await request(app).post(`/api/periods/${lock.id}/reopen`).set('X-User', 'controller').send({ reason: 'x' });
+      expect(again.status).toBe(409);
+    } finally {
+      config.periodAdmins = ['finance.lead'];
+    }
+
+    expect((await request(app).post('/api/ingest/orders').send([ORDER])).status).toBe(200);
+    expect((await request(app).post('/api/reconcile').send({ date: '2024-01-15' })).status).toBe(200);
+  });
+
+  it('lists every close and reopen', async () => {
+    const res = await request(app).get('/api/periods?store_id=CDMX-001&date=2024-01-16');
+    expect(res.body.data).toEqual([expect.objectContaining({ id: lock.id, status: 'reopened' })]);
+    expect((await request(app).get('/api/periods/nope')).status).toBe(404);
+  });
+
+  it('validates the range', async () => {
+    const res = await request(app).post('/api/periods/close').set('X-User', 'finance.lead').send({ from: '2024-01-20', to: '2024-01-10' });
+    expect(res.status).toBe(400);
+
+    const impossible = await request(app).post('/api/periods/close').set('X-User', 'finance.lead')
+      .send({ from: '2024-02-01', to: '2024-02-31' });
+    expect(impossible.status).toBe(400);
+    expect(impossible.body.error).toContain('YYYY-MM-DD');
+    expect(db.prepare("SELECT COUNT(*) AS n FROM period_locks WHERE to_date = '2024-02-31'").get().n).toBe(0);
+  });
+});
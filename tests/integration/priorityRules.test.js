@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEED_DIR = join(__dirname, '../../data/seed');
+
+import { createApp } from '../../src/app.js';
+import { db } from '../../src/db/index.js';
+
+const app = createApp();
+
+beforeAll(async () => {
+  db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports;');
+  await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
+  await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
+});
+
+describe('priority rules CRUD', () => {
+  it('starts with the default global rule', async () => {
+    const res = await request(app).get('/api/priority-rules');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ id: 'default', scope: 'global', amount_threshold: 100, pct_threshold: 10 }),
+    ]);
+  });
+
+  it('creates, reads, updates and deletes a rule', async () => {
+    const created = await request(app)
+      .post('/api/priority-rules')
+      .set('X-User', 'finance.lead')
+      .send({ scope: 'store', scope_value: 'CDMX-003', amount_threshold: 300, severity: 'medium' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ scope_value: 'CDMX-003', pct_threshold: null, created_by: 'finance.lead' });
+    const { id } = created.body.data;
+
+    const read = await request(app).get(`/api/priority-rules/${id}`);
+    expect(read.body.data.severity).toBe('medium');
+
+    const updated = await request(app).put(`/api/priority-rules/${id}`).send({ severity: 'critical', pct_threshold: 20 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ severity: 'critical', amount_threshold: 300, pct_threshold: 20 });
+
+    const deleted = await request(app).delete(`/api/priority-rules/${id}`);
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(`/api/priority-rules/${id}`)).status).toBe(404);
+  });
+
+  it('rejects invalid rules', async () => {
+    const cases = [
+      { scope: 'planet', amount_threshold: 1 },
+      { scope: 'store', amount_threshold: 1 },
+      { scope: 'global', scope_value: 'x', amount_threshold: 1 },
+      { scope: 'region', scope_value: 'gdl' },
+      { scope: 'global', amount_threshold: -5 },
+      { scope: 'global', amount_threshold: 5, severity: 'urgent' },
+    ];
+    for (const body of cases) {
+      const res = await request(app).post('/api/priority-rules').send(body);
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it('keeps the default rule global and undeletable', async () => {
+    const deleted = await request(app).delete('/api/priority-rules/default');
+    expect(deleted.status).toBe(409);
+    expect(deleted.body.error).toMatch(/change its thresholds/);
+    const moved = await request(app).put('/api/priority-rules/default').send({ scope: 'store', scope_value: 'GDL-001' });
+    expect(moved.status).toBe(400);
+    expect((await request(app).get('/api/priority-rules/default')).body.data).toMatchObject({ scope: 'global', scope_value: null });
+  });
+
+  it('returns 404 for unknown rules', async () => {
+    expect((await request(app).put('/api/priority-rules/nope').send({ severity: 'low' })).status).toBe(404);
+    expect((await request(app).delete('/api/priority-rules/nope')).status).toBe(404);
+  });
+});
+
+describe('priority rules in reconciliation', () => {
+  const flagged = store => db.prepare(`
+    SELECT DISTINCT status, priority_rule_id, priority_severity FROM reconciliations
+    WHERE store_id = ? AND is_high_priority = 1
+  `).all(store);
+
+  it('flags variances by the store rule, leaving other stores on the global rule', async () => {
+    await request(app).post('/api/reconcile').send({ async: false });
+    expect(flagged('GDL-001')).toEqual([]);
+
+    const rule = await request(app).post('/api/priority-rules').send({
+      scope: 'store', scope_value: 'GDL-001', amount_threshold: 0, severity: 'critical',
+    });
+    await request(app).post('/api/reconcile').send({ async: false });
+
+    expect(flagged('GDL-001')).toEqual([
+      { status: 'over_collection', priority_rule_id: rule.body.data.id, priority_severity: 'critical' },
+    ]);
+    // GDL-002 over-collections stay under the global 100 / 10% rule
+    expect(flagged('GDL-002')).toEqual([]);
+
+    await request(app).delete(`/api/priority-rules/${rule.body.data.id}`);
+    await request(app).post('/api/reconcile').send({ async: false });
+    expect(flagged('GDL-001')).toEqual([]);
+  });
+
+  it('records a low-severity rule without flagging the row', async () => {
+    const rule = await request(app).post('/api/priority-rules').send({
+      scope: 'store', scope_value: 'GDL-001', amount_threshold: 0, severity: 'low',
+    });
+    try {
+      await request(app).post('/api/reconcile').send({ async: false });
+      expect(flagged('GDL-001')).toEqual([]);
+      const noted = db.prepare(`
+        SELECT DISTINCT status, priority_severity FROM reconciliations WHERE store_id = 'GDL-001' AND priority_rule_id = ?
+      `).all(rule.body.data.id);
+      expect(noted).toEqual([{ status: 'over_collection', priority_severity: 'low' }]);
+    } finally {
+      await request(app).delete(`/api/priority-rules/${rule.body.data.id}`);
+    }
+  });
+});
@@ -2,12 +2,15 @@ import { describe, it, expect, beforeAll } from 'vitest';
 import request from 'supertest';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { setImmediate as nextTick } from 'timers/promises';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const SEED_DIR = join(__dirname, '../../data/seed');
 
 import { createApp } from '../../src/app.js';
 import { db } from '../../src/db/index.js';
+import { submitJob, cancelJob, getJob } from '../../src/services/reconciliationJobs.js';
+import { config } from '../../src/config.js';
 
 const app = createApp();
 
@@ -15,16 +18,17 @@ beforeAll(async () => {
   db.exec('DELETE FROM reconciliations; DELETE FROM orders; DELETE FROM cash_reports;');
   await request(app).post('/api/ingest/orders').attach('file', join(SEED_DIR, 'orders.csv'));
   await request(app).post('/api/ingest/cash-reports').attach('file', join(SEED_DIR, 'cash_reports.csv'));
-  await request(app).post('/api/reconcile').send({});
+  await request(app).post('/api/reconcile').send({ async: false });
 });
 
 describe('POST /api/reconcile', () => {
   it('reconciles all data and returns record count', async () => {
-    const res = await request(app).post('/api/reconcile').send({});
+    const res = await request(app).post('/api/reconcile').send({ async: false });
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.reconciled).toBeGreaterThan(100);
-    expect(Array.isArray(res.body.records)).toBe(true);
+    expect(res.body.summary.total_orders).toBe(res.body.reconciled);
+    expect(res.body.records).toBeUndefined();
   });
 
   it('reconciles a specific date', async () => {
@@ -39,6 +43,14 @@ describe('POST /api/reconcile', () => {
     expect(res.body.reconciled).toBeGreaterThan(0);
     res.body.records.forEach(r => expect(r.store_id).toBe('CDMX-001'));
   });
+
+  it('returns 400 for a malformed or impossible date', async () => {
+    for (const date of ['15/01/2024', '2024-02-30']) {
+      const res = await request(app).post('/api/reconcile').send({ date });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('YYYY-MM-DD');
+    }
+  });
 });
 
 describe('POST /api/reconcile/batch', () => {
@@ -46,13 +58,28 @@ describe('POST /api/reconcile/batch', () => {
     const res = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15', to: '2024-01-17' });
     expect(res.status).toBe(200);
     expect(res.body.reconciled).toBeGreaterThan(0);
-    expect(Array.isArray(res.body.records)).toBe(true);
+    expect(res.body.summary.total_orders).toBe(res.body.reconciled);
+    expect(res.body.records).toBeUndefined();
   });
 
   it('returns 400 when from/to are missing', async () => {
     const res = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15' });
     expect(res.status).toBe(400);
   });
+
+  it('returns 400 for a malformed or impossible date', async () => {
+    for (const body of [{ from: '15/01/2024', to: '2024-01-17' }, { from: '2024-01-15', to: '2024-02-30' }]) {
+      const res = await request(app).post('/api/reconcile/batch').send(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('YYYY-MM-DD');
+    }
+  });
+
+  it('returns 400 when from is after to', async () => {
+    const res = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-17', to: '2024-01-15' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('less than or equal');
+  });
 });
 
 describe('GET /api/reconciliation/summary', () => {
@@ -118,3 +145,565 @@ describe('GET /api/reconciliation/status', () => {
     });
   });
 });
+
+describe('collection-to-deposit reconciliation', () => {
+  beforeAll(async () => {
+    db.exec('DELETE FROM deposits;');
+    // RPT-001 (2235.00) deposited in full, RPT-002 (2295.00) deposited 295 short,
+    // RPT-003 never deposited
+    await request(app).post('/api/ingest/deposits').send([
+      {
+        deposit_id: 'DEP-001', store_id: 'CDMX-001', deposit_date: '2024-01-16',
+        amount: 2235, bank_reference: 'BBVA-778812', report_ids: ['RPT-001'],
+      },
+      {
+        deposit_id: 'DEP-002', store_id: 'CDMX-001', deposit_date: '2024-01-17',
+        amount: 2000, bank_reference: 'BBVA-778901', report_ids: 'RPT-002',
+      },
+    ]);
+  });
+
+  it('flags reports deposited short or never deposited', async () => {
+    const res = await request(app).get('/api/reconciliation/deposits?store_id=CDMX-001');
+    expect(res.status).toBe(200);
+
+    const byReport = Object.fromEntries(res.body.data.map(r => [r.report_id, r]));
+    expect(byReport['RPT-001']).toMatchObject({ status: 'matched', deposit_ids: ['DEP-001'] });
+    expect(byReport['RPT-002']).toMatchObject({
+      status: 'short_deposit', deposited_amount: 2000, variance_amount: -295, is_high_priority: 1,
+    });
+    expect(byReport['RPT-003']).toMatchObject({ status: 'not_deposited', deposited_amount: 0 });
+  });
+
+  it('shows collection-to-deposit variance in the summary', async () => {
+    const res = await request(app).get('/api/reconciliation/summary?store_id=CDMX-001&from=2024-01-16&to=2024-01-16');
+    expect(res.body.data[0]).toMatchObject({
+      total_collected: 2295,
+      total_deposited: 2000,
+      deposit_variance: -295,
+      short_deposits: 1,
+      reports_not_deposited: 0,
+    });
+  });
+
+  it('lists deposit discrepancies next to order discrepancies', async () => {
+    const res = await request(app).get('/api/reconciliation/discrepancies?store_id=CDMX-001');
+    expect(res.status).toBe(200);
+    const statuses = res.body.deposit_discrepancies.map(r => r.status);
+    expect(statuses).toContain('short_deposit');
+    expect(statuses).toContain('not_deposited');
+    expect(statuses).not.toContain('matched');
+    expect(res.body.deposit_count).toBe(res.body.deposit_discrepancies.length);
+  });
+});
+
+describe('GET /api/reconciliation/conflicts', () => {
+  beforeAll(async () => {
+    // ORD-0030 (CDMX-002, 2024-01-15, 250.00) is unclaimed in the seed;
+    // two managers now both report its cash
+    await request(app).post('/api/ingest/cash-reports').send([
+      {
+        report_id: 'RPT-DUP-1', store_id: 'CDMX-002', report_date: '2024-01-15',
+        total_collected: 250, order_ids: ['ORD-0030'], submitted_by: 'Ana Ruiz',
+      },
+      {
+        report_id: 'RPT-DUP-2', store_id: 'CDMX-002', report_date: '2024-01-16',
+        total_collected: 250, order_ids: ['ORD-0030'], submitted_by: 'Luis Gómez',
+      },
+    ]);
+    await request(app).post('/api/reconcile').send({ date: '2024-01-15', store_id: 'CDMX-002' });
+  });
+
+  it('lists the contested order with every claim', async () => {
+    const res = await request(app).get('/api/reconciliation/conflicts?from=2024-01-15&to=2024-01-15');
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0]).toMatchObject({
+      order_id: 'ORD-0030', store_id: 'CDMX-002', expected_amount: 250,
+      claimed_total: 500, variance_amount: 250,
+    });
+    expect(res.body.data[0].claims).toEqual([
+      expect.objectContaining({ report_id: 'RPT-DUP-1', submitted_by: 'Ana Ruiz', claimed_amount: 250, days_late: 0 }),
+      expect.objectContaining({ report_id: 'RPT-DUP-2', submitted_by: 'Luis Gómez', claimed_amount: 250, days_late: 1 }),
+    ]);
+  });
+
+  it('counts double claims in the summary', async () => {
+    const res = await request(app).get('/api/reconciliation/summary?store_id=CDMX-002&from=2024-01-15&to=2024-01-15');
+    expect(res.body.data[0].double_claimed).toBe(1);
+  });
+
+  it('filters by store', async () => {
+    const res = await request(app).get('/api/reconciliation/conflicts?store_id=CDMX-001');
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(0);
+  });
+});
+
+describe('invalid cash report claims', () => {
+  beforeAll(async () => {
+    // A CDMX-001 report listing an order that does not exist and one of CDMX-002's
+    await request(app).post('/api/ingest/cash-reports').send([
+      {
+        report_id: 'RPT-BAD-IDS', store_id: 'CDMX-001', report_date: '2024-01-19',
+        total_collected: 250, order_ids: ['ORD-9999', 'ORD-0030'], submitted_by: 'Ana Ruiz',
+      },
+    ]);
+    await request(app).post('/api/reconcile').send({ date: '2024-01-19', store_id: 'CDMX-001' });
+  });
+
+  it('lists them with the discrepancies, tied to the report', async () => {
+    const res = await request(app).get('/api/reconciliation/discrepancies?store_id=CDMX-001&from=2024-01-19');
+    expect(res.status).toBe(200);
+    expect(res.body.claim_anomaly_count).toBe(2);
+    expect(res.body.claim_anomalies).toEqual([
+      expect.objectContaining({ report_id: 'RPT-BAD-IDS', order_id: 'ORD-0030', anomaly_type: 'cross_store', order_store_id: 'CDMX-002' }),
+      expect.objectContaining({ report_id: 'RPT-BAD-IDS', order_id: 'ORD-9999', anomaly_type: 'unknown_order', order_store_id: null }),
+    ]);
+  });
+
+  it('files them under the report store', async () => {
+    const res = await request(app).get('/api/reconciliation/discrepancies?store_id=CDMX-002');
+    expect(res.body.claim_anomalies.map(a => a.report_id)).not.toContain('RPT-BAD-IDS');
+  });
+});
+
+describe('allocation strategies', () => {
+  it('rejects an unknown strategy', async () => {
+    const res = await request(app).post('/api/reconcile').send({ date: '2024-01-15', allocation_strategy: 'random' });
+    expect(res.status).toBe(400);
+  });
+
+  it('reconciles with the requested strategy and lists report-level variance', async () => {
+    // GDL-001 over-collects on some days
+    const range = { from: '2024-01-15', to: '2024-01-19', store_id: 'GDL-001' };
+    const res = await request(app).post('/api/reconcile/batch').send({ ...range, allocation_strategy: 'report_level' });
+    expect(res.status).toBe(200);
+    const rows = db.prepare('SELECT allocation_strategy, status FROM reconciliations WHERE run_id = ?').all(res.body.run_id);
+    expect(rows).toHaveLength(res.body.reconciled);
+    rows.forEach(r => expect(r.allocation_strategy).toBe('report_level'));
+    // Orders count as paid in full; the variance sits on the reports
+    expect(res.body.summary.status_counts.over_collection).toBeUndefined();
+
+    const disc = await request(app).get('/api/reconciliation/discrepancies?store_id=GDL-001');
+    expect(disc.body.report_discrepancy_count).toBeGreaterThan(0);
+    disc.body.report_discrepancies.forEach((line) => {
+      expect(line).toMatchObject({ store_id: 'GDL-001', allocation_strategy: 'report_level', status: 'over_collection' });
+    });
+
+    // Back to the default for the other suites
+    await request(app).post('/api/reconcile/batch').send(range);
+  });
+});
+
+describe('store-day reconciliation records', () => {
+  it('lists one record per reconciled store-day', async () => {
+    const summary = await request(app).get('/api/reconciliation/summary');
+    const res = await request(app).get('/api/reconciliation/store-days');
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(summary.body.data.length);
+
+    for (const day of summary.body.data) {
+      const row = res.body.data.find(d => d.store_id === day.store_id && d.reconciliation_date === day.date);
+      expect(row.order_count).toBe(day.total_orders);
+      expect(row.expected_amount).toBeCloseTo(day.total_expected, 2);
+      expect(row.reported_amount).toBeCloseTo(day.total_collected, 2);
+    }
+  });
+
+  it('filters by store and status', async () => {
+    const res = await request(app).get('/api/reconciliation/store-days?store_id=CDMX-002&status=under_collection');
+    expect(res.body.count).toBeGreaterThan(0);
+    res.body.data.forEach((d) => {
+      expect(d).toMatchObject({ store_id: 'CDMX-002', status: 'under_collection' });
+      expect(d.variance_amount).toBeLessThan(0);
+    });
+  });
+
+  it('returns a store-day with the rows behind it', async () => {
+    const res = await request(app).get('/api/reconciliation/store-days/CDMX-002/2024-01-15');
+    expect(res.status).toBe(200);
+    expect(res.body.data.orders).toHaveLength(res.body.data.order_count);
+    expect(res.body.data.cash_reports).toHaveLength(res.body.data.report_count);
+    expect(Array.isArray(res.body.data.cash_reports[0].order_ids)).toBe(true);
+  });
+
+  it('returns 404 for a store-day that was never reconciled', async () => {
+    const res = await request(app).get('/api/reconciliation/store-days/CDMX-002/2023-01-01');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('reconciliation runs', () => {
+  it('records who triggered a run, its parameters and totals', async () => {
+    const res = await request(app).post('/api/reconcile').set('X-User', 'auditor.ana').send({ date: '2024-01-16' });
+    expect(res.body.run_id).toBeDefined();
+
+    const run = await request(app).get(`/api/reconciliation/runs/${res.body.run_id}`);
+    expect(run.status).toBe(200);
+    expect(run.body.data).toMatchObject({
+      triggered_by: 'auditor.ana',
+      trigger: 'api',
+      status: 'completed',
+      params: { date: '2024-01-16', store_id: null },
+      total_orders: res.body.reconciled,
+    });
+
+    const list = await request(app).get('/api/reconciliation/runs?triggered_by=auditor.ana');
+    expect(list.body.data.map(r => r.id)).toContain(res.body.run_id);
+
+    const stored = db.prepare('SELECT DISTINCT run_id FROM reconciliations WHERE reconciliation_date = ?').all('2024-01-16');
+    expect(stored).toEqual([{ run_id: res.body.run_id }]);
+  });
+
+  it('shows how orders moved between two runs', async () => {
+    const range = { from: '2024-01-17', to: '2024-01-17', store_id: 'CDMX-001' };
+    const before = await request(app).post('/api/reconcile/batch').send({ ...range, allocation_strategy: 'sequential' });
+    // Under-report the store-day, then reconcile it again
+    db.prepare("UPDATE cash_reports SET total_collected = total_collected - 300 WHERE store_id = 'CDMX-001' AND report_date = '2024-01-17'").run();
+    const after = await request(app).post('/api/reconcile/batch').send(range);
+
+    const res = await request(app).get(`/api/reconciliation/runs/diff?before=${before.body.run_id}&after=${after.body.run_id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-17' }]);
+    expect(res.body.count).toBeGreaterThan(0);
+    res.body.changed_orders.forEach((o) => {
+      expect(o).toMatchObject({ store_id: 'CDMX-001', before_status: 'matched', after_status: 'under_collection' });
+    });
+
+    // The earlier run's rows are still there as they were
+    const records = await request(app).get(`/api/reconciliation/runs/${before.body.run_id}/records`);
+    records.body.data.forEach(r => expect(r.status).toBe('matched'));
+
+    // Until they fall out of the retention
+    db.prepare('UPDATE reconciliation_runs SET history_pruned = 1 WHERE id = ?').run(before.body.run_id);
+    try {
+      expect((await request(app).get(`/api/reconciliation/runs/${before.body.run_id}/records`)).status).toBe(410);
+      const diff = await request(app).get(`/api/reconciliation/runs/diff?before=${before.body.run_id}&after=${after.body.run_id}`);
+      expect(diff.status).toBe(410);
+    } finally {
+      db.prepare('UPDATE reconciliation_runs SET history_pruned = 0 WHERE id = ?').run(before.body.run_id);
+    }
+
+    db.prepare("UPDATE cash_reports SET total_collected = total_collected + 300 WHERE store_id = 'CDMX-001' AND report_date = '2024-01-17'").run();
+    await request(app).post('/api/reconcile/batch').send(range);
+  });
+
+  it('requires both runs to exist', async () => {
+    expect((await request(app).get('/api/reconciliation/runs/diff?before=x')).status).toBe(400);
+    expect((await request(app).get('/api/reconciliation/runs/diff?before=x&after=y')).status).toBe(404);
+    expect((await request(app).get('/api/reconciliation/runs/nope')).status).toBe(404);
+  });
+});
+
+describe('incremental reconciliation', () => {
+  const incremental = () => request(app).post('/api/reconcile').send({ mode: 'incremental', async: false });
+  const pending = async () => (await request(app).get('/api/reconciliation/store-days/pending')).body.data;
+
+  it('skips every store-day once all are up to date', async () => {
+    await incremental();
+    const storeDayCount = db.prepare('SELECT COUNT(*) AS n FROM store_day_reconciliations').get().n;
+
+    const res = await incremental();
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ reconciled: 0, store_days: [], skipped: storeDayCount });
+    expect(await pending()).toEqual([]);
+  });
+
+  it('reconciles only the store-days new data touched', async () => {
+    // Left for the incremental run rather than reconciled by the upload
+    const upload = await request(app).post('/api/ingest/orders?reconcile=false').send([{
+      order_id: 'ORD-INC-1', store_id: 'CDMX-001', region: 'cdmx', customer_id: 'CUST-001',
+      customer_name: 'Juan García', order_date: '2024-01-16', pickup_date: '2024-01-16',
+      expected_amount: 120, currency: 'MXN', payment_method: 'cash_on_pickup',
+    }]);
+    expect(upload.status).toBe(200);
+    expect(await pending()).toEqual([{ store_id: 'CDMX-001', date: '2024-01-16', reason: 'order_ingested' }]);
+
+    const before = db.prepare('SELECT COUNT(*) AS n FROM store_day_reconciliations').get().n;
+    const res = await incremental();
+    expect(res.body.store_days).toEqual([{ store_id: 'CDMX-001', date: '2024-01-16', reason: 'order_ingested' }]);
+    expect(res.body.skipped).toBe(before - 1);
+    expect(db.prepare('SELECT DISTINCT store_id, reconciliation_date FROM reconciliations WHERE run_id = ?').all(res.body.run_id))
+      .toEqual([{ store_id: 'CDMX-001', reconciliation_date: '2024-01-16' }]);
+    expect(db.prepare("SELECT status FROM reconciliations WHERE order_id = 'ORD-INC-1'").get()).toEqual({ status: 'unaccounted' });
+    expect(await pending()).toEqual([]);
+  });
+
+  it('picks up the store-days a priority rule change re-judges', async () => {
+    const rule = await request(app).post('/api/priority-rules').send({
+      scope: 'store', scope_value: 'GDL-002', amount_threshold: 0,
+    });
+    const days = await pending();
+    expect(days.length).toBeGreaterThan(0);
+    expect(days.every(d => d.store_id === 'GDL-002' && d.reason === 'priority_rule_changed')).toBe(true);
+
+    await incremental();
+    await request(app).delete(`/api/priority-rules/${rule.body.data.id}`);
+    const res = await incremental();
+    expect(res.body.store_days.map(d => d.store_id)).toEqual(days.map(d => d.store_id));
+  });
+
+  it('rejects an unknown mode and a date in incremental mode', async () => {
+    expect((await request(app).post('/api/reconcile').send({ mode: 'partial' })).status).toBe(400);
+    expect((await request(app).post('/api/reconcile').send({ mode: 'incremental', date: '2024-01-15' })).status).toBe(400);
+  });
+});
+
+describe('reconciliation jobs', () => {
+  const FINISHED = ['completed', 'failed', 'cancelled'];
+  const waitForJob = async (id) => {
+    for (;;) {
+      const res = await request(app).get(`/api/reconciliation/jobs/${id}`);
+      if (FINISHED.includes(res.body.data.status)) return res.body.data;
+      await nextTick();
+    }
+  };
+
+  it('runs an async batch in the background and reports its progress and summary', async () => {
+    const range = { from: '2024-01-15', to: '2024-01-17' };
+    const res = await request(app).post('/api/reconcile/batch').set('X-User', 'ops.luis').send({ ...range, async: true });
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/api/reconciliation/jobs/${res.body.job_id}`);
+    expect(res.body.data).toMatchObject({ status: 'running', trigger: 'batch', triggered_by: 'ops.luis', steps_done: 0 });
+    expect(res.body.records).toBeUndefined();
+
+    const early = await request(app).get(`/api/reconciliation/jobs/${res.body.job_id}/summary`);
+    expect(early.status).toBe(409);
+
+    const job = await waitForJob(res.body.job_id);
+    expect(job).toMatchObject({ status: 'completed', steps_total: 3, steps_done: 3, percent_done: 100 });
+
+    const sync = await request(app).post('/api/reconcile/batch').send(range);
+    const summary = await request(app).get(`/api/reconciliation/jobs/${job.id}/summary`);
+    expect(summary.status).toBe(200);
+    expect(summary.body.data).toMatchObject({
+      job_id: job.id, status: 'completed', run_id: job.run_id, reconciled: sync.body.reconciled, locked_store_days: [],
+    });
+
+    const run = await request(app).get(`/api/reconciliation/runs/${job.run_id}`);
+    expect(run.body.data).toMatchObject({ status: 'completed', trigger: 'batch', triggered_by: 'ops.luis', params: range });
+  });
+
+  it('queues reconciliations without a date and ranges over SYNC_RECONCILE_MAX_DAYS by default', async () => {
+    config.syncReconcileMaxDays = 2;
+    try {
+      const all = await request(app).post('/api/reconcile').send({});
+      expect(all.status).toBe(202);
+      expect((await waitForJob(all.body.job_id)).status).toBe('completed');
+      const incremental = await request(app).post('/api/reconcile').send({ mode: 'incremental' });
+      expect(incremental.status).toBe(202);
+      expect((await waitForJob(incremental.body.job_id)).status).toBe('completed');
+
+      const range = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15', to: '2024-01-17' });
+      expect(range.status).toBe(202);
+      expect((await waitForJob(range.body.job_id)).status).toBe('completed');
+
+      // A short range or a single date runs in the request, and async: false keeps any request there
+      expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15', to: '2024-01-16' })).status).toBe(200);
+      expect((await request(app).post('/api/reconcile').send({ date: '2024-01-15' })).status).toBe(200);
+      expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15', to: '2024-01-17', async: false })).status).toBe(200);
+    } finally {
+      config.syncReconcileMaxDays = 7;
+    }
+  });
+
+  it('serializes jobs over overlapping store-days and runs the others alongside', async () => {
+    const week = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-15', to: '2024-01-19', async: true });
+    const oneStore = await request(app).post('/api/reconcile').send({ date: '2024-01-17', store_id: 'CDMX-001', async: true });
+    const later = await request(app).post('/api/reconcile/batch').send({ from: '2024-01-20', to: '2024-01-21', async: true });
+    expect(week.body.data.status).toBe('running');
+    expect(oneStore.body.data.status).toBe('queued');
+    expect(oneStore.body.message).toMatch(/behind an overlapping job/);
+    expect(later.body.data.status).toBe('running');
+
+    const [first, second] = [await waitForJob(week.body.job_id), await waitForJob(oneStore.body.job_id)];
+    expect(second.status).toBe('completed');
+    expect(second.started_at >= first.finished_at).toBe(true);
+    expect((await waitForJob(later.body.job_id)).status).toBe('completed');
+  });
+
+  it('refuses a synchronous reconcile over the store-days of a pending job', async () => {
+    // A job mid-way, held still so the requests below cannot outrun it
+    db.prepare(`
+      INSERT INTO reconciliation_jobs
+        (id, triggered_by, trigger, params, store_id, from_date, to_date, status, created_at)
+      VALUES ('JOB-HELD', 'ops.luis', 'batch', '{}', 'CDMX-001', '2024-01-15', '2024-01-17', 'running', ?)
+    `).run(new Date().toISOString());
+    try {
+      const day = await request(app).post('/api/reconcile').send({ date: '2024-01-16' });
+      expect(day.status).toBe(409);
+      expect(day.body.error).toContain('JOB-HELD');
+      expect((await request(app).post('/api/reconcile').send({ async: false })).status).toBe(409);
+      expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-17', to: '2024-01-19' })).status).toBe(409);
+      // Other stores and dates are free
+      expect((await request(app).post('/api/reconcile').send({ date: '2024-01-16', store_id: 'GDL-001' })).status).toBe(200);
+      expect((await request(app).post('/api/reconcile/batch').send({ from: '2024-01-18', to: '2024-01-19' })).status).toBe(200);
+    } finally {
+      db.prepare("DELETE FROM reconciliation_jobs WHERE id = 'JOB-HELD'").run();
+    }
+    expect((await request(app).post('/api/reconcile').send({ date: '2024-01-16' })).status).toBe(200);
+  });
+
+  it('refuses auto-reconciling uploads and rollbacks over the store-days of a pending job', async () => {
+    const order = {
+      order_id: 'ORD-HELD', store_id: 'CDMX-001', region: 'cdmx', customer_id: 'CUST-001',
+      customer_name: 'Juan García', order_date: '2024-01-16', pickup_date: '2024-01-16',
+      expected_amount: 120, currency: 'MXN', payment_method: 'cash_on_pickup',
+    };
+    db.prepare(`
+      INSERT INTO reconciliation_jobs
+        (id, triggered_by, trigger, params, store_id, from_date, to_date, status, created_at)
+      VALUES ('JOB-HELD', 'ops.luis', 'batch', '{}', 'CDMX-001', '2024-01-15', '2024-01-17', 'running', ?)
+    `).run(new Date().toISOString());
+    let batchId;
+    try {
+      const upload = await request(app).post('/api/ingest/orders').send([order]);
+      expect(upload.status).toBe(409);
+      expect(upload.body.error).toContain('upload with reconcile=false');
+      expect(db.prepare("SELECT 1 FROM orders WHERE order_id = 'ORD-HELD'").get()).toBeUndefined();
+
+      const unreconciled = await request(app).post('/api/ingest/orders?reconcile=false').send([order]);
+      expect(unreconciled.status).toBe(200);
+      batchId = unreconciled.body.batch_id;
+
+      const rollback = await request(app).post(`/api/ingest/batches/${batchId}/rollback`).send({});
+      expect(rollback.status).toBe(409);
+      expect(rollback.body.error).toContain('JOB-HELD');
+      expect(db.prepare("SELECT 1 FROM orders WHERE order_id = 'ORD-HELD'").get()).toBeDefined();
+    } finally {
+      db.prepare("DELETE FROM reconciliation_jobs WHERE id = 'JOB-HELD'").run();
+    }
+    expect((await request(app).post(`/api/ingest/batches/${batchId}/rollback`).send({})).status).toBe(200);
+  });
+
+  it('cancels a queued job straight away and a running one before its next day', async () => {
+    const running = submitJob({ trigger: 'batch', params: { from: '2024-01-15', to: '2024-01-19', store_id: null } });
+    const queued = submitJob({ trigger: 'api', params: { mode: 'full', date: '2024-01-16', store_id: 'GDL-001' } });
+    expect(queued.status).toBe('queued');
+
+    const res = await request(app).post(`/api/reconciliation/jobs/${queued.id}/cancel`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'cancelled', run_id: null });
+
+    while (getJob(running.id).steps_done < 1) await nextTick();
+    expect(cancelJob(running.id)).toMatchObject({ status: 'running', cancel_requested: true });
+
+    const job = await waitForJob(running.id);
+    expect(job.status).toBe('cancelled');
+    expect(job.steps_done).toBeGreaterThan(0);
+    expect(job.steps_done).toBeLessThan(job.steps_total);
+    expect(job.summary.store_day_count).toBeGreaterThan(0);
+
+    const run = await request(app).get(`/api/reconciliation/runs/${job.run_id}`);
+    expect(run.body.data).toMatchObject({ status: 'cancelled', total_orders: job.summary.reconciled });
+    expect((await request(app).post(`/api/reconciliation/jobs/${job.id}/cancel`)).status).toBe(409);
+  });
+
+  it('rejects a non-boolean async and unknown jobs', async () => {
+    expect((await request(app).post('/api/reconcile').send({ async: 'yes' })).status).toBe(400);
+    expect((await request(app).get('/api/reconciliation/jobs/nope')).status).toBe(404);
+    expect((await request(app).get('/api/reconciliation/jobs/nope/summary')).status).toBe(404);
+    expect((await request(app).post('/api/reconciliation/jobs/nope/cancel')).status).toBe(404);
+  });
+});
+
+describe('reconciliation simulation', () => {
+  const range = { from: '2024-01-15', to: '2024-01-19' };
+  const simulate = body => request(app).post('/api/reconciliation/simulate').send(body);
+  const counts = () => Object.fromEntries(
+    ['reconciliations', 'reconciliation_history', 'reconciliation_runs', 'discrepancy_cases', 'store_day_reconciliations']
+      .map(t => [t, db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n])
+  );
+
+  beforeAll(async () => {
+    await request(app).post('/api/reconcile').send({ async: false });
+  });
+
+  it('matches the stored results when nothing is overridden', async () => {
+    const res = await simulate(range);
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(0);
+    expect(res.body.projected).toEqual(res.body.current);
+    expect(res.body.difference).toEqual({ status_counts: {}, total_actual: 0, total_variance: 0, high_priority_count: 0 });
+    expect(res.body.store_day_count).toBeGreaterThan(0);
+  });
+
+  it('re-judges priority with simulated rules, replacing a stored rule by id', async () => {
+    const res = await simulate({
+      ...range,
+      priority_rules: [{ id: 'default', scope: 'global', amount_threshold: 0 }],
+    });
+    expect(res.body.difference.high_priority_count).toBeGreaterThan(0);
+    expect(res.body.difference.status_counts).toEqual({});
+    expect(res.body.parameters.priority_rules).toEqual([expect.objectContaining({ id: 'default', amount_threshold: 0 })]);
+    res.body.changed_orders.forEach((o) => {
+      expect(o.projected_status).toBe(o.current_status);
+      expect(o).toMatchObject({ current_high_priority: 0, projected_high_priority: 1 });
+    });
+
+    // A store rule only touches that store
+    const store = await simulate({
+      ...range, priority_rules: [{ scope: 'store', scope_value: 'GDL-002', pct_threshold: 0 }],
+    });
+    expect(store.body.parameters.priority_rules[0].id).toBe('simulated-1');
+    expect(store.body.count).toBeGreaterThan(0);
+    store.body.changed_orders.forEach(o => expect(o).toMatchObject({ store_id: 'GDL-002', projected_high_priority: 1 }));
+  });
+
+  it('compares another allocation strategy and late window for one store', async () => {
+    const res = await simulate({ ...range, store_id: 'GDL-001', allocation_strategy: 'report_level', late_window_days: 0 });
+    expect(res.status).toBe(200);
+    expect(res.body.parameters).toMatchObject({ store_id: 'GDL-001', allocation_strategy: 'report_level', late_window_days: 0 });
+    // The duplicated cash moves off the orders onto the reports' lines
+    expect(res.body.difference.status_counts.over_collection).toBeLessThan(0);
+    expect(res.body.difference.total_variance).toBeLessThan(0);
+    res.body.changed_orders.forEach(o => expect(o).toMatchObject({
+      store_id: 'GDL-001', current_status: 'over_collection', projected_status: 'matched',
+    }));
+    expect(res.body.current.total_orders).toBe(res.body.projected.total_orders);
+  });
+
+  it('judges by simulated rounding tolerances', async () => {
+    const res = await simulate({ ...range, store_id: 'GDL-001', variance_tolerances: { MXN: { amount: 10000 } } });
+    expect(res.status).toBe(200);
+    expect(res.body.parameters.variance_tolerances).toEqual({ MXN: { amount: 10000 } });
+    expect(res.body.difference.status_counts.minor_variance).toBeGreaterThan(0);
+    res.body.changed_orders.forEach(o => expect(o).toMatchObject({
+      projected_status: 'minor_variance', projected_high_priority: 0,
+    }));
+  });
+
+  it('writes nothing', async () => {
+    const before = counts();
+    const latest = db.prepare('SELECT MAX(reconciled_at) AS t FROM reconciliations').get().t;
+    await simulate({ ...range, allocation_strategy: 'sequential', priority_rules: [{ scope: 'global', amount_threshold: 0 }] });
+    expect(counts()).toEqual(before);
+    expect(db.prepare('SELECT MAX(reconciled_at) AS t FROM reconciliations').get().t).toBe(latest);
+  });
+
+  it('validates the range and the overrides', async () => {
+    expect((await simulate({ from: '2024-01-15' })).status).toBe(400);
+    expect((await simulate({ from: '2024-01-19', to: '2024-01-15' })).status).toBe(400);
+    expect((await simulate({ date: '2024-01-15', allocation_strategy: 'nope' })).status).toBe(400);
+    expect((await simulate({ date: '2024-01-15', priority_rules: {} })).status).toBe(400);
+    expect((await simulate({ date: '2024-01-15', priority_rules: [{ scope: 'store' }] })).status).toBe(400);
+    expect((await simulate({ date: '2024-01-15', variance_tolerances: { MXN: { amount: -1 } } })).status).toBe(400);
+    expect((await simulate({ date: '2024-01-15', variance_tolerances: null })).status).toBe(400);
+  });
+
+  it('returns 400 for malformed dates', async () => {
+    for (const body of [{ date: 'yesterday' }, { from: '2024-01-15', to: '2024-13-01' }]) {
+      const res = await simulate(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('YYYY-MM-DD');
+    }
+  });
+
+  it('refuses a range longer than SIMULATION_MAX_DAYS', async () => {
+    const res = await simulate({ from: '2024-01-01', to: '2024-12-31' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('SIMULATION_MAX_DAYS');
+    expect((await simulate({ from: '2024-01-01', to: '2024-01-31' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseCamt053 } from '../../src/services/camt053Parser.js';
+
+const STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-2024-01-16</Id>
+      <Acct><Id><IBAN>MX12BBVA0000000000001234</IBAN></Id></Acct>
+      <Ntry>
+        <NtryRef>1</NtryRef>
+        <Amt Ccy="MXN">2235.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2024-01-16</Dt></BookgDt>
+        <ValDt><Dt>2024-01-17</Dt></ValDt>
+        <AcctSvcrRef>BBVA778812</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <AmtDtls><TxAmt><Amt Ccy="MXN">2235.00</Amt></TxAmt></AmtDtls>
+          <RmtInf><Ustrd>Deposito CDMX-001 RPT-001 &amp; cambio</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="MXN">15.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><DtTm>2024-01-16T18:00:00</DtTm></BookgDt>
+        <AddtlNtryInf>Comision</AddtlNtryInf>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('parseCamt053', () => {
+  // 1. Entries with reference and remittance information
+  it('turns every <Ntry> into a transaction', () => {
+    const [credit, debit] = parseCamt053(Buffer.from(STATEMENT));
+
+    expect(credit).toEqual({
+      statement_id: 'STMT-2024-01-16',
+      account: 'MX12BBVA0000000000001234',
+      sequence: 1,
+      booking_date: '2024-01-16',
+      value_date: '2024-01-17',
+      amount: 2235,
+      currency: 'MXN',
+      credit_debit: 'C',
+      reference: 'BBVA778812',
+      description: 'Deposito CDMX-001 RPT-001 & cambio',
+    });
+    expect(debit).toMatchObject({
+      credit_debit: 'D',
+      booking_date: '2024-01-16',
+      reference: null,
+      description: 'Comision',
+    });
+  });
+
+  // 2. Not a CAMT.053 document
+  it('rejects documents without a statement or with a broken entry', () => {
+    expect(() => parseCamt053('<Document/>')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseCamt053('<Stmt><Id>S1</Id><Ntry><Amt>x</Amt></Ntry></Stmt>'))
+      .toThrow('CAMT.053: entry 1 of statement S1: invalid <Amt>');
+  });
+});
@@ -1,5 +1,18 @@
 import { describe, it, expect } from 'vitest';
-import { parseOrdersCsv, parseCashReportsCsv } from '../../src/services/csvParser.js';
+import {
+  parseOrdersCsv,
+  parseCashReportsCsv,
+  parseOrdersJson,
+  parseCashReportsJson,
+  parseNdjson,
+  validateOrdersCsv,
+  validateCashReportsCsv,
+  parseDepositsCsv,
+  validateDepositsJson,
+  parseOrderEventsCsv,
+  validateOrderEventsJson,
+  rejectedRowsToCsv,
+} from '../../src/services/csvParser.js';
 
 // ---------------------------------------------------------------------------
 // Shared fixtures
@@ -116,3 +129,228 @@ describe('parseCashReportsCsv', () => {
     );
   });
 });
+
+// ---------------------------------------------------------------------------
+// JSON / NDJSON records
+// ---------------------------------------------------------------------------
+
+describe('parseOrdersJson / parseCashReportsJson', () => {
+  // 8. JSON orders normalize the same way as CSV rows
+  it('produces the same rows as parseOrdersCsv for equivalent input', () => {
+    const fromCsv = parseOrdersCsv(Buffer.from(VALID_ORDERS_CSV));
+    const fromJson = parseOrdersJson(fromCsv.map(o => ({ ...o, expected_amount: String(o.expected_amount) })));
+
+    expect(fromJson).toEqual(fromCsv);
+  });
+
+  // 9. Missing fields are reported per record
+  it('throws with status 400 naming the record and missing fields', () => {
+    const [order] = parseOrdersCsv(Buffer.from(VALID_ORDERS_CSV));
+    const { customer_id, ...partial } = order;
+
+    expect(() => parseOrdersJson([order, partial])).toThrow(/Record 2: customer_id is required/);
+  });
+
+  // 10. order_ids accepted as a real array
+  it('accepts order_ids as an array', () => {
+    const rows = parseCashReportsJson([{
+      report_id: 'RPT-001', store_id: 'STORE-001', report_date: '2024-01-15',
+      total_collected: 750, order_ids: ['ORD-001', ' ORD-002 '], submitted_by: 'Manager-001',
+    }]);
+
+    expect(rows[0].order_ids).toEqual(['ORD-001', 'ORD-002']);
+    expect(rows[0].total_collected).toBe(750);
+  });
+});
+
+describe('parseNdjson', () => {
+  // 11. Blank lines skipped, bad lines reported by line number
+  it('parses one value per non-blank line and reports malformed lines', () => {
+    expect(parseNdjson('{"a":1}\n\n{"a":2}\n')).toEqual([{ a: 1 }, { a: 2 }]);
+    expect(() => parseNdjson('{"a":1}\n{oops')).toThrow(
+      expect.objectContaining({ status: 400, message: 'Line 2: invalid JSON' }),
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Partial-accept validation
+// ---------------------------------------------------------------------------
+
+describe('validateOrdersCsv', () => {
+  const MIXED_CSV = [
+    VALID_ORDERS_CSV,
+    'ORD-003,STORE-001,cdmx,CUST-003,Ana,2024-01-15,2024-01-15,abc,MXN,cash_on_pickup',
+    ',STORE-001,cdmx,CUST-004,"Ruiz, Luis",2024-01-15,2024-13-1,100,MXN,cash_on_pickup',
+  ].join('\n');
+
+  // 12. Valid rows accepted, every problem reported with row/column/value/reason
+  it('accepts valid rows and reports every issue on the rejected ones', () => {
+    const { rows, rejected } = validateOrdersCsv(Buffer.from(MIXED_CSV));
+
+    expect(rows.map(r => r.order_id)).toEqual(['ORD-001', 'ORD-002']);
+    expect(rejected.map(r => r.row)).toEqual([4, 5]);
+    expect(rejected[0].errors).toEqual([
+      { row: 4, column: 'expected_amount', value: 'abc', reason: 'invalid expected_amount "abc"' },
+    ]);
+    expect(rejected[1].errors.map(e => e.column)).toEqual(['order_id', 'pickup_date']);
+  });
+
+  // 13. Strict parser keeps all-or-nothing behaviour on the same input
+  it('parseOrdersCsv still throws on the first bad row', () => {
+    expect(() => parseOrdersCsv(Buffer.from(MIXED_CSV))).toThrow('Row 4: invalid expected_amount "abc"');
+  });
+
+  // 14. Rejected rows round-trip to CSV with their reasons
+  it('serializes rejected rows back to a re-uploadable CSV', () => {
+    const { rejected } = validateOrdersCsv(Buffer.from(MIXED_CSV));
+    const csv = rejectedRowsToCsv(rejected, 'orders');
+    const lines = csv.trim().split('\n');
+
+    expect(lines[0]).toMatch(/^order_id,.*,payment_method,source_row,rejection_reason$/);
+    expect(lines[2]).toContain('"Ruiz, Luis"');
+    expect(lines[2]).toMatch(/,5,"order_id is required; invalid pickup_date ""2024-13-1"" \(expected YYYY-MM-DD\)"$/);
+    // Fixed rows can be sent straight back through the parser
+    expect(() => validateOrdersCsv(Buffer.from(csv))).not.toThrow();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Line-item cash reports
+// ---------------------------------------------------------------------------
+
+describe('line-item cash reports', () => {
+  const LINE_ITEM_CSV = [
+    'report_id,store_id,report_date,order_id,amount_collected,submitted_by',
+    'RPT-001,STORE-001,2024-01-15,ORD-001,450.00,Manager-001',
+    'RPT-002,STORE-002,2024-01-15,ORD-003,200.00,Manager-002',
+    'RPT-001,STORE-001,2024-01-15,ORD-002,280.50,Manager-001',
+  ].join('\n');
+
+  // 15. Lines grouped into one report each, with per-order amounts
+  it('groups line-item rows into reports by report_id', () => {
+    const rows = parseCashReportsCsv(Buffer.from(LINE_ITEM_CSV));
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      report_id: 'RPT-001',
+      store_id: 'STORE-001',
+      total_collected: 730.5,
+      order_ids: ['ORD-001', 'ORD-002'],
+      order_amounts: { 'ORD-001': 450, 'ORD-002': 280.5 },
+    });
+    expect(rows[1].order_amounts).toEqual({ 'ORD-003': 200 });
+  });
+
+  // 16. One bad line rejects every line of its report, other reports survive
+  it('rejects all lines of a report when one of them is invalid', () => {
+    const csv = [
+      LINE_ITEM_CSV,
+      'RPT-002,STORE-009,2024-01-15,ORD-004,10.00,Manager-002',
+    ].join('\n');
+    const { rows, rejected } = validateCashReportsCsv(Buffer.from(csv));
+
+    expect(rows.map(r => r.report_id)).toEqual(['RPT-001']);
+    expect(rejected.map(r => r.row)).toEqual([3, 5]);
+    expect(rejected[0].errors[0].reason).toBe('report RPT-002 has invalid lines');
+    expect(rejected[1].errors[0].reason).toBe(
+      'store_id "STORE-009" differs from earlier lines of report RPT-002'
+    );
+    expect(rejectedRowsToCsv(rejected, 'cash_reports').split('\n')[0]).toBe(
+      'report_id,store_id,report_date,order_id,amount_collected,submitted_by,source_row,rejection_reason'
+    );
+  });
+
+  // 17. JSON line_items default order_ids and total_collected
+  it('accepts line_items on JSON reports', () => {
+    const [row] = parseCashReportsJson([{
+      report_id: 'RPT-001', store_id: 'STORE-001', report_date: '2024-01-15',
+      line_items: [{ order_id: 'ORD-001', amount_collected: 450 }, { order_id: 'ORD-002', amount_collected: '300' }],
+      submitted_by: 'Manager-001',
+    }]);
+
+    expect(row.order_ids).toEqual(['ORD-001', 'ORD-002']);
+    expect(row.total_collected).toBe(750);
+    expect(row.order_amounts).toEqual({ 'ORD-001': 450, 'ORD-002': 300 });
+
+    expect(() => parseCashReportsJson([{
+      report_id: 'RPT-002', store_id: 'STORE-001', report_date: '2024-01-15',
+      line_items: [{ order_id: 'ORD-001', amount_collected: -1 }], submitted_by: 'Manager-001',
+    }])).toThrow('Record 1: line_items[0]: invalid amount_collected "-1"');
+  });
+
+  // 18. Regular reports carry no per-order amounts
+  it('leaves order_amounts null for regular reports', () => {
+    const [row] = parseCashReportsCsv(Buffer.from(VALID_REPORTS_CSV));
+    expect(row.order_amounts).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Bank deposits
+// ---------------------------------------------------------------------------
+
+describe('deposits', () => {
+  // 19. CSV deposit slips with a report_ids list
+  it('parses deposit slips and their covered reports', () => {
+    const csv = [
+      'deposit_id,store_id,deposit_date,amount,bank_reference,report_ids',
+      'DEP-001,STORE-001,2024-01-16,1480.50,BBVA-778812,"RPT-001,RPT-002"',
+    ].join('\n');
+
+    expect(parseDepositsCsv(Buffer.from(csv))).toEqual([{
+      deposit_id: 'DEP-001',
+      store_id: 'STORE-001',
+      deposit_date: '2024-01-16',
+      amount: 1480.5,
+      bank_reference: 'BBVA-778812',
+      report_ids: ['RPT-001', 'RPT-002'],
+    }]);
+  });
+
+  // 20. A deposit must cover at least one report and carry a bank reference
+  it('rejects deposits without reports or bank reference', () => {
+    const { rows, rejected } = validateDepositsJson([
+      { deposit_id: 'DEP-001', store_id: 'STORE-001', deposit_date: '2024-01-16', amount: 100, bank_reference: '', report_ids: [] },
+    ]);
+
+    expect(rows).toHaveLength(0);
+    expect(rejected[0].errors.map(e => e.reason)).toEqual([
+      'bank_reference is required',
+      'report_ids must list at least one report',
+    ]);
+  });
+});
+
+describe('order events', () => {
+  // 21. Lifecycle events; amount only where the event type takes one
+  it('parses order events with an optional amount and note', () => {
+    const csv = [
+      'event_id,order_id,event_type,event_date,amount,note',
+      'EV-001,ORD-001,Cancelled,2024-01-14,,Customer called',
+      'EV-002,ORD-002,partial_pickup,2024-01-15,180.50,',
+    ].join('\n');
+
+    expect(parseOrderEventsCsv(Buffer.from(csv))).toEqual([
+      { event_id: 'EV-001', order_id: 'ORD-001', event_type: 'cancelled', event_date: '2024-01-14', amount: null, note: 'Customer called' },
+      { event_id: 'EV-002', order_id: 'ORD-002', event_type: 'partial_pickup', event_date: '2024-01-15', amount: 180.5, note: null },
+    ]);
+  });
+
+  // 22. Unknown types, partial pickups without amount, amounts on no-shows
+  it('rejects events that do not make sense', () => {
+    const { rows, rejected } = validateOrderEventsJson([
+      { event_id: 'EV-1', order_id: 'ORD-1', event_type: 'lost', event_date: '2024-01-15' },
+      { event_id: 'EV-2', order_id: 'ORD-1', event_type: 'partial_pickup', event_date: '2024-01-15' },
+      { event_id: 'EV-3', order_id: 'ORD-1', event_type: 'no_show', event_date: '2024-01-15', amount: 50 },
+      { event_id: 'EV-4', order_id: 'ORD-1', event_type: 'refunded', event_date: '2024-01-15', amount: 50 },
+    ]);
+
+    expect(rows.map(r => r.event_id)).toEqual(['EV-4']);
+    expect(rejected.map(r => r.errors[0].reason)).toEqual([
+      'invalid event_type "lost" (expected one of: cancelled, refunded, picked_up, no_show, partial_pickup)',
+      'partial_pickup events require the amount picked up',
+      'no_show events do not take an amount',
+    ]);
+  });
+});
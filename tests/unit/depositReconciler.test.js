@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { computeDepositReconciliation } from '../../src/services/depositReconciler.js';
+
+const report = (report_id, total_collected) => ({ report_id, store_id: 'STORE-001', total_collected });
+const deposit = (deposit_id, amount, report_ids) => ({
+  deposit_id, amount, report_ids: JSON.stringify(report_ids),
+});
+
+describe('computeDepositReconciliation', () => {
+  // 1. One deposit covering two reports is split by what each collected
+  it('splits a deposit across its reports proportionally to their collected totals', () => {
+    const reports = [report('R1', 300), report('R2', 100)];
+    const collected = new Map([['R1', 300], ['R2', 100]]);
+
+    const result = computeDepositReconciliation(
+      '2024-01-15', reports, [deposit('D1', 360, ['R1', 'R2'])], collected
+    );
+
+    expect(result.map(r => r.deposited_amount)).toEqual([270, 90]);
+    expect(result.map(r => r.status)).toEqual(['short_deposit', 'short_deposit']);
+    expect(JSON.parse(result[0].deposit_ids)).toEqual(['D1']);
+  });
+
+  // 2. Several deposits for one report add up
+  it('adds up every deposit covering a report', () => {
+    const result = computeDepositReconciliation(
+      '2024-01-15',
+      [report('R1', 500)],
+      [deposit('D1', 200, ['R1']), deposit('D2', 300, ['R1'])],
+      new Map([['R1', 500]]),
+    );
+
+    expect(result[0]).toMatchObject({ status: 'matched', deposited_amount: 500, variance_amount: 0 });
+  });
+
+  // 3. Collected but never deposited
+  it('marks a report with no deposit as not_deposited', () => {
+    const result = computeDepositReconciliation('2024-01-15', [report('R1', 450)], [], new Map());
+
+    expect(result[0]).toMatchObject({
+      status: 'not_deposited',
+      deposited_amount: 0,
+      variance_amount: -450,
+      is_high_priority: 1,
+    });
+  });
+
+  // 4. Nothing collected, nothing to deposit
+  it('treats a zero-cash report without deposit as matched', () => {
+    const result = computeDepositReconciliation('2024-01-15', [report('R1', 0)], [], new Map());
+    expect(result[0].status).toBe('matched');
+  });
+});
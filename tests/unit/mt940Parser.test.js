@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseMt940 } from '../../src/services/mt940Parser.js';
+
+const STATEMENT = [
+  '{1:F01BANKMXMMAXXX0000000000}{2:I940BANKMXMMXXXXN}{4:',
+  ':20:STMT240116',
+  ':25:012345678901234567',
+  ':28C:00016/001',
+  ':60F:C240115MXN10000,00',
+  ':61:2401160116C2235,00NTRFRPT-001//BBVA778812',
+  ':86:DEPOSITO CDMX-001',
+  'RPT-001',
+  ':61:240116D500,00NCHGNONREF',
+  ':86:COMISION',
+  ':61:2312290102RD25,5NTRFNONREF',
+  ':62F:C240117MXN11760,00',
+  ':86:SALDO FINAL',
+  '-}',
+].join('\r\n');
+
+describe('parseMt940', () => {
+  // 1. Statement lines with their :86: narrative
+  it('turns every :61: line into a transaction', () => {
+    const [credit, debit] = parseMt940(Buffer.from(STATEMENT));
+
+    expect(credit).toEqual({
+      statement_id: 'STMT240116',
+      account: '012345678901234567',
+      sequence: 1,
+      booking_date: '2024-01-16',
+      value_date: '2024-01-16',
+      amount: 2235,
+      currency: 'MXN',
+      credit_debit: 'C',
+      reference: 'RPT-001 BBVA778812',
+      description: 'DEPOSITO CDMX-001 RPT-001',
+    });
+    expect(debit).toMatchObject({ credit_debit: 'D', amount: 500, reference: null, description: 'COMISION' });
+  });
+
+  // 2. Reversals and entry dates across the year end
+  it('folds reversals into credit/debit and rolls the entry date into the next year', () => {
+    const reversal = parseMt940(Buffer.from(STATEMENT))[2];
+
+    expect(reversal).toMatchObject({
+      credit_debit: 'C',
+      amount: 25.5,
+      value_date: '2023-12-29',
+      booking_date: '2024-01-02',
+      // The closing balance narrative is not attached to the last line
+      description: '',
+    });
+  });
+
+  // 3. Not an MT940 file
+  it('rejects input without a statement', () => {
+    expect(() => parseMt940('hello')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseMt940(':20:X\n:61:garbage')).toThrow(/invalid :61: statement line "garbage"/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { evaluatePriority, DEFAULT_PRIORITY_RULE } from '../../src/services/priorityRules.js';
+
+const rule = (id, scope, scope_value, amount_threshold, pct_threshold, severity = null) => ({
+  id, scope, scope_value, amount_threshold, pct_threshold, severity,
+});
+
+const priority = (rules, stores = new Map()) => ({ rules, stores });
+
+describe('evaluatePriority', () => {
+  it('applies the default 100 / 10% rule', () => {
+    const p = priority([DEFAULT_PRIORITY_RULE]);
+
+    expect(evaluatePriority(p, { store_id: 'S1' }, -150, -5)).toEqual({
+      is_high_priority: 1, priority_rule_id: 'default', priority_severity: null,
+    });
+    expect(evaluatePriority(p, { store_id: 'S1' }, 20, 12).is_high_priority).toBe(1);
+    expect(evaluatePriority(p, { store_id: 'S1' }, 50, 5).is_high_priority).toBe(0);
+  });
+
+  it('uses only the most specific scope that has rules', () => {
+    const p = priority([
+      DEFAULT_PRIORITY_RULE,
+      rule('gdl', 'region', 'gdl', 500, null),
+      rule('s1', 'store', 'S1', 1000, null),
+    ]);
+
+    // The store rule replaces the region and global thresholds
+    expect(evaluatePriority(p, { store_id: 'S1', region: 'gdl' }, 600, 60).is_high_priority).toBe(0);
+    expect(evaluatePriority(p, { store_id: 'S2', region: 'gdl' }, 600, 60).priority_rule_id).toBe('gdl');
+    expect(evaluatePriority(p, { store_id: 'S3', region: 'cdmx' }, 600, 60).priority_rule_id).toBe('default');
+  });
+
+  it('looks up region and currency of rows that only carry a store', () => {
+    const p = priority(
+      [DEFAULT_PRIORITY_RULE, rule('usd', 'currency', 'USD', 20, null, 'high')],
+      new Map([['S9', { region: 'border', currency: 'USD' }]])
+    );
+
+    expect(evaluatePriority(p, { store_id: 'S9' }, 30, 1)).toEqual({
+      is_high_priority: 1, priority_rule_id: 'usd', priority_severity: 'high',
+    });
+  });
+
+  it('records the most severe of several rules that fire', () => {
+    const p = priority([
+      rule('warn', 'global', null, 100, null, 'medium'),
+      rule('page', 'global', null, 1000, null, 'critical'),
+    ]);
+
+    expect(evaluatePriority(p, { store_id: 'S1' }, -2500, -50)).toMatchObject({
+      priority_rule_id: 'page', priority_severity: 'critical',
+    });
+    expect(evaluatePriority(p, { store_id: 'S1' }, -250, -5).priority_rule_id).toBe('warn');
+  });
+
+  it('flags high priority only for high, critical or unset severities', () => {
+    const at = severity => evaluatePriority(priority([rule('r', 'global', null, 100, null, severity)]), { store_id: 'S1' }, 250, 5);
+
+    expect(at('low')).toEqual({ is_high_priority: 0, priority_rule_id: 'r', priority_severity: 'low' });
+    expect(at('medium').is_high_priority).toBe(0);
+    expect(at('high').is_high_priority).toBe(1);
+    expect(at('critical').is_high_priority).toBe(1);
+    expect(at(null).is_high_priority).toBe(1);
+
+    // An unset severity ranks as high, above a low rule that fires with it
+    const p = priority([rule('note', 'global', null, 10, null, 'low'), DEFAULT_PRIORITY_RULE]);
+    expect(evaluatePriority(p, { store_id: 'S1' }, 250, 5)).toMatchObject({ is_high_priority: 1, priority_rule_id: 'default' });
+    expect(evaluatePriority(p, { store_id: 'S1' }, 50, 5)).toMatchObject({ is_high_priority: 0, priority_rule_id: 'note' });
+  });
+
+  it('flags nothing without rules', () => {
+    expect(evaluatePriority(priority([]), { store_id: 'S1' }, 10000, 100).is_high_priority).toBe(0);
+  });
+});
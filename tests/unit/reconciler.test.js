@@ -1,11 +1,22 @@
 // MUST be set before any imports so db/index.js picks up :memory: SQLite
 process.env.NODE_ENV = 'test';
 
-import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../../src/db/index.js';
 import { runMigrations } from '../../src/db/migrate.js';
-import { reconcileDate } from '../../src/services/reconciler.js';
+import {
+  reconcileDate,
+  reconcileDateRange,
+  computeReconciliation,
+  checkTolerances,
+  checkConfig,
+  ALLOCATION_STRATEGIES,
+} from '../../src/services/reconciler.js';
+import { config } from '../../src/config.js';
+import { resolveLifecycle } from '../../src/services/orderLifecycle.js';
+import { withRun, getRun, diffRuns, pruneRunHistory, runRecords } from '../../src/services/reconciliationRuns.js';
+import { createAdjustment, voidAdjustment } from '../../src/services/adjustments.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -35,12 +46,22 @@ function insertOrder(o) {
   );
 }
 
+function insertEvent(e) {
+  db.prepare(`
+    INSERT INTO order_events (id, event_id, order_id, event_type, event_date, amount, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(), e.event_id, e.order_id, e.event_type, e.event_date, e.amount ?? null,
+    new Date().toISOString(),
+  );
+}
+
 function insertReport(r) {
   db.prepare(`
     INSERT OR IGNORE INTO cash_reports
       (id, report_id, store_id, report_date, total_collected, order_ids,
-       submitted_by, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       order_amounts, submitted_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     uuidv4(),
     r.report_id,
@@ -48,6 +69,7 @@ function insertReport(r) {
     r.report_date,
     r.total_collected,
     JSON.stringify(r.order_ids),
+    r.order_amounts ? JSON.stringify(r.order_amounts) : null,
     r.submitted_by ?? 'Manager',
     new Date().toISOString(),
   );
@@ -62,7 +84,12 @@ beforeAll(() => {
 });
 
 beforeEach(() => {
-  db.exec('DELETE FROM reconciliations; DELETE FROM cash_reports; DELETE FROM orders;');
+  db.exec(`
+    DELETE FROM reconciliations; DELETE FROM cash_reports; DELETE FROM orders;
+    DELETE FROM order_events; DELETE FROM conflicting_claims; DELETE FROM claim_anomalies;
+    DELETE FROM report_variances; DELETE FROM store_day_reconciliations;
+    DELETE FROM reconciliation_runs; DELETE FROM reconciliation_history;
+  `);
 });
 
 // ---------------------------------------------------------------------------
@@ -231,3 +258,872 @@ describe('reconcileDate — not high priority (small variance)', () => {
     expect(result[0].is_high_priority).toBe(0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// 8. computeReconciliation — in-memory inputs, nothing persisted
+// ---------------------------------------------------------------------------
+
+describe('computeReconciliation', () => {
+  it('reconciles rows passed in directly without touching the database', () => {
+    const orders = [
+      { order_id: 'O1', store_id: 'STORE-001', expected_amount: 300 },
+      { order_id: 'O2', store_id: 'STORE-001', expected_amount: 100 },
+    ];
+    const reports = [
+      { report_id: 'R1', store_id: 'STORE-001', total_collected: 360, order_ids: JSON.stringify(['O1', 'O2']) },
+    ];
+
+    const result = computeReconciliation('2024-01-15', orders, reports);
+
+    // 360 collected against 400 expected → each order 10% short
+    expect(result.map(r => r.actual_amount)).toEqual([270, 90]);
+    expect(result.every(r => r.status === 'under_collection')).toBe(true);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliations').get().n).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 9. Per-order collected amounts
+// ---------------------------------------------------------------------------
+
+describe('computeReconciliation — per-order amounts', () => {
+  const orders = [
+    { order_id: 'O1', store_id: 'STORE-001', expected_amount: 300 },
+    { order_id: 'O2', store_id: 'STORE-001', expected_amount: 100 },
+    { order_id: 'O3', store_id: 'STORE-001', expected_amount: 100 },
+  ];
+
+  it('uses the exact amount where the report has one and splits the rest proportionally', () => {
+    const reports = [{
+      report_id: 'R1', store_id: 'STORE-001', total_collected: 480,
+      order_ids: JSON.stringify(['O1', 'O2', 'O3']),
+      order_amounts: JSON.stringify({ O1: 300 }),
+    }];
+
+    const result = computeReconciliation('2024-01-15', orders, reports);
+
+    // O1 collected in full; the 180 left is split between O2 and O3
+    expect(result.map(r => r.actual_amount)).toEqual([300, 90, 90]);
+    expect(result.map(r => r.allocation_method)).toEqual(['exact', 'proportional', 'proportional']);
+    expect(result[0].status).toBe('matched');
+    expect(result[1].status).toBe('under_collection');
+  });
+
+  it('pins a shortfall on the order it belongs to', () => {
+    const reports = [{
+      report_id: 'R1', store_id: 'STORE-001', total_collected: 450,
+      order_ids: JSON.stringify(['O1', 'O2', 'O3']),
+      order_amounts: JSON.stringify({ O1: 300, O2: 50, O3: 100 }),
+    }];
+
+    const result = computeReconciliation('2024-01-15', orders, reports);
+
+    expect(result.map(r => r.status)).toEqual(['matched', 'under_collection', 'matched']);
+    expect(result[1].variance_amount).toBe(-50);
+    expect(result.every(r => r.allocation_method === 'exact')).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 10. Order lifecycle events
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — order lifecycle events', () => {
+  const day = { store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15' };
+
+  beforeEach(() => {
+    insertOrder({ ...day, order_id: 'ORD-C', expected_amount: 400 });
+    insertOrder({ ...day, order_id: 'ORD-N', expected_amount: 250 });
+    insertOrder({ ...day, order_id: 'ORD-P', expected_amount: 500 });
+    insertOrder({ ...day, order_id: 'ORD-U', expected_amount: 150 });
+    insertEvent({ event_id: 'EV-1', order_id: 'ORD-C', event_type: 'cancelled', event_date: '2024-01-14' });
+    insertEvent({ event_id: 'EV-2', order_id: 'ORD-N', event_type: 'no_show', event_date: '2024-01-15' });
+    insertEvent({ event_id: 'EV-3', order_id: 'ORD-P', event_type: 'partial_pickup', event_date: '2024-01-15', amount: 300 });
+    insertReport({
+      report_id: 'RPT-001', store_id: 'STORE-001', report_date: '2024-01-15',
+      total_collected: 300, order_ids: ['ORD-P'],
+    });
+  });
+
+  it('keeps cancelled and never-picked-up orders out of unaccounted', () => {
+    const byId = Object.fromEntries(reconcileDate('2024-01-15').map(r => [r.order_id, r]));
+
+    expect(byId['ORD-C']).toMatchObject({
+      status: 'cancelled', expected_amount: 0, order_amount: 400, lifecycle_event: 'cancelled', is_high_priority: 0,
+    });
+    expect(byId['ORD-N']).toMatchObject({ status: 'not_picked_up', expected_amount: 0, lifecycle_event: 'no_show' });
+    expect(byId['ORD-U']).toMatchObject({ status: 'unaccounted', expected_amount: 150, lifecycle_event: null });
+  });
+
+  it('reconciles a partial pickup against the amount picked up', () => {
+    const rec = reconcileDate('2024-01-15').find(r => r.order_id === 'ORD-P');
+
+    expect(rec).toMatchObject({
+      status: 'matched', expected_amount: 300, actual_amount: 300, order_amount: 500,
+      lifecycle_event: 'partial_pickup',
+    });
+  });
+
+  it('flags cash reported for a cancelled order', () => {
+    db.prepare(`
+      UPDATE cash_reports
+      SET total_collected = 700, order_ids = '["ORD-P","ORD-C"]',
+          order_amounts = '{"ORD-P":300,"ORD-C":400}'
+    `).run();
+
+    const rec = reconcileDate('2024-01-15').find(r => r.order_id === 'ORD-C');
+
+    expect(rec).toMatchObject({
+      status: 'over_collection', expected_amount: 0, actual_amount: 400, variance_amount: 400,
+      is_high_priority: 1,
+    });
+  });
+});
+
+describe('resolveLifecycle', () => {
+  const order = { order_id: 'O1', expected_amount: 500 };
+
+  it('lets the latest pickup event win and takes refunds off what was due', () => {
+    const events = [
+      { event_type: 'no_show', event_date: '2024-01-15' },
+      { event_type: 'refunded', event_date: '2024-01-18', amount: 120 },
+      { event_type: 'picked_up', event_date: '2024-01-16' },
+    ];
+
+    expect(resolveLifecycle(order, events)).toEqual({ collectible_amount: 380, lifecycle_event: 'refunded' });
+  });
+
+  it('treats a refund without amount as a full refund', () => {
+    const events = [{ event_type: 'refunded', event_date: '2024-01-16', amount: null }];
+
+    expect(resolveLifecycle(order, events)).toEqual({ collectible_amount: 0, lifecycle_event: 'refunded' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 11. Late reports
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — late reports', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-MON', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-TUE', store_id: 'STORE-001', order_date: '2024-01-15', pickup_date: '2024-01-16', expected_amount: 200 });
+    // Tuesday's report also covers Monday's pickup
+    insertReport({
+      report_id: 'RPT-TUE', store_id: 'STORE-001', report_date: '2024-01-16',
+      total_collected: 500, order_ids: ['ORD-MON', 'ORD-TUE'],
+    });
+  });
+
+  it('matches an order to a report dated after its pickup and records how late', () => {
+    const [mon] = reconcileDate('2024-01-15');
+    const [tue] = reconcileDate('2024-01-16');
+
+    expect(mon).toMatchObject({ report_id: 'RPT-TUE', status: 'matched', is_late_match: 1, days_late: 1 });
+    // The late report's cash is split over both days' orders
+    expect(tue).toMatchObject({ actual_amount: 200, status: 'matched', is_late_match: 0, days_late: 0 });
+  });
+
+  it('ignores claims beyond the window', () => {
+    const [mon] = reconcileDate('2024-01-15', undefined, { windowDays: 0 });
+    const [tue] = reconcileDate('2024-01-16', undefined, { windowDays: 0 });
+
+    expect(mon.status).toBe('unaccounted');
+    expect(tue).toMatchObject({ actual_amount: 500, status: 'over_collection' });
+  });
+
+  it('credits the late match to the pickup day in the store-day records too', () => {
+    reconcileDate('2024-01-15');
+    reconcileDate('2024-01-16');
+    const storeDay = date => db.prepare(`
+      SELECT report_count, reported_amount, late_matched_amount, credited_earlier_amount, variance_amount, status
+      FROM store_day_reconciliations WHERE reconciliation_date = ?
+    `).get(date);
+
+    // Monday has no report of its own, but its order was paid on Tuesday
+    expect(storeDay('2024-01-15')).toEqual({
+      report_count: 0, reported_amount: 0, late_matched_amount: 300, credited_earlier_amount: 0,
+      variance_amount: 0, status: 'matched',
+    });
+    expect(storeDay('2024-01-16')).toEqual({
+      report_count: 1, reported_amount: 500, late_matched_amount: 0, credited_earlier_amount: 300,
+      variance_amount: 0, status: 'matched',
+    });
+
+    reconcileDate('2024-01-15', undefined, { windowDays: 0 });
+    expect(storeDay('2024-01-15')).toMatchObject({ late_matched_amount: 0, status: 'unaccounted' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 12. Conflicting claims
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — orders claimed by several reports', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-A', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-B', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 100 });
+    insertReport({
+      report_id: 'RPT-AM', store_id: 'STORE-001', report_date: '2024-01-15',
+      total_collected: 400, order_ids: ['ORD-A', 'ORD-B'], submitted_by: 'Ana',
+    });
+    // The next day's report counts ORD-A's cash again
+    insertReport({
+      report_id: 'RPT-LATE', store_id: 'STORE-001', report_date: '2024-01-16',
+      total_collected: 300, order_ids: ['ORD-A'], submitted_by: 'Luis',
+    });
+  });
+
+  it('marks the order double_claimed and sums every claim', () => {
+    const byId = Object.fromEntries(reconcileDate('2024-01-15').map(r => [r.order_id, r]));
+
+    expect(byId['ORD-A']).toMatchObject({
+      status: 'double_claimed', report_id: null, allocation_method: null,
+      expected_amount: 300, actual_amount: 600, variance_amount: 300,
+      is_high_priority: 1, is_late_match: 0, days_late: null,
+    });
+    // The other order keeps its normal match
+    expect(byId['ORD-B']).toMatchObject({ status: 'matched', report_id: 'RPT-AM' });
+  });
+
+  it('keeps every claim as evidence', () => {
+    reconcileDate('2024-01-15');
+
+    const claims = db.prepare(`
+      SELECT report_id, submitted_by, claimed_amount, allocation_method, days_late
+      FROM conflicting_claims WHERE order_id = 'ORD-A' ORDER BY report_id
+    `).all();
+
+    expect(claims).toEqual([
+      { report_id: 'RPT-AM', submitted_by: 'Ana', claimed_amount: 300, allocation_method: 'proportional', days_late: 0 },
+      { report_id: 'RPT-LATE', submitted_by: 'Luis', claimed_amount: 300, allocation_method: 'proportional', days_late: 1 },
+    ]);
+  });
+
+  it('replaces stored claims when the day is reconciled again', () => {
+    reconcileDate('2024-01-15');
+    db.prepare("DELETE FROM cash_reports WHERE report_id = 'RPT-LATE'").run();
+
+    const rec = reconcileDate('2024-01-15').find(r => r.order_id === 'ORD-A');
+
+    expect(rec).toMatchObject({ status: 'matched', report_id: 'RPT-AM' });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM conflicting_claims').get().n).toBe(0);
+  });
+
+  it('ignores a claim that falls outside the late-report window', () => {
+    const rec = reconcileDate('2024-01-15', undefined, { windowDays: 0 })
+      .find(r => r.order_id === 'ORD-A');
+
+    expect(rec).toMatchObject({ status: 'matched', report_id: 'RPT-AM' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 13. Invalid claims
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — invalid claims', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-OWN', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 200 });
+    insertOrder({ order_id: 'ORD-OTHER', store_id: 'STORE-002', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 100 });
+    insertOrder({ order_id: 'ORD-OLD', store_id: 'STORE-001', order_date: '2024-01-01', pickup_date: '2024-01-05', expected_amount: 50 });
+    insertReport({
+      report_id: 'RPT-MIX', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 200,
+      order_ids: ['ORD-OWN', 'ORD-GHOST', 'ORD-OTHER', 'ORD-OLD'],
+    });
+  });
+
+  function anomalies() {
+    return db.prepare(`
+      SELECT report_id, store_id, order_id, anomaly_type, order_store_id, days_late, is_high_priority
+      FROM claim_anomalies ORDER BY order_id
+    `).all();
+  }
+
+  it('records unknown, cross-store and wrong-date claims against the report', () => {
+    reconcileDate('2024-01-15');
+
+    expect(anomalies()).toEqual([
+      { report_id: 'RPT-MIX', store_id: 'STORE-001', order_id: 'ORD-GHOST', anomaly_type: 'unknown_order', order_store_id: null, days_late: null, is_high_priority: 1 },
+      { report_id: 'RPT-MIX', store_id: 'STORE-001', order_id: 'ORD-OLD', anomaly_type: 'wrong_date', order_store_id: 'STORE-001', days_late: 10, is_high_priority: 0 },
+      { report_id: 'RPT-MIX', store_id: 'STORE-001', order_id: 'ORD-OTHER', anomaly_type: 'cross_store', order_store_id: 'STORE-002', days_late: 0, is_high_priority: 1 },
+    ]);
+  });
+
+  it('spreads the cash over valid claims only', () => {
+    const byId = Object.fromEntries(reconcileDate('2024-01-15').map(r => [r.order_id, r]));
+
+    expect(byId['ORD-OWN']).toMatchObject({ status: 'matched', actual_amount: 200 });
+    // Another store's report does not count for its orders
+    expect(byId['ORD-OTHER']).toMatchObject({ status: 'unaccounted', report_id: null });
+  });
+
+  it('finds the same anomalies when only the report store is reconciled', () => {
+    reconcileDate('2024-01-15', 'STORE-001');
+    expect(anomalies().map(a => a.anomaly_type)).toEqual(['unknown_order', 'wrong_date', 'cross_store']);
+
+    reconcileDate('2024-01-15', 'STORE-002');
+    expect(anomalies()).toHaveLength(3);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 14. Allocation strategies
+// ---------------------------------------------------------------------------
+
+describe('ALLOCATION_STRATEGIES', () => {
+  const claims = [
+    { order_id: 'A', expected: 300 },
+    { order_id: 'B', expected: 200 },
+    { order_id: 'C', expected: 100 },
+  ];
+  const allocate = (name, remainder) => Object.fromEntries(ALLOCATION_STRATEGIES[name].allocate(remainder, claims));
+
+  it('proportional splits by expected amount', () => {
+    expect(allocate('proportional', 300)).toEqual({ A: 150, B: 100, C: 50 });
+  });
+
+  it('sequential pays in listed order and leaves the shortfall on the last orders', () => {
+    expect(allocate('sequential', 400)).toEqual({ A: 300, B: 100, C: 0 });
+    expect(allocate('sequential', 650)).toEqual({ A: 300, B: 200, C: 150 });
+  });
+
+  it('report_level pays every order in full', () => {
+    expect(allocate('report_level', 400)).toEqual({ A: 300, B: 200, C: 100 });
+  });
+
+  it('exact_match pays in full or not at all', () => {
+    expect(allocate('exact_match', 600)).toEqual({ A: 300, B: 200, C: 100 });
+    expect(allocate('exact_match', 599)).toEqual({ A: null, B: null, C: null });
+  });
+
+  it('exact_match also needs every listed amount to be the expected one', () => {
+    const listed = [{ order_id: 'A', expected: 300, listed: 300 }, { order_id: 'B', expected: 200 }];
+    expect(Object.fromEntries(ALLOCATION_STRATEGIES.exact_match.allocate(500, listed))).toEqual({ A: 300, B: 200 });
+    // Right total, but the report says A was short and B made up for it
+    const off = [{ order_id: 'A', expected: 300, listed: 250 }, { order_id: 'B', expected: 200 }];
+    expect(Object.fromEntries(ALLOCATION_STRATEGIES.exact_match.allocate(500, off))).toEqual({ A: null, B: null });
+  });
+});
+
+describe('reconcileDate — allocation strategies', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-1', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-2', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 200 });
+    insertReport({
+      report_id: 'RPT-SHORT', store_id: 'STORE-001', report_date: '2024-01-15',
+      total_collected: 400, order_ids: ['ORD-1', 'ORD-2'],
+    });
+  });
+
+  const byOrder = records => Object.fromEntries(records.map(r => [r.order_id, r]));
+
+  it('stores the strategy on every row', () => {
+    const recs = byOrder(reconcileDate('2024-01-15', undefined, { strategy: 'sequential' }));
+
+    expect(recs['ORD-1']).toMatchObject({ status: 'matched', actual_amount: 300, allocation_strategy: 'sequential' });
+    expect(recs['ORD-2']).toMatchObject({ status: 'under_collection', actual_amount: 100, allocation_strategy: 'sequential' });
+    const stored = db.prepare('SELECT DISTINCT allocation_strategy FROM reconciliations').all();
+    expect(stored).toEqual([{ allocation_strategy: 'sequential' }]);
+  });
+
+  it('keeps the variance on a report line under report_level', () => {
+    const recs = byOrder(reconcileDate('2024-01-15', undefined, { strategy: 'report_level' }));
+
+    expect(recs['ORD-1'].status).toBe('matched');
+    expect(recs['ORD-2'].status).toBe('matched');
+    expect(db.prepare('SELECT * FROM report_variances').all()).toEqual([
+      expect.objectContaining({
+        report_id: 'RPT-SHORT', allocation_strategy: 'report_level', collected_amount: 400,
+        allocated_amount: 500, variance_amount: -100, status: 'under_collection', is_high_priority: 1,
+      }),
+    ]);
+  });
+
+  it('marks every order of an inexact report as report_mismatch under exact_match', () => {
+    const recs = byOrder(reconcileDate('2024-01-15', undefined, { strategy: 'exact_match' }));
+
+    expect(recs['ORD-1']).toMatchObject({ status: 'report_mismatch', actual_amount: null, variance_amount: null });
+    expect(recs['ORD-2'].status).toBe('report_mismatch');
+    expect(db.prepare('SELECT status FROM report_variances').get().status).toBe('under_collection');
+  });
+
+  it('judges the whole report under exact_match, listed amounts included', () => {
+    insertOrder({ order_id: 'ORD-4', store_id: 'STORE-001', order_date: '2024-01-15', pickup_date: '2024-01-16', expected_amount: 100 });
+    insertOrder({ order_id: 'ORD-5', store_id: 'STORE-001', order_date: '2024-01-15', pickup_date: '2024-01-16', expected_amount: 50 });
+    // ORD-4 is listed 20 short; the 50 left over would cover ORD-5 exactly
+    insertReport({
+      report_id: 'RPT-PART', store_id: 'STORE-001', report_date: '2024-01-16',
+      total_collected: 130, order_ids: ['ORD-4', 'ORD-5'], order_amounts: { 'ORD-4': 80 },
+    });
+
+    const recs = byOrder(reconcileDate('2024-01-16', undefined, { strategy: 'exact_match' }));
+    expect(recs['ORD-4']).toMatchObject({ status: 'report_mismatch', actual_amount: null, allocation_method: 'exact' });
+    expect(recs['ORD-5']).toMatchObject({ status: 'report_mismatch', actual_amount: null });
+    expect(db.prepare("SELECT * FROM report_variances WHERE report_id = 'RPT-PART'").get()).toMatchObject({
+      collected_amount: 130, allocated_amount: 150, variance_amount: -20, status: 'under_collection',
+    });
+
+    db.prepare("UPDATE cash_reports SET total_collected = 150, order_amounts = ? WHERE report_id = 'RPT-PART'")
+      .run(JSON.stringify({ 'ORD-4': 100 }));
+    const fixed = byOrder(reconcileDate('2024-01-16', undefined, { strategy: 'exact_match' }));
+    expect(fixed['ORD-4']).toMatchObject({ status: 'matched', actual_amount: 100, allocation_method: 'exact' });
+    expect(fixed['ORD-5']).toMatchObject({ status: 'matched', actual_amount: 50, allocation_method: 'proportional' });
+    expect(db.prepare("SELECT status FROM report_variances WHERE report_id = 'RPT-PART'").get().status).toBe('matched');
+  });
+
+  it('uses the store strategy when the request names none', () => {
+    config.storeAllocationStrategies = { 'STORE-001': 'report_level' };
+    try {
+      const [rec] = reconcileDate('2024-01-15');
+      expect(rec.allocation_strategy).toBe('report_level');
+    } finally {
+      config.storeAllocationStrategies = {};
+    }
+  });
+
+  it('checks the configured strategies at startup', async () => {
+    config.storeAllocationStrategies = { 'STORE-001': 'sequental' };
+    try {
+      expect(() => checkConfig()).toThrow('unknown strategy "sequental" for STORE-001; use one of proportional');
+    } finally {
+      config.storeAllocationStrategies = {};
+    }
+    config.allocationStrategy = 'evenly';
+    try {
+      expect(() => checkConfig()).toThrow('Invalid ALLOCATION_STRATEGY "evenly"');
+    } finally {
+      config.allocationStrategy = 'proportional';
+    }
+
+    vi.resetModules();
+    process.env.STORE_ALLOCATION_STRATEGIES = "{'GDL-001':'sequential'}";
+    try {
+      await expect(import('../../src/config.js')).rejects.toThrow('STORE_ALLOCATION_STRATEGIES is not valid JSON');
+    } finally {
+      delete process.env.STORE_ALLOCATION_STRATEGIES;
+      vi.resetModules();
+    }
+  });
+
+  it('checks the day and run counts at startup', () => {
+    for (const [key, value, message] of [
+      ['lateReportWindowDays', NaN, 'Invalid LATE_REPORT_WINDOW_DAYS "NaN"'],
+      ['depositMatchWindowDays', -1, 'Invalid DEPOSIT_MATCH_WINDOW_DAYS "-1"'],
+      ['runHistoryRetention', 2.5, 'Invalid RUN_HISTORY_RETENTION "2.5"'],
+      ['simulationMaxDays', NaN, 'Invalid SIMULATION_MAX_DAYS "NaN"'],
+    ]) {
+      const saved = config[key];
+      config[key] = value;
+      try {
+        expect(() => checkConfig()).toThrow(message);
+      } finally {
+        config[key] = saved;
+      }
+    }
+    expect(() => checkConfig()).not.toThrow();
+  });
+
+  it('defaults to proportional without writing report lines', () => {
+    const recs = byOrder(reconcileDate('2024-01-15'));
+
+    expect(recs['ORD-1']).toMatchObject({ actual_amount: 240, allocation_strategy: 'proportional' });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM report_variances').get().n).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 15. Store-day records
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — store-day records', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-1', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-2', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 200 });
+    insertOrder({ order_id: 'ORD-3', store_id: 'STORE-002', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 100 });
+    insertReport({
+      report_id: 'RPT-1', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 500,
+      order_ids: ['ORD-1', 'ORD-2', 'ORD-GHOST'], order_amounts: { 'ORD-GHOST': 50 },
+    });
+    insertReport({
+      report_id: 'RPT-STRAY', store_id: 'STORE-003', report_date: '2024-01-15', total_collected: 80,
+      order_ids: ['ORD-NOWHERE'],
+    });
+  });
+
+  const storeDays = () => db.prepare(`
+    SELECT store_id, order_count, report_count, expected_amount, reported_amount,
+           unallocated_amount, variance_amount, status, is_high_priority
+    FROM store_day_reconciliations ORDER BY store_id
+  `).all();
+
+  it('totals expected and reported cash per store and keeps unallocated cash apart', () => {
+    reconcileDate('2024-01-15');
+
+    expect(storeDays()).toEqual([
+      // 50 of the 500 went to an unknown order, so the orders come up short
+      { store_id: 'STORE-001', order_count: 2, report_count: 1, expected_amount: 500, reported_amount: 500, unallocated_amount: 50, variance_amount: 0, status: 'matched', is_high_priority: 0 },
+      { store_id: 'STORE-002', order_count: 1, report_count: 0, expected_amount: 100, reported_amount: 0, unallocated_amount: 0, variance_amount: -100, status: 'unaccounted', is_high_priority: 1 },
+      { store_id: 'STORE-003', order_count: 0, report_count: 1, expected_amount: 0, reported_amount: 80, unallocated_amount: 80, variance_amount: 80, status: 'over_collection', is_high_priority: 0 },
+    ]);
+  });
+
+  it('replaces only the reconciled store when a store is given', () => {
+    reconcileDate('2024-01-15');
+    insertReport({
+      report_id: 'RPT-2', store_id: 'STORE-002', report_date: '2024-01-15', total_collected: 100, order_ids: ['ORD-3'],
+    });
+    reconcileDate('2024-01-15', 'STORE-002');
+
+    const rows = storeDays();
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toMatchObject({ store_id: 'STORE-002', report_count: 1, status: 'matched' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 16. Reconciliation runs
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — reconciliation runs', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-1', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-2', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 200 });
+    insertReport({
+      report_id: 'RPT-1', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 300, order_ids: ['ORD-1'],
+    });
+  });
+
+  it('records a run of its own with its totals when none is given', () => {
+    reconcileDate('2024-01-15');
+
+    const rows = db.prepare('SELECT DISTINCT run_id FROM reconciliations').all();
+    expect(rows).toHaveLength(1);
+    expect(getRun(rows[0].run_id)).toMatchObject({
+      triggered_by: 'system', trigger: 'system', status: 'completed',
+      params: { date: '2024-01-15' }, store_day_count: 1, total_orders: 2,
+      status_counts: { matched: 1, unaccounted: 1 }, total_expected: 500, total_actual: 300,
+    });
+  });
+
+  it('ties every day of a run to it and keeps earlier runs in the history', () => {
+    const first = withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+    insertReport({
+      report_id: 'RPT-2', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 150, order_ids: ['ORD-2'],
+    });
+    const second = withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+
+    expect(db.prepare('SELECT DISTINCT run_id FROM reconciliations').all()).toEqual([{ run_id: second.id }]);
+    // Only ORD-2 changed, so the second run adds one history row
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliation_history').get().n).toBe(3);
+    expect(runRecords(first.id).map(r => r.status)).toEqual(['matched', 'unaccounted']);
+    expect(runRecords(second.id).map(r => r.status)).toEqual(['matched', 'under_collection']);
+
+    expect(diffRuns(first.id, second.id).changed_orders).toEqual([
+      expect.objectContaining({
+        order_id: 'ORD-2', before_status: 'unaccounted', after_status: 'under_collection',
+        before_variance: null, after_variance: -50, after_report_id: 'RPT-2',
+      }),
+    ]);
+  });
+
+  it('only compares store-days both runs reconciled', () => {
+    insertOrder({ order_id: 'ORD-9', store_id: 'STORE-001', order_date: '2024-01-15', pickup_date: '2024-01-16', expected_amount: 90 });
+    const day = withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+    const week = withRun({ trigger: 'api' }, runId => {
+      reconcileDate('2024-01-15', undefined, { runId });
+      reconcileDate('2024-01-16', undefined, { runId });
+    }).run;
+
+    expect(diffRuns(day.id, week.id)).toEqual({
+      store_days: [{ store_id: 'STORE-001', date: '2024-01-15' }],
+      changed_orders: [],
+    });
+  });
+
+  const reportOrd2 = () => insertReport({
+    report_id: 'RPT-2', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 150, order_ids: ['ORD-2'],
+  });
+  const history = () => db.prepare(`
+    SELECT order_id, run_id FROM reconciliation_history ORDER BY order_id
+  `).all();
+
+  it('keeps the order rows the latest runs still read', () => {
+    const run = () => withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+    const first = run();
+    reportOrd2();
+    const runs = [first, run(), run()];
+
+    expect(pruneRunHistory(2)).toBe(1);
+    expect(getRun(runs[0].id)).toMatchObject({ history_pruned: true, total_orders: 2 });
+    expect(getRun(runs[1].id).history_pruned).toBe(false);
+    // ORD-1 never changed, so the kept runs still read it from the first run
+    expect(history()).toEqual([
+      { order_id: 'ORD-1', run_id: runs[0].id },
+      { order_id: 'ORD-2', run_id: runs[1].id },
+    ]);
+    expect(runRecords(runs[2].id).map(r => r.status)).toEqual(['matched', 'under_collection']);
+    expect(pruneRunHistory(2)).toBe(0);
+    expect(pruneRunHistory(0)).toBe(0);
+  });
+
+  it('prunes past RUN_HISTORY_RETENTION as runs finish', () => {
+    config.runHistoryRetention = 1;
+    try {
+      const first = withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+      reportOrd2();
+      const second = withRun({ trigger: 'api' }, runId => reconcileDate('2024-01-15', undefined, { runId })).run;
+
+      expect(getRun(first.id).history_pruned).toBe(true);
+      expect(history()).toEqual([
+        { order_id: 'ORD-1', run_id: first.id },
+        { order_id: 'ORD-2', run_id: second.id },
+      ]);
+    } finally {
+      config.runHistoryRetention = 50;
+    }
+  });
+
+  it('marks the run failed when reconciliation throws', () => {
+    expect(() => withRun({ trigger: 'api' }, () => { throw new Error('boom'); })).toThrow('boom');
+    expect(db.prepare('SELECT status, error FROM reconciliation_runs').get()).toEqual({ status: 'failed', error: 'boom' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 17. Manual adjustments
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — manual adjustments', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM adjustments; DELETE FROM dirty_store_days;');
+    insertOrder({ order_id: 'ORD-1', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 500 });
+    insertOrder({ order_id: 'ORD-2', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 200 });
+    insertReport({
+      report_id: 'RPT-1', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 450, order_ids: ['ORD-1'],
+    });
+  });
+
+  const adjust = input => createAdjustment({ reason: 'Discount approved at pickup', approved_by: 'lead', ...input }, 'clerk');
+  const order = id => db.prepare(`
+    SELECT actual_amount, variance_amount, status, adjustment_amount, unadjusted_variance_amount, unadjusted_status
+    FROM reconciliations WHERE order_id = ?
+  `).get(id);
+  const storeDay = () => db.prepare(`
+    SELECT variance_amount, status, adjustment_amount, unadjusted_variance_amount, unadjusted_status
+    FROM store_day_reconciliations WHERE store_id = 'STORE-001'
+  `).get();
+
+  it('adds order adjustments to the collected amount and keeps the unadjusted variance', () => {
+    adjust({ target_type: 'order', order_id: 'ORD-1', amount: 50 });
+    reconcileDate('2024-01-15');
+
+    expect(order('ORD-1')).toEqual({
+      actual_amount: 500, variance_amount: 0, status: 'matched',
+      adjustment_amount: 50, unadjusted_variance_amount: -50, unadjusted_status: 'under_collection',
+    });
+    expect(order('ORD-2')).toMatchObject({ status: 'unaccounted', adjustment_amount: 0, unadjusted_status: 'unaccounted' });
+  });
+
+  it('settles an unclaimed order from its adjustments alone', () => {
+    adjust({ target_type: 'order', order_id: 'ORD-2', amount: 200 });
+    reconcileDate('2024-01-15');
+
+    expect(order('ORD-2')).toEqual({
+      actual_amount: 200, variance_amount: 0, status: 'matched',
+      adjustment_amount: 200, unadjusted_variance_amount: null, unadjusted_status: 'unaccounted',
+    });
+  });
+
+  it('records an adjustment on a report_mismatch order without applying it', () => {
+    adjust({ target_type: 'order', order_id: 'ORD-1', amount: 50 });
+    reconcileDate('2024-01-15', undefined, { strategy: 'exact_match' });
+
+    expect(order('ORD-1')).toEqual({
+      actual_amount: null, variance_amount: null, status: 'report_mismatch',
+      adjustment_amount: 50, unadjusted_variance_amount: null, unadjusted_status: 'report_mismatch',
+    });
+    expect(storeDay()).toMatchObject({ adjustment_amount: 50, unadjusted_variance_amount: -250 });
+  });
+
+  it('applies order and store-day adjustments to the store-day', () => {
+    adjust({ target_type: 'order', order_id: 'ORD-1', amount: 50 });
+    adjust({ target_type: 'store_day', store_id: 'STORE-001', date: '2024-01-15', amount: 150 });
+    reconcileDate('2024-01-15');
+
+    expect(storeDay()).toEqual({
+      variance_amount: -50, status: 'under_collection',
+      adjustment_amount: 200, unadjusted_variance_amount: -250, unadjusted_status: 'under_collection',
+    });
+  });
+
+  it('stops applying a voided adjustment and marks its store-day dirty', () => {
+    const adj = adjust({ target_type: 'order', order_id: 'ORD-1', amount: 50 });
+    reconcileDate('2024-01-15');
+    voidAdjustment(adj.id, { reason: 'Wrong order' }, 'lead');
+
+    expect(db.prepare('SELECT store_id, date, reason FROM dirty_store_days').all()).toEqual([
+      { store_id: 'STORE-001', date: '2024-01-15', reason: 'adjustment' },
+    ]);
+    reconcileDate('2024-01-15');
+    expect(order('ORD-1')).toMatchObject({ variance_amount: -50, adjustment_amount: 0 });
+  });
+
+  it('requires a reason and an approver other than the author', () => {
+    expect(() => createAdjustment({ target_type: 'order', order_id: 'ORD-1', amount: 5, reason: 'x' }, 'clerk'))
+      .toThrow('"approved_by" is required');
+    expect(() => createAdjustment({ target_type: 'order', order_id: 'ORD-1', amount: 5, reason: 'x', approved_by: 'clerk' }, 'clerk'))
+      .toThrow('someone other than its author');
+    expect(() => adjust({ target_type: 'order', order_id: 'ORD-1', amount: 0 })).toThrow('non-zero');
+    expect(() => adjust({ target_type: 'order', order_id: 'ORD-404', amount: 5 })).toThrow('not found');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 18. Date ranges
+// ---------------------------------------------------------------------------
+
+describe('reconcileDateRange', () => {
+  beforeEach(() => {
+    insertOrder({ order_id: 'ORD-1', store_id: 'STORE-001', order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount: 300 });
+    insertOrder({ order_id: 'ORD-2', store_id: 'STORE-002', order_date: '2024-01-15', pickup_date: '2024-01-16', expected_amount: 200 });
+    insertReport({
+      report_id: 'RPT-1', store_id: 'STORE-001', report_date: '2024-01-15', total_collected: 300, order_ids: ['ORD-1'],
+    });
+  });
+
+  it('writes nothing when a later day of the range fails', () => {
+    config.storeAllocationStrategies = { 'STORE-002': 'no_such_strategy' };
+    try {
+      expect(() => reconcileDateRange('2024-01-15', '2024-01-16')).toThrow('Unknown allocation strategy');
+    } finally {
+      config.storeAllocationStrategies = {};
+    }
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliations').get().n).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM store_day_reconciliations').get().n).toBe(0);
+    expect(db.prepare('SELECT status FROM reconciliation_runs').get().status).toBe('failed');
+  });
+
+  it('returns a summary and no records by default, while the run counts them all', () => {
+    const { run, result } = withRun(
+      { trigger: 'api' },
+      runId => reconcileDateRange('2024-01-15', '2024-01-16', undefined, { runId })
+    );
+
+    expect(result.records).toBeNull();
+    expect(result.summary).toMatchObject({ total_orders: 2, status_counts: { matched: 1, unaccounted: 1 } });
+    expect(run).toMatchObject({ store_day_count: 2, total_orders: 2, status_counts: { matched: 1, unaccounted: 1 } });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM reconciliations WHERE run_id = ?').get(run.id).n).toBe(2);
+  });
+
+  it('finds late reports by the orders they list now, after a correction', () => {
+    insertReport({
+      report_id: 'RPT-LATE', store_id: 'STORE-002', report_date: '2024-01-17', total_collected: 200, order_ids: ['ORD-X'],
+    });
+    expect(reconcileDateRange('2024-01-16', '2024-01-16', undefined, { collect: true }).records[0].status).toBe('unaccounted');
+
+    db.prepare(`UPDATE cash_reports SET order_ids = '["ORD-2"]' WHERE report_id = 'RPT-LATE'`).run();
+    expect(reconcileDateRange('2024-01-16', '2024-01-16', undefined, { collect: true }).records[0]).toMatchObject({
+      report_id: 'RPT-LATE', status: 'matched', days_late: 1,
+    });
+
+    db.prepare(`DELETE FROM cash_reports WHERE report_id = 'RPT-LATE'`).run();
+    expect(reconcileDateRange('2024-01-16', '2024-01-16', undefined, { collect: true }).records[0].status).toBe('unaccounted');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 19. Rounding tolerances
+// ---------------------------------------------------------------------------
+
+describe('reconcileDate — rounding tolerances', () => {
+  const order = (order_id, expected_amount, currency = 'MXN') => ({
+    order_id, store_id: 'STORE-001', currency, order_date: '2024-01-14', pickup_date: '2024-01-15', expected_amount,
+  });
+  const report = (order_ids, total_collected) => ({
+    report_id: `RPT-${order_ids.join('-')}`, store_id: 'STORE-001', report_date: '2024-01-15', total_collected, order_ids,
+  });
+  // As loaded from the database, where order_ids is JSON
+  const reconcileOne = (o, collected, tolerances) => {
+    const r = { ...report([o.order_id], collected), order_ids: JSON.stringify([o.order_id]) };
+    return computeReconciliation('2024-01-15', [o], [r], undefined, { tolerances })[0];
+  };
+
+  it('marks a variance inside the currency tolerance minor_variance, never high priority', () => {
+    const tolerances = { MXN: { amount: 0.5 } };
+
+    expect(reconcileOne(order('ORD-1', 100.4), 100, tolerances)).toMatchObject({
+      status: 'minor_variance', variance_amount: -0.4, is_high_priority: 0,
+    });
+    expect(reconcileOne(order('ORD-1', 100.6), 100, tolerances).status).toBe('under_collection');
+    expect(reconcileOne(order('ORD-1', 100), 100, tolerances).status).toBe('matched');
+    // A single peso on a 5-peso order would be high priority by percentage
+    expect(reconcileOne(order('ORD-1', 5), 5.4, tolerances)).toMatchObject({ status: 'minor_variance', is_high_priority: 0 });
+  });
+
+  it('needs the variance inside both limits when amount and pct are set', () => {
+    const tolerances = { MXN: { amount: 1, pct: 0.5 } };
+
+    expect(reconcileOne(order('ORD-1', 200), 200.8, tolerances).status).toBe('minor_variance');
+    expect(reconcileOne(order('ORD-1', 100), 100.8, tolerances).status).toBe('over_collection');
+  });
+
+  it('falls back to the "*" tolerance for currencies not listed', () => {
+    const tolerances = { MXN: { amount: 0.5 }, '*': { amount: 0.05 } };
+
+    expect(reconcileOne(order('ORD-1', 100, 'USD'), 100.04, tolerances).status).toBe('minor_variance');
+    expect(reconcileOne(order('ORD-1', 100, 'USD'), 100.4, tolerances).status).toBe('over_collection');
+    expect(reconcileOne(order('ORD-1', 100, 'USD'), 100.4, { MXN: { amount: 0.5 } }).status).toBe('over_collection');
+  });
+
+  it('does not apply a percentage tolerance against an expected 0', () => {
+    expect(reconcileOne(order('ORD-1', 0), 0.3, { MXN: { pct: 1 } }).status).toBe('over_collection');
+    expect(reconcileOne(order('ORD-1', 0), 0.3, { MXN: { amount: 0.5 } }).status).toBe('minor_variance');
+  });
+
+  it('applies the configured tolerances to order, report and store-day rows', () => {
+    insertOrder(order('ORD-1', 300));
+    insertOrder(order('ORD-2', 200.4));
+    insertReport(report(['ORD-1', 'ORD-2'], 500));
+
+    config.varianceTolerances = { MXN: { amount: 0.5 } };
+    try {
+      const recs = reconcileDate('2024-01-15', undefined, { strategy: 'report_level' });
+      expect(recs.map(r => r.status)).toEqual(['matched', 'matched']);
+      expect(db.prepare('SELECT status, variance_amount, is_high_priority FROM report_variances').get())
+        .toEqual({ status: 'minor_variance', variance_amount: -0.4, is_high_priority: 0 });
+      expect(db.prepare('SELECT status, variance_amount, is_high_priority FROM store_day_reconciliations').get())
+        .toEqual({ status: 'minor_variance', variance_amount: -0.4, is_high_priority: 0 });
+    } finally {
+      config.varianceTolerances = {};
+    }
+  });
+
+  it('rejects malformed tolerances', () => {
+    expect(() => checkTolerances({ MXN: { amount: 0.5, pct: 1 }, '*': { pct: 0.1 } })).not.toThrow();
+    expect(() => checkTolerances([])).toThrow('must be an object');
+    expect(() => checkTolerances({ MXN: 0.5 })).toThrow('Tolerance for "MXN"');
+    expect(() => checkTolerances({ MXN: { amount: -1 } })).toThrow('non-negative');
+    expect(() => checkTolerances({ MXN: {} })).toThrow('needs "amount" and/or "pct"');
+  });
+
+  it('checks VARIANCE_TOLERANCES at startup', async () => {
+    config.varianceTolerances = { MXN: { amount: -1 } };
+    try {
+      expect(() => checkConfig()).toThrow('Invalid VARIANCE_TOLERANCES: Tolerance "amount" for "MXN" must be a non-negative number');
+    } finally {
+      config.varianceTolerances = {};
+    }
+    expect(() => checkConfig()).not.toThrow();
+
+    vi.resetModules();
+    process.env.VARIANCE_TOLERANCES = '{"MXN":{amount:0.5}}';
+    try {
+      await expect(import('../../src/config.js')).rejects.toThrow('VARIANCE_TOLERANCES is not valid JSON');
+    } finally {
+      delete process.env.VARIANCE_TOLERANCES;
+      vi.resetModules();
+    }
+  });
+});